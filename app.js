@@ -1,6 +1,47 @@
 // Baby Feeding Tracker Application - Spanish Version with IndexedDB
+
+// Records of a paged list loaded at a time, older ones come with "Cargar más"
+const RECORD_PAGE_SIZE = 100;
+
+// Days of temperatures the temperature chart shows
+const TEMPERATURE_CHART_DAYS = 30;
+
+// In-memory list and label of each record store. Stores with a 'page' only
+// keep their newest records in memory and render them into 'container' with
+// the 'item' method. Measurements, medicines and appointments are few, and
+// the growth charts, active medicines and upcoming visits need all of them.
+const RECORD_TYPES = {
+    [STORES.FEEDINGS]: { list: 'feedings', label: '🍼 Alimentación', page: { container: 'feeding-list', item: 'renderFeedingItem' } },
+    [STORES.DIAPERS]: { list: 'diapers', label: '🧷 Pañal', page: { container: 'diaper-list', item: 'renderDiaperItem' } },
+    [STORES.MEASUREMENTS]: { list: 'measurements', label: '📏 Medidas' },
+    [STORES.MEDICINES]: { list: 'medicines', label: '💊 Medicamento' },
+    [STORES.TEMPERATURES]: { list: 'temperatures', label: '🌡️ Temperatura', page: { container: 'temperature-list', item: 'renderTemperatureItem' } },
+    [STORES.APPOINTMENTS]: { list: 'appointments', label: '📅 Cita' },
+    [STORES.JOURNAL]: { list: 'journalEntries', label: '📔 Diario', page: { container: 'journal-list', item: 'renderJournalItem' } }
+};
+
+// Record stores whose form takes photos, with the prefix of the form's element IDs
+const PHOTO_FORMS = {
+    [STORES.DIAPERS]: 'diaper',
+    [STORES.JOURNAL]: 'journal'
+};
+
+// Approximate WHO length-for-age medians and standard deviations (cm) at
+// 0, 3, 6 and 12 months, for the rough length percentile
+const LENGTH_FOR_AGE = {
+    male: [[0, 49.9, 1.9], [3, 61.4, 2.0], [6, 67.6, 2.1], [12, 75.7, 2.3]],
+    female: [[0, 49.1, 1.9], [3, 59.8, 2.0], [6, 65.7, 2.2], [12, 74.0, 2.5]]
+};
+
+// Fever readings closer than this belong to the same episode in the visit report
+const FEVER_EPISODE_GAP = 24 * 60 * 60 * 1000; // ms
+
+// Journal categories the visit report lists
+const REPORT_JOURNAL_CATEGORIES = ['concern', 'emergency'];
+
 class FeedingTracker {
-    constructor() {
+    // repository: storage backend to use instead of the default IndexedDB/localStorage one
+    constructor(repository = null) {
         this.feedings = [];
         this.diapers = [];
         this.measurements = [];
@@ -8,6 +49,22 @@ class FeedingTracker {
         this.temperatures = [];
         this.appointments = [];
         this.journalEntries = [];
+        this.hasMoreRecords = {}; // Paged store -> whether older records are left to load
+        this.children = [];
+        this.activeChildId = null;
+        this.editingChildId = null;
+        this.editingFeedingId = null;
+        this.editingDiaperId = null;
+        this.editingMeasurementId = null;
+        this.editingMedicineId = null;
+        this.editingTemperatureId = null;
+        this.editingAppointmentId = null;
+        this.editingJournalId = null;
+        this.pendingBackup = null;
+        this.trashRetentionDays = 30; // Trashed records are purged after this many days
+        this.undoAction = null;
+        this.undoTimer = null;
+        this.caregiverName = ''; // Who is logging on this device, kept in the audit log
         this.timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
         this.nextFeedingTimer = null;
         this.nextFeedingCountdownInterval = null;
@@ -19,32 +76,59 @@ class FeedingTracker {
         this.notificationsEnabled = false;
         this.notificationCheckInterval = null;
         this.currentDiaperLevel = 2; // Default level: medium
-        this.useIndexedDB = false; // Will be set after migration check
-        this.storageType = 'initializing';
+        this.repository = repository; // Set in init() unless one was given
+        this.backupManager = null;
+        this.pinLock = null;
+        this.integrityChecker = null;
+        this.photoProcessor = new PhotoProcessor();
+        this.photoDraft = null; // Photos added to and removed from the open record form
+        this.photoUrls = {}; // Object URLs shown per group, revoked when it is re-rendered
+        this.integrityIssues = []; // Issues of the last integrity check
+        this.importPreview = null;
+        this.pendingImport = null; // Preview of the file being imported
+        this.mappingRows = null; // CSV rows whose columns are being assigned
+        this.pinLockEnabled = false;
+        this.locked = false;
+        this.autoLockMinutes = 5; // Lock again after this many minutes without use, 0 = never
+        this.autoLockTimer = null;
     }
 
     async init() {
-        try {
-            // Try to initialize IndexedDB and run migration
-            await db.init();
-            const migrationResult = await migration.migrate();
-            
-            this.useIndexedDB = true;
-            this.storageType = 'indexeddb';
-            console.log('✅ Using IndexedDB storage');
-            
-            if (migrationResult.status === 'success') {
-                console.log(`📦 Migrated ${migrationResult.feedings} feedings and ${migrationResult.diapers} diapers`);
-            }
-            
-            await this.loadFromStorage();
-        } catch (error) {
-            // Fallback to localStorage if IndexedDB fails
-            console.warn('⚠️ IndexedDB not available, falling back to localStorage:', error);
-            this.useIndexedDB = false;
-            this.storageType = 'localstorage';
-            this.loadFromLocalStorage();
+        let migrationResult;
+        const requestPassphrase = (error) => this.requestPassphrase(error);
+        if (this.repository) {
+            migrationResult = await this.repository.init(requestPassphrase);
+        } else {
+            ({ repository: this.repository, migrationResult } = await openRepository(requestPassphrase));
+        }
+        document.getElementById('unlock-modal').classList.remove('active');
+        this.backupManager = new BackupManager(this.repository);
+        this.pinLock = new PinLock(this.repository);
+        this.integrityChecker = new IntegrityChecker(this.repository);
+        this.importPreview = new ImportPreview(this.repository);
+        document.querySelectorAll('.attachment-group').forEach(group => {
+            group.classList.toggle('hidden', !this.repository.features.attachments);
+        });
+        await this.loadPinLock();
+        if (this.pinLockEnabled) this.lock();
+
+        await this.loadChildren();
+        if (migrationResult && migrationResult.status === 'success') {
+            console.log('📦 Migrated from localStorage:', migrationResult);
+            await this.repository.adoptOrphanRecords(this.activeChildId);
+        }
+        await this.loadFromStorage();
+
+        await this.purgeExpiredTrash();
+
+        if (this.repository.features.sync) {
+            syncEngine.onRemoteChanges = () => {
+                this.repository.changes.notify(...SYNCED_STORES, STORES.METADATA);
+                return this.reloadAll();
+            };
+            await syncEngine.init();
         }
+        this.repository.changes.onChange = (storeNames) => this.applyTabChanges(storeNames);
 
         this.setupEventListeners();
         this.populateTimezones();
@@ -55,6 +139,16 @@ class FeedingTracker {
         this.setDefaultTemperatureTime();
         this.setDefaultAppointmentTime();
         this.setDefaultJournalTime();
+        this.renderChildSwitcher();
+        this.renderChildList();
+        await this.renderAll();
+        this.requestNotificationPermission();
+        this.applyDarkMode();
+        this.updateStorageStatus();
+    }
+
+    // Render every list and summary for the active child
+    async renderAll() {
         await this.renderFeedingList();
         await this.renderDiaperList();
         await this.renderMeasurementList();
@@ -64,13 +158,40 @@ class FeedingTracker {
         await this.renderJournalList();
         await this.updateDiaperTodaySummary();
         this.updateAgeDisplay();
-        this.requestNotificationPermission();
         this.checkNextFeeding();
+        this.renderLockQuickView();
         this.updateDailyProgressDisplay();
-        await this.updateStats('today');
-        await this.updateGraphs('today');
-        this.applyDarkMode();
-        this.updateStorageStatus();
+        await this.refreshStats();
+        await this.renderActivityFeed();
+    }
+
+    // Refresh statistics and graphs for the currently selected period
+    async refreshStats() {
+        const activePeriod = document.querySelector('.filter-btn.active')?.dataset?.period || 'today';
+        await this.updateStats(activePeriod);
+        await this.updateGraphs(activePeriod);
+    }
+
+    // Switch a record modal between its "add" and "edit" labels
+    setModalMode(key, editTitle = null) {
+        const title = document.getElementById(`${key}-modal-title`);
+        const submit = document.getElementById(`${key}-submit-btn`);
+        if (!title.dataset.addText) title.dataset.addText = title.textContent;
+        if (!submit.dataset.addText) submit.dataset.addText = submit.textContent;
+        title.textContent = editTitle || title.dataset.addText;
+        submit.textContent = editTitle ? 'Guardar Cambios' : submit.dataset.addText;
+    }
+
+    // Convert an ISO timestamp into a datetime-local input value
+    toLocalInputValue(isoString) {
+        const date = new Date(isoString);
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+            .toISOString()
+            .slice(0, 16);
+    }
+
+    sortByNewest(records) {
+        return records.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     }
 
     // Setup Event Listeners
@@ -133,19 +254,22 @@ class FeedingTracker {
         // Diaper form submission
         document.getElementById('diaper-form').addEventListener('submit', (e) => {
             e.preventDefault();
-            this.addDiaper();
+            if (this.editingDiaperId) this.updateDiaper();
+            else this.addDiaper();
         });
 
         // Form submission
         document.getElementById('feeding-form').addEventListener('submit', async (e) => {
             e.preventDefault();
-            await this.addFeeding();
+            if (this.editingFeedingId) await this.updateFeeding();
+            else await this.addFeeding();
         });
 
         // Weight form submission
         document.getElementById('weight-form').addEventListener('submit', (e) => {
             e.preventDefault();
-            this.addMeasurement();
+            if (this.editingMeasurementId) this.updateMeasurement();
+            else this.addMeasurement();
         });
 
         // Medicine modal controls
@@ -195,7 +319,8 @@ class FeedingTracker {
         // Medicine form submission
         document.getElementById('medicine-form').addEventListener('submit', async (e) => {
             e.preventDefault();
-            await this.addMedicine();
+            if (this.editingMedicineId) await this.updateMedicine();
+            else await this.addMedicine();
         });
 
         // Feeding modal controls
@@ -212,6 +337,15 @@ class FeedingTracker {
             if (e.target.id === 'feeding-modal') this.closeFeedingModal();
         });
 
+        // Photo attachments
+        Object.values(PHOTO_FORMS).forEach(prefix => {
+            document.getElementById(`${prefix}-photos`).addEventListener('change', (e) => this.addDraftPhotos(e.target));
+        });
+        document.getElementById('close-photo-viewer').addEventListener('click', () => this.closePhotoViewer());
+        document.getElementById('photo-viewer').addEventListener('click', (e) => {
+            if (e.target.id === 'photo-viewer') this.closePhotoViewer();
+        });
+
         // Diaper modal controls
         document.getElementById('add-diaper-btn').addEventListener('click', () => {
             this.openDiaperModal();
@@ -297,19 +431,22 @@ class FeedingTracker {
         // Temperature form submission
         document.getElementById('temperature-form').addEventListener('submit', async (e) => {
             e.preventDefault();
-            await this.addTemperature();
+            if (this.editingTemperatureId) await this.updateTemperature();
+            else await this.addTemperature();
         });
 
         // Appointment form submission
         document.getElementById('appointment-form').addEventListener('submit', async (e) => {
             e.preventDefault();
-            await this.addAppointment();
+            if (this.editingAppointmentId) await this.updateAppointment();
+            else await this.addAppointment();
         });
 
         // Journal form submission
         document.getElementById('journal-form').addEventListener('submit', async (e) => {
             e.preventDefault();
-            await this.addJournalEntry();
+            if (this.editingJournalId) await this.updateJournalEntry();
+            else await this.addJournalEntry();
         });
 
         // Timezone change
@@ -320,7 +457,22 @@ class FeedingTracker {
 
         // Export/Import
         document.getElementById('export-csv').addEventListener('click', () => this.exportCSV());
+        document.getElementById('export-fhir').addEventListener('click', () => this.exportFHIR());
+        document.getElementById('export-calendar').addEventListener('click', () => this.exportCalendar());
+        document.getElementById('import-calendar').addEventListener('change', (e) => this.importCalendar(e));
         document.getElementById('import-csv').addEventListener('change', (e) => this.importCSV(e));
+        document.getElementById('import-mapped-csv').addEventListener('change', (e) => this.importCSV(e, { mapColumns: true }));
+
+        // Full backup / restore
+        document.getElementById('export-backup').addEventListener('click', () => this.exportBackup());
+        document.getElementById('import-backup').addEventListener('change', (e) => this.openRestoreModal(e));
+        document.getElementById('close-restore-modal').addEventListener('click', () => this.closeRestoreModal());
+        document.getElementById('cancel-restore-modal').addEventListener('click', () => this.closeRestoreModal());
+        document.getElementById('restore-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'restore-modal') this.closeRestoreModal();
+        });
+        document.getElementById('restore-replace').addEventListener('click', () => this.restoreBackup('replace'));
+        document.getElementById('restore-merge').addEventListener('click', () => this.restoreBackup('merge'));
 
         // Statistics filters (also updates graphs now)
         document.querySelectorAll('.filter-btn').forEach(btn => {
@@ -355,11 +507,25 @@ class FeedingTracker {
             });
         });
 
+        // Older records of the paged lists
+        document.querySelectorAll('.load-more').forEach(button => {
+            button.addEventListener('click', () => this.loadMoreRecords(button.dataset.store));
+        });
+
         // Generate analytics button
         document.getElementById('generate-analytics').addEventListener('click', () => {
             this.generateAnalytics();
         });
 
+        // Visit report, of the last month unless other days are chosen
+        const reportStart = new Date();
+        reportStart.setDate(reportStart.getDate() - 30);
+        document.getElementById('report-start').value = localDateKey(reportStart);
+        document.getElementById('report-end').value = localDateKey(new Date());
+        document.getElementById('generate-report').addEventListener('click', () => this.generateReport());
+        document.getElementById('print-report').addEventListener('click', () => window.print());
+        document.getElementById('close-report').addEventListener('click', () => this.closeReport());
+
         // Dark mode toggle
         document.getElementById('dark-mode-toggle').addEventListener('change', async (e) => {
             this.darkMode = e.target.checked;
@@ -393,52 +559,158 @@ class FeedingTracker {
             this.updateDailyProgressDisplay();
         });
 
-        // Birth date change
-        document.getElementById('birth-date').addEventListener('change', async (e) => {
-            this.birthDate = e.target.value;
-            await this.saveToStorage();
-            this.updateAgeDisplay();
+        // Child profile switcher
+        document.getElementById('child-switcher').addEventListener('change', async (e) => {
+            await this.switchChild(parseInt(e.target.value));
+        });
+
+        // Child profile modal controls
+        document.getElementById('add-child-btn').addEventListener('click', () => {
+            this.openChildModal();
+        });
+        document.getElementById('close-child-modal').addEventListener('click', () => {
+            this.closeChildModal();
+        });
+        document.getElementById('cancel-child-modal').addEventListener('click', () => {
+            this.closeChildModal();
+        });
+        document.getElementById('child-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'child-modal') this.closeChildModal();
+        });
+        document.getElementById('child-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveChildFromForm();
         });
 
-        // Clear all data
+        // Move all data of the active child to the trash
         document.getElementById('clear-all-data').addEventListener('click', async () => {
-            if (confirm('¿Estás seguro de que quieres eliminar TODOS los registros? Esta acción no se puede deshacer.')) {
-                if (confirm('Última confirmación: ¿Realmente quieres borrar todos los datos?')) {
-                    try {
-                        if (this.useIndexedDB) {
-                            await db.clearAllData();
-                        }
-                        this.feedings = [];
-                        this.diapers = [];
-                        this.measurements = [];
-                        this.medicines = [];
-                        this.temperatures = [];
-                        this.appointments = [];
-                        this.journalEntries = [];
-                        if (!this.useIndexedDB) {
-                            this.saveToLocalStorage();
-                        }
-                        await this.renderFeedingList();
-                        await this.renderDiaperList();
-                        await this.renderMeasurementList();
-                        await this.renderMedicineList();
-                        await this.renderTemperatureList();
-                        await this.renderAppointmentList();
-                        await this.renderJournalList();
-                        await this.updateDiaperTodaySummary();
-                        await this.updateStats('today');
-                        await this.updateGraphs('today');
-                        this.renderTemperatureChart();
-                        this.updateAgeDisplay();
-                        alert('Todos los datos han sido eliminados.');
-                        this.clearNextFeedingSchedule();
-                    } catch (error) {
-                        console.error('Failed to clear data:', error);
-                        alert('Error al eliminar los datos.');
-                    }
+            const childName = this.getActiveChild().name;
+            if (confirm(`¿Mover TODOS los registros de ${childName} a la papelera?`)) {
+                try {
+                    const deletedAt = await this.trashAllRecords();
+                    this.showUndoToast('Todos los registros se movieron a la papelera', async () => {
+                        const items = (await this.getTrashItems()).filter(item => item.record.deletedAt === deletedAt);
+                        await this.restoreTrashItems(items);
+                    });
+                } catch (error) {
+                    console.error('Failed to clear data:', error);
+                    alert('Error al eliminar los datos.');
                 }
             }
         });
+
+        // Ranged deletion
+        document.getElementById('open-delete-range').addEventListener('click', () => this.openDeleteRangeModal());
+        document.getElementById('close-delete-range-modal').addEventListener('click', () => this.closeDeleteRangeModal());
+        document.getElementById('cancel-delete-range-modal').addEventListener('click', () => this.closeDeleteRangeModal());
+        document.getElementById('delete-range-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'delete-range-modal') this.closeDeleteRangeModal();
+        });
+        document.getElementById('delete-range-form').addEventListener('change', () => this.updateDeleteRangePreview());
+        document.getElementById('delete-range-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.trashRecordsInRange();
+        });
+
+        // Storage usage and archive
+        document.getElementById('persist-storage').addEventListener('click', () => this.requestPersistentStorage());
+        document.getElementById('archive-records').addEventListener('click', () => this.archiveOldRecords());
+
+        // Integrity check
+        document.getElementById('check-integrity').addEventListener('click', () => this.openIntegrityModal());
+        document.getElementById('close-integrity-modal').addEventListener('click', () => this.closeIntegrityModal());
+        document.getElementById('integrity-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'integrity-modal') this.closeIntegrityModal();
+        });
+        document.getElementById('fix-all-integrity').addEventListener('click', () => this.fixIntegrityIssues());
+
+        // Column mapping of CSV files from other apps
+        document.getElementById('close-column-mapping-modal').addEventListener('click', () => this.closeColumnMapping());
+        document.getElementById('cancel-column-mapping-modal').addEventListener('click', () => this.closeColumnMapping());
+        document.getElementById('column-mapping-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'column-mapping-modal') this.closeColumnMapping();
+        });
+        document.getElementById('mapping-store').addEventListener('change', () => this.renderMappingFields());
+        document.getElementById('column-mapping-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.applyColumnMapping();
+        });
+
+        // Import preview
+        document.getElementById('close-import-preview-modal').addEventListener('click', () => this.closeImportPreview());
+        document.getElementById('import-preview-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'import-preview-modal') this.closeImportPreview();
+        });
+        document.getElementById('import-skip-duplicates').addEventListener('click', () => this.commitImport('skip'));
+        document.getElementById('import-overwrite').addEventListener('click', () => this.commitImport('overwrite'));
+        document.getElementById('import-all').addEventListener('click', () => this.commitImport('all'));
+
+        // Recompute the daily summaries the statistics are read from
+        document.getElementById('rebuild-summaries').addEventListener('click', () => this.rebuildDailySummaries());
+
+        // Caregiver name for the audit log
+        document.getElementById('caregiver-name').addEventListener('change', async (e) => {
+            this.caregiverName = e.target.value.trim();
+            this.repository.setCaregiver(this.caregiverName);
+            await this.saveToStorage();
+        });
+
+        // Change history
+        document.getElementById('close-history-modal').addEventListener('click', () => this.closeHistoryModal());
+        document.getElementById('history-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'history-modal') this.closeHistoryModal();
+        });
+
+        // Undo toast
+        document.getElementById('toast-undo').addEventListener('click', () => this.runUndo());
+
+        // Trash
+        document.getElementById('open-trash').addEventListener('click', () => this.openTrashModal());
+        document.getElementById('close-trash-modal').addEventListener('click', () => this.closeTrashModal());
+        document.getElementById('trash-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'trash-modal') this.closeTrashModal();
+        });
+        document.getElementById('empty-trash').addEventListener('click', () => this.emptyTrash());
+        document.getElementById('trash-retention-days').addEventListener('change', async (e) => {
+            this.trashRetentionDays = Math.max(1, parseInt(e.target.value) || 30);
+            e.target.value = this.trashRetentionDays;
+            await this.saveToStorage();
+            await this.purgeExpiredTrash();
+        });
+
+        // Sync
+        document.getElementById('save-sync').addEventListener('click', () => this.saveSyncSettings());
+        document.getElementById('sync-now').addEventListener('click', () => this.syncNow());
+        document.getElementById('open-conflicts').addEventListener('click', () => this.openConflictsModal());
+        document.getElementById('close-conflicts-modal').addEventListener('click', () => this.closeConflictsModal());
+        document.getElementById('conflicts-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'conflicts-modal') this.closeConflictsModal();
+        });
+        document.getElementById('clear-conflicts').addEventListener('click', () => this.clearConflicts());
+
+        // Encryption
+        document.getElementById('enable-encryption').addEventListener('click', () => this.enableEncryption());
+        document.getElementById('change-passphrase').addEventListener('click', () => this.changePassphrase());
+        document.getElementById('disable-encryption').addEventListener('click', () => this.disableEncryption());
+
+        // PIN lock
+        document.getElementById('lock-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitPin();
+        });
+        document.getElementById('enable-pin').addEventListener('click', () => this.enablePin());
+        document.getElementById('change-pin').addEventListener('click', () => this.changePin());
+        document.getElementById('remove-pin').addEventListener('click', () => this.removePin());
+        document.getElementById('lock-now').addEventListener('click', () => this.lock());
+        document.getElementById('auto-lock-minutes').addEventListener('change', async (e) => {
+            this.autoLockMinutes = Math.max(0, parseInt(e.target.value) || 0);
+            e.target.value = this.autoLockMinutes;
+            await this.saveToStorage();
+            this.resetAutoLockTimer();
+        });
+        ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => this.resetAutoLockTimer(), { passive: true });
+        });
     }
 
     // Toggle between bottle and breast feeding inputs
@@ -468,18 +740,25 @@ class FeedingTracker {
         // Remove existing classes
         indicator.classList.remove('indexeddb', 'localstorage', 'error');
 
-        if (this.storageType === 'indexeddb') {
+        const storageType = this.repository ? this.repository.type : null;
+        if (storageType === 'indexeddb') {
             indicator.classList.add('indexeddb');
             indicator.innerHTML = `
                 <span class="status-icon">✅</span>
                 <span class="status-text">IndexedDB (Sin límites)</span>
             `;
-        } else if (this.storageType === 'localstorage') {
+        } else if (storageType === 'localstorage') {
             indicator.classList.add('localstorage');
             indicator.innerHTML = `
                 <span class="status-icon">⚠️</span>
                 <span class="status-text">localStorage (Modo de compatibilidad)</span>
             `;
+        } else if (storageType === 'memory') {
+            indicator.classList.add('localstorage');
+            indicator.innerHTML = `
+                <span class="status-icon">🧪</span>
+                <span class="status-text">Memoria (Los datos no se guardan)</span>
+            `;
         } else {
             indicator.classList.add('error');
             indicator.innerHTML = `
@@ -487,6 +766,88 @@ class FeedingTracker {
                 <span class="status-text">Error de almacenamiento</span>
             `;
         }
+        this.renderStorageUsage();
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+    }
+
+    // Records and estimated size per store, and what the browser grants the app
+    async renderStorageUsage() {
+        const container = document.getElementById('storage-usage');
+        if (!container || !this.repository) return;
+
+        const storeLabels = {
+            [STORES.CHILDREN]: '👶 Perfiles',
+            [STORES.AUDIT]: '📝 Historial de cambios',
+            [STORES.OUTBOX]: '📤 Cambios por sincronizar',
+            [STORES.CONFLICTS]: '⚠️ Conflictos',
+            [STORES.DAILY_SUMMARIES]: '📊 Resúmenes diarios',
+            [STORES.ATTACHMENTS]: '📷 Fotos',
+            [STORES.METADATA]: '⚙️ Ajustes'
+        };
+        let usage;
+        try {
+            usage = await this.repository.getStorageUsage();
+        } catch (error) {
+            console.error('Failed to read storage usage:', error);
+            container.innerHTML = '';
+            return;
+        }
+
+        const rows = Object.entries(usage)
+            .filter(([, { count }]) => count > 0)
+            .map(([storeName, { count, bytes }]) => `
+                <div class="storage-usage-row">
+                    <span>${RECORD_TYPES[storeName] ? RECORD_TYPES[storeName].label : storeLabels[storeName] || storeName}</span>
+                    <span>${count} • ${this.formatBytes(bytes)}</span>
+                </div>
+            `).join('');
+        const total = Object.values(usage).reduce((sum, { bytes }) => sum + bytes, 0);
+
+        let browserUsage = '';
+        let persisted = null;
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                const { usage: used, quota } = await navigator.storage.estimate();
+                browserUsage = `<p class="setting-description">El navegador usa ${this.formatBytes(used || 0)} de ${this.formatBytes(quota || 0)} disponibles</p>`;
+                if (navigator.storage.persisted) persisted = await navigator.storage.persisted();
+            } catch (error) {
+                console.warn('Storage estimate not available:', error);
+            }
+        }
+
+        container.innerHTML = `
+            ${rows}
+            <div class="storage-usage-row storage-usage-total">
+                <span>Total estimado</span>
+                <span>${this.formatBytes(total)}</span>
+            </div>
+            ${browserUsage}
+            ${persisted === null ? '' : `<p class="setting-description">${persisted ? '🔒 Almacenamiento persistente' : '⚠️ El navegador puede borrar los datos si le falta espacio'}</p>`}
+        `;
+        document.getElementById('persist-storage').style.display = persisted === false ? '' : 'none';
+    }
+
+    async requestPersistentStorage() {
+        if (!navigator.storage || !navigator.storage.persist) {
+            alert('Tu navegador no permite solicitar almacenamiento persistente.');
+            return;
+        }
+        try {
+            const granted = await navigator.storage.persist();
+            alert(granted
+                ? 'El navegador no borrará los datos de la aplicación.'
+                : 'El navegador rechazó la solicitud. Suele concederla a las aplicaciones instaladas o muy usadas.');
+        } catch (error) {
+            console.error('Failed to request persistent storage:', error);
+            alert('Error al solicitar almacenamiento persistente.');
+        }
+        await this.renderStorageUsage();
     }
 
     // Dark Mode
@@ -516,6 +877,12 @@ class FeedingTracker {
             const activePeriod = document.querySelector('.filter-btn.active').dataset.period;
             await this.updateStats(activePeriod);
             await this.updateGraphs(activePeriod);
+        } else if (tabName === 'settings') {
+            await this.renderActivityFeed();
+            await this.renderSyncStatus();
+            await this.renderEncryptionStatus();
+            await this.renderPinStatus();
+            await this.renderStorageUsage();
         }
     }
 
@@ -596,54 +963,214 @@ class FeedingTracker {
         if (journalInput) journalInput.value = localDateTime;
     }
 
+    // ============= CHILD PROFILES =============
+
+    getActiveChild() {
+        return this.children.find(c => c.id === this.activeChildId) || this.children[0];
+    }
+
+    async loadChildren() {
+        this.children = await this.repository.getChildren();
+        this.activeChildId = await this.repository.getSetting('activeChildId');
+
+        // First run: create a default profile so every record has an owner
+        if (this.children.length === 0) {
+            const birthDate = await this.repository.getSetting('birthDate');
+            await this.createChild({ name: 'Bebé', sex: '', birthDate: birthDate || null, color: '#4a90e2' });
+        }
+
+        if (!this.children.some(c => c.id === this.activeChildId)) {
+            this.activeChildId = this.children[0].id;
+        }
+        this.birthDate = this.getActiveChild().birthDate || null;
+    }
+
+    async createChild(child) {
+        const id = await this.repository.addChild(child);
+        this.children.push({ id, ...child });
+        return id;
+    }
+
+    async switchChild(childId) {
+        if (childId === this.activeChildId) return;
+
+        try {
+            this.activeChildId = childId;
+            this.birthDate = this.getActiveChild().birthDate || null;
+            await this.repository.setSetting('activeChildId', childId);
+            Object.values(RECORD_TYPES).forEach(({ list }) => { this[list] = []; });
+            await this.loadFromStorage();
+            this.renderChildSwitcher();
+            this.renderChildList();
+            await this.renderAll();
+        } catch (error) {
+            console.error('Failed to switch child:', error);
+            alert('Error al cambiar de perfil.');
+        }
+    }
+
+    openChildModal(child = null) {
+        const modal = document.getElementById('child-modal');
+        this.editingChildId = child ? child.id : null;
+        document.getElementById('child-modal-title').textContent = child ? '👶 Editar Perfil' : '👶 Nuevo Perfil';
+        document.getElementById('child-name').value = child ? child.name : '';
+        document.getElementById('child-sex').value = child ? child.sex || '' : '';
+        document.getElementById('child-birth-date').value = child && child.birthDate ? child.birthDate : '';
+        document.getElementById('child-color').value = child && child.color ? child.color : '#4a90e2';
+        modal.classList.add('active');
+    }
+
+    closeChildModal() {
+        const modal = document.getElementById('child-modal');
+        modal.classList.remove('active');
+        this.editingChildId = null;
+    }
+
+    editChild(id) {
+        const child = this.children.find(c => c.id === id);
+        if (child) this.openChildModal(child);
+    }
+
+    async saveChildFromForm() {
+        const name = document.getElementById('child-name').value.trim();
+        const sex = document.getElementById('child-sex').value;
+        const birthDate = document.getElementById('child-birth-date').value;
+        const color = document.getElementById('child-color').value;
+
+        if (!name) {
+            alert('Por favor ingresa un nombre');
+            return;
+        }
+
+        const child = { name, sex, birthDate: birthDate || null, color };
+
+        try {
+            if (this.editingChildId) {
+                const id = this.editingChildId;
+                await this.repository.updateChild(id, child);
+                this.children = this.children.map(c => c.id === id ? { ...c, ...child } : c);
+                if (id === this.activeChildId) {
+                    this.birthDate = child.birthDate;
+                    this.updateAgeDisplay();
+                }
+                this.closeChildModal();
+                this.renderChildSwitcher();
+                this.renderChildList();
+            } else {
+                const id = await this.createChild(child);
+                this.closeChildModal();
+                await this.switchChild(id);
+            }
+        } catch (error) {
+            console.error('Failed to save child:', error);
+            alert('Error al guardar el perfil.');
+        }
+    }
+
+    async deleteChild(id) {
+        if (this.children.length <= 1) {
+            alert('Debe existir al menos un perfil.');
+            return;
+        }
+
+        const child = this.children.find(c => c.id === id);
+        if (!child) return;
+        if (!confirm(`¿Eliminar el perfil de ${child.name} y todos sus registros? Esta acción no se puede deshacer.`)) return;
+
+        try {
+            await this.repository.deleteChild(id);
+            this.children = this.children.filter(c => c.id !== id);
+
+            if (id === this.activeChildId) {
+                await this.switchChild(this.children[0].id);
+            } else {
+                this.renderChildSwitcher();
+                this.renderChildList();
+            }
+        } catch (error) {
+            console.error('Failed to delete child:', error);
+            alert('Error al eliminar el perfil.');
+        }
+    }
+
+    renderChildSwitcher() {
+        const select = document.getElementById('child-switcher');
+        if (!select) return;
+
+        select.innerHTML = this.children.map(c => `
+            <option value="${c.id}" ${c.id === this.activeChildId ? 'selected' : ''}>${c.name}</option>
+        `).join('');
+        select.style.borderColor = this.getActiveChild().color || '';
+    }
+
+    renderChildList() {
+        const container = document.getElementById('child-list');
+        if (!container) return;
+
+        const sexLabels = { female: 'Niña', male: 'Niño' };
+
+        container.innerHTML = this.children.map(c => `
+            <div class="feeding-item child-item ${c.id === this.activeChildId ? 'child-active' : ''}" style="border-left-color: ${c.color || 'var(--primary-color)'}">
+                <div class="feeding-info">
+                    <div class="feeding-time">👶 <strong>${c.name}</strong></div>
+                    <div class="feeding-amount">
+                        ${sexLabels[c.sex] || 'Sexo no indicado'} •
+                        ${c.birthDate ? `Nació el ${new Date(c.birthDate + 'T00:00:00').toLocaleDateString('es-ES')}` : 'Sin fecha de nacimiento'}
+                    </div>
+                </div>
+                <div class="feeding-actions">
+                    <button class="btn btn-secondary" onclick="tracker.editChild(${c.id})">Editar</button>
+                    <button class="btn btn-danger" onclick="tracker.deleteChild(${c.id})">Eliminar</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
     // Feeding Management
-    async addFeeding() {
+
+    // Read and validate the feeding form, returns null when invalid
+    readFeedingForm() {
         const timeInput = document.getElementById('feeding-time').value;
-        const interval = this.defaultInterval; // Use default interval from settings
 
         const feeding = {
             time: new Date(timeInput).toISOString(),
             type: this.currentFeedingType,
-            nextFeedingInterval: interval,
-            timezone: this.timezone
+            amount: null,
+            duration: null
         };
 
         if (this.currentFeedingType === 'bottle') {
             const amount = parseInt(document.getElementById('milk-amount').value);
             if (!amount || amount <= 0) {
                 alert('Por favor ingresa una cantidad válida');
-                return;
+                return null;
             }
             feeding.amount = amount;
         } else {
             const duration = parseInt(document.getElementById('feeding-duration').value);
             if (!duration || duration <= 0) {
                 alert('Por favor ingresa una duración válida');
-                return;
+                return null;
             }
             feeding.duration = duration;
         }
 
+        return feeding;
+    }
+
+    async addFeeding() {
+        const formData = this.readFeedingForm();
+        if (!formData) return;
+
+        const feeding = {
+            ...formData,
+            nextFeedingInterval: this.defaultInterval, // Use default interval from settings
+            timezone: this.timezone,
+            childId: this.activeChildId
+        };
+
         try {
-            if (this.useIndexedDB) {
-                // Save to IndexedDB
-                const id = await db.addFeeding(feeding);
-                // Add to local array with proper format
-                this.feedings.unshift({
-                    id,
-                    timestamp: feeding.time,
-                    ...feeding
-                });
-            } else {
-                // Fallback to localStorage
-                const localFeeding = {
-                    id: Date.now(),
-                    timestamp: feeding.time,
-                    ...feeding
-                };
-                this.feedings.unshift(localFeeding);
-                this.saveToLocalStorage();
-            }
+            this.feedings.unshift(await this.repository.addRecord(STORES.FEEDINGS, feeding));
 
             await this.renderFeedingList();
             this.closeFeedingModal();
@@ -677,30 +1204,40 @@ class FeedingTracker {
         }
     }
 
-    async deleteFeeding(id) {
-        if (confirm('¿Estás seguro de que quieres eliminar este registro?')) {
-            try {
-                if (this.useIndexedDB) {
-                    await db.deleteFeeding(id);
-                }
-                this.feedings = this.feedings.filter(f => f.id !== id);
-                if (!this.useIndexedDB) {
-                    this.saveToLocalStorage();
-                }
-                await this.renderFeedingList();
-                this.updateStats('today').catch(err => console.warn('Stats update failed:', err));
-                this.updateGraphs('today').catch(err => console.warn('Graphs update failed:', err));
-                this.checkNextFeeding();
-                this.updateDailyProgressDisplay();
-            } catch (error) {
-                console.error('Failed to delete feeding:', error);
-                alert('Error al eliminar la alimentación.');
-            }
+    editFeeding(id) {
+        const feeding = this.feedings.find(f => f.id === id);
+        if (feeding) this.openFeedingModal(feeding);
+    }
+
+    async updateFeeding() {
+        const id = this.editingFeedingId;
+        const updates = this.readFeedingForm();
+        if (!updates) return;
+
+        try {
+            await this.repository.updateRecord(STORES.FEEDINGS, id, updates);
+            this.feedings = this.sortByNewest(this.feedings.map(f => {
+                return f.id === id ? { ...f, ...updates, timestamp: updates.time } : f;
+            }));
+
+            await this.renderFeedingList();
+            this.closeFeedingModal();
+            this.checkNextFeeding();
+            this.updateDailyProgressDisplay();
+            this.refreshStats().catch(err => console.warn('Stats update failed:', err));
+        } catch (error) {
+            console.error('Failed to update feeding:', error);
+            alert('Error al actualizar la alimentación.');
         }
     }
 
+    async deleteFeeding(id) {
+        await this.moveToTrash(STORES.FEEDINGS, id);
+    }
+
     renderFeedingList() {
         const container = document.getElementById('feeding-list');
+        this.renderLoadMore(STORES.FEEDINGS);
         
         if (this.feedings.length === 0) {
             container.innerHTML = `
@@ -711,39 +1248,45 @@ class FeedingTracker {
             return;
         }
 
-        container.innerHTML = this.feedings.map(feeding => {
-            const details = feeding.type === 'bottle' 
-                ? `${feeding.amount} ml` 
-                : `${feeding.duration} min (pecho)`;
-            const icon = feeding.type === 'bottle' ? '🍼' : '🤱';
-            const nextFeedingDate = this.getNextFeedingDate(feeding);
-            const nextFeedingLabel = nextFeedingDate
-                ? this.formatDateTime(nextFeedingDate.toISOString())
-                : 'Sin intervalo';
-            const relativeLabel = nextFeedingDate
-                ? this.formatRelativeLabel(nextFeedingDate)
-                : '';
-            
-            return `
-                <div class="feeding-item">
-                    <div class="feeding-info">
-                        <div class="feeding-time">${icon} ${this.formatDateTime(feeding.timestamp)}</div>
-                        <div class="feeding-amount">${details}</div>
-                        <div class="feeding-next">
-                            Próxima aprox: <strong>${nextFeedingLabel}</strong>
-                            ${relativeLabel ? `<span class="feeding-next-relative">(${relativeLabel})</span>` : ''}
-                        </div>
-                    </div>
-                    <div class="feeding-actions">
-                        <button class="btn btn-danger" onclick="tracker.deleteFeeding(${feeding.id})">Eliminar</button>
+        container.innerHTML = this.feedings.map(feeding => this.renderFeedingItem(feeding)).join('');
+    }
+
+    renderFeedingItem(feeding) {
+        const details = feeding.type === 'bottle' 
+            ? `${feeding.amount} ml` 
+            : `${feeding.duration} min (pecho)`;
+        const icon = feeding.type === 'bottle' ? '🍼' : '🤱';
+        const nextFeedingDate = this.getNextFeedingDate(feeding);
+        const nextFeedingLabel = nextFeedingDate
+            ? this.formatDateTime(nextFeedingDate.toISOString())
+            : 'Sin intervalo';
+        const relativeLabel = nextFeedingDate
+            ? this.formatRelativeLabel(nextFeedingDate)
+            : '';
+        
+        return `
+            <div class="feeding-item">
+                <div class="feeding-info">
+                    <div class="feeding-time">${icon} ${this.formatDateTime(feeding.timestamp)}</div>
+                    <div class="feeding-amount">${details}</div>
+                    <div class="feeding-next">
+                        Próxima aprox: <strong>${nextFeedingLabel}</strong>
+                        ${relativeLabel ? `<span class="feeding-next-relative">(${relativeLabel})</span>` : ''}
                     </div>
                 </div>
-            `;
-        }).join('');
+                <div class="feeding-actions">
+                    <button class="btn btn-secondary" onclick="tracker.showRecordHistory('feedings', ${feeding.id})" title="Historial">🕘</button>
+                    <button class="btn btn-secondary" onclick="tracker.editFeeding(${feeding.id})">Editar</button>
+                    <button class="btn btn-danger" onclick="tracker.deleteFeeding(${feeding.id})">Eliminar</button>
+                </div>
+            </div>
+        `;
     }
 
     // Diaper Management
-    async addDiaper() {
+
+    // Read and validate the diaper form, returns null when invalid
+    readDiaperForm() {
         const timeInput = document.getElementById('diaper-time').value;
         const hasPee = document.getElementById('has-pee').checked;
         const hasPoop = document.getElementById('has-poop').checked;
@@ -751,35 +1294,32 @@ class FeedingTracker {
 
         if (!hasPee && !hasPoop) {
             alert('Por favor selecciona al menos pipí o popó');
-            return;
+            return null;
         }
 
-        const diaper = {
+        return {
             time: new Date(timeInput).toISOString(),
             hasPee: hasPee,
             hasPoop: hasPoop,
             level: this.currentDiaperLevel,
-            notes: notes,
-            timezone: this.timezone
+            notes: notes
+        };
+    }
+
+    async addDiaper() {
+        const formData = this.readDiaperForm();
+        if (!formData) return;
+
+        const diaper = {
+            ...formData,
+            timezone: this.timezone,
+            childId: this.activeChildId
         };
 
         try {
-            if (this.useIndexedDB) {
-                const id = await db.addDiaper(diaper);
-                this.diapers.unshift({
-                    id,
-                    timestamp: diaper.time,
-                    ...diaper
-                });
-            } else {
-                const localDiaper = {
-                    id: Date.now(),
-                    timestamp: diaper.time,
-                    ...diaper
-                };
-                this.diapers.unshift(localDiaper);
-                this.saveToLocalStorage();
-            }
+            const record = await this.repository.addRecord(STORES.DIAPERS, diaper);
+            await this.savePhotoDraft(record.id);
+            this.diapers.unshift(record);
 
             await this.renderDiaperList();
             await this.updateDiaperTodaySummary();
@@ -803,29 +1343,40 @@ class FeedingTracker {
         }
     }
 
-    async deleteDiaper(id) {
-        if (confirm('¿Estás seguro de que quieres eliminar este registro de pañal?')) {
-            try {
-                if (this.useIndexedDB) {
-                    await db.deleteDiaper(id);
-                }
-                this.diapers = this.diapers.filter(d => d.id !== id);
-                if (!this.useIndexedDB) {
-                    this.saveToLocalStorage();
-                }
-                await this.renderDiaperList();
-                await this.updateDiaperTodaySummary();
-                await this.updateStats('today');
-                await this.updateGraphs('today');
-            } catch (error) {
-                console.error('Failed to delete diaper:', error);
-                alert('Error al eliminar el cambio de pañal.');
-            }
+    editDiaper(id) {
+        const diaper = this.diapers.find(d => d.id === id);
+        if (diaper) this.openDiaperModal(diaper);
+    }
+
+    async updateDiaper() {
+        const id = this.editingDiaperId;
+        const updates = this.readDiaperForm();
+        if (!updates) return;
+
+        try {
+            await this.repository.updateRecord(STORES.DIAPERS, id, updates);
+            await this.savePhotoDraft(id);
+            this.diapers = this.sortByNewest(this.diapers.map(d => {
+                return d.id === id ? { ...d, ...updates, timestamp: updates.time } : d;
+            }));
+
+            await this.renderDiaperList();
+            await this.updateDiaperTodaySummary();
+            this.closeDiaperModal();
+            await this.refreshStats();
+        } catch (error) {
+            console.error('Failed to update diaper:', error);
+            alert('Error al actualizar el cambio de pañal.');
         }
     }
 
+    async deleteDiaper(id) {
+        await this.moveToTrash(STORES.DIAPERS, id);
+    }
+
     renderDiaperList() {
         const container = document.getElementById('diaper-list');
+        this.renderLoadMore(STORES.DIAPERS);
         
         if (this.diapers.length === 0) {
             container.innerHTML = `
@@ -836,64 +1387,68 @@ class FeedingTracker {
             return;
         }
 
-        container.innerHTML = this.diapers.map(diaper => {
-            const types = [];
-            if (diaper.hasPee) types.push('💧 Pipí');
-            if (diaper.hasPoop) types.push('💩 Popó');
-            
-            const levelText = diaper.level === 1 ? 'Bajo' : diaper.level === 2 ? 'Medio' : 'Alto';
-            
-            return `
-                <div class="diaper-item">
-                    <div class="diaper-info">
-                        <div class="diaper-time">${this.formatDateTime(diaper.timestamp)}</div>
-                        <div class="diaper-details">${types.join(' + ')} • Nivel: ${levelText}</div>
-                        ${diaper.notes ? `<div class="diaper-notes">${diaper.notes}</div>` : ''}
-                    </div>
-                    <div class="diaper-actions">
-                        <button class="btn btn-danger" onclick="tracker.deleteDiaper(${diaper.id})">Eliminar</button>
-                    </div>
+        this.revokePhotoUrls(STORES.DIAPERS);
+        container.innerHTML = this.diapers.map(diaper => this.renderDiaperItem(diaper)).join('');
+        return this.renderRecordPhotos(STORES.DIAPERS);
+    }
+
+    renderDiaperItem(diaper) {
+        const types = [];
+        if (diaper.hasPee) types.push('💧 Pipí');
+        if (diaper.hasPoop) types.push('💩 Popó');
+        
+        const levelText = diaper.level === 1 ? 'Bajo' : diaper.level === 2 ? 'Medio' : 'Alto';
+        
+        return `
+            <div class="diaper-item">
+                <div class="diaper-info">
+                    <div class="diaper-time">${this.formatDateTime(diaper.timestamp)}</div>
+                    <div class="diaper-details">${types.join(' + ')} • Nivel: ${levelText}</div>
+                    ${diaper.notes ? `<div class="diaper-notes">${diaper.notes}</div>` : ''}
+                    ${this.renderPhotoPlaceholder(STORES.DIAPERS, diaper.id)}
                 </div>
-            `;
-        }).join('');
+                <div class="diaper-actions">
+                    <button class="btn btn-secondary" onclick="tracker.showRecordHistory('diapers', ${diaper.id})" title="Historial">🕘</button>
+                    <button class="btn btn-secondary" onclick="tracker.editDiaper(${diaper.id})">Editar</button>
+                    <button class="btn btn-danger" onclick="tracker.deleteDiaper(${diaper.id})">Eliminar</button>
+                </div>
+            </div>
+        `;
     }
 
     // Measurement Management
-    async addMeasurement() {
+
+    // Read and validate the measurement form, returns null when invalid
+    readMeasurementForm() {
         const timeInput = document.getElementById('weight-time').value;
         const weight = parseFloat(document.getElementById('weight-value').value);
         const height = parseFloat(document.getElementById('height-value').value);
 
         if ((!weight || weight <= 0) && (!height || height <= 0)) {
             alert('Por favor ingresa un peso o altura válidos');
-            return;
+            return null;
         }
 
-        const measurement = {
+        return {
             time: new Date(timeInput).toISOString(),
             weight: weight || null,
-            height: height || null,
-            timezone: this.timezone
+            height: height || null
+        };
+    }
+
+    async addMeasurement() {
+        const formData = this.readMeasurementForm();
+        if (!formData) return;
+        const { weight, height } = formData;
+
+        const measurement = {
+            ...formData,
+            timezone: this.timezone,
+            childId: this.activeChildId
         };
 
         try {
-            if (this.useIndexedDB) {
-                const id = await db.addMeasurement(measurement);
-                this.measurements.unshift({
-                    id,
-                    timestamp: measurement.time,
-                    ...measurement
-                });
-            } else {
-                // LocalStorage fallback (simplified)
-                const localMeasurement = {
-                    id: Date.now(),
-                    timestamp: measurement.time,
-                    ...measurement
-                };
-                this.measurements.unshift(localMeasurement);
-                this.saveToLocalStorage();
-            }
+            this.measurements.unshift(await this.repository.addRecord(STORES.MEASUREMENTS, measurement));
 
             await this.renderMeasurementList();
             this.closeMeasurementModal();
@@ -914,25 +1469,36 @@ class FeedingTracker {
         }
     }
 
-    async deleteMeasurement(id) {
-        if (confirm('¿Estás seguro de que quieres eliminar este registro?')) {
-            try {
-                if (this.useIndexedDB) {
-                    await db.deleteMeasurement(id);
-                }
-                this.measurements = this.measurements.filter(m => m.id !== id);
-                if (!this.useIndexedDB) {
-                    this.saveToLocalStorage();
-                }
-                await this.renderMeasurementList();
-                this.updateAgeDisplay();
-            } catch (error) {
-                console.error('Failed to delete measurement:', error);
-                alert('Error al eliminar el registro.');
-            }
+    editMeasurement(id) {
+        const measurement = this.measurements.find(m => m.id === id);
+        if (measurement) this.openMeasurementModal(measurement);
+    }
+
+    async updateMeasurement() {
+        const id = this.editingMeasurementId;
+        const updates = this.readMeasurementForm();
+        if (!updates) return;
+
+        try {
+            await this.repository.updateRecord(STORES.MEASUREMENTS, id, updates);
+            this.measurements = this.sortByNewest(this.measurements.map(m => {
+                return m.id === id ? { ...m, ...updates, timestamp: updates.time } : m;
+            }));
+
+            await this.renderMeasurementList();
+            this.closeMeasurementModal();
+            this.updateAgeDisplay();
+            this.renderGrowthCharts();
+        } catch (error) {
+            console.error('Failed to update measurement:', error);
+            alert('Error al actualizar las medidas.');
         }
     }
 
+    async deleteMeasurement(id) {
+        await this.moveToTrash(STORES.MEASUREMENTS, id);
+    }
+
     renderMeasurementList() {
         const container = document.getElementById('measurement-list');
         if (!container) return;
@@ -958,6 +1524,8 @@ class FeedingTracker {
                         <div class="feeding-amount">${details.join(' • ')}</div>
                     </div>
                     <div class="feeding-actions">
+                        <button class="btn btn-secondary" onclick="tracker.showRecordHistory('measurements', ${m.id})" title="Historial">🕘</button>
+                        <button class="btn btn-secondary" onclick="tracker.editMeasurement(${m.id})">Editar</button>
                         <button class="btn btn-danger" onclick="tracker.deleteMeasurement(${m.id})">Eliminar</button>
                     </div>
                 </div>
@@ -967,15 +1535,38 @@ class FeedingTracker {
 
     // ============= MEDICINE OPERATIONS =============
 
-    openMedicineModal() {
+    openMedicineModal(medicine = null) {
         const modal = document.getElementById('medicine-modal');
+        this.editingMedicineId = medicine ? medicine.id : null;
+        this.setModalMode('medicine', medicine ? '💊 Editar Medicamento' : null);
+
+        if (medicine) {
+            const nameSelect = document.getElementById('medicine-name-select');
+            const knownName = Array.from(nameSelect.options).some(o => o.value === medicine.name);
+            nameSelect.value = knownName ? medicine.name : 'custom';
+            document.getElementById('medicine-name-custom').value = knownName ? '' : medicine.name;
+            nameSelect.dispatchEvent(new Event('change'));
+
+            const typeSelect = document.getElementById('medicine-type-select');
+            const knownInterval = Array.from(typeSelect.options).some(o => o.value === String(medicine.interval));
+            typeSelect.value = knownInterval ? String(medicine.interval) : 'custom';
+            document.getElementById('medicine-interval').value = knownInterval ? '' : medicine.interval;
+            typeSelect.dispatchEvent(new Event('change'));
+
+            document.getElementById('medicine-dose').value = medicine.dose;
+            document.getElementById('medicine-time').value = this.toLocalInputValue(medicine.timestamp);
+            document.getElementById('medicine-notes').value = medicine.notes || '';
+        } else {
+            this.setDefaultMedicineTime();
+        }
+
         modal.classList.add('active');
-        this.setDefaultMedicineTime();
     }
 
     closeMedicineModal() {
         const modal = document.getElementById('medicine-modal');
         modal.classList.remove('active');
+        this.editingMedicineId = null;
         
         // Reset form
         document.getElementById('medicine-name-select').value = '';
@@ -989,88 +1580,191 @@ class FeedingTracker {
     }
 
     // Feeding modal
-    openFeedingModal() {
+    openFeedingModal(feeding = null) {
         const modal = document.getElementById('feeding-modal');
+        this.editingFeedingId = feeding ? feeding.id : null;
+        this.setModalMode('feeding', feeding ? '🍼 Editar Alimentación' : null);
+
+        if (feeding) {
+            this.currentFeedingType = feeding.type;
+            document.querySelectorAll('.type-btn').forEach(b => {
+                b.classList.toggle('active', b.dataset.type === feeding.type);
+            });
+            this.toggleFeedingInputs();
+            document.getElementById('feeding-time').value = this.toLocalInputValue(feeding.timestamp);
+            document.getElementById('milk-amount').value = feeding.amount || '';
+            document.getElementById('feeding-duration').value = feeding.duration || '';
+        } else {
+            this.setDefaultDateTime();
+        }
+
         modal.classList.add('active');
-        this.setDefaultDateTime();
     }
 
     closeFeedingModal() {
         const modal = document.getElementById('feeding-modal');
         modal.classList.remove('active');
+
+        // Don't leave the edited values behind for the next new record
+        if (this.editingFeedingId) {
+            this.editingFeedingId = null;
+            document.getElementById('milk-amount').value = '';
+            document.getElementById('feeding-duration').value = '';
+        }
     }
 
     // Diaper modal
-    openDiaperModal() {
+    openDiaperModal(diaper = null) {
         const modal = document.getElementById('diaper-modal');
+        this.editingDiaperId = diaper ? diaper.id : null;
+        this.setModalMode('diaper', diaper ? '🧷 Editar Cambio de Pañal' : null);
+
+        if (diaper) {
+            document.getElementById('diaper-time').value = this.toLocalInputValue(diaper.timestamp);
+            document.getElementById('has-pee').checked = !!diaper.hasPee;
+            document.getElementById('has-poop').checked = !!diaper.hasPoop;
+            document.getElementById('diaper-notes').value = diaper.notes || '';
+            this.setDiaperLevel(diaper.level || 2);
+        } else {
+            this.setDefaultDiaperTime();
+        }
+        this.startPhotoDraft(STORES.DIAPERS, diaper);
+
         modal.classList.add('active');
-        this.setDefaultDiaperTime();
+    }
+
+    setDiaperLevel(level) {
+        this.currentDiaperLevel = level;
+        document.querySelectorAll('.level-btn').forEach(b => {
+            b.classList.toggle('active', parseInt(b.dataset.level) === level);
+        });
     }
 
     closeDiaperModal() {
         const modal = document.getElementById('diaper-modal');
         modal.classList.remove('active');
+        this.clearPhotoDraft();
+
+        // Restore the defaults so the next new record doesn't inherit the edited values
+        if (this.editingDiaperId) {
+            this.editingDiaperId = null;
+            document.getElementById('has-pee').checked = true;
+            document.getElementById('has-poop').checked = false;
+            document.getElementById('diaper-notes').value = '';
+            this.setDiaperLevel(2);
+        }
     }
 
     // Measurement modal
-    openMeasurementModal() {
+    openMeasurementModal(measurement = null) {
         const modal = document.getElementById('measurement-modal');
+        this.editingMeasurementId = measurement ? measurement.id : null;
+        this.setModalMode('measurement', measurement ? '📏 Editar Medidas' : null);
+
+        if (measurement) {
+            document.getElementById('weight-time').value = this.toLocalInputValue(measurement.timestamp);
+            document.getElementById('weight-value').value = measurement.weight || '';
+            document.getElementById('height-value').value = measurement.height || '';
+        } else {
+            this.setDefaultWeightTime();
+        }
+
         modal.classList.add('active');
-        this.setDefaultWeightTime();
     }
 
     closeMeasurementModal() {
         const modal = document.getElementById('measurement-modal');
         modal.classList.remove('active');
+        this.editingMeasurementId = null;
         document.getElementById('weight-value').value = '';
         document.getElementById('height-value').value = '';
     }
 
     // Temperature modal
-    openTemperatureModal() {
+    openTemperatureModal(temperature = null) {
         const modal = document.getElementById('temperature-modal');
+        this.editingTemperatureId = temperature ? temperature.id : null;
+        this.setModalMode('temperature', temperature ? '🌡️ Editar Temperatura' : null);
+
+        if (temperature) {
+            document.getElementById('temperature-time').value = this.toLocalInputValue(temperature.timestamp);
+            document.getElementById('temperature-value').value = temperature.value;
+            document.getElementById('temperature-notes').value = temperature.notes || '';
+        } else {
+            this.setDefaultTemperatureTime();
+        }
+
         modal.classList.add('active');
-        this.setDefaultTemperatureTime();
     }
 
     closeTemperatureModal() {
         const modal = document.getElementById('temperature-modal');
         modal.classList.remove('active');
+        this.editingTemperatureId = null;
         document.getElementById('temperature-value').value = '';
         document.getElementById('temperature-notes').value = '';
     }
 
     // Appointment modal
-    openAppointmentModal() {
+    openAppointmentModal(appointment = null) {
         const modal = document.getElementById('appointment-modal');
+        this.editingAppointmentId = appointment ? appointment.id : null;
+        this.setModalMode('appointment', appointment ? '📅 Editar Cita' : null);
+
+        if (appointment) {
+            document.getElementById('appointment-type').value = appointment.type;
+            document.getElementById('appointment-title').value = appointment.title;
+            document.getElementById('appointment-time').value = this.toLocalInputValue(appointment.timestamp);
+            document.getElementById('appointment-location').value = appointment.location || '';
+            document.getElementById('appointment-notes').value = appointment.notes || '';
+        } else {
+            this.setDefaultAppointmentTime();
+        }
+
         modal.classList.add('active');
-        this.setDefaultAppointmentTime();
     }
 
     closeAppointmentModal() {
         const modal = document.getElementById('appointment-modal');
         modal.classList.remove('active');
+        this.editingAppointmentId = null;
         document.getElementById('appointment-title').value = '';
         document.getElementById('appointment-location').value = '';
         document.getElementById('appointment-notes').value = '';
     }
 
     // Journal modal
-    openJournalModal() {
+    openJournalModal(entry = null) {
         const modal = document.getElementById('journal-modal');
+        this.editingJournalId = entry ? entry.id : null;
+        this.setModalMode('journal', entry ? '📔 Editar Evento' : null);
+
+        if (entry) {
+            document.getElementById('journal-category').value = entry.category;
+            document.getElementById('journal-title').value = entry.title;
+            document.getElementById('journal-time').value = this.toLocalInputValue(entry.timestamp);
+            document.getElementById('journal-description').value = entry.description;
+            document.getElementById('journal-tags').value = (entry.tags || []).join(', ');
+        } else {
+            this.setDefaultJournalTime();
+        }
+        this.startPhotoDraft(STORES.JOURNAL, entry);
+
         modal.classList.add('active');
-        this.setDefaultJournalTime();
     }
 
     closeJournalModal() {
         const modal = document.getElementById('journal-modal');
         modal.classList.remove('active');
+        this.clearPhotoDraft();
+        this.editingJournalId = null;
         document.getElementById('journal-title').value = '';
         document.getElementById('journal-description').value = '';
         document.getElementById('journal-tags').value = '';
     }
 
-    async addMedicine() {
+    // Read and validate the medicine form, returns null when invalid
+    readMedicineForm() {
         const nameSelect = document.getElementById('medicine-name-select').value;
         const nameCustom = document.getElementById('medicine-name-custom').value.trim();
         
@@ -1093,33 +1787,41 @@ class FeedingTracker {
 
         if (!name || !dose || !timeInput) {
             alert('Por favor completa todos los campos obligatorios');
-            return;
+            return null;
         }
 
-        const medicine = {
+        return {
             time: new Date(timeInput).toISOString(),
             name,
             dose,
             interval,
-            notes,
+            notes
+        };
+    }
+
+    getNextDose(time, interval) {
+        return interval > 0 ? new Date(new Date(time).getTime() + interval * 60 * 60 * 1000).toISOString() : null;
+    }
+
+    async addMedicine() {
+        const formData = this.readMedicineForm();
+        if (!formData) return;
+        const { name, dose } = formData;
+
+        const medicine = {
+            ...formData,
             active: true, // All new medicines are active (both occasional and recurring)
-            nextDose: interval > 0 ? new Date(new Date(timeInput).getTime() + interval * 60 * 60 * 1000).toISOString() : null,
-            timezone: this.timezone
+            nextDose: this.getNextDose(formData.time, formData.interval),
+            timezone: this.timezone,
+            childId: this.activeChildId
         };
 
         console.log('Adding medicine:', medicine);
 
         try {
-            if (this.useIndexedDB) {
-                const id = await db.addMedicine(medicine);
-                this.medicines.unshift({ id, timestamp: medicine.time, ...medicine });
-                console.log('Medicine added to IndexedDB with ID:', id);
-            } else {
-                const localMedicine = { id: Date.now(), timestamp: medicine.time, ...medicine };
-                this.medicines.unshift(localMedicine);
-                this.saveToLocalStorage();
-                console.log('Medicine added to localStorage:', localMedicine);
-            }
+            const stored = await this.repository.addRecord(STORES.MEDICINES, medicine);
+            this.medicines.unshift(stored);
+            console.log('Medicine added with ID:', stored.id);
 
             console.log('Total medicines:', this.medicines.length);
             await this.renderMedicineList();
@@ -1132,20 +1834,43 @@ class FeedingTracker {
         }
     }
 
-    async deleteMedicine(id) {
-        if (confirm('¿Estás seguro de que quieres eliminar este medicamento?')) {
-            try {
-                if (this.useIndexedDB) await db.deleteMedicine(id);
-                this.medicines = this.medicines.filter(m => m.id !== id);
-                if (!this.useIndexedDB) this.saveToLocalStorage();
-                await this.renderMedicineList();
-            } catch (error) {
-                console.error('Failed to delete medicine:', error);
-                alert('Error al eliminar el medicamento.');
-            }
+    editMedicine(id) {
+        const medicine = this.medicines.find(m => m.id === id);
+        if (medicine) this.openMedicineModal(medicine);
+    }
+
+    async updateMedicine() {
+        const id = this.editingMedicineId;
+        const updates = this.readMedicineForm();
+        if (!updates) return;
+
+        const medicine = this.medicines.find(m => m.id === id);
+        if (!medicine) return;
+
+        // Reschedule an active treatment when its start time or interval changed
+        const scheduleChanged = updates.time !== medicine.timestamp || updates.interval !== medicine.interval;
+        if (medicine.active && scheduleChanged) {
+            updates.nextDose = this.getNextDose(updates.time, updates.interval);
+        }
+
+        try {
+            await this.repository.updateRecord(STORES.MEDICINES, id, updates);
+            this.medicines = this.sortByNewest(this.medicines.map(m => {
+                return m.id === id ? { ...m, ...updates, timestamp: updates.time } : m;
+            }));
+
+            await this.renderMedicineList();
+            this.closeMedicineModal();
+        } catch (error) {
+            console.error('Failed to update medicine:', error);
+            alert('Error al actualizar el medicamento.');
         }
     }
 
+    async deleteMedicine(id) {
+        await this.moveToTrash(STORES.MEDICINES, id);
+    }
+
     async markMedicineTaken(id) {
         try {
             const medicine = this.medicines.find(m => m.id === id);
@@ -1160,30 +1885,20 @@ class FeedingTracker {
                 notes: medicine.notes ? `Dosis de tratamiento: ${medicine.notes}` : 'Dosis registrada',
                 active: false,
                 nextDose: null,
-                timezone: this.timezone
+                timezone: this.timezone,
+                childId: this.activeChildId
             };
 
             // Update the existing medicine's next dose if it has an interval
             if (medicine.interval > 0) {
                 const nextDose = new Date(Date.now() + medicine.interval * 60 * 60 * 1000).toISOString();
-                if (this.useIndexedDB) {
-                    await db.updateMedicine(id, { nextDose });
-                }
+                await this.repository.updateRecord(STORES.MEDICINES, id, { nextDose });
                 medicine.nextDose = nextDose;
             }
 
             // Add history entry
-            if (this.useIndexedDB) {
-                const newId = await db.addMedicine(historyEntry);
-                this.medicines.unshift({ id: newId, timestamp: historyEntry.time, ...historyEntry });
-            } else {
-                const localMedicine = { id: Date.now() + 1, timestamp: historyEntry.time, ...historyEntry };
-                this.medicines.unshift(localMedicine);
-                this.saveToLocalStorage();
-            }
+            this.medicines.unshift(await this.repository.addRecord(STORES.MEDICINES, historyEntry));
 
-            if (!this.useIndexedDB) this.saveToLocalStorage();
-            
             await this.renderMedicineList();
             this.sendNotification('Dosis registrada', `${medicine.name} - ${medicine.dose}`);
         } catch (error) {
@@ -1195,15 +1910,12 @@ class FeedingTracker {
     async stopMedicine(id) {
         if (confirm('¿Detener este tratamiento?')) {
             try {
-                if (this.useIndexedDB) {
-                    await db.updateMedicine(id, { active: false, nextDose: null });
-                }
+                await this.repository.updateRecord(STORES.MEDICINES, id, { active: false, nextDose: null });
                 const medicine = this.medicines.find(m => m.id === id);
                 if (medicine) {
                     medicine.active = false;
                     medicine.nextDose = null;
                 }
-                if (!this.useIndexedDB) this.saveToLocalStorage();
                 await this.renderMedicineList();
             } catch (error) {
                 console.error('Failed to stop medicine:', error);
@@ -1260,6 +1972,8 @@ class FeedingTracker {
                         </div>
                         <div class="feeding-actions">
                             <button class="btn btn-primary" onclick="tracker.markMedicineTaken(${m.id})">Tomar</button>
+                            <button class="btn btn-secondary" onclick="tracker.showRecordHistory('medicines', ${m.id})" title="Historial">🕘</button>
+                            <button class="btn btn-secondary" onclick="tracker.editMedicine(${m.id})">Editar</button>
                             ${isRecurring 
                                 ? `<button class="btn btn-secondary" onclick="tracker.stopMedicine(${m.id})">Detener</button>`
                                 : `<button class="btn btn-danger" onclick="tracker.deleteMedicine(${m.id})">Eliminar</button>`
@@ -1281,6 +1995,8 @@ class FeedingTracker {
                         ${m.notes ? `<div class="diaper-notes">${m.notes}</div>` : ''}
                     </div>
                     <div class="feeding-actions">
+                        <button class="btn btn-secondary" onclick="tracker.showRecordHistory('medicines', ${m.id})" title="Historial">🕘</button>
+                        <button class="btn btn-secondary" onclick="tracker.editMedicine(${m.id})">Editar</button>
                         <button class="btn btn-danger" onclick="tracker.deleteMedicine(${m.id})">Eliminar</button>
                     </div>
                 </div>
@@ -1290,35 +2006,40 @@ class FeedingTracker {
 
     // ============= TEMPERATURE OPERATIONS =============
 
-    async addTemperature() {
+    // Read and validate the temperature form, returns null when invalid
+    readTemperatureForm() {
         const value = parseFloat(document.getElementById('temperature-value').value);
         const timeInput = document.getElementById('temperature-time').value;
         const notes = document.getElementById('temperature-notes').value.trim();
 
         if (!value || !timeInput) {
             alert('Por favor completa todos los campos obligatorios');
-            return;
+            return null;
         }
 
-        const temperature = {
+        return {
             time: new Date(timeInput).toISOString(),
             value,
-            notes,
-            timezone: this.timezone
+            notes
+        };
+    }
+
+    async addTemperature() {
+        const formData = this.readTemperatureForm();
+        if (!formData) return;
+        const { value } = formData;
+
+        const temperature = {
+            ...formData,
+            timezone: this.timezone,
+            childId: this.activeChildId
         };
 
         try {
-            if (this.useIndexedDB) {
-                const id = await db.addTemperature(temperature);
-                this.temperatures.unshift({ id, timestamp: temperature.time, ...temperature });
-            } else {
-                const localTemp = { id: Date.now(), timestamp: temperature.time, ...temperature };
-                this.temperatures.unshift(localTemp);
-                this.saveToLocalStorage();
-            }
+            this.temperatures.unshift(await this.repository.addRecord(STORES.TEMPERATURES, temperature));
 
             await this.renderTemperatureList();
-            this.renderTemperatureChart();
+            await this.renderTemperatureChart();
             this.closeTemperatureModal();
             this.setDefaultTemperatureTime();
             document.getElementById('temperature-value').value = '';
@@ -1332,55 +2053,84 @@ class FeedingTracker {
         }
     }
 
-    async deleteTemperature(id) {
-        if (confirm('¿Estás seguro de que quieres eliminar este registro?')) {
-            try {
-                if (this.useIndexedDB) await db.deleteTemperature(id);
-                this.temperatures = this.temperatures.filter(t => t.id !== id);
-                if (!this.useIndexedDB) this.saveToLocalStorage();
-                await this.renderTemperatureList();
-                this.renderTemperatureChart();
-            } catch (error) {
-                console.error('Failed to delete temperature:', error);
-                alert('Error al eliminar la temperatura.');
-            }
+    editTemperature(id) {
+        const temperature = this.temperatures.find(t => t.id === id);
+        if (temperature) this.openTemperatureModal(temperature);
+    }
+
+    async updateTemperature() {
+        const id = this.editingTemperatureId;
+        const updates = this.readTemperatureForm();
+        if (!updates) return;
+
+        try {
+            await this.repository.updateRecord(STORES.TEMPERATURES, id, updates);
+            this.temperatures = this.sortByNewest(this.temperatures.map(t => {
+                return t.id === id ? { ...t, ...updates, timestamp: updates.time } : t;
+            }));
+
+            await this.renderTemperatureList();
+            await this.renderTemperatureChart();
+            this.closeTemperatureModal();
+        } catch (error) {
+            console.error('Failed to update temperature:', error);
+            alert('Error al actualizar la temperatura.');
         }
     }
 
+    async deleteTemperature(id) {
+        await this.moveToTrash(STORES.TEMPERATURES, id);
+    }
+
     renderTemperatureList() {
         const container = document.getElementById('temperature-list');
         if (!container) return;
+        this.renderLoadMore(STORES.TEMPERATURES);
 
         if (this.temperatures.length === 0) {
             container.innerHTML = '<div class="empty-state"><p>No hay registros de temperatura</p></div>';
             return;
         }
 
-        container.innerHTML = this.temperatures.map(t => {
-            const isFever = t.value >= 38;
-            return `
-                <div class="feeding-item ${isFever ? 'temperature-fever' : ''}">
-                    <div class="feeding-info">
-                        <div class="feeding-time">🌡️ ${this.formatDateTime(t.timestamp)}</div>
-                        <div class="feeding-amount">
-                            <strong>${t.value}°C</strong>
-                            ${isFever ? ' ⚠️ Fiebre' : t.value >= 37.5 ? ' ⚡ Elevada' : ' ✓ Normal'}
-                        </div>
-                        ${t.notes ? `<div class="diaper-notes">${t.notes}</div>` : ''}
-                    </div>
-                    <div class="feeding-actions">
-                        <button class="btn btn-danger" onclick="tracker.deleteTemperature(${t.id})">Eliminar</button>
+        container.innerHTML = this.temperatures.map(t => this.renderTemperatureItem(t)).join('');
+    }
+
+    renderTemperatureItem(t) {
+        const isFever = t.value >= 38;
+        return `
+            <div class="feeding-item ${isFever ? 'temperature-fever' : ''}">
+                <div class="feeding-info">
+                    <div class="feeding-time">🌡️ ${this.formatDateTime(t.timestamp)}</div>
+                    <div class="feeding-amount">
+                        <strong>${t.value}°C</strong>
+                        ${isFever ? ' ⚠️ Fiebre' : t.value >= 37.5 ? ' ⚡ Elevada' : ' ✓ Normal'}
                     </div>
+                    ${t.notes ? `<div class="diaper-notes">${t.notes}</div>` : ''}
                 </div>
-            `;
-        }).join('');
+                <div class="feeding-actions">
+                    <button class="btn btn-secondary" onclick="tracker.showRecordHistory('temperatures', ${t.id})" title="Historial">🕘</button>
+                    <button class="btn btn-secondary" onclick="tracker.editTemperature(${t.id})">Editar</button>
+                    <button class="btn btn-danger" onclick="tracker.deleteTemperature(${t.id})">Eliminar</button>
+                </div>
+            </div>
+        `;
     }
 
-    renderTemperatureChart() {
+    // Reads its range from storage: the list only holds the newest page
+    async renderTemperatureChart() {
         const canvas = document.getElementById('temperature-chart');
         if (!canvas) return;
 
-        const sortedTemps = [...this.temperatures].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const startDate = new Date(Date.now() - TEMPERATURE_CHART_DAYS * 24 * 60 * 60 * 1000);
+        let temperatures;
+        try {
+            temperatures = await this.repository.getRecords(STORES.TEMPERATURES, this.activeChildId, { startDate });
+        } catch (error) {
+            console.warn('Temperature chart failed:', error);
+            return;
+        }
+
+        const sortedTemps = temperatures.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
         const data = sortedTemps.map(t => ({
             value: t.value,
             label: this.formatDateShort(t.timestamp)
@@ -1391,7 +2141,8 @@ class FeedingTracker {
 
     // ============= APPOINTMENT OPERATIONS =============
 
-    async addAppointment() {
+    // Read and validate the appointment form, returns null when invalid
+    readAppointmentForm() {
         const type = document.getElementById('appointment-type').value;
         const title = document.getElementById('appointment-title').value.trim();
         const timeInput = document.getElementById('appointment-time').value;
@@ -1400,28 +2151,32 @@ class FeedingTracker {
 
         if (!type || !title || !timeInput) {
             alert('Por favor completa todos los campos obligatorios');
-            return;
+            return null;
         }
 
-        const appointment = {
+        return {
             time: new Date(timeInput).toISOString(),
             type,
             title,
             location,
-            notes,
+            notes
+        };
+    }
+
+    async addAppointment() {
+        const formData = this.readAppointmentForm();
+        if (!formData) return;
+        const { title } = formData;
+
+        const appointment = {
+            ...formData,
             completed: false,
-            timezone: this.timezone
+            timezone: this.timezone,
+            childId: this.activeChildId
         };
 
         try {
-            if (this.useIndexedDB) {
-                const id = await db.addAppointment(appointment);
-                this.appointments.push({ id, timestamp: appointment.time, ...appointment });
-            } else {
-                const localAppt = { id: Date.now(), timestamp: appointment.time, ...appointment };
-                this.appointments.push(localAppt);
-                this.saveToLocalStorage();
-            }
+            this.appointments.push(await this.repository.addRecord(STORES.APPOINTMENTS, appointment));
 
             await this.renderAppointmentList();
             this.closeAppointmentModal();
@@ -1437,20 +2192,34 @@ class FeedingTracker {
         }
     }
 
-    async deleteAppointment(id) {
-        if (confirm('¿Estás seguro de que quieres eliminar esta cita?')) {
-            try {
-                if (this.useIndexedDB) await db.deleteAppointment(id);
-                this.appointments = this.appointments.filter(a => a.id !== id);
-                if (!this.useIndexedDB) this.saveToLocalStorage();
-                await this.renderAppointmentList();
-            } catch (error) {
-                console.error('Failed to delete appointment:', error);
-                alert('Error al eliminar la cita.');
-            }
+    editAppointment(id) {
+        const appointment = this.appointments.find(a => a.id === id);
+        if (appointment) this.openAppointmentModal(appointment);
+    }
+
+    async updateAppointment() {
+        const id = this.editingAppointmentId;
+        const updates = this.readAppointmentForm();
+        if (!updates) return;
+
+        try {
+            await this.repository.updateRecord(STORES.APPOINTMENTS, id, updates);
+            this.appointments = this.appointments.map(a => {
+                return a.id === id ? { ...a, ...updates, timestamp: updates.time } : a;
+            });
+
+            await this.renderAppointmentList();
+            this.closeAppointmentModal();
+        } catch (error) {
+            console.error('Failed to update appointment:', error);
+            alert('Error al actualizar la cita.');
         }
     }
 
+    async deleteAppointment(id) {
+        await this.moveToTrash(STORES.APPOINTMENTS, id);
+    }
+
     renderAppointmentList() {
         const upcomingContainer = document.getElementById('upcoming-appointments-list');
         const pastContainer = document.getElementById('past-appointments-list');
@@ -1475,11 +2244,13 @@ class FeedingTracker {
                 <div class="feeding-item appointment-upcoming">
                     <div class="feeding-info">
                         <div class="feeding-time">${typeIcons[a.type]} ${this.formatDateTime(a.timestamp)}</div>
-                        <div class="feeding-amount"><strong>${a.title}</strong></div>
-                        ${a.location ? `<div class="diaper-notes">📍 ${a.location}</div>` : ''}
-                        ${a.notes ? `<div class="diaper-notes">${a.notes}</div>` : ''}
+                        <div class="feeding-amount"><strong>${this.escapeHTML(a.title)}</strong></div>
+                        ${a.location ? `<div class="diaper-notes">📍 ${this.escapeHTML(a.location)}</div>` : ''}
+                        ${a.notes ? `<div class="diaper-notes">${this.escapeHTML(a.notes)}</div>` : ''}
                     </div>
                     <div class="feeding-actions">
+                        <button class="btn btn-secondary" onclick="tracker.showRecordHistory('appointments', ${a.id})" title="Historial">🕘</button>
+                        <button class="btn btn-secondary" onclick="tracker.editAppointment(${a.id})">Editar</button>
                         <button class="btn btn-danger" onclick="tracker.deleteAppointment(${a.id})">Eliminar</button>
                     </div>
                 </div>
@@ -1493,11 +2264,13 @@ class FeedingTracker {
                 <div class="feeding-item">
                     <div class="feeding-info">
                         <div class="feeding-time">${typeIcons[a.type]} ${this.formatDateTime(a.timestamp)}</div>
-                        <div class="feeding-amount"><strong>${a.title}</strong></div>
-                        ${a.location ? `<div class="diaper-notes">📍 ${a.location}</div>` : ''}
-                        ${a.notes ? `<div class="diaper-notes">${a.notes}</div>` : ''}
+                        <div class="feeding-amount"><strong>${this.escapeHTML(a.title)}</strong></div>
+                        ${a.location ? `<div class="diaper-notes">📍 ${this.escapeHTML(a.location)}</div>` : ''}
+                        ${a.notes ? `<div class="diaper-notes">${this.escapeHTML(a.notes)}</div>` : ''}
                     </div>
                     <div class="feeding-actions">
+                        <button class="btn btn-secondary" onclick="tracker.showRecordHistory('appointments', ${a.id})" title="Historial">🕘</button>
+                        <button class="btn btn-secondary" onclick="tracker.editAppointment(${a.id})">Editar</button>
                         <button class="btn btn-danger" onclick="tracker.deleteAppointment(${a.id})">Eliminar</button>
                     </div>
                 </div>
@@ -1507,7 +2280,8 @@ class FeedingTracker {
 
     // ============= JOURNAL OPERATIONS =============
 
-    async addJournalEntry() {
+    // Read and validate the journal form, returns null when invalid
+    readJournalForm() {
         const category = document.getElementById('journal-category').value;
         const title = document.getElementById('journal-title').value.trim();
         const timeInput = document.getElementById('journal-time').value;
@@ -1516,27 +2290,33 @@ class FeedingTracker {
 
         if (!category || !title || !timeInput || !description) {
             alert('Por favor completa todos los campos obligatorios');
-            return;
+            return null;
         }
 
-        const entry = {
+        return {
             time: new Date(timeInput).toISOString(),
             category,
             title,
             description,
-            tags: tags.split(',').map(t => t.trim()).filter(t => t),
-            timezone: this.timezone
+            tags: tags.split(',').map(t => t.trim()).filter(t => t)
+        };
+    }
+
+    async addJournalEntry() {
+        const formData = this.readJournalForm();
+        if (!formData) return;
+        const { title } = formData;
+
+        const entry = {
+            ...formData,
+            timezone: this.timezone,
+            childId: this.activeChildId
         };
 
         try {
-            if (this.useIndexedDB) {
-                const id = await db.addJournalEntry(entry);
-                this.journalEntries.unshift({ id, timestamp: entry.time, ...entry });
-            } else {
-                const localEntry = { id: Date.now(), timestamp: entry.time, ...entry };
-                this.journalEntries.unshift(localEntry);
-                this.saveToLocalStorage();
-            }
+            const record = await this.repository.addRecord(STORES.JOURNAL, entry);
+            await this.savePhotoDraft(record.id);
+            this.journalEntries.unshift(record);
 
             await this.renderJournalList();
             this.closeJournalModal();
@@ -1552,29 +2332,51 @@ class FeedingTracker {
         }
     }
 
-    async deleteJournalEntry(id) {
-        if (confirm('¿Estás seguro de que quieres eliminar este evento?')) {
-            try {
-                if (this.useIndexedDB) await db.deleteJournalEntry(id);
-                this.journalEntries = this.journalEntries.filter(e => e.id !== id);
-                if (!this.useIndexedDB) this.saveToLocalStorage();
-                await this.renderJournalList();
-            } catch (error) {
-                console.error('Failed to delete journal entry:', error);
-                alert('Error al eliminar el evento.');
-            }
+    editJournalEntry(id) {
+        const entry = this.journalEntries.find(e => e.id === id);
+        if (entry) this.openJournalModal(entry);
+    }
+
+    async updateJournalEntry() {
+        const id = this.editingJournalId;
+        const updates = this.readJournalForm();
+        if (!updates) return;
+
+        try {
+            await this.repository.updateRecord(STORES.JOURNAL, id, updates);
+            await this.savePhotoDraft(id);
+            this.journalEntries = this.sortByNewest(this.journalEntries.map(e => {
+                return e.id === id ? { ...e, ...updates, timestamp: updates.time } : e;
+            }));
+
+            await this.renderJournalList();
+            this.closeJournalModal();
+        } catch (error) {
+            console.error('Failed to update journal entry:', error);
+            alert('Error al actualizar el evento.');
         }
     }
 
+    async deleteJournalEntry(id) {
+        await this.moveToTrash(STORES.JOURNAL, id);
+    }
+
     renderJournalList() {
         const container = document.getElementById('journal-list');
         if (!container) return;
+        this.renderLoadMore(STORES.JOURNAL);
 
         if (this.journalEntries.length === 0) {
             container.innerHTML = '<div class="empty-state"><p>No hay eventos registrados</p></div>';
             return;
         }
 
+        this.revokePhotoUrls(STORES.JOURNAL);
+        container.innerHTML = this.journalEntries.map(e => this.renderJournalItem(e)).join('');
+        return this.renderRecordPhotos(STORES.JOURNAL);
+    }
+
+    renderJournalItem(e) {
         const categoryIcons = {
             health: '🏥',
             behavior: '😊',
@@ -1584,31 +2386,165 @@ class FeedingTracker {
             other: '📝'
         };
 
-        container.innerHTML = this.journalEntries.map(e => `
+        return `
             <div class="journal-entry ${e.category === 'emergency' ? 'journal-emergency' : ''}">
                 <div class="feeding-info">
                     <div class="feeding-time">${categoryIcons[e.category]} ${this.formatDateTime(e.timestamp)}</div>
-                    <div class="feeding-amount"><strong>${e.title}</strong></div>
-                    <div class="journal-description">${e.description}</div>
+                    <div class="feeding-amount"><strong>${this.escapeHTML(e.title)}</strong></div>
+                    <div class="journal-description">${this.escapeHTML(e.description)}</div>
                     ${e.tags && e.tags.length > 0 ? `
                         <div class="journal-tags">
-                            ${e.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+                            ${e.tags.map(tag => `<span class="tag">${this.escapeHTML(tag)}</span>`).join('')}
                         </div>
                     ` : ''}
+                    ${this.renderPhotoPlaceholder(STORES.JOURNAL, e.id)}
                 </div>
                 <div class="feeding-actions">
+                    <button class="btn btn-secondary" onclick="tracker.showRecordHistory('journal', ${e.id})" title="Historial">🕘</button>
+                    <button class="btn btn-secondary" onclick="tracker.editJournalEntry(${e.id})">Editar</button>
                     <button class="btn btn-danger" onclick="tracker.deleteJournalEntry(${e.id})">Eliminar</button>
                 </div>
             </div>
-        `).join('');
+        `;
     }
 
-    updateAgeDisplay() {
-        if (!this.birthDate) {
-            document.getElementById('age-days').textContent = '-';
-            document.getElementById('age-weeks').textContent = '-';
-            document.getElementById('age-months').textContent = '-';
-            document.getElementById('percentile-display').textContent = 'Configura fecha de nacimiento';
+    // ============= PHOTO ATTACHMENTS =============
+
+    createPhotoUrl(group, blob) {
+        const url = URL.createObjectURL(blob);
+        (this.photoUrls[group] = this.photoUrls[group] || []).push(url);
+        return url;
+    }
+
+    revokePhotoUrls(group) {
+        (this.photoUrls[group] || []).forEach(url => URL.revokeObjectURL(url));
+        this.photoUrls[group] = [];
+    }
+
+    // Filled with the record's thumbnails by renderRecordPhotos()
+    renderPhotoPlaceholder(storeName, recordId) {
+        if (!this.repository || !this.repository.features.attachments) return '';
+        return `<div class="photo-thumbnails" data-photos="${storeName}" data-record-id="${recordId}"></div>`;
+    }
+
+    // Load the thumbnails of the listed records that are not shown yet
+    async renderRecordPhotos(storeName) {
+        const placeholders = [...document.querySelectorAll(`[data-photos="${storeName}"]:not([data-loaded])`)];
+        if (placeholders.length === 0) return;
+        placeholders.forEach(placeholder => placeholder.setAttribute('data-loaded', ''));
+
+        try {
+            const attachments = await this.repository.getAttachments(storeName, placeholders.map(p => Number(p.dataset.recordId)));
+            placeholders.forEach(placeholder => {
+                placeholder.innerHTML = attachments
+                    .filter(attachment => attachment.recordId === Number(placeholder.dataset.recordId))
+                    .map(attachment => `
+                        <img class="photo-thumbnail" src="${this.createPhotoUrl(storeName, attachment.thumbnail)}"
+                            alt="Foto" onclick="tracker.openPhotoViewer(${attachment.id})">
+                    `).join('');
+            });
+        } catch (error) {
+            console.error('Failed to load photos:', error);
+        }
+    }
+
+    // Photos of the record being added or edited; saved with the record
+    async startPhotoDraft(storeName, record = null) {
+        const draft = { storeName, existing: [], added: [], removedIds: [] };
+        this.photoDraft = draft;
+        document.getElementById(`${PHOTO_FORMS[storeName]}-photos`).value = '';
+        this.renderPhotoDraft();
+        if (!record || !this.repository.features.attachments) return;
+
+        try {
+            draft.existing = await this.repository.getAttachments(storeName, [record.id]);
+            if (this.photoDraft === draft) this.renderPhotoDraft();
+        } catch (error) {
+            console.error('Failed to load photos:', error);
+        }
+    }
+
+    clearPhotoDraft() {
+        this.photoDraft = null;
+        this.revokePhotoUrls('draft');
+    }
+
+    async addDraftPhotos(input) {
+        const draft = this.photoDraft;
+        const files = [...input.files];
+        input.value = '';
+        if (!draft) return;
+
+        for (const file of files) {
+            try {
+                draft.added.push(await this.photoProcessor.prepare(file));
+            } catch (error) {
+                console.error('Failed to read photo:', error);
+                alert(`No se pudo leer la foto ${file.name}.`);
+            }
+        }
+        if (this.photoDraft === draft) this.renderPhotoDraft();
+    }
+
+    removeDraftPhoto(kind, key) {
+        const draft = this.photoDraft;
+        if (!draft) return;
+        if (kind === 'existing') draft.removedIds.push(key);
+        else draft.added.splice(key, 1);
+        this.renderPhotoDraft();
+    }
+
+    renderPhotoDraft() {
+        const draft = this.photoDraft;
+        if (!draft) return;
+        this.revokePhotoUrls('draft');
+
+        const photo = (blob, kind, key) => `
+            <div class="photo-draft">
+                <img class="photo-thumbnail" src="${this.createPhotoUrl('draft', blob)}" alt="Foto">
+                <button type="button" class="photo-remove" onclick="tracker.removeDraftPhoto('${kind}', ${key})" title="Quitar">&times;</button>
+            </div>
+        `;
+        document.getElementById(`${PHOTO_FORMS[draft.storeName]}-photo-previews`).innerHTML = [
+            ...draft.existing
+                .filter(attachment => !draft.removedIds.includes(attachment.id))
+                .map(attachment => photo(attachment.thumbnail, 'existing', attachment.id)),
+            ...draft.added.map((added, index) => photo(added.thumbnail, 'added', index))
+        ].join('');
+    }
+
+    async savePhotoDraft(recordId) {
+        const draft = this.photoDraft;
+        if (!draft || !this.repository.features.attachments) return;
+        await this.repository.deleteAttachments(draft.removedIds);
+        await this.repository.addAttachments(draft.storeName, recordId, this.activeChildId, draft.added);
+    }
+
+    async openPhotoViewer(id) {
+        try {
+            const attachment = await this.repository.getAttachment(id);
+            if (!attachment) return;
+            this.revokePhotoUrls('viewer');
+            document.getElementById('photo-viewer-image').src = this.createPhotoUrl('viewer', attachment.blob);
+            document.getElementById('photo-viewer').classList.add('active');
+        } catch (error) {
+            console.error('Failed to open photo:', error);
+            alert('Error al abrir la foto.');
+        }
+    }
+
+    closePhotoViewer() {
+        document.getElementById('photo-viewer').classList.remove('active');
+        document.getElementById('photo-viewer-image').removeAttribute('src');
+        this.revokePhotoUrls('viewer');
+    }
+
+    updateAgeDisplay() {
+        if (!this.birthDate) {
+            document.getElementById('age-days').textContent = '-';
+            document.getElementById('age-weeks').textContent = '-';
+            document.getElementById('age-months').textContent = '-';
+            document.getElementById('percentile-display').textContent = 'Configura la fecha de nacimiento del perfil';
             return;
         }
 
@@ -1626,32 +2562,46 @@ class FeedingTracker {
         // Calculate percentile if we have a recent weight
         if (this.measurements.length > 0) {
             const lastWeight = this.measurements[0].weight;
-            const percentile = this.calculatePercentile(diffDays, lastWeight);
+            const percentile = this.calculatePercentile(diffDays, lastWeight, this.getActiveChild().sex);
             document.getElementById('percentile-display').textContent = percentile;
         } else {
             document.getElementById('percentile-display').textContent = 'Registra un peso';
         }
     }
 
-    calculatePercentile(ageDays, weightKg) {
-        // Simplified WHO standards approximation for boys (0-12 months)
+    calculatePercentile(ageDays, weightKg, sex) {
+        // Simplified WHO standards approximation (0-12 months)
         // This is a rough estimation, not medical grade
-        // 50th percentile weight approx = 3.3 + (age_months * 0.7)
+        // 50th percentile weight approx = 3.3 + (age_months * 0.75) for boys,
+        // 3.2 + (age_months * 0.7) for girls
         const ageMonths = ageDays / 30.44;
-        const p50 = 3.3 + (ageMonths * 0.75);
+        const p50 = sex === 'female' ? 3.2 + (ageMonths * 0.7) : 3.3 + (ageMonths * 0.75);
         const sd = 0.12 * p50; // Standard deviation approx
 
         const zScore = (weightKg - p50) / sd;
-        
-        let percentile;
-        if (zScore < -2) percentile = '< 3%';
-        else if (zScore < -1) percentile = '15%';
-        else if (zScore < 0) percentile = '30-50%';
-        else if (zScore < 1) percentile = '50-70%';
-        else if (zScore < 2) percentile = '85%';
-        else percentile = '> 97%';
+        return `${this.percentileBand(zScore)} (aprox)`;
+    }
 
-        return `${percentile} (aprox)`;
+    calculateLengthPercentile(ageDays, heightCm, sex) {
+        // Same rough estimation, from LENGTH_FOR_AGE interpolated by age
+        const points = LENGTH_FOR_AGE[sex === 'female' ? 'female' : 'male'];
+        const ageMonths = Math.min(Math.max(ageDays / 30.44, 0), 12);
+        const upper = points.findIndex(([months]) => months >= ageMonths);
+        const [m0, median0, sd0] = points[Math.max(upper - 1, 0)];
+        const [m1, median1, sd1] = points[upper];
+        const t = m1 === m0 ? 0 : (ageMonths - m0) / (m1 - m0);
+
+        const zScore = (heightCm - (median0 + t * (median1 - median0))) / (sd0 + t * (sd1 - sd0));
+        return `${this.percentileBand(zScore)} (aprox)`;
+    }
+
+    percentileBand(zScore) {
+        if (zScore < -2) return '< 3%';
+        if (zScore < -1) return '15%';
+        if (zScore < 0) return '30-50%';
+        if (zScore < 1) return '50-70%';
+        if (zScore < 2) return '85%';
+        return '> 97%';
     }
 
     // Notifications
@@ -1801,6 +2751,11 @@ class FeedingTracker {
         `;
     }
 
+    // Text that may come from a file or another device, made safe to put in innerHTML
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
     formatDateTime(isoString) {
         const date = new Date(isoString);
         return new Intl.DateTimeFormat('es-ES', {
@@ -1857,12 +2812,16 @@ class FeedingTracker {
         }
     }
 
+    // Shown on the tracker tab and, mirrored, on the lock screen
     updateNextFeedingDisplay(nextDate) {
-        const container = document.getElementById('next-feeding-info');
+        const containers = ['next-feeding-info', 'lock-next-feeding'].map(id => document.getElementById(id));
+        const show = (html, className) => containers.forEach(container => {
+            container.innerHTML = html;
+            container.className = className;
+        });
         
         if (!nextDate) {
-            container.innerHTML = '<p>No hay tomas programadas</p>';
-            container.className = 'alert-info';
+            show('<p>No hay tomas programadas</p>', 'alert-info');
             return;
         }
 
@@ -1871,11 +2830,10 @@ class FeedingTracker {
             const diff = nextDate - now;
             
             if (diff <= 0) {
-                container.innerHTML = `
+                show(`
                     <p><strong>¡Es hora de comer!</strong></p>
                     <p>Programado para: ${this.formatDateTime(nextDate.toISOString())}</p>
-                `;
-                container.className = 'alert-danger';
+                `, 'alert-danger');
                 if (this.nextFeedingCountdownInterval) clearInterval(this.nextFeedingCountdownInterval);
                 return;
             }
@@ -1884,18 +2842,13 @@ class FeedingTracker {
             const minutes = Math.floor((diff % 3600000) / 60000);
             const seconds = Math.floor((diff % 60000) / 1000);
 
-            container.innerHTML = `
+            // Less than 30 mins
+            show(`
                 <p>Próxima toma: <strong>${this.formatDateTime(nextDate.toISOString())}</strong></p>
                 <div class="countdown">
                     Faltan: ${hours}h ${minutes}m ${seconds}s
                 </div>
-            `;
-            
-            if (diff < 1800000) { // Less than 30 mins
-                container.className = 'alert-warning';
-            } else {
-                container.className = 'alert-success';
-            }
+            `, diff < 1800000 ? 'alert-warning' : 'alert-success');
         };
 
         updateCountdown();
@@ -1931,42 +2884,37 @@ class FeedingTracker {
         oscillator.stop(audioContext.currentTime + 0.5);
     }
 
-    // Statistics
+    // Statistics, added up from the daily summaries of the period
     async updateStats(period) {
-        const filteredFeedings = this.filterByPeriod(period);
-        const filteredDiapers = this.filterDiapersByPeriod(period);
+        const totals = this.sumDailySummaries(await this.getPeriodSummaries(period));
         const statsContainer = document.getElementById('stats-display');
 
         let statsHTML = '';
 
         // Feeding stats
-        if (filteredFeedings.length === 0) {
+        if (totals.feedings === 0) {
             statsHTML += '<div class="stat-card"><div class="stat-label">Sin datos de alimentación</div></div>';
         } else {
-            const totalFeedings = filteredFeedings.length;
-            const bottleFeedings = filteredFeedings.filter(f => f.type === 'bottle');
-            const breastFeedings = filteredFeedings.filter(f => f.type === 'breast');
-            
-            const totalAmount = bottleFeedings.reduce((sum, f) => sum + (f.amount || 0), 0);
-            const avgAmount = bottleFeedings.length > 0 ? Math.round(totalAmount / bottleFeedings.length) : 0;
+            const totalAmount = totals.bottleMl;
+            const avgAmount = totals.bottleFeedings > 0 ? Math.round(totalAmount / totals.bottleFeedings) : 0;
             
-            const totalDuration = breastFeedings.reduce((sum, f) => sum + (f.duration || 0), 0);
-            const avgDuration = breastFeedings.length > 0 ? Math.round(totalDuration / breastFeedings.length) : 0;
+            const totalDuration = totals.breastMinutes;
+            const avgDuration = totals.breastFeedings > 0 ? Math.round(totalDuration / totals.breastFeedings) : 0;
             
-            const avgInterval = this.calculateAverageInterval(filteredFeedings);
+            const avgInterval = this.formatAverageInterval(totals.feedings, totals.firstFeedingAt, totals.lastFeedingAt);
 
             statsHTML += `
                 <div class="stat-card">
                     <div class="stat-label">Total de Tomas</div>
-                    <div class="stat-value">${totalFeedings}</div>
+                    <div class="stat-value">${totals.feedings}</div>
                 </div>
                 <div class="stat-card">
                     <div class="stat-label">Biberón</div>
-                    <div class="stat-value">${bottleFeedings.length}</div>
+                    <div class="stat-value">${totals.bottleFeedings}</div>
                 </div>
                 <div class="stat-card">
                     <div class="stat-label">Pecho</div>
-                    <div class="stat-value">${breastFeedings.length}</div>
+                    <div class="stat-value">${totals.breastFeedings}</div>
                 </div>
                 <div class="stat-card">
                     <div class="stat-label">Intervalo Promedio</div>
@@ -1974,7 +2922,7 @@ class FeedingTracker {
                 </div>
             `;
 
-            if (bottleFeedings.length > 0) {
+            if (totals.bottleFeedings > 0) {
                 statsHTML += `
                     <div class="stat-card">
                         <div class="stat-label">Total Biberón</div>
@@ -2001,7 +2949,7 @@ class FeedingTracker {
                 }
             }
 
-            if (breastFeedings.length > 0) {
+            if (totals.breastFeedings > 0) {
                 statsHTML += `
                     <div class="stat-card">
                         <div class="stat-label">Total Pecho</div>
@@ -2016,32 +2964,27 @@ class FeedingTracker {
         }
 
         // Diaper stats
-        if (filteredDiapers.length === 0) {
+        if (totals.diapers === 0) {
             statsHTML += '<div class="stat-card"><div class="stat-label">Sin datos de pañales</div></div>';
         } else {
-            const totalDiapers = filteredDiapers.length;
-            const peeCount = filteredDiapers.filter(d => d.hasPee).length;
-            const poopCount = filteredDiapers.filter(d => d.hasPoop).length;
-            const bothCount = filteredDiapers.filter(d => d.hasPee && d.hasPoop).length;
-            
-            const avgDiaperInterval = this.calculateAverageDiaperInterval(filteredDiapers);
+            const avgDiaperInterval = this.formatAverageInterval(totals.diapers, totals.firstDiaperAt, totals.lastDiaperAt);
 
             statsHTML += `
                 <div class="stat-card">
                     <div class="stat-label">Total Pañales</div>
-                    <div class="stat-value">${totalDiapers}</div>
+                    <div class="stat-value">${totals.diapers}</div>
                 </div>
                 <div class="stat-card">
                     <div class="stat-label">💧 Pipí</div>
-                    <div class="stat-value">${peeCount}</div>
+                    <div class="stat-value">${totals.pee}</div>
                 </div>
                 <div class="stat-card">
                     <div class="stat-label">💩 Popó</div>
-                    <div class="stat-value">${poopCount}</div>
+                    <div class="stat-value">${totals.poop}</div>
                 </div>
                 <div class="stat-card">
                     <div class="stat-label">Mixtos</div>
-                    <div class="stat-value">${bothCount}</div>
+                    <div class="stat-value">${totals.mixed}</div>
                 </div>
                 <div class="stat-card">
                     <div class="stat-label">Intervalo Promedio</div>
@@ -2053,87 +2996,185 @@ class FeedingTracker {
         statsContainer.innerHTML = statsHTML;
     }
 
-    calculateAverageDiaperInterval(diapers) {
-        if (diapers.length < 2) return 'N/A';
-        
-        let totalInterval = 0;
-        for (let i = 0; i < diapers.length - 1; i++) {
-            const current = new Date(diapers[i].timestamp);
-            const next = new Date(diapers[i + 1].timestamp);
-            totalInterval += Math.abs(current - next);
-        }
+    // The intervals between consecutive events add up to last - first
+    formatAverageInterval(count, firstAt, lastAt) {
+        if (count < 2) return 'N/A';
         
-        const avgMs = totalInterval / (diapers.length - 1);
+        const avgMs = (lastAt - firstAt) / (count - 1);
         const avgHours = avgMs / 3600000;
         return `${avgHours.toFixed(1)}h`;
     }
 
-    filterDiapersByPeriod(period) {
-        const now = new Date();
-        const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        const startOfWeek = new Date(now);
-        startOfWeek.setDate(now.getDate() - now.getDay());
-        startOfWeek.setHours(0, 0, 0, 0);
-        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-
-        return this.diapers.filter(d => {
-            const diaperDate = new Date(d.timestamp);
-            if (period === 'today') {
-                return diaperDate >= startOfToday;
-            } else if (period === 'week') {
-                return diaperDate >= startOfWeek;
-            } else if (period === 'month') {
-                return diaperDate >= startOfMonth;
-            }
-            return true;
+    // Add up daily summaries into one for the whole range
+    sumDailySummaries(summaries) {
+        const lowest = (a, b) => a === null ? b : b === null ? a : Math.min(a, b);
+        const highest = (a, b) => a === null ? b : b === null ? a : Math.max(a, b);
+        const totals = {
+            feedings: 0, bottleFeedings: 0, bottleMl: 0, breastFeedings: 0, breastMinutes: 0,
+            firstFeedingAt: null, lastFeedingAt: null,
+            diapers: 0, pee: 0, poop: 0, mixed: 0, firstDiaperAt: null, lastDiaperAt: null,
+            medicineDoses: 0, medicines: {},
+            temperatures: 0, temperatureSum: 0, temperatureMin: null, temperatureMax: null, fevers: 0
+        };
+        const counters = ['feedings', 'bottleFeedings', 'bottleMl', 'breastFeedings', 'breastMinutes',
+            'diapers', 'pee', 'poop', 'mixed', 'medicineDoses', 'temperatures', 'temperatureSum', 'fevers'];
+
+        summaries.forEach(summary => {
+            counters.forEach(field => { totals[field] += summary[field]; });
+            totals.firstFeedingAt = lowest(totals.firstFeedingAt, summary.firstFeedingAt);
+            totals.lastFeedingAt = highest(totals.lastFeedingAt, summary.lastFeedingAt);
+            totals.firstDiaperAt = lowest(totals.firstDiaperAt, summary.firstDiaperAt);
+            totals.lastDiaperAt = highest(totals.lastDiaperAt, summary.lastDiaperAt);
+            totals.temperatureMin = lowest(totals.temperatureMin, summary.temperatureMin);
+            totals.temperatureMax = highest(totals.temperatureMax, summary.temperatureMax);
+            Object.entries(summary.medicines).forEach(([name, doses]) => {
+                totals.medicines[name] = (totals.medicines[name] || 0) + doses;
+            });
         });
+        return totals;
     }
 
-    calculateAverageInterval(feedings) {
-        if (feedings.length < 2) return 'N/A';
-        
-        let totalInterval = 0;
-        for (let i = 0; i < feedings.length - 1; i++) {
-            const current = new Date(feedings[i].timestamp);
-            const next = new Date(feedings[i + 1].timestamp);
-            totalInterval += Math.abs(current - next);
+    // Start of a statistics period, null for 'all'
+    getPeriodStart(period) {
+        const now = new Date();
+        if (period === 'today') {
+            return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        } else if (period === 'week') {
+            const startOfWeek = new Date(now);
+            startOfWeek.setDate(now.getDate() - now.getDay());
+            startOfWeek.setHours(0, 0, 0, 0);
+            return startOfWeek;
+        } else if (period === 'month') {
+            return new Date(now.getFullYear(), now.getMonth(), 1);
         }
-        
-        const avgMs = totalInterval / (feedings.length - 1);
-        const avgHours = avgMs / 3600000;
-        return `${avgHours.toFixed(1)}h`;
+        return null;
     }
 
-    filterByPeriod(period) {
-        const now = new Date();
-        const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        const startOfWeek = new Date(now);
-        startOfWeek.setDate(now.getDate() - now.getDay());
-        startOfWeek.setHours(0, 0, 0, 0);
-        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-
-        return this.feedings.filter(f => {
-            const feedingDate = new Date(f.timestamp);
-            if (period === 'today') {
-                return feedingDate >= startOfToday;
-            } else if (period === 'week') {
-                return feedingDate >= startOfWeek;
-            } else if (period === 'month') {
-                return feedingDate >= startOfMonth;
-            }
-            return true;
-        });
+    // Records of a statistics period, read from storage: the lists only hold the newest ones
+    async getPeriodRecords(storeName, period) {
+        const startDate = this.getPeriodStart(period);
+        return this.repository.getRecords(storeName, this.activeChildId, startDate ? { startDate } : {});
+    }
+
+    async getPeriodSummaries(period) {
+        const startDate = this.getPeriodStart(period);
+        return this.repository.getDailySummaries(this.activeChildId, startDate ? { startDate } : {});
+    }
+
+    async rebuildDailySummaries() {
+        try {
+            const days = await this.repository.rebuildDailySummaries();
+            await this.refreshStats();
+            alert(`Estadísticas recalculadas${days ? ` (${days} día(s) con registros)` : ''}.`);
+        } catch (error) {
+            console.error('Failed to rebuild daily summaries:', error);
+            alert('Error al recalcular las estadísticas.');
+        }
+    }
+
+    // ============= INTEGRITY CHECK =============
+
+    openIntegrityModal() {
+        document.getElementById('integrity-modal').classList.add('active');
+        this.runIntegrityCheck();
+    }
+
+    closeIntegrityModal() {
+        document.getElementById('integrity-modal').classList.remove('active');
+    }
+
+    async runIntegrityCheck() {
+        const container = document.getElementById('integrity-report');
+        const fixAll = document.getElementById('fix-all-integrity');
+        container.innerHTML = '<div class="empty-state"><p>Verificando...</p></div>';
+        fixAll.disabled = true;
+
+        let report;
+        try {
+            report = await this.integrityChecker.check();
+        } catch (error) {
+            console.error('Failed to check data integrity:', error);
+            container.innerHTML = '<div class="empty-state"><p>Error al verificar los datos</p></div>';
+            return;
+        }
+        this.integrityIssues = report.issues;
+        this.renderIntegrityReport(report);
+        fixAll.disabled = report.issues.length === 0;
+    }
+
+    renderIntegrityReport({ scanned, issues }) {
+        const container = document.getElementById('integrity-report');
+        if (issues.length === 0) {
+            container.innerHTML = `<div class="empty-state"><p>✅ ${scanned} registros revisados, no se encontraron problemas</p></div>`;
+            return;
+        }
+
+        const groups = {
+            invalidTime: { label: 'Fecha u hora inválida', fix: 'Recuperar la fecha de alta o mover a la papelera' },
+            indexFields: { label: 'Campos de fecha desactualizados', fix: 'Recalcular a partir de la hora' },
+            impossibleValue: { label: 'Valores imposibles', fix: 'Mover a la papelera' },
+            medicineState: { label: 'Medicamentos incoherentes', fix: 'Ajustar la próxima dosis, o desactivar los que no tienen intervalo ni próxima dosis' },
+            duplicate: { label: 'Registros duplicados', fix: 'Mover las copias a la papelera' }
+        };
+        const fieldLabels = { amount: 'cantidad', duration: 'duración', weight: 'peso', height: 'altura', value: 'temperatura' };
+        const formatTime = (record) => {
+            const time = record.time || record.timestamp;
+            return this.integrityChecker.isValidTime(time) ? this.formatDateTime(new Date(time).toISOString()) : 'Fecha inválida';
+        };
+
+        const summary = `<p class="setting-description">${scanned} registros revisados, ${issues.length} problema(s)</p>`;
+        container.innerHTML = summary + Object.entries(groups).map(([type, group]) => {
+            const groupIssues = issues.filter(issue => issue.type === type);
+            if (groupIssues.length === 0) return '';
+            return `
+                <div class="integrity-group">
+                    <div class="integrity-group-header">
+                        <h3>${group.label} (${groupIssues.length})</h3>
+                        <button class="btn btn-secondary" onclick="tracker.fixIntegrityIssues('${type}')">Reparar</button>
+                    </div>
+                    <p class="setting-description">${group.fix}</p>
+                    ${groupIssues.map(({ storeName, record, field }) => `
+                        <div class="feeding-item">
+                            <div class="feeding-info">
+                                <div class="feeding-time">${RECORD_TYPES[storeName].label} • ${formatTime(record)}</div>
+                                <div class="feeding-amount">${this.escapeHTML(this.describeRecord(storeName, record))}</div>
+                                ${field ? `<div class="diaper-notes">Revisar ${fieldLabels[field] || field}: ${this.escapeHTML(record[field])}</div>` : ''}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Apply the fixes of the last check, of one type of issue or all of them
+    async fixIntegrityIssues(type = null) {
+        const issues = this.integrityIssues.filter(issue => !type || issue.type === type);
+        if (issues.length === 0) return;
+        if (!confirm(`¿Reparar ${issues.length} problema(s)? Los registros movidos a la papelera se pueden restaurar.`)) return;
+
+        try {
+            const changed = await this.integrityChecker.fix(issues);
+            await this.loadFromStorage();
+            await this.renderAll();
+            await this.renderTemperatureChart();
+            alert(`${changed} registro(s) reparado(s).`);
+        } catch (error) {
+            console.error('Failed to fix data integrity issues:', error);
+            alert('Error al reparar los datos.');
+        }
+        await this.runIntegrityCheck();
     }
 
     // Graphs
     async updateGraphs(period) {
-        const filteredFeedings = this.filterByPeriod(period);
-        const filteredDiapers = this.filterDiapersByPeriod(period);
+        const filteredFeedings = await this.getPeriodRecords(STORES.FEEDINGS, period);
+        const filteredDiapers = await this.getPeriodRecords(STORES.DIAPERS, period);
         
         this.renderTimesChart(filteredFeedings, filteredDiapers);
         this.renderAmountsChart(filteredFeedings);
         this.renderGrowthCharts();
-        this.renderTemperatureChart();
+        await this.renderTemperatureChart();
     }
 
     renderGrowthCharts() {
@@ -2438,420 +3479,1560 @@ class FeedingTracker {
         ctx.fillText(message, canvas.width / 2, canvas.height / 2);
     }
 
-    exportCSV() {
-        const feedingsCSV = this.feedings.map(f => {
-            const type = f.type === 'bottle' ? 'Biberón' : 'Pecho';
-            const amount = f.type === 'bottle' ? f.amount : '';
-            const duration = f.type === 'breast' ? f.duration : '';
-            return `ALIMENTACION,${f.timestamp},${type},${amount},${duration},,${f.timezone}`;
-        }).join('\n');
-
-        const diapersCSV = this.diapers.map(d => {
-            const pee = d.hasPee ? 'Sí' : 'No';
-            const poop = d.hasPoop ? 'Sí' : 'No';
-            const notes = d.notes ? `"${d.notes.replace(/"/g, '""')}"` : '';
-            return `PANAL,${d.timestamp},${pee},${poop},${d.level},${notes},${d.timezone}`;
-        }).join('\n');
-
-        const measurementsCSV = this.measurements.map(m => {
-            const weight = m.weight || '';
-            const height = m.height || '';
-            return `CRECIMIENTO,${m.timestamp},${weight},${height},,,${m.timezone}`;
-        }).join('\n');
-
-        const csvContent = "data:text/csv;charset=utf-8," + 
-            "TIPO,FECHA,DETALLE1,DETALLE2,DETALLE3,NOTAS,ZONA_HORARIA\n" + 
-            feedingsCSV + "\n" + diapersCSV + "\n" + measurementsCSV;
-
-        const encodedUri = encodeURI(csvContent);
-        const link = document.createElement("a");
-        link.setAttribute("href", encodedUri);
-        link.setAttribute("download", "registro_bebe.csv");
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    // Exports every record of the profile, not only the loaded ones
+    async exportCSV() {
+        const recordsByStore = {};
+        for (const storeName of CHILD_STORES) {
+            recordsByStore[storeName] = await this.repository.getRecords(storeName, this.activeChildId);
+        }
+        const childSlug = this.getActiveChild().name.toLowerCase().replace(/\s+/g, '_');
+        this.downloadFile(recordCsv.export(recordsByStore), 'text/csv;charset=utf-8', `registro_${childSlug}.csv`);
+    }
+
+    // FHIR R4 Bundle of the growth, temperatures, doses given and vaccines of the profile
+    async exportFHIR() {
+        try {
+            const recordsByStore = {};
+            for (const storeName of [STORES.MEASUREMENTS, STORES.TEMPERATURES, STORES.MEDICINES, STORES.APPOINTMENTS]) {
+                recordsByStore[storeName] = await this.repository.getRecords(storeName, this.activeChildId);
+            }
+            const child = this.getActiveChild();
+            const bundle = fhirExporter.createBundle(child, recordsByStore);
+            const childSlug = child.name.toLowerCase().replace(/\s+/g, '_');
+            this.downloadFile(JSON.stringify(bundle, null, 2), FHIR_MIME_TYPE, `fhir_${childSlug}.json`);
+
+            const undated = Object.values(recordsByStore).flat().filter(record => !hasFhirTime(record)).length;
+            if (undated > 0) {
+                alert(`${undated} registro(s) con fecha inválida no se exportaron. Puedes repararlos con "Verificar Datos".`);
+            }
+        } catch (error) {
+            console.error('Failed to export FHIR bundle:', error);
+            alert('Error al exportar FHIR.');
+        }
+    }
+
+    // Upcoming appointments and the schedules of the active recurring medicines, with reminders
+    async exportCalendar() {
+        try {
+            const now = Date.now();
+            const appointments = (await this.repository.getRecords(STORES.APPOINTMENTS, this.activeChildId))
+                .filter(appointment => !appointment.completed && new Date(appointment.time).getTime() >= now);
+            // Schedules whose next dose cannot be read have nothing to repeat from
+            const medicines = (await this.repository.getRecords(STORES.MEDICINES, this.activeChildId))
+                .filter(medicine => medicine.active && medicine.interval > 0 && !isNaN(new Date(medicine.nextDose || NaN).getTime()));
+            if (appointments.length === 0 && medicines.length === 0) {
+                alert('No hay citas próximas ni medicamentos programados para exportar.');
+                return;
+            }
+            const childSlug = this.getActiveChild().name.toLowerCase().replace(/\s+/g, '_');
+            this.downloadFile(iCalendar.export(appointments, medicines), ICS_MIME_TYPE, `calendario_${childSlug}.ics`);
+        } catch (error) {
+            console.error('Failed to export calendar:', error);
+            alert('Error al exportar el calendario.');
+        }
     }
 
-    importCSV(event) {
+    /**
+     * Import the events of an .ics file, such as a clinic's invite, as appointments
+     * @param {Event} event - Change of a file input
+     */
+    importCalendar(event) {
         const file = event.target.files[0];
         if (!file) return;
 
         const reader = new FileReader();
         reader.onload = async (e) => {
             try {
-                const content = e.target.result;
-                const lines = content.split('\n');
-                const importedFeedings = [];
-                const importedDiapers = [];
-                const importedMeasurements = [];
-                let currentType = null;
-
-                for (let i = 1; i < lines.length; i++) {
-                    const line = lines[i].trim();
-                    if (!line) continue;
-
-                    const values = line.split(',');
-                    
-                    if (line.includes('ALIMENTACION') || currentType === 'feeding') {
-                        currentType = 'feeding';
-                        const feeding = {
-                            time: values[1],
-                            timestamp: values[1],
-                            type: values[2] === 'Biberón' ? 'bottle' : 'breast',
-                            amount: values[3] ? parseInt(values[3]) : null,
-                            duration: values[4] ? parseInt(values[4]) : null,
-                            timezone: values[6] || values[5] || this.timezone
-                        };
-                        
-                        importedFeedings.push(feeding);
-                    } else if (line.includes('PANAL') || currentType === 'diaper') {
-                        currentType = 'diaper';
-                        const diaper = {
-                            time: values[1],
-                            timestamp: values[1],
-                            hasPee: values[2] === 'Sí' || values[2] === 'Yes',
-                            hasPoop: values[3] === 'Sí' || values[3] === 'Yes',
-                            level: parseInt(values[4]) || 2,
-                            notes: values[5] ? values[5].replace(/^"|"$/g, '').replace(/""/g, '"') : '',
-                            timezone: values[6] || this.timezone
-                        };
-                        
-                        importedDiapers.push(diaper);
-                    } else if (line.includes('CRECIMIENTO') || currentType === 'measurement') {
-                        currentType = 'measurement';
-                        const measurement = {
-                            time: values[1],
-                            timestamp: values[1],
-                            weight: values[2] ? parseFloat(values[2]) : null,
-                            height: values[3] ? parseFloat(values[3]) : null,
-                            timezone: values[6] || values[5] || this.timezone
-                        };
-                        importedMeasurements.push(measurement);
-                    }
-                }
-
-                const totalImported = importedFeedings.length + importedDiapers.length + importedMeasurements.length;
-                if (totalImported === 0) {
-                    alert('No se encontraron datos válidos en el archivo');
-                    return;
-                }
-
-                if (confirm(`¿Importar ${importedFeedings.length} alimentaciones, ${importedDiapers.length} pañales y ${importedMeasurements.length} mediciones? Esto se agregará a los datos existentes.`)) {
-                    
-                    if (this.useIndexedDB) {
-                        // Save to IndexedDB
-                        for (const f of importedFeedings) await db.addFeeding(f);
-                        for (const d of importedDiapers) await db.addDiaper(d);
-                        for (const m of importedMeasurements) await db.addMeasurement(m);
-                        
-                        // Reload data
-                        await this.loadData();
-                    } else {
-                        // Save to LocalStorage
-                        // Assign IDs for local storage
-                        importedFeedings.forEach((f, idx) => f.id = Date.now() + idx);
-                        importedDiapers.forEach((d, idx) => d.id = Date.now() + idx + 10000);
-                        importedMeasurements.forEach((m, idx) => m.id = Date.now() + idx + 20000);
-
-                        this.feedings = [...importedFeedings, ...this.feedings];
-                        this.feedings.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-                        
-                        this.diapers = [...importedDiapers, ...this.diapers];
-                        this.diapers.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-                        this.measurements = [...importedMeasurements, ...this.measurements];
-                        this.measurements.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-                        
-                        this.saveToLocalStorage();
-                    }
-
-                    this.renderFeedingList();
-                    this.renderDiaperList();
-                    this.renderMeasurementList();
-                    this.updateDiaperTodaySummary();
-                    this.updateStats('today');
-                    this.updateGraphs('today');
-                    alert('¡Importación exitosa!');
-                }
+                const result = iCalendar.import(e.target.result);
+                await this.openImportPreview(result.rows, result.errors);
             } catch (error) {
                 console.error(error);
-                alert('Error al importar CSV: ' + error.message);
+                alert('Error al importar el calendario: ' + error.message);
             }
         };
         reader.readAsText(file);
-        
+
         // Reset file input
         event.target.value = '';
     }
 
-    // Storage Management (supports both IndexedDB and localStorage)
-    async saveToStorage() {
-        if (this.useIndexedDB) {
-            // IndexedDB saves happen immediately on add/delete, so we just save settings
-            await db.setMetadata('timezone', this.timezone);
-            await db.setMetadata('darkMode', this.darkMode);
-            await db.setMetadata('defaultInterval', this.defaultInterval);
-            await db.setMetadata('dailyMilkTarget', this.dailyMilkTarget);
-            await db.setMetadata('birthDate', this.birthDate);
-            await db.setMetadata('notificationsEnabled', this.notificationsEnabled);
-        } else {
-            // Fallback to localStorage
-            this.saveToLocalStorage();
+    // ============= TRASH =============
+
+    // Short description of a record for the trash list
+    describeRecord(storeName, record) {
+        switch (storeName) {
+            case STORES.FEEDINGS:
+                return record.type === 'bottle' ? `Biberón ${record.amount} ml` : `Pecho ${record.duration} min`;
+            case STORES.DIAPERS:
+                return [record.hasPee && 'Pipí', record.hasPoop && 'Popó'].filter(Boolean).join(' + ');
+            case STORES.MEASUREMENTS:
+                return [record.weight && `${record.weight} kg`, record.height && `${record.height} cm`].filter(Boolean).join(' • ');
+            case STORES.MEDICINES:
+                return `${record.name} - ${record.dose}`;
+            case STORES.TEMPERATURES:
+                return `${record.value}°C`;
+            default:
+                return record.title || '';
         }
     }
 
-    saveToLocalStorage() {
-        localStorage.setItem('feedings', JSON.stringify(this.feedings));
-        localStorage.setItem('diapers', JSON.stringify(this.diapers));
-        localStorage.setItem('measurements', JSON.stringify(this.measurements));
-        localStorage.setItem('medicines', JSON.stringify(this.medicines));
-        localStorage.setItem('temperatures', JSON.stringify(this.temperatures));
-        localStorage.setItem('appointments', JSON.stringify(this.appointments));
-        localStorage.setItem('journalEntries', JSON.stringify(this.journalEntries));
-        localStorage.setItem('timezone', this.timezone);
-        localStorage.setItem('darkMode', JSON.stringify(this.darkMode));
-        localStorage.setItem('defaultInterval', this.defaultInterval.toString());
-        localStorage.setItem('dailyMilkTarget', this.dailyMilkTarget.toString());
-        if (this.birthDate) localStorage.setItem('birthDate', this.birthDate);
-        localStorage.setItem('notificationsEnabled', JSON.stringify(this.notificationsEnabled));
-    }
+    async moveToTrash(storeName, id) {
+        const { list, label } = RECORD_TYPES[storeName];
+        if (!this[list].some(r => r.id === id)) return;
 
-    // Load from IndexedDB
-    async loadFromStorage() {
         try {
-            // Load feedings
-            const feedingsData = await db.getFeedings();
-            this.feedings = feedingsData.map(f => ({
-                id: f.id,
-                timestamp: f.time, // Convert back to old format
-                type: f.type,
-                amount: f.amount,
-                duration: f.duration,
-                nextFeedingInterval: f.nextFeedingInterval,
-                timezone: f.timezone
-            }));
-
-            // Load diapers
-            const diapersData = await db.getDiapers();
-            this.diapers = diapersData.map(d => ({
-                id: d.id,
-                timestamp: d.time, // Convert back to old format
-                hasPee: d.hasPee,
-                hasPoop: d.hasPoop,
-                level: d.level,
-                notes: d.notes,
-                timezone: d.timezone
-            }));
+            await this.repository.trashRecord(storeName, id);
+            this[list] = this[list].filter(r => r.id !== id);
 
-            // Load measurements
-            const measurementsData = await db.getMeasurements();
-            this.measurements = measurementsData.map(m => ({
-                id: m.id,
-                timestamp: m.time,
-                weight: m.weight,
-                height: m.height,
-                timezone: m.timezone
-            }));
+            await this.renderAll();
+            await this.renderTemperatureChart();
+            this.showUndoToast(`${label} movido a la papelera`, () => this.restoreTrashItems([{ storeName, id }]));
+        } catch (error) {
+            console.error('Failed to move record to trash:', error);
+            alert('Error al eliminar el registro.');
+        }
+    }
 
-            // Load medicines
-            const medicinesData = await db.getMedicines();
-            this.medicines = medicinesData.map(m => ({
-                id: m.id,
-                timestamp: m.time,
-                name: m.name,
-                dose: m.dose,
-                interval: m.interval,
-                notes: m.notes,
-                active: m.active,
-                nextDose: m.nextDose,
-                timezone: m.timezone
-            }));
+    // Trash every record of the active child, returns the shared deletedAt stamp
+    async trashAllRecords() {
+        const deletedAt = await this.repository.trashChildData(this.activeChildId);
+        Object.values(RECORD_TYPES).forEach(({ list }) => { this[list] = []; });
 
-            // Load temperatures
-            const temperaturesData = await db.getTemperatures();
-            this.temperatures = temperaturesData.map(t => ({
-                id: t.id,
-                timestamp: t.time,
-                value: t.value,
-                notes: t.notes,
-                timezone: t.timezone
-            }));
+        await this.renderAll();
+        await this.renderTemperatureChart();
+        return deletedAt;
+    }
 
-            // Load appointments
-            const appointmentsData = await db.getAppointments();
-            this.appointments = appointmentsData.map(a => ({
-                id: a.id,
-                timestamp: a.time,
-                type: a.type,
-                title: a.title,
-                location: a.location,
-                notes: a.notes,
-                completed: a.completed,
-                timezone: a.timezone
-            }));
+    // ============= RANGED DELETION =============
 
-            // Load journal entries
-            const journalData = await db.getJournalEntries();
-            this.journalEntries = journalData.map(j => ({
-                id: j.id,
-                timestamp: j.time,
-                category: j.category,
-                title: j.title,
-                description: j.description,
-                tags: j.tags,
-                timezone: j.timezone
-            }));
+    openDeleteRangeModal() {
+        document.getElementById('delete-range-types').innerHTML = Object.entries(RECORD_TYPES).map(([storeName, { label }]) => `
+            <label class="checkbox-label">
+                <input type="checkbox" value="${storeName}">
+                <span class="checkbox-custom">${label}</span>
+            </label>
+        `).join('');
+        document.getElementById('delete-range-start').value = '';
+        document.getElementById('delete-range-end').value = '';
+        document.getElementById('delete-range-modal').classList.add('active');
+        this.updateDeleteRangePreview();
+    }
 
-            // Load settings from metadata
-            const timezone = await db.getMetadata('timezone');
-            if (timezone) this.timezone = timezone;
+    closeDeleteRangeModal() {
+        document.getElementById('delete-range-modal').classList.remove('active');
+    }
 
-            const darkMode = await db.getMetadata('darkMode');
-            if (darkMode !== null) this.darkMode = darkMode;
+    // Chosen stores and whole local days; an empty date leaves that side open
+    getDeleteRangeSelection() {
+        const storeNames = [...document.querySelectorAll('#delete-range-types input:checked')].map(input => input.value);
+        const start = document.getElementById('delete-range-start').value;
+        const end = document.getElementById('delete-range-end').value;
+        const range = {};
+        if (start) range.startDate = this.parseDateKey(start);
+        if (end) {
+            const endDay = this.parseDateKey(end);
+            range.endDate = new Date(endDay.getFullYear(), endDay.getMonth(), endDay.getDate() + 1).getTime() - 1;
+        }
+        return { storeNames, range };
+    }
 
-            const defaultInterval = await db.getMetadata('defaultInterval');
-            if (defaultInterval) {
-                this.defaultInterval = defaultInterval;
-                const intervalInput = document.getElementById('next-feeding-interval');
-                if (intervalInput) intervalInput.value = this.defaultInterval;
-            }
+    async updateDeleteRangePreview() {
+        const preview = document.getElementById('delete-range-preview');
+        const submit = document.getElementById('delete-range-submit');
+        const { storeNames, range } = this.getDeleteRangeSelection();
+        submit.disabled = true;
 
-            const dailyMilkTarget = await db.getMetadata('dailyMilkTarget');
-            if (dailyMilkTarget) {
-                this.dailyMilkTarget = dailyMilkTarget;
-                const targetInput = document.getElementById('daily-milk-target');
-                if (targetInput) targetInput.value = this.dailyMilkTarget;
-            }
+        if (storeNames.length === 0) {
+            preview.textContent = 'Elige al menos un tipo de registro';
+            return;
+        }
+        if (range.startDate && range.endDate && range.startDate.getTime() > range.endDate) {
+            preview.textContent = 'La fecha inicial es posterior a la final';
+            return;
+        }
 
-            const birthDate = await db.getMetadata('birthDate');
-            if (birthDate) {
-                this.birthDate = birthDate;
-                const birthInput = document.getElementById('birth-date');
-                if (birthInput) birthInput.value = this.birthDate;
-            }
+        try {
+            const counts = await this.repository.countRecordsInRange(this.activeChildId, storeNames, range);
+            const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+            preview.innerHTML = total === 0
+                ? 'No hay registros que coincidan'
+                : `Se moverán ${total} registros a la papelera:<br>${storeNames
+                    .filter(storeName => counts[storeName] > 0)
+                    .map(storeName => `${RECORD_TYPES[storeName].label}: ${counts[storeName]}`)
+                    .join(' • ')}`;
+            submit.disabled = total === 0;
+        } catch (error) {
+            console.error('Failed to count records:', error);
+            preview.textContent = 'Error al contar los registros';
+        }
+    }
 
-            const notificationsEnabled = await db.getMetadata('notificationsEnabled');
-            if (notificationsEnabled !== null) {
-                this.notificationsEnabled = notificationsEnabled;
-                const notifToggle = document.getElementById('notifications-toggle');
-                if (notifToggle) notifToggle.checked = this.notificationsEnabled;
-                if (this.notificationsEnabled) this.startNotificationScheduler();
-            }
+    async trashRecordsInRange() {
+        const { storeNames, range } = this.getDeleteRangeSelection();
+        if (storeNames.length === 0) return;
+        const childName = this.getActiveChild().name;
+        if (!confirm(`¿Mover a la papelera los registros elegidos de ${childName}?`)) return;
 
-            console.log(`📊 Loaded ${this.feedings.length} feedings, ${this.diapers.length} diapers, ${this.measurements.length} measurements, ${this.medicines.length} medicines, ${this.temperatures.length} temperatures, ${this.appointments.length} appointments, and ${this.journalEntries.length} journal entries`);
+        try {
+            const { deletedAt, count } = await this.repository.trashRecordsInRange(this.activeChildId, storeNames, range);
+            this.closeDeleteRangeModal();
+            await this.loadFromStorage();
+            await this.renderAll();
+            await this.renderTemperatureChart();
+            this.showUndoToast(`${count} registros movidos a la papelera`, async () => {
+                const items = (await this.getTrashItems()).filter(item => item.record.deletedAt === deletedAt);
+                await this.restoreTrashItems(items);
+            });
         } catch (error) {
-            console.error('Failed to load from IndexedDB:', error);
-            throw error;
+            console.error('Failed to delete records:', error);
+            alert('Error al eliminar los registros.');
         }
     }
 
-    loadFromLocalStorage() {
-        const feedingsData = localStorage.getItem('feedings');
-        if (feedingsData) {
-            this.feedings = JSON.parse(feedingsData);
-        }
+    // Trashed records of the active child, newest deletion first
+    async getTrashItems() {
+        return this.repository.getTrash(this.activeChildId);
+    }
 
-        const diapersData = localStorage.getItem('diapers');
-        if (diapersData) {
-            this.diapers = JSON.parse(diapersData);
-        }
+    async restoreTrashItems(items) {
+        try {
+            await this.repository.restoreRecords(items.map(({ storeName, id, record }) => ({ storeName, id: id ?? record.id })));
+            await this.loadFromStorage();
 
-        const measurementsData = localStorage.getItem('measurements');
-        if (measurementsData) {
-            this.measurements = JSON.parse(measurementsData);
+            await this.renderAll();
+            await this.renderTemperatureChart();
+            if (document.getElementById('trash-modal').classList.contains('active')) {
+                await this.renderTrashList();
+            }
+        } catch (error) {
+            console.error('Failed to restore records:', error);
+            alert('Error al restaurar los registros.');
         }
+    }
 
-        const medicinesData = localStorage.getItem('medicines');
-        if (medicinesData) {
-            this.medicines = JSON.parse(medicinesData);
-        }
+    async restoreTrashItem(storeName, id) {
+        await this.restoreTrashItems([{ storeName, id }]);
+    }
 
-        const temperaturesData = localStorage.getItem('temperatures');
-        if (temperaturesData) {
-            this.temperatures = JSON.parse(temperaturesData);
-        }
+    async purgeTrashItems(items) {
+        await this.repository.purgeRecords(items.map(({ storeName, record }) => ({ storeName, id: record.id })));
+    }
 
-        const appointmentsData = localStorage.getItem('appointments');
-        if (appointmentsData) {
-            this.appointments = JSON.parse(appointmentsData);
+    async purgeTrashItem(storeName, id) {
+        if (!confirm('¿Eliminar definitivamente este registro? Esta acción no se puede deshacer.')) return;
+        try {
+            const items = (await this.getTrashItems()).filter(item => item.storeName === storeName && item.record.id === id);
+            await this.purgeTrashItems(items);
+            await this.renderTrashList();
+        } catch (error) {
+            console.error('Failed to purge record:', error);
+            alert('Error al eliminar el registro.');
         }
+    }
 
-        const journalData = localStorage.getItem('journalEntries');
-        if (journalData) {
-            this.journalEntries = JSON.parse(journalData);
+    async emptyTrash() {
+        const items = await this.getTrashItems();
+        if (items.length === 0) return;
+        if (!confirm(`¿Eliminar definitivamente ${items.length} registros de la papelera? Esta acción no se puede deshacer.`)) return;
+        try {
+            await this.purgeTrashItems(items);
+            await this.renderTrashList();
+        } catch (error) {
+            console.error('Failed to empty trash:', error);
+            alert('Error al vaciar la papelera.');
         }
+    }
 
-        const timezoneData = localStorage.getItem('timezone');
-        if (timezoneData) {
-            this.timezone = timezoneData;
+    // Permanently delete records that have been in the trash longer than the retention period
+    async purgeExpiredTrash() {
+        const cutoff = Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+        try {
+            const purged = await this.repository.purgeTrash(cutoff);
+            if (purged > 0) console.log(`🗑️ Purged ${purged} expired records from the trash`);
+        } catch (error) {
+            console.warn('Failed to purge expired trash:', error);
         }
+    }
 
-        const darkModeData = localStorage.getItem('darkMode');
-        if (darkModeData) {
-            this.darkMode = JSON.parse(darkModeData);
-        }
+    openTrashModal() {
+        document.getElementById('trash-modal').classList.add('active');
+        this.renderTrashList();
+    }
 
-        const defaultIntervalData = localStorage.getItem('defaultInterval');
-        if (defaultIntervalData) {
-            this.defaultInterval = parseFloat(defaultIntervalData);
-            const intervalInput = document.getElementById('next-feeding-interval');
-            if (intervalInput) intervalInput.value = this.defaultInterval;
-        }
+    closeTrashModal() {
+        document.getElementById('trash-modal').classList.remove('active');
+    }
 
-        const dailyMilkTargetData = localStorage.getItem('dailyMilkTarget');
-        if (dailyMilkTargetData) {
-            this.dailyMilkTarget = parseInt(dailyMilkTargetData);
-            const targetInput = document.getElementById('daily-milk-target');
-            if (targetInput) targetInput.value = this.dailyMilkTarget;
-        }
+    async renderTrashList() {
+        const container = document.getElementById('trash-list');
+        const items = await this.getTrashItems();
 
-        const birthDateData = localStorage.getItem('birthDate');
-        if (birthDateData) {
-            this.birthDate = birthDateData;
-            const birthInput = document.getElementById('birth-date');
-            if (birthInput) birthInput.value = this.birthDate;
+        if (items.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>La papelera está vacía</p></div>';
+            return;
         }
 
-        const notificationsEnabled = localStorage.getItem('notificationsEnabled');
-        if (notificationsEnabled) {
-            this.notificationsEnabled = JSON.parse(notificationsEnabled);
-            const notifToggle = document.getElementById('notifications-toggle');
-            if (notifToggle) notifToggle.checked = this.notificationsEnabled;
-            if (this.notificationsEnabled) this.startNotificationScheduler();
-        }
+        container.innerHTML = items.map(({ storeName, record }) => `
+            <div class="feeding-item">
+                <div class="feeding-info">
+                    <div class="feeding-time">${RECORD_TYPES[storeName].label} • ${this.formatDateTime(record.time || record.timestamp)}</div>
+                    <div class="feeding-amount">${this.escapeHTML(this.describeRecord(storeName, record))}</div>
+                    <div class="diaper-notes">Eliminado ${this.formatDateTime(new Date(record.deletedAt).toISOString())}</div>
+                </div>
+                <div class="feeding-actions">
+                    <button class="btn btn-secondary" onclick="tracker.restoreTrashItem('${storeName}', ${record.id})">Restaurar</button>
+                    <button class="btn btn-danger" onclick="tracker.purgeTrashItem('${storeName}', ${record.id})">Eliminar</button>
+                </div>
+            </div>
+        `).join('');
     }
 
-    // ============= ANALYTICS FUNCTIONS =============
+    showUndoToast(message, undoAction) {
+        const toast = document.getElementById('toast');
+        document.getElementById('toast-message').textContent = message;
+        toast.classList.add('visible');
 
-    populateMedicineFilter() {
-        const select = document.getElementById('medicine-filter');
-        if (!select) return;
+        this.undoAction = undoAction;
+        clearTimeout(this.undoTimer);
+        this.undoTimer = setTimeout(() => this.hideToast(), 8000);
+    }
 
-        // Get unique medicine names
-        const uniqueMedicines = [...new Set(this.medicines.map(m => m.name))];
-        
-        select.innerHTML = '<option value="">Todos los medicamentos</option>';
-        uniqueMedicines.forEach(name => {
-            const option = document.createElement('option');
-            option.value = name;
-            option.textContent = name;
-            select.appendChild(option);
-        });
+    hideToast() {
+        document.getElementById('toast').classList.remove('visible');
+        this.undoAction = null;
     }
 
-    generateAnalytics() {
-        // Get selected time range
-        const activeRangeBtn = document.querySelector('.time-range-btn.active');
-        const daysRange = parseInt(activeRangeBtn.dataset.range);
-        
-        // Get selected variables
-        const selectedVars = Array.from(document.querySelectorAll('.analytics-var:checked'))
-            .map(cb => cb.dataset.var);
-        
-        if (selectedVars.length === 0) {
-            alert('Por favor selecciona al menos una variable para analizar');
-            return;
-        }
+    async runUndo() {
+        const undoAction = this.undoAction;
+        clearTimeout(this.undoTimer);
+        this.hideToast();
+        if (undoAction) await undoAction();
+    }
+
+    // ============= CHANGE HISTORY =============
+
+    describeAuditAction(entry) {
+        const actions = {
+            create: 'creó',
+            update: 'modificó',
+            delete: 'eliminó',
+            restore: 'restauró',
+            purge: 'eliminó definitivamente',
+            archive: 'archivó'
+        };
+        return `${entry.caregiver || 'Alguien'} ${actions[entry.action] || entry.action}`;
+    }
+
+    // Fields that changed between two snapshots, ignoring computed ones
+    describeAuditChanges(entry) {
+        if (entry.action !== 'update' || !entry.before || !entry.after) return [];
+
+        const fieldLabels = {
+            time: 'Hora', type: 'Tipo', amount: 'Cantidad', duration: 'Duración',
+            hasPee: 'Pipí', hasPoop: 'Popó', level: 'Nivel', notes: 'Notas',
+            weight: 'Peso', height: 'Altura', name: 'Nombre', dose: 'Dosis',
+            interval: 'Intervalo', active: 'Activo', nextDose: 'Próxima dosis',
+            value: 'Temperatura', title: 'Título', location: 'Lugar',
+            category: 'Categoría', description: 'Descripción', tags: 'Etiquetas'
+        };
+        const format = (field, value) => {
+            if (value === null || value === undefined || value === '') return '—';
+            if (field === 'time' || field === 'nextDose') {
+                // Repairs of the integrity check log the unreadable time they replaced
+                return isNaN(new Date(value).getTime()) ? 'Fecha inválida' : this.formatDateTime(value);
+            }
+            if (typeof value === 'boolean') return value ? 'Sí' : 'No';
+            return Array.isArray(value) ? value.join(', ') : value;
+        };
+
+        return Object.keys(fieldLabels)
+            .filter(field => JSON.stringify(entry.before[field]) !== JSON.stringify(entry.after[field]))
+            .map(field => `${fieldLabels[field]}: ${format(field, entry.before[field])} → ${format(field, entry.after[field])}`);
+    }
+
+    renderAuditEntries(entries, showRecord) {
+        return entries.map(entry => {
+            const record = entry.after || entry.before;
+            const changes = this.describeAuditChanges(entry);
+            const type = RECORD_TYPES[entry.storeName];
+            return `
+                <div class="feeding-item">
+                    <div class="feeding-info">
+                        <div class="feeding-time">${this.formatDateTime(new Date(entry.timestamp).toISOString())}</div>
+                        <div class="feeding-amount">
+                            👤 ${this.escapeHTML(this.describeAuditAction(entry))}
+                            ${showRecord && type ? ` ${type.label} • ${this.escapeHTML(this.describeRecord(entry.storeName, record))}` : ''}
+                        </div>
+                        ${changes.map(change => `<div class="diaper-notes">${this.escapeHTML(change)}</div>`).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async showRecordHistory(storeName, id) {
+        try {
+            const entries = await this.repository.getRecordHistory(storeName, id);
+            const container = document.getElementById('history-list');
+            container.innerHTML = entries.length === 0
+                ? '<div class="empty-state"><p>Este registro no tiene historial</p></div>'
+                : this.renderAuditEntries(entries, false);
+            document.getElementById('history-modal').classList.add('active');
+        } catch (error) {
+            console.error('Failed to load record history:', error);
+            alert('Error al cargar el historial.');
+        }
+    }
+
+    closeHistoryModal() {
+        document.getElementById('history-modal').classList.remove('active');
+    }
+
+    async renderActivityFeed() {
+        const container = document.getElementById('activity-feed');
+        if (!container) return;
+
+        const entries = await this.repository.getActivity({ childId: this.activeChildId, limit: 30 });
+        container.innerHTML = entries.length === 0
+            ? '<div class="empty-state"><p>Sin actividad todavía</p></div>'
+            : this.renderAuditEntries(entries, true);
+    }
+
+    // ============= BACKUP / RESTORE =============
+
+    async exportBackup() {
+        if (!this.repository.features.backup) {
+            alert('La copia de seguridad completa requiere IndexedDB.');
+            return;
+        }
+
+        try {
+            const backup = await this.backupManager.createBackup();
+            this.downloadBackupFile(backup, `copia_seguridad_${backup.createdAt.slice(0, 10)}.json`);
+        } catch (error) {
+            console.error('Failed to create backup:', error);
+            alert('Error al crear la copia de seguridad.');
+        }
+    }
+
+    downloadBackupFile(backup, fileName) {
+        this.downloadFile(JSON.stringify(backup), 'application/json', fileName);
+    }
+
+    downloadFile(content, type, fileName) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.setAttribute('href', url);
+        link.setAttribute('download', fileName);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // Move the records older than the chosen day, of every profile, to an archive file
+    async archiveOldRecords() {
+        if (!this.repository.features.backup) {
+            alert('El archivo de registros requiere IndexedDB.');
+            return;
+        }
+        const value = document.getElementById('archive-before').value;
+        if (!value) {
+            alert('Elige la fecha hasta la que archivar.');
+            return;
+        }
+
+        const [year, month, day] = value.split('-').map(Number);
+        const before = new Date(year, month - 1, day);
+        try {
+            const archive = await this.backupManager.createArchive(before.getTime());
+            const count = this.backupManager.countArchived(archive);
+            if (count === 0) {
+                alert('No hay registros anteriores a esa fecha.');
+                return;
+            }
+            if (!confirm(`Se descargará un archivo con ${count} registros anteriores al ${before.toLocaleDateString('es-ES')}, de todos los perfiles, y se quitarán de la aplicación. Guarda bien el archivo: será la única copia. ¿Continuar?`)) return;
+
+            this.downloadBackupFile(archive, `archivo_hasta_${value}.json`);
+            await this.backupManager.removeArchived(archive);
+            await this.loadFromStorage();
+            await this.renderAll();
+            await this.renderTemperatureChart();
+            await this.renderStorageUsage();
+            alert(`${count} registros archivados.`);
+        } catch (error) {
+            console.error('Failed to archive records:', error);
+            alert('Error al archivar los registros.');
+        }
+    }
+
+    openRestoreModal(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        event.target.value = '';
+
+        if (!this.repository.features.backup) {
+            alert('La restauración de copias requiere IndexedDB.');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let counts;
+            try {
+                this.pendingBackup = this.backupManager.parse(e.target.result);
+                counts = this.backupManager.validate(this.pendingBackup);
+            } catch (error) {
+                console.error('Invalid backup file:', error);
+                alert(`El archivo no es una copia válida: ${error.message}`);
+                return;
+            }
+
+            const total = Object.entries(counts)
+                .filter(([storeName]) => storeName !== STORES.METADATA && storeName !== STORES.ATTACHMENTS)
+                .reduce((sum, [, count]) => sum + count, 0);
+            // Archives can only be merged back: replacing would drop every newer record
+            const isArchive = this.backupManager.isArchive(this.pendingBackup);
+            document.getElementById('restore-summary').innerHTML = `
+                <p>${isArchive
+                    ? `Archivo de los registros anteriores al ${new Date(this.pendingBackup.archivedBefore).toLocaleDateString('es-ES')}`
+                    : `Copia del ${this.formatDateTime(this.pendingBackup.createdAt)}`}</p>
+                <p>${counts[STORES.CHILDREN] || 0} perfiles • ${total} registros en total${counts[STORES.ATTACHMENTS] ? ` • ${counts[STORES.ATTACHMENTS]} fotos` : ''}</p>
+            `;
+            document.getElementById('restore-replace').style.display = isArchive ? 'none' : '';
+            document.getElementById('restore-modal').classList.add('active');
+        };
+        reader.readAsText(file);
+    }
+
+    closeRestoreModal() {
+        document.getElementById('restore-modal').classList.remove('active');
+        this.pendingBackup = null;
+    }
+
+    async restoreBackup(mode) {
+        if (!this.pendingBackup) return;
+        if (mode === 'replace' && !confirm('Se borrarán todos los datos actuales. ¿Continuar?')) return;
+
+        try {
+            await this.backupManager.restore(this.pendingBackup, mode);
+            this.closeRestoreModal();
+            await this.reloadAll();
+            alert('Copia restaurada correctamente.');
+        } catch (error) {
+            console.error('Failed to restore backup:', error);
+            alert('Error al restaurar la copia. No se modificó ningún dato.');
+        }
+    }
+
+    // Reload profiles, records and settings after the database changed underneath
+    async reloadAll() {
+        await this.loadChildren();
+        await this.repository.adoptOrphanRecords(this.children[0].id);
+        await this.loadFromStorage();
+        await this.loadPinLock();
+        document.getElementById('timezone').value = this.timezone;
+        this.applyDarkMode();
+        this.renderChildSwitcher();
+        this.renderChildList();
+        await this.renderAll();
+    }
+
+    // Another tab changed these stores: reload them and re-render.
+    // Each tab keeps its own active child.
+    async applyTabChanges(storeNames) {
+        try {
+            if (storeNames.includes(STORES.CHILDREN)) {
+                this.children = await this.repository.getChildren();
+                if (!this.children.some(c => c.id === this.activeChildId)) {
+                    this.activeChildId = this.children[0].id;
+                    storeNames = Object.keys(RECORD_TYPES);
+                }
+                this.birthDate = this.getActiveChild().birthDate || null;
+                this.renderChildSwitcher();
+                this.renderChildList();
+            }
+            if (storeNames.includes(STORES.METADATA)) {
+                // Records of a new key cannot be read: unlock again
+                if (this.repository.features.encryption && await this.repository.hasKeyChanged()) {
+                    location.reload();
+                    return;
+                }
+                await this.loadSettings();
+                await this.loadPinLock();
+                document.getElementById('timezone').value = this.timezone;
+                this.applyDarkMode();
+            }
+            await this.loadRecords(storeNames.filter(storeName => RECORD_TYPES[storeName]));
+            await this.renderAll();
+        } catch (error) {
+            console.error('Failed to apply changes from another tab:', error);
+        }
+    }
+
+    // ============= SYNC =============
+
+    async renderSyncStatus() {
+        const status = document.getElementById('sync-status');
+        if (!this.repository.features.sync) {
+            status.textContent = 'La sincronización requiere IndexedDB.';
+            return;
+        }
+
+        const state = await syncEngine.getStatus();
+        document.getElementById('sync-url').value = state.url || '';
+        document.getElementById('sync-token').value = state.token || '';
+        if (!state.enabled) {
+            status.textContent = 'Desactivada';
+            return;
+        }
+        const lastSync = state.lastSyncAt ? this.formatDateTime(new Date(state.lastSyncAt).toISOString()) : 'nunca';
+        status.textContent = [
+            `Última sincronización: ${lastSync}`,
+            `${state.pending} cambios pendientes`,
+            `${state.conflicts} conflictos`,
+            state.lastError ? `⚠️ ${state.lastError}` : ''
+        ].filter(Boolean).join(' • ');
+    }
+
+    async saveSyncSettings() {
+        if (!this.repository.features.sync) {
+            alert('La sincronización requiere IndexedDB.');
+            return;
+        }
+
+        try {
+            await syncEngine.configure(
+                document.getElementById('sync-url').value,
+                document.getElementById('sync-token').value
+            );
+            await this.renderSyncStatus();
+        } catch (error) {
+            console.error('Failed to save sync settings:', error);
+            alert('La dirección del servidor no es válida.');
+        }
+    }
+
+    async syncNow() {
+        if (!syncEngine.isEnabled()) {
+            alert('Configura primero la dirección del servidor.');
+            return;
+        }
+
+        try {
+            const result = await syncEngine.sync();
+            if (!result) alert('Sin conexión. Los cambios se enviarán al recuperarla.');
+        } catch (error) {
+            alert(`Error al sincronizar: ${error.message}. Se reintentará automáticamente.`);
+        }
+        await this.renderSyncStatus();
+    }
+
+    async openConflictsModal() {
+        if (!this.repository.features.sync) return;
+
+        const conflicts = await syncEngine.getConflicts();
+        const container = document.getElementById('conflicts-list');
+        container.innerHTML = conflicts.length === 0
+            ? '<div class="empty-state"><p>No hay conflictos</p></div>'
+            : conflicts.map(conflict => {
+                const type = RECORD_TYPES[conflict.storeName];
+                const describe = record => {
+                    if (!record) return 'eliminado';
+                    return type ? this.describeRecord(conflict.storeName, record) : record.name;
+                };
+                return `
+                    <div class="feeding-item">
+                        <div class="feeding-info">
+                            <div class="feeding-time">${this.formatDateTime(new Date(conflict.timestamp).toISOString())}</div>
+                            <div class="feeding-amount">${type ? type.label : '👶 Perfil'}</div>
+                            <div class="diaper-notes">Este dispositivo: ${describe(conflict.local)}${conflict.winner === 'local' ? ' ✅' : ''}</div>
+                            <div class="diaper-notes">${conflict.caregiver || 'Otro dispositivo'}: ${describe(conflict.remote)}${conflict.winner === 'remote' ? ' ✅' : ''}${conflict.error ? ' ⚠️ No se pudo guardar' : ''}</div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        document.getElementById('conflicts-modal').classList.add('active');
+    }
+
+    closeConflictsModal() {
+        document.getElementById('conflicts-modal').classList.remove('active');
+    }
+
+    async clearConflicts() {
+        await syncEngine.clearConflicts();
+        await this.openConflictsModal();
+        await this.renderSyncStatus();
+    }
+
+    // ============= ENCRYPTION =============
+
+    // Ask for the passphrase of an encrypted database; the modal stays open
+    // until init() has unlocked it
+    requestPassphrase(error) {
+        const modal = document.getElementById('unlock-modal');
+        const form = document.getElementById('unlock-form');
+        const input = document.getElementById('unlock-passphrase');
+        const message = document.getElementById('unlock-error');
+        const submit = document.getElementById('unlock-submit');
+
+        message.textContent = error ? 'Contraseña incorrecta. Inténtalo de nuevo.' : '';
+        input.value = '';
+        submit.disabled = false;
+        modal.classList.add('active');
+        input.focus();
+
+        return new Promise(resolve => {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                message.textContent = 'Desbloqueando...';
+                submit.disabled = true;
+                resolve(input.value);
+            }, { once: true });
+        });
+    }
+
+    async renderEncryptionStatus() {
+        const status = document.getElementById('encryption-status');
+        const supported = this.repository.features.encryption;
+        const enabled = supported && await this.repository.isEncrypted();
+
+        if (!supported) status.textContent = 'El cifrado requiere IndexedDB.';
+        else status.textContent = enabled ? '🔒 Activado' : 'Desactivado';
+
+        document.getElementById('encryption-current-group').style.display = enabled ? '' : 'none';
+        document.getElementById('encryption-new-group').style.display = supported ? '' : 'none';
+        document.getElementById('enable-encryption').style.display = supported && !enabled ? '' : 'none';
+        document.getElementById('change-passphrase').style.display = enabled ? '' : 'none';
+        document.getElementById('disable-encryption').style.display = enabled ? '' : 'none';
+    }
+
+    // New passphrase from the settings form, null (after an alert) when it is not valid
+    readNewPassphrase() {
+        const passphrase = document.getElementById('encryption-new').value;
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            alert(`La contraseña debe tener al menos ${MIN_PASSPHRASE_LENGTH} caracteres.`);
+            return null;
+        }
+        if (passphrase !== document.getElementById('encryption-confirm').value) {
+            alert('Las contraseñas no coinciden.');
+            return null;
+        }
+        return passphrase;
+    }
+
+    clearEncryptionInputs() {
+        ['encryption-current', 'encryption-new', 'encryption-confirm'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+    }
+
+    alertEncryptionError(error, message) {
+        if (error instanceof WrongPassphraseError) {
+            alert('La contraseña actual no es correcta. No se modificó ningún dato.');
+        } else {
+            console.error('Encryption change failed:', error);
+            alert(message);
+        }
+    }
+
+    async enableEncryption() {
+        const passphrase = this.readNewPassphrase();
+        if (!passphrase) return;
+        if (!confirm('Si olvidas la contraseña no podrás recuperar los datos. ¿Activar el cifrado?')) return;
+
+        try {
+            await this.repository.enableEncryption(passphrase);
+            this.clearEncryptionInputs();
+            alert('Cifrado activado. La contraseña se pedirá cada vez que abras la aplicación.');
+        } catch (error) {
+            this.alertEncryptionError(error, 'Error al activar el cifrado. No se modificó ningún dato.');
+        }
+        await this.renderEncryptionStatus();
+    }
+
+    // With the new passphrase fields empty, only the key is rotated
+    async changePassphrase() {
+        const current = document.getElementById('encryption-current').value;
+        const rotateOnly = !document.getElementById('encryption-new').value && !document.getElementById('encryption-confirm').value;
+        const passphrase = rotateOnly ? current : this.readNewPassphrase();
+        if (!passphrase) return;
+
+        try {
+            await this.repository.changePassphrase(current, passphrase);
+            this.clearEncryptionInputs();
+            alert(rotateOnly ? 'Clave de cifrado renovada.' : 'Contraseña cambiada.');
+        } catch (error) {
+            this.alertEncryptionError(error, 'Error al cambiar la contraseña. No se modificó ningún dato.');
+        }
+    }
+
+    async disableEncryption() {
+        if (!confirm('Los registros se guardarán sin cifrar. ¿Desactivar el cifrado?')) return;
+
+        try {
+            await this.repository.disableEncryption(document.getElementById('encryption-current').value);
+            this.clearEncryptionInputs();
+            alert('Cifrado desactivado.');
+        } catch (error) {
+            this.alertEncryptionError(error, 'Error al desactivar el cifrado. No se modificó ningún dato.');
+        }
+        await this.renderEncryptionStatus();
+    }
+
+    // ============= PIN LOCK =============
+
+    async loadPinLock() {
+        this.pinLockEnabled = await this.pinLock.isEnabled();
+        // The PIN was removed in another tab
+        if (!this.pinLockEnabled && this.locked) this.unlock();
+        this.resetAutoLockTimer();
+    }
+
+    // Keep the page behind the lock screen out of reach of the keyboard too
+    setPageInert(inert) {
+        Array.from(document.body.children).forEach(element => {
+            if (element.id !== 'lock-screen' && element.tagName !== 'SCRIPT') element.inert = inert;
+        });
+    }
+
+    // Show the lock screen; only the quick view stays readable until the PIN is entered
+    lock() {
+        this.locked = true;
+        clearTimeout(this.autoLockTimer);
+        this.setPageInert(true);
+        const screen = document.getElementById('lock-screen');
+        screen.classList.add('active');
+        screen.setAttribute('aria-hidden', 'false');
+        document.getElementById('lock-pin').value = '';
+        document.getElementById('lock-error').textContent = '';
+        this.renderLockQuickView();
+        document.getElementById('lock-pin').focus();
+    }
+
+    unlock() {
+        this.locked = false;
+        this.setPageInert(false);
+        const screen = document.getElementById('lock-screen');
+        screen.classList.remove('active');
+        screen.setAttribute('aria-hidden', 'true');
+        this.resetAutoLockTimer();
+    }
+
+    // Lock again after autoLockMinutes without a touch or key press
+    resetAutoLockTimer() {
+        clearTimeout(this.autoLockTimer);
+        if (!this.pinLockEnabled || this.locked || !this.autoLockMinutes) return;
+        this.autoLockTimer = setTimeout(() => this.lock(), this.autoLockMinutes * 60 * 1000);
+    }
+
+    // Child and last feeding on the lock screen; the countdown is kept up to date by updateNextFeedingDisplay()
+    renderLockQuickView() {
+        const child = this.getActiveChild();
+        document.getElementById('lock-child-name').textContent = child ? child.name : '';
+
+        const lastFeeding = this.feedings[0];
+        document.getElementById('lock-last-feeding').textContent = lastFeeding
+            ? `Última toma: ${this.formatDateTime(lastFeeding.timestamp)} (${this.formatRelativeLabel(new Date(lastFeeding.timestamp))})`
+            : 'Sin tomas registradas';
+    }
+
+    wrongPinMessage() {
+        const delay = this.pinLock.getRetryDelay();
+        return delay > 0 ? `Demasiados intentos. Espera ${Math.ceil(delay / 1000)} segundos.` : 'PIN incorrecto.';
+    }
+
+    async submitPin() {
+        const input = document.getElementById('lock-pin');
+        const submit = document.getElementById('lock-submit');
+        submit.disabled = true;
+        try {
+            if (await this.pinLock.verify(input.value)) {
+                this.unlock();
+                return;
+            }
+            input.value = '';
+            document.getElementById('lock-error').textContent = this.wrongPinMessage();
+        } catch (error) {
+            console.error('PIN check failed:', error);
+            document.getElementById('lock-error').textContent = 'No se pudo comprobar el PIN.';
+        } finally {
+            submit.disabled = false;
+        }
+    }
+
+    async renderPinStatus() {
+        const enabled = await this.pinLock.isEnabled();
+        document.getElementById('pin-status').textContent = enabled ? '🔒 Activado' : 'Desactivado';
+        document.getElementById('pin-current-group').style.display = enabled ? '' : 'none';
+        document.getElementById('enable-pin').style.display = enabled ? 'none' : '';
+        document.getElementById('change-pin').style.display = enabled ? '' : 'none';
+        document.getElementById('lock-now').style.display = enabled ? '' : 'none';
+        document.getElementById('remove-pin').style.display = enabled ? '' : 'none';
+    }
+
+    // New PIN from the settings form, null (after an alert) when it is not valid
+    readNewPin() {
+        const pin = document.getElementById('pin-new').value;
+        if (!this.pinLock.isValidPin(pin)) {
+            alert('El PIN debe tener de 4 a 8 cifras.');
+            return null;
+        }
+        if (pin !== document.getElementById('pin-confirm').value) {
+            alert('Los PIN no coinciden.');
+            return null;
+        }
+        return pin;
+    }
+
+    clearPinInputs() {
+        ['pin-current', 'pin-new', 'pin-confirm'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+    }
+
+    // Changing or removing the PIN needs the current one
+    async checkCurrentPin() {
+        if (await this.pinLock.verify(document.getElementById('pin-current').value)) return true;
+        alert(`${this.wrongPinMessage()} No se modificó el PIN.`);
+        return false;
+    }
+
+    async enablePin() {
+        const pin = this.readNewPin();
+        if (!pin) return;
+
+        try {
+            await this.pinLock.setPin(pin);
+            this.clearPinInputs();
+            await this.loadPinLock();
+            alert('PIN activado. Se pedirá al abrir la aplicación.');
+        } catch (error) {
+            console.error('Failed to set the PIN:', error);
+            alert('Error al activar el PIN.');
+        }
+        await this.renderPinStatus();
+    }
+
+    async changePin() {
+        try {
+            if (!await this.checkCurrentPin()) return;
+            const pin = this.readNewPin();
+            if (!pin) return;
+            await this.pinLock.setPin(pin);
+            this.clearPinInputs();
+            alert('PIN cambiado.');
+        } catch (error) {
+            console.error('Failed to change the PIN:', error);
+            alert('Error al cambiar el PIN.');
+        }
+    }
+
+    async removePin() {
+        try {
+            if (!await this.checkCurrentPin()) return;
+            await this.pinLock.removePin();
+            this.clearPinInputs();
+            await this.loadPinLock();
+            alert('PIN desactivado.');
+        } catch (error) {
+            console.error('Failed to remove the PIN:', error);
+            alert('Error al quitar el PIN.');
+        }
+        await this.renderPinStatus();
+    }
+
+    /**
+     * Import a CSV file of this app or of another one; files no importer
+     * recognizes go to the column mapping wizard
+     * @param {Event} event - Change of a file input
+     * @param {Object} [options] - { mapColumns: true } to always map the columns by hand
+     */
+    importCSV(event, { mapColumns = false } = {}) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                let csvRows;
+                try {
+                    csvRows = parseCSV(e.target.result);
+                } catch (error) {
+                    if (!(error instanceof CsvError)) throw error;
+                    alert(`El archivo no es un CSV válido (línea ${error.line}).`);
+                    return;
+                }
+
+                const importer = mapColumns ? null : importers.detect(csvRows);
+                if (!importer) {
+                    this.openColumnMapping(csvRows);
+                    return;
+                }
+                const result = importer.read(csvRows);
+                await this.openImportPreview(result.rows, result.errors);
+            } catch (error) {
+                console.error(error);
+                alert('Error al importar CSV: ' + error.message);
+            }
+        };
+        reader.readAsText(file);
+
+        // Reset file input
+        event.target.value = '';
+    }
+
+    openColumnMapping(csvRows) {
+        if (csvRows.length < 2) {
+            alert('El archivo no tiene filas de datos.');
+            return;
+        }
+        this.mappingRows = csvRows;
+        document.getElementById('mapping-store').innerHTML = Object.keys(MAPPING_FIELDS)
+            .map(storeName => `<option value="${storeName}">${RECORD_TYPES[storeName].label}</option>`)
+            .join('');
+        this.renderMappingFields();
+        document.getElementById('column-mapping-modal').classList.add('active');
+    }
+
+    closeColumnMapping() {
+        document.getElementById('column-mapping-modal').classList.remove('active');
+        this.mappingRows = null;
+    }
+
+    // One column selector per field of the chosen record type, preselected by the header names
+    renderMappingFields() {
+        const storeName = document.getElementById('mapping-store').value;
+        const columns = this.mappingRows[0].fields.map(name => name.trim());
+        const options = (selected, none = '— Ninguna —') => [
+            `<option value="">${none}</option>`,
+            ...columns.map((name, i) => `<option value="${i}" ${i === selected ? 'selected' : ''}>${this.escapeHTML(name)}</option>`)
+        ].join('');
+        const guess = ({ guesses }) => columns.findIndex(name => guesses.some(word => name.toLowerCase().includes(word)));
+
+        document.getElementById('mapping-fields').innerHTML = MAPPING_FIELDS[storeName].map(definition => `
+            <div class="form-group">
+                <label for="mapping-${definition.field}">${definition.label}${definition.required ? ' *' : ''}:</label>
+                <select id="mapping-${definition.field}">${options(guess(definition))}</select>
+                ${definition.type === 'time' ? `<select id="mapping-time-of-day">${options(-1, 'Hora en la misma columna')}</select>` : ''}
+                ${definition.unit ? `
+                    <select id="mapping-unit-${definition.field}">
+                        ${Object.keys(UNIT_CONVERSIONS[definition.unit]).map(unit => `<option value="${unit}">${UNIT_LABELS[unit]}</option>`).join('')}
+                    </select>
+                ` : ''}
+            </div>
+        `).join('');
+    }
+
+    // Mapping (see MappingImporter) of the columns chosen in the wizard
+    readColumnMapping() {
+        const storeName = document.getElementById('mapping-store').value;
+        const columns = this.mappingRows[0].fields;
+        const chosenColumn = (id) => {
+            const index = document.getElementById(id).value;
+            return index === '' ? null : columns[Number(index)];
+        };
+
+        const fields = {};
+        MAPPING_FIELDS[storeName].forEach(({ field, unit }) => {
+            const column = chosenColumn(`mapping-${field}`);
+            if (!column) return;
+            fields[field] = { column };
+            if (unit) fields[field].unit = document.getElementById(`mapping-unit-${field}`).value;
+        });
+        const timeOfDay = chosenColumn('mapping-time-of-day');
+        if (fields.time && timeOfDay) fields.time.column = [fields.time.column, timeOfDay];
+
+        return {
+            storeName,
+            fields,
+            dateOrder: document.getElementById('mapping-date-order').value,
+            decimalMark: document.getElementById('mapping-decimal-mark').value
+        };
+    }
+
+    async applyColumnMapping() {
+        const mapping = this.readColumnMapping();
+        const missing = MAPPING_FIELDS[mapping.storeName].find(definition => definition.required && !mapping.fields[definition.field]);
+        if (missing) {
+            alert(`Elige la columna de "${missing.label}".`);
+            return;
+        }
+
+        const importer = new MappingImporter({ id: 'columns', label: 'Columnas asignadas', mappings: [mapping] });
+        const result = importer.read(this.mappingRows);
+        this.closeColumnMapping();
+        try {
+            await this.openImportPreview(result.rows, result.errors);
+        } catch (error) {
+            console.error(error);
+            alert('Error al importar CSV: ' + error.message);
+        }
+    }
+
+    // Fill in what the rows of an import file leave to the profile they are imported into
+    prepareImportedRecord(storeName, record) {
+        const prepared = { ...record, childId: this.activeChildId, timezone: record.timezone || this.timezone };
+        if (storeName === STORES.MEDICINES && prepared.active && !prepared.nextDose) {
+            prepared.nextDose = this.getNextDose(prepared.time, prepared.interval);
+        }
+        return prepared;
+    }
+
+    /**
+     * Show the rows read from an import file before saving them
+     * @param {Array} rows - [{ line, storeName, record }]
+     * @param {Array} errors - [{ line, message }] of the rows that could not be read
+     */
+    async openImportPreview(rows, errors) {
+        if (rows.length === 0) {
+            const details = errors.slice(0, 10).map(({ line, message }) => `Línea ${line}: ${message}`);
+            alert(['No se encontraron datos válidos en el archivo', ...details].join('\n'));
+            return;
+        }
+
+        const prepared = rows.map(row => ({ ...row, record: this.prepareImportedRecord(row.storeName, row.record) }));
+        this.pendingImport = await this.importPreview.build(prepared, errors, this.activeChildId);
+        this.renderImportPreview(this.pendingImport);
+        document.getElementById('import-preview-modal').classList.add('active');
+    }
+
+    closeImportPreview() {
+        document.getElementById('import-preview-modal').classList.remove('active');
+        this.pendingImport = null;
+    }
+
+    renderImportPreview({ rows, errors }) {
+        const container = document.getElementById('import-preview');
+        const fieldLabels = { amount: 'cantidad', duration: 'duración', weight: 'peso', height: 'altura', value: 'temperatura' };
+        const describeIssue = (record, issue) => issue.type === 'impossibleValue'
+            ? `⚠️ Valor imposible en ${fieldLabels[issue.field] || issue.field}: ${this.escapeHTML(record[issue.field])}`
+            : '⚠️ Sin peso ni altura';
+
+        const duplicates = rows.filter(row => row.duplicateOf).length;
+        const repeats = rows.filter(row => row.repeatOf !== undefined).length;
+        const invalid = rows.filter(row => row.issue).length + errors.length;
+        const summary = `<p class="setting-description">${rows.length} fila(s) leídas: ${duplicates} ya registrada(s), ${repeats} repetida(s) en el archivo, ${invalid} con errores que no se importarán</p>`;
+
+        const groups = Object.keys(RECORD_TYPES).map(storeName => {
+            const storeRows = rows.filter(row => row.storeName === storeName);
+            if (storeRows.length === 0) return '';
+            return `
+                <div class="integrity-group">
+                    <div class="integrity-group-header">
+                        <h3>${RECORD_TYPES[storeName].label} (${storeRows.length})</h3>
+                    </div>
+                    ${storeRows.map(({ line, record, issue, duplicateOf, repeatOf }) => `
+                        <div class="feeding-item ${issue ? 'import-row-invalid' : duplicateOf || repeatOf !== undefined ? 'import-row-duplicate' : ''}">
+                            <div class="feeding-info">
+                                <div class="feeding-time">Línea ${line} • ${this.formatDateTime(record.time)}</div>
+                                <div class="feeding-amount">${this.escapeHTML(this.describeRecord(storeName, record))}</div>
+                                ${issue ? `<div class="diaper-notes">${describeIssue(record, issue)}</div>` : ''}
+                                ${duplicateOf ? `<div class="diaper-notes">🔁 Ya registrado: ${this.formatDateTime(duplicateOf.timestamp)} • ${this.escapeHTML(this.describeRecord(storeName, duplicateOf))}</div>` : ''}
+                                ${repeatOf !== undefined ? `<div class="diaper-notes">🔁 Repetida en el archivo (línea ${repeatOf})</div>` : ''}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+
+        const errorGroup = errors.length === 0 ? '' : `
+            <div class="integrity-group">
+                <div class="integrity-group-header">
+                    <h3>Filas que no se pudieron leer (${errors.length})</h3>
+                </div>
+                ${errors.map(({ line, message }) => `
+                    <div class="feeding-item import-row-invalid">
+                        <div class="feeding-info">
+                            <div class="feeding-time">Línea ${line}</div>
+                            <div class="diaper-notes">⚠️ ${this.escapeHTML(message)}</div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        container.innerHTML = summary + groups + errorGroup;
+        document.getElementById('import-skip-duplicates').style.display = duplicates + repeats === 0 ? 'none' : '';
+        document.getElementById('import-overwrite').style.display = duplicates === 0 ? 'none' : '';
+    }
+
+    // Save the previewed rows, handling the duplicates as chosen (see ImportPreview.commit)
+    async commitImport(mode) {
+        if (!this.pendingImport) return;
+
+        try {
+            const { added, replaced, skipped } = await this.importPreview.commit(this.pendingImport, mode);
+            this.closeImportPreview();
+            await this.loadFromStorage();
+            await this.renderAll();
+            alert(`¡Importación exitosa! ${added} agregado(s), ${replaced} sobrescrito(s), ${skipped} omitido(s).`);
+        } catch (error) {
+            console.error('Failed to import records:', error);
+            alert('Error al importar: ' + error.message);
+        }
+    }
+
+    // Storage Management (records are saved as they change, so only settings are left)
+    async saveToStorage() {
+        await this.repository.setSetting('timezone', this.timezone);
+        await this.repository.setSetting('darkMode', this.darkMode);
+        await this.repository.setSetting('defaultInterval', this.defaultInterval);
+        await this.repository.setSetting('dailyMilkTarget', this.dailyMilkTarget);
+        await this.repository.setSetting('activeChildId', this.activeChildId);
+        await this.repository.setSetting('notificationsEnabled', this.notificationsEnabled);
+        await this.repository.setSetting('trashRetentionDays', this.trashRetentionDays);
+        await this.repository.setSetting('caregiverName', this.caregiverName);
+        await this.repository.setSetting('autoLockMinutes', this.autoLockMinutes);
+    }
+
+    // Load the active child's records and the settings
+    async loadFromStorage() {
+        try {
+            await this.loadRecords();
+            await this.loadSettings();
+
+            console.log(`📊 Loaded ${this.feedings.length} feedings, ${this.diapers.length} diapers, ${this.measurements.length} measurements, ${this.medicines.length} medicines, ${this.temperatures.length} temperatures, ${this.appointments.length} appointments, and ${this.journalEntries.length} journal entries`);
+        } catch (error) {
+            console.error('Failed to load from storage:', error);
+            throw error;
+        }
+    }
+
+    // Load the active child's records of the given stores (all by default).
+    // Paged stores reload as many records as are shown, at least a page.
+    async loadRecords(storeNames = Object.keys(RECORD_TYPES)) {
+        for (const storeName of storeNames) {
+            const { list, page } = RECORD_TYPES[storeName];
+            if (!page) {
+                this[list] = await this.repository.getRecords(storeName, this.activeChildId);
+                continue;
+            }
+            const limit = Math.max(RECORD_PAGE_SIZE, this[list].length);
+            this[list] = await this.repository.getRecords(storeName, this.activeChildId, { limit });
+            this.hasMoreRecords[storeName] = this[list].length === limit;
+        }
+    }
+
+    // Append the next page of a paged list, leaving the rendered records alone
+    async loadMoreRecords(storeName) {
+        const { list, page } = RECORD_TYPES[storeName];
+        const loaded = this[list];
+        try {
+            const records = await this.repository.getRecords(storeName, this.activeChildId, {
+                before: loaded[loaded.length - 1],
+                limit: RECORD_PAGE_SIZE
+            });
+            this[list] = [...loaded, ...records];
+            this.hasMoreRecords[storeName] = records.length === RECORD_PAGE_SIZE;
+
+            const container = document.getElementById(page.container);
+            if (loaded.length === 0) container.innerHTML = '';
+            container.insertAdjacentHTML('beforeend', records.map(record => this[page.item](record)).join(''));
+            this.renderLoadMore(storeName);
+            await this.renderRecordPhotos(storeName);
+        } catch (error) {
+            console.error('Failed to load more records:', error);
+            alert('Error al cargar más registros.');
+        }
+    }
+
+    renderLoadMore(storeName) {
+        const button = document.querySelector(`.load-more[data-store="${storeName}"]`);
+        if (button) button.style.display = this.hasMoreRecords[storeName] ? '' : 'none';
+    }
+
+    async loadSettings() {
+        const timezone = await this.repository.getSetting('timezone');
+        if (timezone) this.timezone = timezone;
+
+        const darkMode = await this.repository.getSetting('darkMode');
+        if (darkMode !== null) this.darkMode = darkMode;
+
+        const defaultInterval = await this.repository.getSetting('defaultInterval');
+        if (defaultInterval) {
+            this.defaultInterval = defaultInterval;
+            const intervalInput = document.getElementById('next-feeding-interval');
+            if (intervalInput) intervalInput.value = this.defaultInterval;
+        }
+
+        const dailyMilkTarget = await this.repository.getSetting('dailyMilkTarget');
+        if (dailyMilkTarget) {
+            this.dailyMilkTarget = dailyMilkTarget;
+            const targetInput = document.getElementById('daily-milk-target');
+            if (targetInput) targetInput.value = this.dailyMilkTarget;
+        }
+
+        const notificationsEnabled = await this.repository.getSetting('notificationsEnabled');
+        if (notificationsEnabled !== null) {
+            this.notificationsEnabled = notificationsEnabled;
+            const notifToggle = document.getElementById('notifications-toggle');
+            if (notifToggle) notifToggle.checked = this.notificationsEnabled;
+            if (this.notificationsEnabled) this.startNotificationScheduler();
+            else this.stopNotificationScheduler();
+        }
+
+        const trashRetentionDays = await this.repository.getSetting('trashRetentionDays');
+        if (trashRetentionDays) {
+            this.trashRetentionDays = trashRetentionDays;
+            const retentionInput = document.getElementById('trash-retention-days');
+            if (retentionInput) retentionInput.value = this.trashRetentionDays;
+        }
+
+        const caregiverName = await this.repository.getSetting('caregiverName');
+        if (caregiverName) {
+            this.caregiverName = caregiverName;
+            this.repository.setCaregiver(caregiverName);
+            const caregiverInput = document.getElementById('caregiver-name');
+            if (caregiverInput) caregiverInput.value = caregiverName;
+        }
+
+        const autoLockMinutes = await this.repository.getSetting('autoLockMinutes');
+        if (autoLockMinutes !== null) {
+            this.autoLockMinutes = autoLockMinutes;
+            const autoLockInput = document.getElementById('auto-lock-minutes');
+            if (autoLockInput) autoLockInput.value = autoLockMinutes;
+        }
+    }
+
+    // ============= VISIT REPORT =============
+
+    // Print-ready summary of the chosen days for a pediatric checkup
+    async generateReport() {
+        const start = document.getElementById('report-start').value;
+        const end = document.getElementById('report-end').value;
+        if (!start || !end || start > end) {
+            alert('Elige un período válido para el informe.');
+            return;
+        }
+        const startDate = this.parseDateKey(start);
+        const endDate = this.parseDateKey(end);
+        endDate.setHours(23, 59, 59, 999);
+
+        try {
+            const data = {
+                startDate,
+                endDate,
+                feedings: await this.getAnalyticsData('feedings', startDate, endDate),
+                diapers: await this.getAnalyticsData('diapers', startDate, endDate),
+                weight: await this.getAnalyticsData('weight', startDate, endDate),
+                height: await this.getAnalyticsData('height', startDate, endDate),
+                temperature: await this.getAnalyticsData('temperature', startDate, endDate),
+                medicines: await this.getAnalyticsData('medicines', startDate, endDate),
+                measurements: this.measurements
+                    .filter(m => new Date(m.timestamp) >= startDate && new Date(m.timestamp) <= endDate)
+                    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)),
+                feverEpisodes: this.getFeverEpisodes(
+                    await this.repository.getRecords(STORES.TEMPERATURES, this.activeChildId, { startDate, endDate })
+                ),
+                concerns: (await this.repository.getRecords(STORES.JOURNAL, this.activeChildId, { startDate, endDate }))
+                    .filter(entry => REPORT_JOURNAL_CATEGORIES.includes(entry.category))
+            };
+
+            document.getElementById('report-content').innerHTML = this.renderReport(data);
+            document.getElementById('report-view').classList.add('active');
+            document.body.classList.add('report-open');
+            this.renderReportCharts(endDate);
+        } catch (error) {
+            console.error('Failed to generate the visit report:', error);
+            alert('Error al generar el informe.');
+        }
+    }
+
+    closeReport() {
+        document.getElementById('report-view').classList.remove('active');
+        document.body.classList.remove('report-open');
+        document.getElementById('report-content').innerHTML = '';
+    }
+
+    /**
+     * Group fever readings into episodes
+     * @param {Array} temperatures - Readings of the report's days
+     * @returns {Array} - [{ start, end, max, readings }], oldest first
+     */
+    getFeverEpisodes(temperatures) {
+        const fevers = temperatures
+            .filter(t => t.value >= FEVER_TEMPERATURE)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        const episodes = [];
+        fevers.forEach(reading => {
+            const time = new Date(reading.timestamp);
+            const last = episodes[episodes.length - 1];
+            if (last && time - last.end <= FEVER_EPISODE_GAP) {
+                last.end = time;
+                last.max = Math.max(last.max, reading.value);
+                last.readings++;
+            } else {
+                episodes.push({ start: time, end: time, max: reading.value, readings: 1 });
+            }
+        });
+        return episodes;
+    }
+
+    renderReport(data) {
+        const child = this.getActiveChild();
+        const sexLabels = { female: 'Niña', male: 'Niño' };
+        const formatDate = date => new Date(date).toLocaleDateString('es-ES');
+        const birth = child.birthDate ? this.parseDateKey(child.birthDate) : null;
+        const ageDays = date => Math.floor((new Date(date) - birth) / (1000 * 60 * 60 * 24));
+        const ageMonths = birth ? (ageDays(data.endDate) / 30.44).toFixed(1) : null;
+        const empty = text => `<p class="report-empty">${text}</p>`;
+
+        const measurementRows = data.measurements.map(m => `
+            <tr>
+                <td>${formatDate(m.timestamp)}</td>
+                <td>${m.weight ? `${m.weight} kg` : '—'}</td>
+                <td>${m.weight && birth ? this.calculatePercentile(ageDays(m.timestamp), m.weight, child.sex) : '—'}</td>
+                <td>${m.height ? `${m.height} cm` : '—'}</td>
+                <td>${m.height && birth ? this.calculateLengthPercentile(ageDays(m.timestamp), m.height, child.sex) : '—'}</td>
+            </tr>
+        `).join('');
+
+        const episodeRows = data.feverEpisodes.map(episode => `
+            <tr>
+                <td>${this.formatDateTime(episode.start.toISOString())}</td>
+                <td>${this.formatDateTime(episode.end.toISOString())}</td>
+                <td>${episode.max.toFixed(1)}°C</td>
+                <td>${episode.readings}</td>
+            </tr>
+        `).join('');
+
+        const medicineRows = Object.entries(data.medicines.byName).map(([name, doses]) => `
+            <tr><td>${this.escapeHTML(name)}</td><td>${doses}</td></tr>
+        `).join('');
+
+        const concernItems = data.concerns.map(entry => `
+            <li>
+                <strong>${this.formatDateTime(entry.timestamp)} • ${this.escapeHTML(entry.title)}</strong>
+                ${entry.description ? `<p>${this.escapeHTML(entry.description)}</p>` : ''}
+            </li>
+        `).join('');
+
+        return `
+            <header class="report-header">
+                <h1>Informe para la Consulta Pediátrica</h1>
+                <p><strong>${this.escapeHTML(child.name)}</strong> • ${sexLabels[child.sex] || 'Sexo no indicado'}
+                    • ${birth ? `Nació el ${formatDate(birth)} (${ageMonths} meses al final del período)` : 'Sin fecha de nacimiento'}</p>
+                <p>Período: ${formatDate(data.startDate)} – ${formatDate(data.endDate)} • Generado el ${formatDate(new Date())}</p>
+            </header>
+
+            <section class="report-section">
+                <h2>🍼 Alimentación</h2>
+                <table class="report-table">
+                    <tr><th>Tomas</th><td>${data.feedings.count}</td></tr>
+                    <tr><th>Promedio por día</th><td>${data.feedings.avgPerDay}</td></tr>
+                    <tr><th>Total en biberón</th><td>${data.feedings.totalAmount} ml</td></tr>
+                    <tr><th>Promedio por biberón</th><td>${data.feedings.avgAmount} ml</td></tr>
+                </table>
+            </section>
+
+            <section class="report-section">
+                <h2>🧷 Pañales</h2>
+                <table class="report-table">
+                    <tr><th>Cambios</th><td>${data.diapers.count}</td></tr>
+                    <tr><th>Promedio por día</th><td>${data.diapers.avgPerDay}</td></tr>
+                    <tr><th>Con pipí</th><td>${data.diapers.peeCount}</td></tr>
+                    <tr><th>Con popó</th><td>${data.diapers.poopCount}</td></tr>
+                </table>
+            </section>
+
+            <section class="report-section">
+                <h2>📏 Crecimiento</h2>
+                ${data.measurements.length === 0 ? empty('Sin mediciones en el período') : `
+                    <table class="report-table">
+                        <tr><th>Fecha</th><th>Peso</th><th>Percentil peso</th><th>Altura</th><th>Percentil altura</th></tr>
+                        ${measurementRows}
+                    </table>
+                    <p class="report-note">Cambio en el período: ${data.weight.change} kg • ${data.height.change} cm. Percentiles aproximados, no de uso médico.</p>
+                `}
+                <div class="report-charts">
+                    <div class="report-chart"><h3>Peso (kg)</h3><canvas id="report-weight-chart"></canvas></div>
+                    <div class="report-chart"><h3>Altura (cm)</h3><canvas id="report-height-chart"></canvas></div>
+                </div>
+            </section>
+
+            <section class="report-section">
+                <h2>🌡️ Fiebre</h2>
+                ${data.temperature.count > 0 ? `<p>${data.temperature.count} tomas de temperatura, máxima ${data.temperature.max}°C, promedio ${data.temperature.avg}°C</p>` : ''}
+                ${data.feverEpisodes.length === 0 ? empty(`Sin episodios de fiebre (≥ ${FEVER_TEMPERATURE}°C)`) : `
+                    <table class="report-table">
+                        <tr><th>Inicio</th><th>Última toma con fiebre</th><th>Máxima</th><th>Tomas</th></tr>
+                        ${episodeRows}
+                    </table>
+                `}
+            </section>
+
+            <section class="report-section">
+                <h2>💊 Medicamentos Administrados</h2>
+                ${medicineRows === '' ? empty('Sin dosis registradas') : `
+                    <table class="report-table">
+                        <tr><th>Medicamento</th><th>Dosis</th></tr>
+                        ${medicineRows}
+                    </table>
+                `}
+            </section>
+
+            <section class="report-section">
+                <h2>📔 Preocupaciones del Diario</h2>
+                ${concernItems === '' ? empty('Sin preocupaciones ni emergencias registradas') : `<ul class="report-list">${concernItems}</ul>`}
+            </section>
+        `;
+    }
+
+    // Growth curves up to the end of the report, drawn light for paper
+    renderReportCharts(endDate) {
+        const measurements = [...this.measurements]
+            .filter(m => new Date(m.timestamp) <= endDate)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const points = field => measurements.filter(m => m[field]).map(m => ({
+            value: m[field],
+            label: this.formatDateShort(m.timestamp)
+        }));
+
+        const darkMode = this.darkMode;
+        this.darkMode = false;
+        try {
+            this.renderLineChart(document.getElementById('report-weight-chart'), points('weight'), 'Peso (kg)', '#4a90e2');
+            this.renderLineChart(document.getElementById('report-height-chart'), points('height'), 'Altura (cm)', '#50c878');
+        } finally {
+            this.darkMode = darkMode;
+        }
+    }
+
+    // ============= ANALYTICS FUNCTIONS =============
+
+    populateMedicineFilter() {
+        const select = document.getElementById('medicine-filter');
+        if (!select) return;
+
+        // Get unique medicine names
+        const uniqueMedicines = [...new Set(this.medicines.map(m => m.name))];
+        
+        select.innerHTML = '<option value="">Todos los medicamentos</option>';
+        uniqueMedicines.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+    }
+
+    async generateAnalytics() {
+        // Get selected time range
+        const activeRangeBtn = document.querySelector('.time-range-btn.active');
+        const daysRange = parseInt(activeRangeBtn.dataset.range);
+        
+        // Get selected variables
+        const selectedVars = Array.from(document.querySelectorAll('.analytics-var:checked'))
+            .map(cb => cb.dataset.var);
+        
+        if (selectedVars.length === 0) {
+            alert('Por favor selecciona al menos una variable para analizar');
+            return;
+        }
 
         // Get medicine filter if applicable
         const medicineFilter = document.getElementById('medicine-filter').value;
@@ -2865,22 +5046,22 @@ class FeedingTracker {
         const analyticsData = {};
         
         if (selectedVars.includes('feedings')) {
-            analyticsData.feedings = this.getAnalyticsData('feedings', startDate, endDate);
+            analyticsData.feedings = await this.getAnalyticsData('feedings', startDate, endDate);
         }
         if (selectedVars.includes('diapers')) {
-            analyticsData.diapers = this.getAnalyticsData('diapers', startDate, endDate);
+            analyticsData.diapers = await this.getAnalyticsData('diapers', startDate, endDate);
         }
         if (selectedVars.includes('weight')) {
-            analyticsData.weight = this.getAnalyticsData('weight', startDate, endDate);
+            analyticsData.weight = await this.getAnalyticsData('weight', startDate, endDate);
         }
         if (selectedVars.includes('height')) {
-            analyticsData.height = this.getAnalyticsData('height', startDate, endDate);
+            analyticsData.height = await this.getAnalyticsData('height', startDate, endDate);
         }
         if (selectedVars.includes('temperature')) {
-            analyticsData.temperature = this.getAnalyticsData('temperature', startDate, endDate);
+            analyticsData.temperature = await this.getAnalyticsData('temperature', startDate, endDate);
         }
         if (selectedVars.includes('medicines')) {
-            analyticsData.medicines = this.getAnalyticsData('medicines', startDate, endDate, medicineFilter);
+            analyticsData.medicines = await this.getAnalyticsData('medicines', startDate, endDate, medicineFilter);
         }
 
         // Generate summary cards
@@ -2899,36 +5080,30 @@ class FeedingTracker {
         document.getElementById('analytics-results').scrollIntoView({ behavior: 'smooth' });
     }
 
-    getAnalyticsData(variable, startDate, endDate, filter = null) {
+    // Feedings, diapers, temperatures and medicines come from the daily
+    // summaries of the range; measurements are few and read from the list
+    async getAnalyticsData(variable, startDate, endDate, filter = null) {
         let data = [];
+        const summaries = await this.repository.getDailySummaries(this.activeChildId, { startDate, endDate });
+        const totals = this.sumDailySummaries(summaries);
         
         switch(variable) {
             case 'feedings':
-                data = this.feedings.filter(f => {
-                    const date = new Date(f.timestamp);
-                    return date >= startDate && date <= endDate;
-                });
                 return {
-                    count: data.length,
-                    avgPerDay: (data.length / this.getDaysDiff(startDate, endDate)).toFixed(1),
-                    totalAmount: data.filter(f => f.amount).reduce((sum, f) => sum + f.amount, 0),
-                    avgAmount: data.filter(f => f.amount).length > 0 
-                        ? (data.filter(f => f.amount).reduce((sum, f) => sum + f.amount, 0) / data.filter(f => f.amount).length).toFixed(1)
-                        : 0,
-                    byDay: this.groupByDay(data, startDate, endDate)
+                    count: totals.feedings,
+                    avgPerDay: (totals.feedings / this.getDaysDiff(startDate, endDate)).toFixed(1),
+                    totalAmount: totals.bottleMl,
+                    avgAmount: totals.bottleFeedings > 0 ? (totals.bottleMl / totals.bottleFeedings).toFixed(1) : 0,
+                    byDay: this.groupByDay(summaries, s => s.feedings, startDate, endDate)
                 };
                 
             case 'diapers':
-                data = this.diapers.filter(d => {
-                    const date = new Date(d.timestamp);
-                    return date >= startDate && date <= endDate;
-                });
                 return {
-                    count: data.length,
-                    avgPerDay: (data.length / this.getDaysDiff(startDate, endDate)).toFixed(1),
-                    peeCount: data.filter(d => d.hasPee).length,
-                    poopCount: data.filter(d => d.hasPoop).length,
-                    byDay: this.groupByDay(data, startDate, endDate)
+                    count: totals.diapers,
+                    avgPerDay: (totals.diapers / this.getDaysDiff(startDate, endDate)).toFixed(1),
+                    peeCount: totals.pee,
+                    poopCount: totals.poop,
+                    byDay: this.groupByDay(summaries, s => s.diapers, startDate, endDate)
                 };
                 
             case 'weight':
@@ -2960,36 +5135,32 @@ class FeedingTracker {
                 };
                 
             case 'temperature':
-                data = this.temperatures.filter(t => {
-                    const date = new Date(t.timestamp);
-                    return date >= startDate && date <= endDate;
-                }).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-                
-                const temps = data.map(t => t.value);
+                // One point per day: its highest reading
+                data = summaries.filter(s => s.temperatures > 0);
                 return {
-                    count: data.length,
-                    avg: temps.length > 0 ? (temps.reduce((a, b) => a + b, 0) / temps.length).toFixed(1) : 0,
-                    max: temps.length > 0 ? Math.max(...temps).toFixed(1) : 0,
-                    min: temps.length > 0 ? Math.min(...temps).toFixed(1) : 0,
-                    feverCount: data.filter(t => t.value >= 38).length,
-                    data: data.map(t => ({ date: new Date(t.timestamp), value: t.value }))
+                    count: totals.temperatures,
+                    avg: totals.temperatures > 0 ? (totals.temperatureSum / totals.temperatures).toFixed(1) : 0,
+                    max: totals.temperatures > 0 ? totals.temperatureMax.toFixed(1) : 0,
+                    min: totals.temperatures > 0 ? totals.temperatureMin.toFixed(1) : 0,
+                    feverCount: totals.fevers,
+                    data: data.map(s => ({ date: this.parseDateKey(s.date), value: s.temperatureMax }))
                 };
                 
-            case 'medicines':
-                data = this.medicines.filter(m => {
-                    const date = new Date(m.timestamp);
-                    const matchesDate = date >= startDate && date <= endDate;
-                    const matchesFilter = !filter || m.name === filter;
-                    return matchesDate && matchesFilter;
-                });
+            case 'medicines': {
+                const doses = s => filter ? (s.medicines[filter] || 0) : s.medicineDoses;
+                const byName = filter
+                    ? (totals.medicines[filter] ? { [filter]: totals.medicines[filter] } : {})
+                    : totals.medicines;
+                const count = summaries.reduce((sum, s) => sum + doses(s), 0);
                 
                 return {
-                    count: data.length,
-                    avgPerDay: (data.length / this.getDaysDiff(startDate, endDate)).toFixed(1),
-                    uniqueMeds: [...new Set(data.map(m => m.name))].length,
-                    byName: this.groupMedicinesByName(data),
-                    byDay: this.groupByDay(data, startDate, endDate)
+                    count,
+                    avgPerDay: (count / this.getDaysDiff(startDate, endDate)).toFixed(1),
+                    uniqueMeds: Object.keys(byName).length,
+                    byName,
+                    byDay: this.groupByDay(summaries, doses, startDate, endDate)
                 };
+            }
                 
             default:
                 return {};
@@ -3002,36 +5173,30 @@ class FeedingTracker {
         return diffDays || 1;
     }
 
-    groupByDay(data, startDate, endDate) {
-        const days = this.getDaysDiff(startDate, endDate);
+    // A value per local day of the range, 0 for the days without a summary
+    groupByDay(summaries, value, startDate, endDate) {
         const result = {};
+        const lastKey = localDateKey(endDate);
+        const day = new Date(startDate);
         
-        for (let i = 0; i < days; i++) {
-            const day = new Date(startDate);
-            day.setDate(day.getDate() + i);
-            const dayKey = day.toISOString().split('T')[0];
+        for (let dayKey = localDateKey(day); dayKey <= lastKey; dayKey = localDateKey(day)) {
             result[dayKey] = 0;
+            day.setDate(day.getDate() + 1);
         }
         
-        data.forEach(item => {
-            const dayKey = new Date(item.timestamp).toISOString().split('T')[0];
-            if (result.hasOwnProperty(dayKey)) {
-                result[dayKey]++;
+        summaries.forEach(summary => {
+            if (result.hasOwnProperty(summary.date)) {
+                result[summary.date] = value(summary);
             }
         });
         
         return result;
     }
 
-    groupMedicinesByName(data) {
-        const result = {};
-        data.forEach(m => {
-            if (!result[m.name]) {
-                result[m.name] = 0;
-            }
-            result[m.name]++;
-        });
-        return result;
+    // Local midnight of a YYYY-MM-DD day key
+    parseDateKey(dayKey) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
     }
 
     renderAnalyticsSummary(analyticsData, daysRange) {
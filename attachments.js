@@ -0,0 +1,69 @@
+/**
+ * Photo Attachments
+ * Photos picked for a diaper change or a journal entry are downscaled on
+ * the device before they are stored, with a small thumbnail for the lists.
+ * They are kept as Blobs in the attachments store (see db.js).
+ */
+
+const PHOTO_MAX_SIZE = 1600; // px on the longest side, enough to show a rash to the pediatrician
+const THUMBNAIL_SIZE = 240; // px on the longest side
+const PHOTO_QUALITY = 0.85; // JPEG
+
+class PhotoProcessor {
+    /**
+     * Downscale a picked image and make its thumbnail
+     * @param {File|Blob} file
+     * @returns {Promise<Object>} - { blob, thumbnail, type, width, height, name }
+     */
+    async prepare(file) {
+        if (!file.type || !file.type.startsWith('image/')) {
+            throw new Error(`Not an image: ${file.name}`);
+        }
+        // Phones record their orientation apart from the pixels
+        const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+        try {
+            const photo = await this.scale(bitmap, PHOTO_MAX_SIZE);
+            const thumbnail = await this.scale(bitmap, THUMBNAIL_SIZE);
+            return {
+                blob: photo.blob,
+                thumbnail: thumbnail.blob,
+                type: photo.blob.type,
+                width: photo.width,
+                height: photo.height,
+                name: file.name || ''
+            };
+        } finally {
+            if (bitmap.close) bitmap.close();
+        }
+    }
+
+    /**
+     * Draw an image with at most maxSize pixels on its longest side, never enlarged
+     * @param {ImageBitmap} bitmap
+     * @param {number} maxSize
+     * @returns {Promise<Object>} - { blob, width, height }
+     */
+    async scale(bitmap, maxSize) {
+        const ratio = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+        const width = Math.max(1, Math.round(bitmap.width * ratio));
+        const height = Math.max(1, Math.round(bitmap.height * ratio));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => {
+                if (result) resolve(result);
+                else reject(new Error('The image could not be encoded'));
+            }, 'image/jpeg', PHOTO_QUALITY);
+        });
+        return { blob, width, height };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PhotoProcessor, PHOTO_MAX_SIZE, THUMBNAIL_SIZE };
+}
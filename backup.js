@@ -0,0 +1,226 @@
+/**
+ * Backup Utility
+ * Exports the whole IndexedDB database to a versioned JSON file and
+ * restores it after validating its structure and checksum.
+ * Archives use the same format with only the records older than a date,
+ * which are then removed from the database; restoring one merges them back.
+ * Photos are written as data URLs, since JSON cannot hold Blobs.
+ */
+
+const BACKUP_FORMAT = 'baby-food-track-backup';
+const BACKUP_VERSION = 1;
+
+class BackupManager {
+    constructor(database) {
+        this.db = database;
+    }
+
+    /**
+     * CRC-32 checksum of a string, as 8 hex characters
+     */
+    checksum(text) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < text.length; i++) {
+            crc ^= text.charCodeAt(i);
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+            }
+        }
+        return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Replace the photo Blobs of a dump with data URLs
+     * @param {Object} stores - { storeName: [records] }
+     * @returns {Promise<Object>}
+     */
+    async encodeAttachments(stores) {
+        if (!stores[STORES.ATTACHMENTS]) return stores;
+        const attachments = await Promise.all(stores[STORES.ATTACHMENTS].map(async attachment => {
+            const encoded = { ...attachment };
+            for (const field of ATTACHMENT_BLOB_FIELDS) {
+                if (attachment[field] instanceof Blob) encoded[field] = await this.blobToDataUrl(attachment[field]);
+            }
+            return encoded;
+        }));
+        return { ...stores, [STORES.ATTACHMENTS]: attachments };
+    }
+
+    /**
+     * Turn the data URLs of a backup's photos back into Blobs
+     * @param {Object} stores - { storeName: [records] }
+     * @returns {Object}
+     */
+    decodeAttachments(stores) {
+        if (!stores[STORES.ATTACHMENTS]) return stores;
+        const attachments = stores[STORES.ATTACHMENTS].map(attachment => {
+            const decoded = { ...attachment };
+            ATTACHMENT_BLOB_FIELDS.forEach(field => {
+                if (typeof attachment[field] === 'string') decoded[field] = this.dataUrlToBlob(attachment[field]);
+            });
+            return decoded;
+        });
+        return { ...stores, [STORES.ATTACHMENTS]: attachments };
+    }
+
+    async blobToDataUrl(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        let binary = '';
+        // Chunked: String.fromCharCode takes its bytes as arguments
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+    }
+
+    dataUrlToBlob(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const type = header.slice('data:'.length).split(';')[0];
+        const binary = atob(data || '');
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type });
+    }
+
+    /**
+     * Build a backup object with every store, including metadata
+     */
+    async createBackup() {
+        const stores = await this.encodeAttachments(await this.db.exportAllStores());
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            schemaVersion: DB_VERSION,
+            createdAt: new Date().toISOString(),
+            stores,
+            checksum: this.checksum(JSON.stringify(stores))
+        };
+    }
+
+    /**
+     * Build an archive of the records older than a time, with the profiles
+     * they belong to. Nothing is removed until removeArchived() is called.
+     * @param {number} before - Timestamp (ms)
+     * @returns {Promise<Object>} - A backup object with archivedBefore set
+     */
+    async createArchive(before) {
+        const stores = await this.encodeAttachments(await this.db.exportRecordsBefore(before));
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            schemaVersion: DB_VERSION,
+            createdAt: new Date().toISOString(),
+            archivedBefore: new Date(before).toISOString(),
+            stores,
+            checksum: this.checksum(JSON.stringify(stores))
+        };
+    }
+
+    isArchive(backup) {
+        return !!backup.archivedBefore;
+    }
+
+    /**
+     * Number of records in an archive, profiles not included
+     */
+    countArchived(archive) {
+        return CHILD_STORES.reduce((total, storeName) => total + (archive.stores[storeName] || []).length, 0);
+    }
+
+    /**
+     * Remove the records of an archive from the database, once its file is saved
+     * @param {Object} archive - As returned by createArchive()
+     * @returns {Promise<number>} - Number of records removed
+     */
+    async removeArchived(archive) {
+        const items = CHILD_STORES.flatMap(storeName =>
+            (archive.stores[storeName] || []).map(record => ({ storeName, id: record.id }))
+        );
+        await this.db.archiveRecords(items);
+        return items.length;
+    }
+
+    /**
+     * Parse the text of a backup file and validate it
+     * @returns {Object} - The backup object
+     */
+    parse(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+        this.validate(backup);
+        return backup;
+    }
+
+    /**
+     * Check that a backup can be restored into this version of the app
+     * @returns {Object} - Number of records per store
+     */
+    validate(backup) {
+        if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+            throw new Error('File is not a Baby Food Track backup');
+        }
+        if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+            throw new Error(`Unsupported backup version: ${backup.version}`);
+        }
+        if (typeof backup.schemaVersion !== 'number' || backup.schemaVersion > DB_VERSION) {
+            throw new Error(`Backup was created with a newer database schema (v${backup.schemaVersion})`);
+        }
+        if (!backup.stores || typeof backup.stores !== 'object') {
+            throw new Error('Backup has no stores');
+        }
+
+        const knownStores = Object.values(STORES);
+        const counts = {};
+        Object.entries(backup.stores).forEach(([storeName, records]) => {
+            if (!knownStores.includes(storeName)) {
+                throw new Error(`Unknown store in backup: ${storeName}`);
+            }
+            if (!Array.isArray(records)) {
+                throw new Error(`Store ${storeName} is not a list of records`);
+            }
+            records.forEach((record, index) => {
+                if (!record || typeof record !== 'object') {
+                    throw new Error(`Invalid record #${index + 1} in ${storeName}`);
+                }
+                if (storeName === STORES.METADATA && typeof record.key !== 'string') {
+                    throw new Error(`Metadata record #${index + 1} has no key`);
+                }
+            });
+            counts[storeName] = records.length;
+        });
+
+        if (backup.checksum !== this.checksum(JSON.stringify(backup.stores))) {
+            throw new Error('Checksum mismatch, the backup file is corrupted');
+        }
+
+        return counts;
+    }
+
+    /**
+     * Restore a backup in a single transaction
+     * @param {Object} backup
+     * @param {string} mode - 'replace' | 'merge'
+     * @returns {Promise<Object>} - Number of records written per store
+     */
+    async restore(backup, mode = 'replace') {
+        this.validate(backup);
+        // An archive only holds old records: replacing would drop everything else
+        if (this.isArchive(backup) && mode !== 'merge') {
+            throw new Error('Archives can only be merged');
+        }
+        const counts = await this.db.importAllStores(this.decodeAttachments(backup.stores), mode);
+        console.log(`✅ Backup from ${backup.createdAt} restored (${mode}):`, counts);
+        return counts;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BackupManager, BACKUP_FORMAT, BACKUP_VERSION };
+}
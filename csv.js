@@ -0,0 +1,363 @@
+/**
+ * CSV Import/Export
+ * RFC 4180 reading and writing, and the spreadsheet layout of the records:
+ * one section per record type, each starting with its own header row
+ * (TIPO, FECHA, ...), with the record type code in the first column of
+ * every data row. Columns are matched by their header name, so they may
+ * come in any order.
+ */
+
+const CSV_BOM = '﻿';
+const CSV_TYPE_COLUMN = 'TIPO';
+
+const APPOINTMENT_TYPE_LABELS = {
+    doctor: 'Consulta Médica',
+    vaccine: 'Vacuna',
+    study: 'Estudio/Análisis',
+    specialist: 'Especialista',
+    other: 'Otro'
+};
+
+const JOURNAL_CATEGORY_LABELS = {
+    health: 'Salud',
+    behavior: 'Comportamiento',
+    milestone: 'Hito',
+    concern: 'Preocupación',
+    emergency: 'Emergencia',
+    other: 'Otro'
+};
+
+// Sections of the file, in order. Column types: time (ISO), number, bool
+// (Sí/No), enum (label or value), list (comma separated, with the commas
+// inside an item written as \,) and text. 'aliases' are the names older
+// exports used (TIPO,FECHA,DETALLE1,DETALLE2,DETALLE3,NOTAS,ZONA_HORARIA);
+// 'defaults' fill the fields of a record no column sets.
+const CSV_SECTIONS = {
+    [STORES.FEEDINGS]: {
+        code: 'ALIMENTACION',
+        columns: [
+            { name: 'FECHA', field: 'time', type: 'time', required: true },
+            { name: 'TIPO_TOMA', field: 'type', type: 'enum', values: { bottle: 'Biberón', breast: 'Pecho' }, aliases: ['DETALLE1'], required: true },
+            { name: 'CANTIDAD_ML', field: 'amount', type: 'number', aliases: ['DETALLE2'] },
+            { name: 'DURACION_MIN', field: 'duration', type: 'number', aliases: ['DETALLE3'] },
+            { name: 'ZONA_HORARIA', field: 'timezone', type: 'text' }
+        ],
+        defaults: { amount: null, duration: null }
+    },
+    [STORES.DIAPERS]: {
+        code: 'PANAL',
+        columns: [
+            { name: 'FECHA', field: 'time', type: 'time', required: true },
+            { name: 'PIPI', field: 'hasPee', type: 'bool', aliases: ['DETALLE1'] },
+            { name: 'POPO', field: 'hasPoop', type: 'bool', aliases: ['DETALLE2'] },
+            { name: 'NIVEL', field: 'level', type: 'number', aliases: ['DETALLE3'] },
+            { name: 'NOTAS', field: 'notes', type: 'text' },
+            { name: 'ZONA_HORARIA', field: 'timezone', type: 'text' }
+        ],
+        defaults: { hasPee: false, hasPoop: false, level: 2, notes: '' }
+    },
+    [STORES.MEASUREMENTS]: {
+        code: 'CRECIMIENTO',
+        columns: [
+            { name: 'FECHA', field: 'time', type: 'time', required: true },
+            { name: 'PESO_KG', field: 'weight', type: 'number', aliases: ['DETALLE1'] },
+            { name: 'ALTURA_CM', field: 'height', type: 'number', aliases: ['DETALLE2'] },
+            { name: 'ZONA_HORARIA', field: 'timezone', type: 'text' }
+        ],
+        defaults: { weight: null, height: null }
+    },
+    [STORES.MEDICINES]: {
+        code: 'MEDICAMENTO',
+        columns: [
+            { name: 'FECHA', field: 'time', type: 'time', required: true },
+            { name: 'NOMBRE', field: 'name', type: 'text', required: true },
+            { name: 'DOSIS', field: 'dose', type: 'text' },
+            { name: 'INTERVALO_H', field: 'interval', type: 'number' },
+            { name: 'ACTIVO', field: 'active', type: 'bool' },
+            { name: 'PROXIMA_DOSIS', field: 'nextDose', type: 'time' },
+            { name: 'NOTAS', field: 'notes', type: 'text' },
+            { name: 'ZONA_HORARIA', field: 'timezone', type: 'text' }
+        ],
+        defaults: { dose: '', interval: 0, active: false, nextDose: null, notes: '' }
+    },
+    [STORES.TEMPERATURES]: {
+        code: 'TEMPERATURA',
+        columns: [
+            { name: 'FECHA', field: 'time', type: 'time', required: true },
+            { name: 'TEMPERATURA_C', field: 'value', type: 'number', required: true },
+            { name: 'NOTAS', field: 'notes', type: 'text' },
+            { name: 'ZONA_HORARIA', field: 'timezone', type: 'text' }
+        ],
+        defaults: { notes: '' }
+    },
+    [STORES.APPOINTMENTS]: {
+        code: 'CITA',
+        columns: [
+            { name: 'FECHA', field: 'time', type: 'time', required: true },
+            { name: 'TIPO_CITA', field: 'type', type: 'enum', values: APPOINTMENT_TYPE_LABELS },
+            { name: 'TITULO', field: 'title', type: 'text', required: true },
+            { name: 'LUGAR', field: 'location', type: 'text' },
+            { name: 'COMPLETADA', field: 'completed', type: 'bool' },
+            { name: 'NOTAS', field: 'notes', type: 'text' },
+            { name: 'ZONA_HORARIA', field: 'timezone', type: 'text' }
+        ],
+        defaults: { type: 'other', location: '', completed: false, notes: '' }
+    },
+    [STORES.JOURNAL]: {
+        code: 'DIARIO',
+        columns: [
+            { name: 'FECHA', field: 'time', type: 'time', required: true },
+            { name: 'CATEGORIA', field: 'category', type: 'enum', values: JOURNAL_CATEGORY_LABELS },
+            { name: 'TITULO', field: 'title', type: 'text', required: true },
+            { name: 'DESCRIPCION', field: 'description', type: 'text' },
+            { name: 'ETIQUETAS', field: 'tags', type: 'list' },
+            { name: 'ZONA_HORARIA', field: 'timezone', type: 'text' }
+        ],
+        defaults: { category: 'other', description: '', tags: [] }
+    }
+};
+
+/**
+ * Thrown when the text is not valid CSV; nothing after it can be read
+ */
+class CsvError extends Error {
+    constructor(message, line) {
+        super(`Line ${line}: ${message}`);
+        this.name = 'CsvError';
+        this.line = line;
+    }
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180): fields may be quoted,
+ * with quotes inside doubled, and quoted fields may hold commas and line
+ * breaks. Both CRLF and LF end a row; a leading BOM and blank lines are skipped.
+ * @param {string} text
+ * @returns {Array} - [{ line, fields }], line being where the row starts (1-based)
+ * @throws {CsvError}
+ */
+function parseCSV(text) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false; // Inside a quoted field
+    let closed = false; // The current field was quoted and its quote closed
+    let line = 1;
+    let rowLine = 1;
+
+    const endField = () => {
+        fields.push(field);
+        field = '';
+        closed = false;
+    };
+    const endRow = () => {
+        const blank = fields.length === 0 && field === '' && !closed;
+        endField();
+        if (!blank) rows.push({ line: rowLine, fields });
+        fields = [];
+    };
+
+    for (let i = text.startsWith(CSV_BOM) ? 1 : 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+                closed = true;
+            } else if (char === '\r' && text[i + 1] === '\n') {
+                // Line breaks inside a field are kept as LF
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+            rowLine = ++line;
+        } else if (closed) {
+            throw new CsvError('Unexpected text after a closing quote', line);
+        } else if (char === '"') {
+            if (field !== '') throw new CsvError('Unexpected quote inside an unquoted field', line);
+            quoted = true;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) throw new CsvError('Unterminated quoted field', rowLine);
+    if (fields.length > 0 || field !== '' || closed) endRow();
+    return rows;
+}
+
+/**
+ * Quote a field when it holds a comma, a quote, a line break or edge spaces
+ * @param {any} value
+ * @returns {string}
+ */
+function formatCSVField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array} rows - Arrays of values
+ * @returns {string} - CRLF terminated rows
+ */
+function writeCSV(rows) {
+    return rows.map(row => row.map(formatCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+class RecordCsv {
+    /**
+     * Write records as CSV with every section, even the empty ones, so the
+     * layout of the file never changes
+     * @param {Object} recordsByStore - { storeName: [records] } in the app format
+     * @returns {string} - With a UTF-8 BOM, so spreadsheet apps detect the encoding
+     */
+    export(recordsByStore) {
+        const rows = [];
+        Object.entries(CSV_SECTIONS).forEach(([storeName, section], i) => {
+            if (i > 0) rows.push([]);
+            rows.push([CSV_TYPE_COLUMN, ...section.columns.map(column => column.name)]);
+            (recordsByStore[storeName] || []).forEach(record => {
+                rows.push([section.code, ...section.columns.map(column => this.formatValue(column, record[column.field]))]);
+            });
+        });
+        return CSV_BOM + writeCSV(rows);
+    }
+
+    formatValue(column, value) {
+        if (value === null || value === undefined || value === '') return '';
+        switch (column.type) {
+            case 'time':
+                return isNaN(new Date(value).getTime()) ? String(value) : new Date(value).toISOString();
+            case 'bool':
+                return value ? 'Sí' : 'No';
+            case 'enum':
+                return column.values[value] || value;
+            case 'list':
+                return Array.isArray(value) ? value.map(item => String(item).replace(/[\\,]/g, '\\$&')).join(', ') : value;
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Read the records of a CSV file. Rows that cannot be read are reported
+     * with their line and skipped.
+     * @param {string} text
+     * @returns {Object} - { rows: [{ line, storeName, record }], errors: [{ line, message }] };
+     *   records have no childId yet
+     * @throws {CsvError} - When the text itself is not valid CSV
+     */
+    import(text) {
+        return this.importRows(parseCSV(text));
+    }
+
+    /**
+     * @param {Array} csvRows - As returned by parseCSV()
+     * @returns {Object} - See import()
+     */
+    importRows(csvRows) {
+        const rows = [];
+        const errors = [];
+        const storeByCode = Object.fromEntries(
+            Object.entries(CSV_SECTIONS).map(([storeName, section]) => [section.code, storeName])
+        );
+        let header = null;
+
+        csvRows.forEach(({ line, fields }) => {
+            const code = fields[0].trim().toUpperCase();
+            if (code === CSV_TYPE_COLUMN) {
+                header = fields.map(name => name.trim().toUpperCase());
+                return;
+            }
+
+            const storeName = storeByCode[code];
+            if (!storeName) {
+                errors.push({ line, message: `Tipo de registro desconocido: ${fields[0]}` });
+            } else if (!header) {
+                errors.push({ line, message: 'Fila antes de la primera fila de encabezado' });
+            } else {
+                try {
+                    rows.push({ line, storeName, record: this.readRecord(CSV_SECTIONS[storeName], header, fields) });
+                } catch (error) {
+                    errors.push({ line, message: error.message });
+                }
+            }
+        });
+        return { rows, errors };
+    }
+
+    /**
+     * @param {Object} section - One of CSV_SECTIONS
+     * @param {Array} header - Column names of the current section, upper case
+     * @param {Array} fields
+     * @returns {Object}
+     * @throws {Error} - When a required column is empty or a value cannot be read
+     */
+    readRecord(section, header, fields) {
+        const record = { ...section.defaults };
+        section.columns.forEach(column => {
+            const index = [column.name, ...(column.aliases || [])]
+                .map(name => header.indexOf(name))
+                .find(i => i !== -1);
+            const raw = index === undefined ? '' : (fields[index] || '');
+            if (raw.trim() === '') {
+                if (column.required) throw new Error(`Falta ${column.name}`);
+                return;
+            }
+            // Text is kept as written, edge spaces included
+            record[column.field] = column.type === 'text' ? raw : this.parseValue(column, raw.trim());
+        });
+        return record;
+    }
+
+    parseValue(column, raw) {
+        switch (column.type) {
+            case 'time': {
+                const date = new Date(raw);
+                if (isNaN(date.getTime())) throw new Error(`Fecha inválida en ${column.name}: ${raw}`);
+                return date.toISOString();
+            }
+            case 'number': {
+                // Spreadsheets in Spanish write decimal commas
+                const number = Number(raw.replace(',', '.'));
+                if (!isFinite(number)) throw new Error(`Número inválido en ${column.name}: ${raw}`);
+                return number;
+            }
+            case 'bool': {
+                const value = raw.toLowerCase();
+                if (['sí', 'si', 'yes', 'true', '1'].includes(value)) return true;
+                if (['no', 'false', '0'].includes(value)) return false;
+                throw new Error(`Valor Sí/No inválido en ${column.name}: ${raw}`);
+            }
+            case 'enum': {
+                const value = raw.toLowerCase();
+                const match = Object.entries(column.values)
+                    .find(([key, label]) => key.toLowerCase() === value || label.toLowerCase() === value);
+                if (!match) throw new Error(`Valor desconocido en ${column.name}: ${raw}`);
+                return match[0];
+            }
+            case 'list':
+                // Split on the commas that are not escaped
+                return (raw.match(/(?:\\.|[^\\,])+/g) || [])
+                    .map(item => item.replace(/\\(.)/g, '$1').trim())
+                    .filter(item => item);
+            default:
+                return raw;
+        }
+    }
+}
+
+// Create singleton instance
+const recordCsv = new RecordCsv();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { recordCsv, RecordCsv, CsvError, CSV_SECTIONS, CSV_TYPE_COLUMN, parseCSV, writeCSV };
+}
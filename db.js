@@ -4,7 +4,7 @@
  */
 
 const DB_NAME = 'BabyFoodTrackDB';
-const DB_VERSION = 3;
+const DB_VERSION = 10;
 
 // Object store names
 const STORES = {
@@ -15,13 +15,268 @@ const STORES = {
     TEMPERATURES: 'temperatures',
     APPOINTMENTS: 'appointments',
     JOURNAL: 'journal',
+    CHILDREN: 'children',
+    AUDIT: 'audit',
+    OUTBOX: 'outbox',
+    CONFLICTS: 'conflicts',
+    DAILY_SUMMARIES: 'dailySummaries',
+    ATTACHMENTS: 'attachments',
     METADATA: 'metadata'
 };
 
+// Stores whose records belong to a child profile
+const CHILD_STORES = [
+    STORES.FEEDINGS,
+    STORES.DIAPERS,
+    STORES.MEASUREMENTS,
+    STORES.MEDICINES,
+    STORES.TEMPERATURES,
+    STORES.APPOINTMENTS,
+    STORES.JOURNAL
+];
+
+// Stores shared between devices by the sync engine
+const SYNCED_STORES = [...CHILD_STORES, STORES.CHILDREN];
+
+// Stores written together with every change: the audit log and the sync outbox
+const CHANGE_LOG_STORES = [STORES.AUDIT, STORES.OUTBOX];
+
+// Per store, the field its lists can be filtered by and the compound
+// index [childId, field, timestamp] that serves the filter (see findRecords)
+const FILTER_INDEXES = {
+    [STORES.FEEDINGS]: { field: 'type', index: 'childTypeTimestamp' },
+    [STORES.MEDICINES]: { field: 'name', index: 'childNameTimestamp' },
+    [STORES.APPOINTMENTS]: { field: 'type', index: 'childTypeTimestamp' },
+    [STORES.JOURNAL]: { field: 'category', index: 'childCategoryTimestamp' }
+};
+
+// Stores whose records are counted in the daily summaries
+const SUMMARY_STORES = [STORES.FEEDINGS, STORES.DIAPERS, STORES.MEDICINES, STORES.TEMPERATURES];
+
+// Stores computed from the others: left out of backups and rebuilt instead
+const DERIVED_STORES = [STORES.DAILY_SUMMARIES];
+
+// Metadata key set once the daily summaries cover every record
+const DAILY_SUMMARIES_METADATA_KEY = 'dailySummariesBuiltAt';
+
+// Temperature (°C) counted as fever
+const FEVER_TEMPERATURE = 38;
+
+// Metadata key of the encryption configuration (see encryption.js)
+const ENCRYPTION_METADATA_KEY = 'encryption';
+
+// Metadata that belongs to this device, not to the data: the key configuration,
+// the sync identity and position (see sync.js) and the PIN lock (see lock.js).
+// Left out of backups, and kept as they are when one is restored.
+const DEVICE_METADATA_KEYS = [ENCRYPTION_METADATA_KEY, 'syncDeviceId', 'syncCursor', 'syncUrl', 'syncToken', 'pinLock'];
+
+// Stores encrypted when a passphrase is set: null for the whole record,
+// otherwise the fields of a log entry that hold a record
+const ENCRYPTED_STORES = {
+    ...Object.fromEntries(SYNCED_STORES.map(storeName => [storeName, null])),
+    [STORES.AUDIT]: ['before', 'after'],
+    [STORES.CONFLICTS]: ['local', 'remote'],
+    [STORES.DAILY_SUMMARIES]: null,
+    [STORES.ATTACHMENTS]: null
+};
+
+// Fields of an attachment holding image Blobs, written as data URLs in backups
+const ATTACHMENT_BLOB_FIELDS = ['blob', 'thumbnail'];
+
+/**
+ * Random identifier that stays the same for a record on every device
+ * @returns {string}
+ */
+function createUid() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Give a record the fields the sync engine relies on, if it lacks them
+ * @param {Object} record
+ * @returns {Object}
+ */
+function withSyncFields(record) {
+    if (record.uid && record.updatedAt) return record;
+    return {
+        ...record,
+        uid: record.uid || createUid(),
+        updatedAt: record.updatedAt || record.createdAt || Date.now()
+    };
+}
+
+/**
+ * Day of a time on this device's calendar, YYYY-MM-DD. Daily summaries are
+ * keyed by it rather than by the UTC 'date' index, so days end at local midnight.
+ * @param {string|number|Date} time
+ * @returns {string}
+ */
+function localDateKey(time) {
+    const date = new Date(time);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Rough size of a value as the browser keeps it: two bytes per string
+ * character, eight per number, the length of binary data (encrypted fields)
+ * @param {any} value
+ * @returns {number} - Bytes
+ */
+function estimateSize(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'string') return value.length * 2;
+    if (typeof value === 'number') return 8;
+    if (typeof value === 'boolean') return 4;
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return value.byteLength;
+    if (typeof Blob !== 'undefined' && value instanceof Blob) return value.size;
+    if (value instanceof Date) return 8;
+    if (Array.isArray(value)) return value.reduce((size, item) => size + estimateSize(item), 0);
+    if (typeof value === 'object') {
+        return Object.entries(value).reduce((size, [key, item]) => size + key.length * 2 + estimateSize(item), 0);
+    }
+    return 0;
+}
+
+/**
+ * Add up records per day for the dailySummaries store
+ * @param {number} childId
+ * @param {Object} recordsByStore - { storeName: [records] } of SUMMARY_STORES, decrypted and not trashed
+ * @returns {Array} - One summary per day that has records:
+ *   { childId, date, feedings, bottleFeedings, bottleMl, breastFeedings, breastMinutes,
+ *     firstFeedingAt, lastFeedingAt, diapers, pee, poop, mixed, firstDiaperAt, lastDiaperAt,
+ *     medicineDoses, medicines: { name: doses }, temperatures, temperatureSum,
+ *     temperatureMin, temperatureMax, fevers }
+ */
+function summarizeDays(childId, recordsByStore) {
+    const days = new Map();
+    // Records with an unreadable time belong to no day
+    const dated = storeName => (recordsByStore[storeName] || []).filter(record => !isNaN(new Date(record.timestamp).getTime()));
+    const summaryOf = (record) => {
+        const date = localDateKey(record.timestamp);
+        if (!days.has(date)) {
+            days.set(date, {
+                childId, date,
+                feedings: 0, bottleFeedings: 0, bottleMl: 0, breastFeedings: 0, breastMinutes: 0,
+                firstFeedingAt: null, lastFeedingAt: null,
+                diapers: 0, pee: 0, poop: 0, mixed: 0, firstDiaperAt: null, lastDiaperAt: null,
+                medicineDoses: 0, medicines: {},
+                temperatures: 0, temperatureSum: 0, temperatureMin: null, temperatureMax: null, fevers: 0
+            });
+        }
+        return days.get(date);
+    };
+    // First and last times of the day give the average interval: (last - first) / (count - 1)
+    const extendTimes = (summary, record, first, last) => {
+        const time = new Date(record.timestamp).getTime();
+        if (summary[first] === null || time < summary[first]) summary[first] = time;
+        if (summary[last] === null || time > summary[last]) summary[last] = time;
+    };
+
+    dated(STORES.FEEDINGS).forEach(feeding => {
+        const summary = summaryOf(feeding);
+        summary.feedings++;
+        if (feeding.type === 'bottle') {
+            summary.bottleFeedings++;
+            summary.bottleMl += feeding.amount || 0;
+        } else if (feeding.type === 'breast') {
+            summary.breastFeedings++;
+            summary.breastMinutes += feeding.duration || 0;
+        }
+        extendTimes(summary, feeding, 'firstFeedingAt', 'lastFeedingAt');
+    });
+
+    dated(STORES.DIAPERS).forEach(diaper => {
+        const summary = summaryOf(diaper);
+        summary.diapers++;
+        if (diaper.hasPee) summary.pee++;
+        if (diaper.hasPoop) summary.poop++;
+        if (diaper.hasPee && diaper.hasPoop) summary.mixed++;
+        extendTimes(summary, diaper, 'firstDiaperAt', 'lastDiaperAt');
+    });
+
+    dated(STORES.MEDICINES).forEach(medicine => {
+        const summary = summaryOf(medicine);
+        summary.medicineDoses++;
+        summary.medicines[medicine.name] = (summary.medicines[medicine.name] || 0) + 1;
+    });
+
+    dated(STORES.TEMPERATURES).forEach(temperature => {
+        const summary = summaryOf(temperature);
+        const value = Number(temperature.value);
+        summary.temperatures++;
+        summary.temperatureSum += value;
+        if (summary.temperatureMin === null || value < summary.temperatureMin) summary.temperatureMin = value;
+        if (summary.temperatureMax === null || value > summary.temperatureMax) summary.temperatureMax = value;
+        if (value >= FEVER_TEMPERATURE) summary.fevers++;
+    });
+
+    return [...days.values()];
+}
+
+/**
+ * Schema migrations, applied in order when DB_VERSION increases.
+ * Each migration runs in the upgrade transaction of the version that
+ * introduced it. Step types:
+ *   { type: 'createIndex', store, name, keyPath?, options? }
+ *   { type: 'backfill', store, field, value: (record) => any }
+ *   { type: 'rename', store, from, to }
+ *   { type: 'custom', run: (database, transaction, done) => void }
+ * Steps flagged with upgradeOnly are skipped when the database is new.
+ */
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 4,
+        description: 'Child profiles: childId index on every record store',
+        steps: [
+            ...CHILD_STORES.map(storeName => ({ type: 'createIndex', store: storeName, name: 'childId' })),
+            // Existing single-baby data is assigned to a default profile
+            {
+                type: 'custom',
+                upgradeOnly: true,
+                run: (database, transaction, done) => database.assignRecordsToDefaultChild(transaction, done)
+            }
+        ]
+    },
+    {
+        version: 5,
+        description: 'Trash: deletedAt index on every record store',
+        steps: CHILD_STORES.map(storeName => ({ type: 'createIndex', store: storeName, name: 'deletedAt' }))
+    },
+    {
+        version: 7,
+        description: 'Sync: stable uid and updatedAt on every record and profile',
+        steps: SYNCED_STORES.flatMap(storeName => [
+            { type: 'backfill', store: storeName, field: 'uid', value: () => createUid() },
+            { type: 'backfill', store: storeName, field: 'updatedAt', value: record => record.createdAt || Date.now() },
+            { type: 'createIndex', store: storeName, name: 'uid', options: { unique: true } }
+        ])
+    },
+    {
+        version: 9,
+        description: 'Queries: compound indexes for per-child lists, by time and by filter field',
+        steps: [
+            ...CHILD_STORES.map(storeName => ({
+                type: 'createIndex', store: storeName, name: 'childTimestamp', keyPath: ['childId', 'timestamp']
+            })),
+            ...Object.entries(FILTER_INDEXES).map(([storeName, { field, index }]) => ({
+                type: 'createIndex', store: storeName, name: index, keyPath: ['childId', field, 'timestamp']
+            }))
+        ]
+    }
+];
+
 class BabyFoodDB {
     constructor() {
         this.db = null;
         this.isReady = false;
+        this.caregiver = ''; // Stored with every audit entry
+        this.syncEnabled = false; // Queue changes in the outbox for the sync engine
+        this.onChangeQueued = null; // Called after a change was queued
+        this.cipher = null; // Set by the encryption manager once unlocked
     }
 
     /**
@@ -49,114 +304,330 @@ class BabyFoodDB {
             };
 
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
                 console.log('Upgrading database schema...');
+                this.upgradeSchema(event.target.result, event.target.transaction, event.oldVersion);
+            };
+        });
+    }
 
-                // Create Feedings object store
-                if (!db.objectStoreNames.contains(STORES.FEEDINGS)) {
-                    const feedingStore = db.createObjectStore(STORES.FEEDINGS, {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
+    /**
+     * Bring a database up to date inside its versionchange transaction:
+     * create any missing store, then run every migration newer than oldVersion
+     * @param {IDBDatabase} db
+     * @param {IDBTransaction} transaction - The versionchange transaction
+     * @param {number} oldVersion - 0 for a new database
+     */
+    upgradeSchema(db, transaction, oldVersion) {
+        // Create Feedings object store
+        if (!db.objectStoreNames.contains(STORES.FEEDINGS)) {
+            const feedingStore = db.createObjectStore(STORES.FEEDINGS, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+
+            // Indexes for efficient querying
+            feedingStore.createIndex('timestamp', 'timestamp', { unique: false });
+            feedingStore.createIndex('type', 'type', { unique: false });
+            feedingStore.createIndex('date', 'date', { unique: false }); // YYYY-MM-DD for day queries
+            feedingStore.createIndex('yearMonth', 'yearMonth', { unique: false }); // YYYY-MM for month queries
+            
+            console.log('Feedings store created');
+        }
 
-                    // Indexes for efficient querying
-                    feedingStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    feedingStore.createIndex('type', 'type', { unique: false });
-                    feedingStore.createIndex('date', 'date', { unique: false }); // YYYY-MM-DD for day queries
-                    feedingStore.createIndex('yearMonth', 'yearMonth', { unique: false }); // YYYY-MM for month queries
-                    
-                    console.log('Feedings store created');
-                }
+        // Create Diapers object store
+        if (!db.objectStoreNames.contains(STORES.DIAPERS)) {
+            const diaperStore = db.createObjectStore(STORES.DIAPERS, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+
+            // Indexes for efficient querying
+            diaperStore.createIndex('timestamp', 'timestamp', { unique: false });
+            diaperStore.createIndex('date', 'date', { unique: false });
+            diaperStore.createIndex('yearMonth', 'yearMonth', { unique: false });
+            diaperStore.createIndex('hasPee', 'hasPee', { unique: false });
+            diaperStore.createIndex('hasPoop', 'hasPoop', { unique: false });
+            
+            console.log('Diapers store created');
+        }
 
-                // Create Diapers object store
-                if (!db.objectStoreNames.contains(STORES.DIAPERS)) {
-                    const diaperStore = db.createObjectStore(STORES.DIAPERS, {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
+        // Create Measurements object store
+        if (!db.objectStoreNames.contains(STORES.MEASUREMENTS)) {
+            const measurementStore = db.createObjectStore(STORES.MEASUREMENTS, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
 
-                    // Indexes for efficient querying
-                    diaperStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    diaperStore.createIndex('date', 'date', { unique: false });
-                    diaperStore.createIndex('yearMonth', 'yearMonth', { unique: false });
-                    diaperStore.createIndex('hasPee', 'hasPee', { unique: false });
-                    diaperStore.createIndex('hasPoop', 'hasPoop', { unique: false });
-                    
-                    console.log('Diapers store created');
-                }
+            // Indexes for efficient querying
+            measurementStore.createIndex('timestamp', 'timestamp', { unique: false });
+            measurementStore.createIndex('date', 'date', { unique: false });
+            
+            console.log('Measurements store created');
+        }
 
-                // Create Measurements object store
-                if (!db.objectStoreNames.contains(STORES.MEASUREMENTS)) {
-                    const measurementStore = db.createObjectStore(STORES.MEASUREMENTS, {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
+        // Create Medicines object store
+        if (!db.objectStoreNames.contains(STORES.MEDICINES)) {
+            const medicineStore = db.createObjectStore(STORES.MEDICINES, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+            medicineStore.createIndex('timestamp', 'timestamp', { unique: false });
+            medicineStore.createIndex('date', 'date', { unique: false });
+            medicineStore.createIndex('name', 'name', { unique: false });
+            medicineStore.createIndex('active', 'active', { unique: false });
+            console.log('Medicines store created');
+        }
 
-                    // Indexes for efficient querying
-                    measurementStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    measurementStore.createIndex('date', 'date', { unique: false });
-                    
-                    console.log('Measurements store created');
-                }
+        // Create Temperatures object store
+        if (!db.objectStoreNames.contains(STORES.TEMPERATURES)) {
+            const temperatureStore = db.createObjectStore(STORES.TEMPERATURES, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+            temperatureStore.createIndex('timestamp', 'timestamp', { unique: false });
+            temperatureStore.createIndex('date', 'date', { unique: false });
+            console.log('Temperatures store created');
+        }
 
-                // Create Medicines object store
-                if (!db.objectStoreNames.contains(STORES.MEDICINES)) {
-                    const medicineStore = db.createObjectStore(STORES.MEDICINES, {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    medicineStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    medicineStore.createIndex('date', 'date', { unique: false });
-                    medicineStore.createIndex('name', 'name', { unique: false });
-                    medicineStore.createIndex('active', 'active', { unique: false });
-                    console.log('Medicines store created');
-                }
+        // Create Appointments object store
+        if (!db.objectStoreNames.contains(STORES.APPOINTMENTS)) {
+            const appointmentStore = db.createObjectStore(STORES.APPOINTMENTS, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+            appointmentStore.createIndex('timestamp', 'timestamp', { unique: false });
+            appointmentStore.createIndex('date', 'date', { unique: false });
+            appointmentStore.createIndex('type', 'type', { unique: false });
+            console.log('Appointments store created');
+        }
 
-                // Create Temperatures object store
-                if (!db.objectStoreNames.contains(STORES.TEMPERATURES)) {
-                    const temperatureStore = db.createObjectStore(STORES.TEMPERATURES, {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    temperatureStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    temperatureStore.createIndex('date', 'date', { unique: false });
-                    console.log('Temperatures store created');
-                }
+        // Create Journal object store
+        if (!db.objectStoreNames.contains(STORES.JOURNAL)) {
+            const journalStore = db.createObjectStore(STORES.JOURNAL, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+            journalStore.createIndex('timestamp', 'timestamp', { unique: false });
+            journalStore.createIndex('date', 'date', { unique: false });
+            journalStore.createIndex('category', 'category', { unique: false });
+            console.log('Journal store created');
+        }
 
-                // Create Appointments object store
-                if (!db.objectStoreNames.contains(STORES.APPOINTMENTS)) {
-                    const appointmentStore = db.createObjectStore(STORES.APPOINTMENTS, {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    appointmentStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    appointmentStore.createIndex('date', 'date', { unique: false });
-                    appointmentStore.createIndex('type', 'type', { unique: false });
-                    console.log('Appointments store created');
-                }
+        // Create Metadata object store (for app settings, migration status, etc.)
+        if (!db.objectStoreNames.contains(STORES.METADATA)) {
+            const metadataStore = db.createObjectStore(STORES.METADATA, {
+                keyPath: 'key'
+            });
+            
+            console.log('Metadata store created');
+        }
+
+        // Create Children object store (child profiles)
+        if (!db.objectStoreNames.contains(STORES.CHILDREN)) {
+            const childStore = db.createObjectStore(STORES.CHILDREN, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+            childStore.createIndex('name', 'name', { unique: false });
+            console.log('Children store created');
+        }
+
+        // Create Audit object store (who changed which record and how)
+        if (!db.objectStoreNames.contains(STORES.AUDIT)) {
+            const auditStore = db.createObjectStore(STORES.AUDIT, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+            auditStore.createIndex('timestamp', 'timestamp', { unique: false });
+            auditStore.createIndex('childId', 'childId', { unique: false });
+            auditStore.createIndex('record', ['storeName', 'recordId'], { unique: false });
+            console.log('Audit store created');
+        }
+
+        // Create Outbox object store (records changed since the last sync, one entry per record)
+        if (!db.objectStoreNames.contains(STORES.OUTBOX)) {
+            db.createObjectStore(STORES.OUTBOX, { keyPath: ['storeName', 'uid'] });
+            console.log('Outbox store created');
+        }
+
+        // Create Conflicts object store (concurrent edits resolved by the sync engine)
+        if (!db.objectStoreNames.contains(STORES.CONFLICTS)) {
+            const conflictStore = db.createObjectStore(STORES.CONFLICTS, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+            conflictStore.createIndex('timestamp', 'timestamp', { unique: false });
+            console.log('Conflicts store created');
+        }
+
+        // Create Daily Summaries object store (per child and day totals, see summarizeDays())
+        if (!db.objectStoreNames.contains(STORES.DAILY_SUMMARIES)) {
+            db.createObjectStore(STORES.DAILY_SUMMARIES, { keyPath: ['childId', 'date'] });
+            console.log('Daily summaries store created');
+        }
+
+        // Create Attachments object store (photos of records, see attachments.js)
+        if (!db.objectStoreNames.contains(STORES.ATTACHMENTS)) {
+            const attachmentStore = db.createObjectStore(STORES.ATTACHMENTS, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+            attachmentStore.createIndex('record', ['storeName', 'recordId'], { unique: false });
+            attachmentStore.createIndex('childId', 'childId', { unique: false });
+            console.log('Attachments store created');
+        }
+
+        // Indexes and data transformations introduced by later versions
+        this.runSchemaMigrations(transaction, oldVersion, db.version);
+    }
+
+    /**
+     * Run the pending SCHEMA_MIGRATIONS one step at a time, then append
+     * them to the 'schemaHistory' metadata entry
+     * @param {IDBTransaction} transaction - The versionchange transaction
+     * @param {number} oldVersion
+     * @param {number} newVersion
+     */
+    runSchemaMigrations(transaction, oldVersion, newVersion) {
+        const pending = SCHEMA_MIGRATIONS
+            .filter(m => m.version > oldVersion && m.version <= newVersion)
+            .sort((a, b) => a.version - b.version);
+        const applied = [];
+
+        // Steps run sequentially so cursor-based steps never interleave
+        const runMigration = (index) => {
+            if (index >= pending.length) {
+                this.recordSchemaHistory(transaction, applied);
+                return;
+            }
 
-                // Create Journal object store
-                if (!db.objectStoreNames.contains(STORES.JOURNAL)) {
-                    const journalStore = db.createObjectStore(STORES.JOURNAL, {
-                        keyPath: 'id',
-                        autoIncrement: true
+            const migration = pending[index];
+            const steps = migration.steps.filter(step => !(step.upgradeOnly && oldVersion === 0));
+            const runStep = (stepIndex) => {
+                if (stepIndex >= steps.length) {
+                    applied.push({
+                        version: migration.version,
+                        description: migration.description,
+                        fromVersion: oldVersion,
+                        appliedAt: Date.now()
                     });
-                    journalStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    journalStore.createIndex('date', 'date', { unique: false });
-                    journalStore.createIndex('category', 'category', { unique: false });
-                    console.log('Journal store created');
+                    console.log(`Schema migration v${migration.version} applied: ${migration.description}`);
+                    runMigration(index + 1);
+                    return;
                 }
+                this.applyMigrationStep(transaction, steps[stepIndex], () => runStep(stepIndex + 1));
+            };
+            runStep(0);
+        };
 
-                // Create Metadata object store (for app settings, migration status, etc.)
-                if (!db.objectStoreNames.contains(STORES.METADATA)) {
-                    const metadataStore = db.createObjectStore(STORES.METADATA, {
-                        keyPath: 'key'
-                    });
-                    
-                    console.log('Metadata store created');
+        runMigration(0);
+    }
+
+    /**
+     * Apply a single migration step
+     * @param {IDBTransaction} transaction - The versionchange transaction
+     * @param {Object} step - See SCHEMA_MIGRATIONS
+     * @param {Function} done - Called once the step has finished
+     */
+    applyMigrationStep(transaction, step, done) {
+        switch (step.type) {
+            case 'createIndex': {
+                const store = transaction.objectStore(step.store);
+                if (!store.indexNames.contains(step.name)) {
+                    store.createIndex(step.name, step.keyPath || step.name, step.options || { unique: false });
                 }
+                done();
+                break;
+            }
+            case 'backfill':
+                this.updateEachRecord(transaction.objectStore(step.store), record => {
+                    if (record[step.field] !== undefined) return null;
+                    return { ...record, [step.field]: step.value(record) };
+                }, done);
+                break;
+            case 'rename':
+                this.updateEachRecord(transaction.objectStore(step.store), record => {
+                    if (!(step.from in record)) return null;
+                    const { [step.from]: value, ...rest } = record;
+                    return { ...rest, [step.to]: value };
+                }, done);
+                break;
+            case 'custom':
+                step.run(this, transaction, done);
+                break;
+            default:
+                // Throwing aborts the upgrade, leaving the old version intact
+                throw new Error(`Unknown schema migration step: ${step.type}`);
+        }
+    }
+
+    /**
+     * Walk every record of a store or index, writing back the ones the transform changes
+     * @param {IDBObjectStore|IDBIndex} source
+     * @param {Function} transform - Returns the new record, or null to leave it as is
+     * @param {Function} done
+     * @param {IDBKeyRange} [range] - Only walk records in this key range
+     */
+    updateEachRecord(source, transform, done, range) {
+        const cursorRequest = source.openCursor(range);
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) {
+                done();
+                return;
+            }
+            const updated = transform(cursor.value);
+            if (updated) cursor.update(updated);
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Append applied migrations to the history kept in metadata
+     * @param {IDBTransaction} transaction - The versionchange transaction
+     * @param {Array} applied
+     */
+    recordSchemaHistory(transaction, applied) {
+        if (applied.length === 0) return;
+        const metadataStore = transaction.objectStore(STORES.METADATA);
+        const request = metadataStore.get('schemaHistory');
+        request.onsuccess = () => {
+            const history = request.result ? request.result.value : [];
+            metadataStore.put({ key: 'schemaHistory', value: [...history, ...applied], updatedAt: Date.now() });
+        };
+    }
+
+    /**
+     * Create a default child profile inside an upgrade transaction and
+     * assign every record without a childId to it
+     * @param {IDBTransaction} transaction - The versionchange transaction
+     * @param {Function} done - Called once every store has been updated
+     */
+    assignRecordsToDefaultChild(transaction, done) {
+        const metadataStore = transaction.objectStore(STORES.METADATA);
+        const birthDateRequest = metadataStore.get('birthDate');
+
+        birthDateRequest.onsuccess = () => {
+            const child = {
+                name: 'Bebé',
+                sex: '',
+                birthDate: birthDateRequest.result ? birthDateRequest.result.value : null,
+                color: '#4a90e2',
+                createdAt: Date.now()
             };
-        });
+            const addRequest = transaction.objectStore(STORES.CHILDREN).add(child);
+
+            addRequest.onsuccess = () => {
+                const childId = addRequest.result;
+                metadataStore.put({ key: 'activeChildId', value: childId, updatedAt: Date.now() });
+
+                let remaining = CHILD_STORES.length;
+                CHILD_STORES.forEach(storeName => this.adoptOrphans(transaction, storeName, childId, () => {
+                    if (--remaining === 0) done();
+                }));
+                console.log(`Existing records assigned to default child profile ${childId}`);
+            };
+        };
     }
 
     /**
@@ -168,33 +639,185 @@ class BabyFoodDB {
         }
     }
 
-    // ============= FEEDING OPERATIONS =============
+    // ============= SHARED RECORD OPERATIONS =============
 
     /**
-     * Add a new feeding record
-     * @param {Object} feeding - Feeding data
+     * Compute the indexed date fields for a record time
+     * @param {string} storeName
+     * @param {string} time - ISO date string
+     * @returns {Object} - { timestamp, date[, yearMonth] }
+     */
+    getIndexFields(storeName, time) {
+        const timestamp = new Date(time).getTime();
+        const date = new Date(time).toISOString().split('T')[0];
+        const fields = { timestamp, date };
+
+        // Only feedings and diapers have a yearMonth index
+        if (storeName === STORES.FEEDINGS || storeName === STORES.DIAPERS) {
+            fields.yearMonth = date.substring(0, 7);
+        }
+        return fields;
+    }
+
+    /**
+     * Add a record with its indexed date fields, logging the creation
+     * @param {string} storeName
+     * @param {Object} data - Record data with an ISO 'time'
      * @returns {Promise<number>} - The ID of the added record
      */
-    async addFeeding(feeding) {
+    async addRecord(storeName, data) {
         await this.ensureInit();
 
-        // Add computed fields for indexing
-        const timestamp = new Date(feeding.time).getTime();
-        const date = new Date(feeding.time).toISOString().split('T')[0];
-        const yearMonth = date.substring(0, 7);
+        const now = Date.now();
+        const recordData = await this.sealRecord({
+            ...data,
+            ...this.getIndexFields(storeName, data.time),
+            uid: data.uid || createUid(),
+            createdAt: now,
+            updatedAt: now
+        });
 
-        const feedingData = {
-            ...feeding,
-            timestamp,
-            date,
-            yearMonth,
-            createdAt: Date.now()
-        };
+        const id = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName, ...CHANGE_LOG_STORES], 'readwrite');
+            const request = transaction.objectStore(storeName).add(recordData);
+
+            request.onsuccess = () => {
+                this.logChange(transaction, storeName, 'create', null, { ...recordData, id: request.result });
+            };
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+        await this.refreshDailySummaries(this.getSummaryDays(storeName, [recordData]));
+        return id;
+    }
+
+    /**
+     * Merge updates into an existing record, recalculating indexed
+     * fields when the time changes.
+     * The record is read and written in two transactions, so it can be
+     * decrypted in between; the write fails if it changed meanwhile.
+     * @param {string} storeName
+     * @param {number} id
+     * @param {Object} updates
+     * @param {string} action - Audit action to log ('update' or 'delete')
+     * @returns {Promise<void>}
+     */
+    async updateRecord(storeName, id, updates, action = 'update') {
+        await this.ensureInit();
+
+        const changes = updates.time
+            ? { ...updates, ...this.getIndexFields(storeName, updates.time) }
+            : updates;
+
+        const record = await this.getStoredRecord(storeName, id);
+        if (!record) {
+            throw new Error(`Record with id ${id} not found in ${storeName}`);
+        }
+        const updated = await this.sealRecord({ ...(await this.openRecord(record)), ...changes, updatedAt: Date.now() });
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName, ...CHANGE_LOG_STORES], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = () => {
+                const current = getRequest.result;
+                if (!current || current.updatedAt !== record.updatedAt) {
+                    transaction.abort();
+                    reject(new Error(`Record with id ${id} in ${storeName} changed while it was updated`));
+                    return;
+                }
+                store.put(updated);
+                this.logChange(transaction, storeName, action, record, updated);
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        // Both days, when the time moved the record to another one
+        await this.refreshDailySummaries(this.getSummaryDays(storeName, [record, updated]));
+    }
+
+    /**
+     * Add and overwrite many records in one transaction, so an import is
+     * saved whole or not at all
+     * @param {Array} items - [{ storeName, data, id? }], data with an ISO 'time';
+     *   with an id the stored record is replaced by data, keeping its identity,
+     *   and added as new if it no longer exists or is in the trash
+     * @returns {Promise<Object>} - { added, replaced }
+     */
+    async importRecords(items) {
+        await this.ensureInit();
+
+        const now = Date.now();
+        const sealed = await Promise.all(items.map(async ({ storeName, data, id }) => ({
+            storeName,
+            id,
+            record: await this.sealRecord({
+                ...data,
+                ...this.getIndexFields(storeName, data.time),
+                uid: data.uid || createUid(),
+                createdAt: now,
+                updatedAt: now
+            })
+        })));
+        const storeNames = [...new Set(items.map(item => item.storeName))];
+        const days = [];
+        let added = 0;
+        let replaced = 0;
+
+        if (storeNames.length > 0) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([...storeNames, ...CHANGE_LOG_STORES], 'readwrite');
+                sealed.forEach(({ storeName, id, record }) => {
+                    const store = transaction.objectStore(storeName);
+                    const add = () => {
+                        const request = store.add(record);
+                        request.onsuccess = () => {
+                            this.logChange(transaction, storeName, 'create', null, { ...record, id: request.result });
+                        };
+                        added++;
+                    };
+                    days.push(...this.getSummaryDays(storeName, [record]));
+                    if (id === undefined) {
+                        add();
+                        return;
+                    }
+
+                    const request = store.get(id);
+                    request.onsuccess = () => {
+                        const current = request.result;
+                        if (!current || current.deletedAt) {
+                            add();
+                            return;
+                        }
+                        const updated = { ...record, id, uid: current.uid, createdAt: current.createdAt };
+                        store.put(updated);
+                        this.logChange(transaction, storeName, 'update', current, updated);
+                        days.push(...this.getSummaryDays(storeName, [current]));
+                        replaced++;
+                    };
+                });
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        }
+        await this.refreshDailySummaries(days);
+        return { added, replaced };
+    }
+
+    /**
+     * Read a record as stored, still encrypted
+     * @param {string} storeName
+     * @param {number} id
+     * @returns {Promise<Object|undefined>}
+     */
+    async getStoredRecord(storeName, id) {
+        await this.ensureInit();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.FEEDINGS], 'readwrite');
-            const store = transaction.objectStore(STORES.FEEDINGS);
-            const request = store.add(feedingData);
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).get(id);
 
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
@@ -202,63 +825,260 @@ class BabyFoodDB {
     }
 
     /**
-     * Get all feedings
-     * @param {Object} options - Query options
-     * @returns {Promise<Array>}
+     * Read records newest first by walking the timestamp index, so a page
+     * never loads more of the store than it returns
+     * @param {string} storeName
+     * @param {Object} options
+     * @param {number} [options.childId] - Only the records of this child
+     * @param {Object} [options.before] - { timestamp, id } of the last record of
+     *   the previous page; the page continues strictly after it
+     * @param {number} [options.limit] - Page size, all matching records by default
+     * @param {string|Date} [options.startDate] - Oldest time included
+     * @param {string|Date} [options.endDate] - Newest time included
+     * @param {*} [options[field]] - Value of the store's filter field, only
+     *   applied when readsFilterIndex() says its index can be walked
+     * @returns {Promise<Array>} - Records as stored, still encrypted
      */
-    async getFeedings(options = {}) {
+    async readByTime(storeName, options = {}) {
         await this.ensureInit();
 
+        const { childId, before, limit = Infinity } = options;
+        const lower = options.startDate ? new Date(options.startDate).getTime() : undefined;
+        let upper = options.endDate ? new Date(options.endDate).getTime() : undefined;
+        if (before && (upper === undefined || before.timestamp < upper)) upper = before.timestamp;
+        const from = lower === undefined ? -Infinity : lower;
+        const to = upper === undefined ? Infinity : upper;
+
+        // A child's records are walked through [childId, timestamp], skipping the other
+        // children, or through [childId, field, timestamp] to skip the other values too
+        let indexName = 'timestamp';
+        let range = null;
+        if (this.readsFilterIndex(storeName, options)) {
+            const { field, index } = FILTER_INDEXES[storeName];
+            indexName = index;
+            range = IDBKeyRange.bound([childId, options[field], from], [childId, options[field], to]);
+        } else if (childId !== undefined) {
+            indexName = 'childTimestamp';
+            range = IDBKeyRange.bound([childId, from], [childId, to]);
+        } else if (lower !== undefined && upper !== undefined) range = IDBKeyRange.bound(lower, upper);
+        else if (lower !== undefined) range = IDBKeyRange.lowerBound(lower);
+        else if (upper !== undefined) range = IDBKeyRange.upperBound(upper);
+
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.FEEDINGS], 'readonly');
-            const store = transaction.objectStore(STORES.FEEDINGS);
-            
-            let request;
-
-            // Query by date range if specified
-            if (options.startDate && options.endDate) {
-                const index = store.index('timestamp');
-                const range = IDBKeyRange.bound(
-                    new Date(options.startDate).getTime(),
-                    new Date(options.endDate).getTime()
-                );
-                request = index.getAll(range);
-            } else if (options.date) {
-                // Query by specific date
-                const index = store.index('date');
-                request = index.getAll(options.date);
-            } else if (options.yearMonth) {
-                // Query by year-month
-                const index = store.index('yearMonth');
-                request = index.getAll(options.yearMonth);
-            } else {
-                // Get all
-                request = store.getAll();
-            }
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const index = transaction.objectStore(storeName).index(indexName);
+            const cursorRequest = index.openCursor(range, 'prev');
+            const records = [];
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    resolve(records);
+                    return;
+                }
+                const record = cursor.value;
+                // Records sharing the cursor's timestamp come by descending id
+                const seen = before && record.timestamp === before.timestamp && record.id >= before.id;
+                if (!seen && !record.deletedAt && (childId === undefined || record.childId === childId)) {
+                    records.push(record);
+                }
+                if (records.length >= limit) resolve(records);
+                else cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+    }
 
-            request.onsuccess = () => {
-                let results = request.result;
+    /**
+     * Whether a filtered page can walk the [childId, field, timestamp] index
+     * of the store: it needs a child, and the field is missing from the
+     * index of encrypted records (see query())
+     */
+    readsFilterIndex(storeName, options) {
+        const filterIndex = FILTER_INDEXES[storeName];
+        return !!filterIndex && options[filterIndex.field] !== undefined && options.childId !== undefined && !this.cipher;
+    }
 
-                // Filter by type if specified
-                if (options.type) {
-                    results = results.filter(f => f.type === options.type);
-                }
+    // ============= QUERIES =============
 
-                // Sort by timestamp (newest first by default)
-                results.sort((a, b) => {
-                    return options.ascending ? a.timestamp - b.timestamp : b.timestamp - a.timestamp;
-                });
+    /**
+     * Read records through an index, or by primary key without one.
+     * Encrypted records only keep the PLAINTEXT_FIELDS readable (see
+     * encryption.js), so they are missing from indexes on any other field:
+     * while a passphrase is set such a query reads the store and matches
+     * the range against the decrypted records instead.
+     * @param {string} storeName
+     * @param {Object} [options]
+     * @param {string} [options.index] - Index name
+     * @param {IDBKeyRange|*} [options.range] - Key range, or a single key, of the index
+     * @param {Function} [options.filter] - (record) => boolean, given the decrypted record
+     * @param {string} [options.order] - 'next' (ascending, the default) or 'prev'
+     * @param {number} [options.limit] - All matching records by default
+     * @param {number} [options.offset] - Matching records to skip first
+     * @param {boolean} [options.includeDeleted] - Also return records in the trash
+     * @returns {Promise<Array>} - Decrypted records
+     */
+    async query(storeName, options = {}) {
+        await this.ensureInit();
 
-                // Limit results if specified
-                if (options.limit) {
-                    results = results.slice(0, options.limit);
-                }
+        const { index, filter, order = 'next', offset = 0, limit = Infinity, includeDeleted = false } = options;
+        const range = options.range === undefined || options.range instanceof IDBKeyRange
+            ? options.range
+            : IDBKeyRange.only(options.range);
+        const visible = record => includeDeleted || !record.deletedAt;
+        // A filter on decrypted records cannot run inside the cursor
+        const filterAfterOpen = !!(filter && this.cipher);
+
+        const { stored, keyPath } = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const source = index ? store.index(index) : store;
+
+            const sealedKeyPath = [].concat(source.keyPath);
+            if (this.cipher && sealedKeyPath.some(field => !PLAINTEXT_FIELDS.includes(field))) {
+                const request = store.getAll();
+                request.onsuccess = () => resolve({ stored: request.result.filter(visible), keyPath: source.keyPath });
+                request.onerror = () => reject(request.error);
+                return;
+            }
 
-                resolve(results);
+            const records = [];
+            const wanted = filterAfterOpen ? Infinity : offset + limit;
+            const cursorRequest = source.openCursor(range, order);
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    resolve({ stored: records });
+                    return;
+                }
+                const record = cursor.value;
+                if (visible(record) && (!filter || filterAfterOpen || filter(record))) {
+                    records.push(record);
+                }
+                if (records.length >= wanted) resolve({ stored: records });
+                else cursor.continue();
             };
-
-            request.onerror = () => reject(request.error);
+            cursorRequest.onerror = () => reject(cursorRequest.error);
         });
+
+        let records = await this.openRecords(stored);
+        if (keyPath) {
+            records = this.matchKeyRange(records, keyPath, range, order);
+        }
+        if (filterAfterOpen) {
+            records = records.filter(filter);
+        }
+        return records.slice(offset, offset + limit);
+    }
+
+    /**
+     * Do in memory what an index does: keep the records whose key is in
+     * range and sort them by key, then by id
+     * @param {Array} records - Decrypted
+     * @param {string|Array} keyPath
+     * @param {IDBKeyRange} [range]
+     * @param {string} order - 'next' or 'prev'
+     * @returns {Array}
+     */
+    matchKeyRange(records, keyPath, range, order) {
+        const keyOf = record => Array.isArray(keyPath) ? keyPath.map(field => record[field]) : record[keyPath];
+        const isValidKey = key => {
+            try {
+                indexedDB.cmp(key, key);
+                return true;
+            } catch (error) {
+                return false; // Records without a valid key are not in the index either
+            }
+        };
+
+        const direction = order === 'prev' ? -1 : 1;
+        return records
+            .filter(record => isValidKey(keyOf(record)) && (!range || range.includes(keyOf(record))))
+            .sort((a, b) => direction * (indexedDB.cmp(keyOf(a), keyOf(b)) || a.id - b.id));
+    }
+
+    /**
+     * Records of a store for the get* methods, newest first unless
+     * ascending, through the most selective index for the options
+     * @param {string} storeName
+     * @param {Object} options
+     * @param {number} [options.childId]
+     * @param {string} [options.date] - YYYY-MM-DD, UTC
+     * @param {string} [options.yearMonth] - YYYY-MM, UTC
+     * @param {boolean} [options.ascending]
+     * @param {*} [options[field]] - Value of the store's filter field (FILTER_INDEXES), e.g. { type: 'bottle' }
+     * @param {Object} [options.before] - With 'limit' or 'startDate', a page
+     *   of up to 'limit' matching records is read newest first (see readByTime)
+     * @returns {Promise<Array>}
+     */
+    async findRecords(storeName, options = {}) {
+        const { childId } = options;
+        const filterIndex = FILTER_INDEXES[storeName];
+        const value = filterIndex ? options[filterIndex.field] : undefined;
+        const matches = record => value === undefined || record[filterIndex.field] === value;
+
+        // Pages and time ranges walk the timestamp index, or the filter index
+        if (options.before || options.limit || options.startDate) {
+            if (value === undefined || this.readsFilterIndex(storeName, options)) {
+                return this.openRecords(await this.readByTime(storeName, options));
+            }
+            // Without it, pages are read until enough of their records match
+            const { limit = Infinity } = options;
+            const records = [];
+            let before = options.before;
+            for (;;) {
+                const page = await this.readByTime(storeName, { ...options, before, limit });
+                records.push(...(await this.openRecords(page)).filter(matches));
+                if (records.length >= limit || page.length < limit) return records.slice(0, limit);
+                before = page[page.length - 1];
+            }
+        }
+
+        const order = options.ascending ? 'next' : 'prev';
+        if (options.date || options.yearMonth) {
+            const index = options.date ? 'date' : 'yearMonth';
+            const results = await this.query(storeName, {
+                index,
+                range: options[index],
+                filter: record => (childId === undefined || record.childId === childId) && matches(record)
+            });
+            return results.sort((a, b) => options.ascending ? a.timestamp - b.timestamp : b.timestamp - a.timestamp);
+        }
+        if (childId !== undefined && value !== undefined) {
+            return this.query(storeName, {
+                index: filterIndex.index,
+                range: IDBKeyRange.bound([childId, value, -Infinity], [childId, value, Infinity]),
+                order
+            });
+        }
+        if (childId !== undefined) {
+            return this.query(storeName, {
+                index: 'childTimestamp',
+                range: IDBKeyRange.bound([childId, -Infinity], [childId, Infinity]),
+                order
+            });
+        }
+        return this.query(storeName, { index: 'timestamp', order, filter: value === undefined ? undefined : matches });
+    }
+
+    // ============= FEEDING OPERATIONS =============
+
+    /**
+     * Add a new feeding record
+     * @param {Object} feeding - Feeding data
+     * @returns {Promise<number>} - The ID of the added record
+     */
+    async addFeeding(feeding) {
+        return this.addRecord(STORES.FEEDINGS, feeding);
+    }
+
+    /**
+     * Get all feedings
+     * @param {Object} options - See findRecords(); filter with { type }
+     * @returns {Promise<Array>}
+     */
+    async getFeedings(options = {}) {
+        return this.findRecords(STORES.FEEDINGS, options);
     }
 
     /**
@@ -276,7 +1096,7 @@ class BabyFoodDB {
 
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
-        });
+        }).then(record => this.openRecord(record));
     }
 
     /**
@@ -286,30 +1106,7 @@ class BabyFoodDB {
      * @returns {Promise<void>}
      */
     async updateFeeding(id, updates) {
-        await this.ensureInit();
-
-        const feeding = await this.getFeeding(id);
-        if (!feeding) {
-            throw new Error(`Feeding with id ${id} not found`);
-        }
-
-        // Recalculate indexed fields if time changed
-        if (updates.time) {
-            updates.timestamp = new Date(updates.time).getTime();
-            updates.date = new Date(updates.time).toISOString().split('T')[0];
-            updates.yearMonth = updates.date.substring(0, 7);
-        }
-
-        const updatedFeeding = { ...feeding, ...updates };
-
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.FEEDINGS], 'readwrite');
-            const store = transaction.objectStore(STORES.FEEDINGS);
-            const request = store.put(updatedFeeding);
-
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
+        return this.updateRecord(STORES.FEEDINGS, id, updates);
     }
 
     /**
@@ -355,92 +1152,30 @@ class BabyFoodDB {
      * @returns {Promise<number>} - The ID of the added record
      */
     async addDiaper(diaper) {
-        await this.ensureInit();
-
-        // Add computed fields for indexing
-        const timestamp = new Date(diaper.time).getTime();
-        const date = new Date(diaper.time).toISOString().split('T')[0];
-        const yearMonth = date.substring(0, 7);
-
-        const diaperData = {
-            ...diaper,
-            timestamp,
-            date,
-            yearMonth,
-            createdAt: Date.now()
-        };
-
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.DIAPERS], 'readwrite');
-            const store = transaction.objectStore(STORES.DIAPERS);
-            const request = store.add(diaperData);
-
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+        return this.addRecord(STORES.DIAPERS, diaper);
     }
 
     /**
      * Get all diapers
-     * @param {Object} options - Query options
+     * @param {Object} options - See findRecords(); filter with { hasPee, hasPoop }
      * @returns {Promise<Array>}
      */
     async getDiapers(options = {}) {
-        await this.ensureInit();
-
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.DIAPERS], 'readonly');
-            const store = transaction.objectStore(STORES.DIAPERS);
-            
-            let request;
-
-            // Query by date range if specified
-            if (options.startDate && options.endDate) {
-                const index = store.index('timestamp');
-                const range = IDBKeyRange.bound(
-                    new Date(options.startDate).getTime(),
-                    new Date(options.endDate).getTime()
-                );
-                request = index.getAll(range);
-            } else if (options.date) {
-                // Query by specific date
-                const index = store.index('date');
-                request = index.getAll(options.date);
-            } else if (options.yearMonth) {
-                // Query by year-month
-                const index = store.index('yearMonth');
-                request = index.getAll(options.yearMonth);
-            } else {
-                // Get all
-                request = store.getAll();
-            }
-
-            request.onsuccess = () => {
-                let results = request.result;
-
-                // Filter by type if specified
-                if (options.hasPee !== undefined) {
-                    results = results.filter(d => d.hasPee === options.hasPee);
-                }
-                if (options.hasPoop !== undefined) {
-                    results = results.filter(d => d.hasPoop === options.hasPoop);
-                }
-
-                // Sort by timestamp (newest first by default)
-                results.sort((a, b) => {
-                    return options.ascending ? a.timestamp - b.timestamp : b.timestamp - a.timestamp;
-                });
-
-                // Limit results if specified
-                if (options.limit) {
-                    results = results.slice(0, options.limit);
-                }
-
-                resolve(results);
-            };
+        // Booleans are not valid index keys: pee/poop are filtered in memory
+        return (await this.findRecords(STORES.DIAPERS, options)).filter(diaper =>
+            (options.hasPee === undefined || diaper.hasPee === options.hasPee) &&
+            (options.hasPoop === undefined || diaper.hasPoop === options.hasPoop)
+        );
+    }
 
-            request.onerror = () => reject(request.error);
-        });
+    /**
+     * Update a diaper record
+     * @param {number} id
+     * @param {Object} updates
+     * @returns {Promise<void>}
+     */
+    async updateDiaper(id, updates) {
+        return this.updateRecord(STORES.DIAPERS, id, updates);
     }
 
     /**
@@ -486,49 +1221,26 @@ class BabyFoodDB {
      * @returns {Promise<number>} - The ID of the added record
      */
     async addMeasurement(measurement) {
-        await this.ensureInit();
-
-        // Add computed fields for indexing
-        const timestamp = new Date(measurement.time).getTime();
-        const date = new Date(measurement.time).toISOString().split('T')[0];
-
-        const measurementData = {
-            ...measurement,
-            timestamp,
-            date,
-            createdAt: Date.now()
-        };
-
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.MEASUREMENTS], 'readwrite');
-            const store = transaction.objectStore(STORES.MEASUREMENTS);
-            const request = store.add(measurementData);
-
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+        return this.addRecord(STORES.MEASUREMENTS, measurement);
     }
 
     /**
      * Get all measurements
+     * @param {Object} options - See findRecords()
      * @returns {Promise<Array>}
      */
-    async getMeasurements() {
-        await this.ensureInit();
-
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.MEASUREMENTS], 'readonly');
-            const store = transaction.objectStore(STORES.MEASUREMENTS);
-            const request = store.getAll();
+    async getMeasurements(options = {}) {
+        return this.findRecords(STORES.MEASUREMENTS, options);
+    }
 
-            request.onsuccess = () => {
-                const results = request.result;
-                // Sort by timestamp descending
-                results.sort((a, b) => b.timestamp - a.timestamp);
-                resolve(results);
-            };
-            request.onerror = () => reject(request.error);
-        });
+    /**
+     * Update a measurement record
+     * @param {number} id
+     * @param {Object} updates
+     * @returns {Promise<void>}
+     */
+    async updateMeasurement(id, updates) {
+        return this.updateRecord(STORES.MEASUREMENTS, id, updates);
     }
 
     /**
@@ -569,55 +1281,15 @@ class BabyFoodDB {
     // ============= MEDICINE OPERATIONS =============
 
     async addMedicine(medicine) {
-        await this.ensureInit();
-        const timestamp = new Date(medicine.time).getTime();
-        const date = new Date(medicine.time).toISOString().split('T')[0];
-        const medicineData = { ...medicine, timestamp, date, createdAt: Date.now() };
-
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.MEDICINES], 'readwrite');
-            const store = transaction.objectStore(STORES.MEDICINES);
-            const request = store.add(medicineData);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+        return this.addRecord(STORES.MEDICINES, medicine);
     }
 
-    async getMedicines() {
-        await this.ensureInit();
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.MEDICINES], 'readonly');
-            const store = transaction.objectStore(STORES.MEDICINES);
-            const request = store.getAll();
-            request.onsuccess = () => {
-                const results = request.result;
-                results.sort((a, b) => b.timestamp - a.timestamp);
-                resolve(results);
-            };
-            request.onerror = () => reject(request.error);
-        });
+    async getMedicines(options = {}) {
+        return this.findRecords(STORES.MEDICINES, options);
     }
 
     async updateMedicine(id, updates) {
-        await this.ensureInit();
-        return new Promise(async (resolve, reject) => {
-            const transaction = this.db.transaction([STORES.MEDICINES], 'readwrite');
-            const store = transaction.objectStore(STORES.MEDICINES);
-            const getRequest = store.get(id);
-            
-            getRequest.onsuccess = () => {
-                const medicine = getRequest.result;
-                if (!medicine) {
-                    reject(new Error(`Medicine with id ${id} not found`));
-                    return;
-                }
-                const updated = { ...medicine, ...updates };
-                const putRequest = store.put(updated);
-                putRequest.onsuccess = () => resolve();
-                putRequest.onerror = () => reject(putRequest.error);
-            };
-            getRequest.onerror = () => reject(getRequest.error);
-        });
+        return this.updateRecord(STORES.MEDICINES, id, updates);
     }
 
     async deleteMedicine(id) {
@@ -645,33 +1317,15 @@ class BabyFoodDB {
     // ============= TEMPERATURE OPERATIONS =============
 
     async addTemperature(temperature) {
-        await this.ensureInit();
-        const timestamp = new Date(temperature.time).getTime();
-        const date = new Date(temperature.time).toISOString().split('T')[0];
-        const tempData = { ...temperature, timestamp, date, createdAt: Date.now() };
+        return this.addRecord(STORES.TEMPERATURES, temperature);
+    }
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.TEMPERATURES], 'readwrite');
-            const store = transaction.objectStore(STORES.TEMPERATURES);
-            const request = store.add(tempData);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+    async getTemperatures(options = {}) {
+        return this.findRecords(STORES.TEMPERATURES, options);
     }
 
-    async getTemperatures() {
-        await this.ensureInit();
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.TEMPERATURES], 'readonly');
-            const store = transaction.objectStore(STORES.TEMPERATURES);
-            const request = store.getAll();
-            request.onsuccess = () => {
-                const results = request.result;
-                results.sort((a, b) => b.timestamp - a.timestamp);
-                resolve(results);
-            };
-            request.onerror = () => reject(request.error);
-        });
+    async updateTemperature(id, updates) {
+        return this.updateRecord(STORES.TEMPERATURES, id, updates);
     }
 
     async deleteTemperature(id) {
@@ -699,33 +1353,16 @@ class BabyFoodDB {
     // ============= APPOINTMENT OPERATIONS =============
 
     async addAppointment(appointment) {
-        await this.ensureInit();
-        const timestamp = new Date(appointment.time).getTime();
-        const date = new Date(appointment.time).toISOString().split('T')[0];
-        const apptData = { ...appointment, timestamp, date, createdAt: Date.now() };
+        return this.addRecord(STORES.APPOINTMENTS, appointment);
+    }
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.APPOINTMENTS], 'readwrite');
-            const store = transaction.objectStore(STORES.APPOINTMENTS);
-            const request = store.add(apptData);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+    // Future first: ascending unless a page is requested
+    async getAppointments(options = {}) {
+        return this.findRecords(STORES.APPOINTMENTS, { ascending: true, ...options });
     }
 
-    async getAppointments() {
-        await this.ensureInit();
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.APPOINTMENTS], 'readonly');
-            const store = transaction.objectStore(STORES.APPOINTMENTS);
-            const request = store.getAll();
-            request.onsuccess = () => {
-                const results = request.result;
-                results.sort((a, b) => a.timestamp - b.timestamp); // Future first
-                resolve(results);
-            };
-            request.onerror = () => reject(request.error);
-        });
+    async updateAppointment(id, updates) {
+        return this.updateRecord(STORES.APPOINTMENTS, id, updates);
     }
 
     async deleteAppointment(id) {
@@ -753,103 +1390,1354 @@ class BabyFoodDB {
     // ============= JOURNAL OPERATIONS =============
 
     async addJournalEntry(entry) {
-        await this.ensureInit();
-        const timestamp = new Date(entry.time).getTime();
-        const date = new Date(entry.time).toISOString().split('T')[0];
-        const entryData = { ...entry, timestamp, date, createdAt: Date.now() };
+        return this.addRecord(STORES.JOURNAL, entry);
+    }
+
+    async getJournalEntries(options = {}) {
+        return this.findRecords(STORES.JOURNAL, options);
+    }
 
+    async updateJournalEntry(id, updates) {
+        return this.updateRecord(STORES.JOURNAL, id, updates);
+    }
+
+    async deleteJournalEntry(id) {
+        await this.ensureInit();
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([STORES.JOURNAL], 'readwrite');
             const store = transaction.objectStore(STORES.JOURNAL);
-            const request = store.add(entryData);
-            request.onsuccess = () => resolve(request.result);
+            const request = store.delete(id);
+            request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
     }
 
-    async getJournalEntries() {
+    async clearJournalEntries() {
         await this.ensureInit();
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.JOURNAL], 'readonly');
+            const transaction = this.db.transaction([STORES.JOURNAL], 'readwrite');
             const store = transaction.objectStore(STORES.JOURNAL);
+            const request = store.clear();
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ============= CHILD PROFILE OPERATIONS =============
+
+    /**
+     * Add a new child profile
+     * @param {Object} child - { name, sex, birthDate, color }
+     * @returns {Promise<number>} - The ID of the added profile
+     */
+    async addChild(child) {
+        await this.ensureInit();
+        const now = Date.now();
+        const childData = await this.sealRecord({ ...child, uid: child.uid || createUid(), createdAt: now, updatedAt: now });
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.CHILDREN, STORES.OUTBOX], 'readwrite');
+            const store = transaction.objectStore(STORES.CHILDREN);
+            const request = store.add(childData);
+            request.onsuccess = () => this.queueChange(transaction, STORES.CHILDREN, childData.uid);
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get all child profiles, oldest first
+     * @returns {Promise<Array>}
+     */
+    async getChildren() {
+        await this.ensureInit();
+        const children = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.CHILDREN], 'readonly');
+            const store = transaction.objectStore(STORES.CHILDREN);
             const request = store.getAll();
             request.onsuccess = () => {
                 const results = request.result;
-                results.sort((a, b) => b.timestamp - a.timestamp);
+                results.sort((a, b) => a.createdAt - b.createdAt);
                 resolve(results);
             };
             request.onerror = () => reject(request.error);
         });
+        return this.openRecords(children);
     }
 
-    async deleteJournalEntry(id) {
+    async updateChild(id, updates) {
+        return this.updateRecord(STORES.CHILDREN, id, updates);
+    }
+
+    /**
+     * Delete a child profile together with all of its records
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async deleteChild(id) {
         await this.ensureInit();
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.JOURNAL], 'readwrite');
-            const store = transaction.objectStore(STORES.JOURNAL);
-            const request = store.delete(id);
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
+            const transaction = this.db.transaction([STORES.CHILDREN, ...CHILD_STORES, STORES.OUTBOX, STORES.DAILY_SUMMARIES, STORES.ATTACHMENTS], 'readwrite');
+            const childStore = transaction.objectStore(STORES.CHILDREN);
+            const request = childStore.get(id);
+            request.onsuccess = () => {
+                if (request.result) this.queueChange(transaction, STORES.CHILDREN, request.result.uid);
+                childStore.delete(id);
+            };
+            CHILD_STORES.forEach(storeName => this.deleteByChild(transaction, storeName, id));
+            this.deleteDailySummaries(transaction, id);
+            this.deleteAttachmentsIn(transaction, 'childId', IDBKeyRange.only(id));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
         });
     }
 
-    async clearJournalEntries() {
+    /**
+     * Delete every record belonging to a child, keeping the profile
+     * @param {number} childId
+     * @returns {Promise<void>}
+     */
+    async clearChildData(childId) {
         await this.ensureInit();
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.JOURNAL], 'readwrite');
-            const store = transaction.objectStore(STORES.JOURNAL);
-            const request = store.clear();
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
+            const transaction = this.db.transaction([...CHILD_STORES, STORES.OUTBOX, STORES.DAILY_SUMMARIES], 'readwrite');
+            CHILD_STORES.forEach(storeName => this.deleteByChild(transaction, storeName, childId));
+            this.deleteDailySummaries(transaction, childId);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
         });
     }
 
-    // ============= METADATA OPERATIONS =============
+    /**
+     * Assign every record without a childId to the given child
+     * (e.g. records that were migrated from localStorage)
+     * @param {number} childId
+     * @returns {Promise<void>}
+     */
+    async adoptOrphanRecords(childId) {
+        await this.ensureInit();
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(CHILD_STORES, 'readwrite');
+            CHILD_STORES.forEach(storeName => this.adoptOrphans(transaction, storeName, childId));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        // Records without a profile were left out of the summaries
+        await this.rebuildDailySummaries();
+    }
 
     /**
-     * Set a metadata value
-     * @param {string} key
-     * @param {any} value
+     * Walk a store and set childId on records that have none
+     * @param {IDBTransaction} transaction - An open readwrite transaction
+     * @param {string} storeName
+     * @param {number} childId
+     * @param {Function} [onComplete] - Called after the last record
+     */
+    adoptOrphans(transaction, storeName, childId, onComplete) {
+        const cursorRequest = transaction.objectStore(storeName).openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) {
+                if (onComplete) onComplete();
+                return;
+            }
+            if (cursor.value.childId === undefined || cursor.value.childId === null) {
+                cursor.update({ ...cursor.value, childId });
+            }
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Walk the childId index of a store and delete matching records
+     * @param {IDBTransaction} transaction - An open readwrite transaction that includes the outbox
+     * @param {string} storeName
+     * @param {number} childId
+     */
+    deleteByChild(transaction, storeName, childId) {
+        const index = transaction.objectStore(storeName).index('childId');
+        const cursorRequest = index.openCursor(IDBKeyRange.only(childId));
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+                this.queueChange(transaction, storeName, cursor.value.uid);
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+    }
+
+    // ============= TRASH OPERATIONS =============
+    // Deleted records keep a deletedAt timestamp and are hidden from every
+    // get* query until they are restored or purged.
+
+    /**
+     * Move a record to the trash
+     * @param {string} storeName
+     * @param {number} id
      * @returns {Promise<void>}
      */
-    async setMetadata(key, value) {
+    async trashRecord(storeName, id) {
+        return this.updateRecord(storeName, id, { deletedAt: Date.now() }, 'delete');
+    }
+
+    /**
+     * Move every record of a child to the trash in one transaction
+     * @param {number} childId
+     * @returns {Promise<number>} - The deletedAt stamp shared by the batch
+     */
+    async trashChildData(childId) {
         await this.ensureInit();
+        const deletedAt = Date.now();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.METADATA], 'readwrite');
-            const store = transaction.objectStore(STORES.METADATA);
-            const request = store.put({ key, value, updatedAt: Date.now() });
-
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
+            const transaction = this.db.transaction([...CHILD_STORES, ...CHANGE_LOG_STORES, STORES.DAILY_SUMMARIES], 'readwrite');
+            this.deleteDailySummaries(transaction, childId);
+            CHILD_STORES.forEach(storeName => {
+                const index = transaction.objectStore(storeName).index('childId');
+                this.updateEachRecord(index, record => {
+                    if (record.deletedAt) return null;
+                    const trashed = { ...record, deletedAt, updatedAt: deletedAt };
+                    this.logChange(transaction, storeName, 'delete', record, trashed);
+                    return trashed;
+                }, () => {}, IDBKeyRange.only(childId));
+            });
+
+            transaction.oncomplete = () => resolve(deletedAt);
+            transaction.onerror = () => reject(transaction.error);
         });
     }
 
     /**
-     * Get a metadata value
-     * @param {string} key
-     * @returns {Promise<any>}
+     * Range of the childTimestamp index between two times of a child
+     * @param {number} childId
+     * @param {Object} [options] - { startDate, endDate }, both included, open when missing
+     * @returns {IDBKeyRange}
      */
-    async getMetadata(key) {
+    childTimeRange(childId, { startDate, endDate } = {}) {
+        return IDBKeyRange.bound(
+            [childId, startDate ? new Date(startDate).getTime() : -Infinity],
+            [childId, endDate ? new Date(endDate).getTime() : Infinity]
+        );
+    }
+
+    /**
+     * Count the records of a child in some stores between two times, trash excluded
+     * @param {number} childId
+     * @param {Array} storeNames - Some of CHILD_STORES
+     * @param {Object} [options] - { startDate, endDate }, see childTimeRange()
+     * @returns {Promise<Object>} - { storeName: count }
+     */
+    async countRecordsInRange(childId, storeNames, options = {}) {
         await this.ensureInit();
+        const range = this.childTimeRange(childId, options);
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.METADATA], 'readonly');
-            const store = transaction.objectStore(STORES.METADATA);
-            const request = store.get(key);
+            const transaction = this.db.transaction(storeNames, 'readonly');
+            const counts = {};
+
+            storeNames.forEach(storeName => {
+                counts[storeName] = 0;
+                const cursorRequest = transaction.objectStore(storeName).index('childTimestamp').openCursor(range);
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor) return;
+                    if (!cursor.value.deletedAt) counts[storeName]++;
+                    cursor.continue();
+                };
+            });
+
+            transaction.oncomplete = () => resolve(counts);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
 
-            request.onsuccess = () => resolve(request.result ? request.result.value : null);
-            request.onerror = () => reject(request.error);
+    /**
+     * Move the records of a child in some stores between two times to the
+     * trash in one transaction
+     * @param {number} childId
+     * @param {Array} storeNames - Some of CHILD_STORES
+     * @param {Object} [options] - { startDate, endDate }, see childTimeRange()
+     * @returns {Promise<Object>} - { deletedAt, count }; deletedAt is shared by the batch
+     */
+    async trashRecordsInRange(childId, storeNames, options = {}) {
+        await this.ensureInit();
+        const range = this.childTimeRange(childId, options);
+        const deletedAt = Date.now();
+        const days = [];
+        let count = 0;
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([...storeNames, ...CHANGE_LOG_STORES], 'readwrite');
+            storeNames.forEach(storeName => {
+                const index = transaction.objectStore(storeName).index('childTimestamp');
+                this.updateEachRecord(index, record => {
+                    if (record.deletedAt) return null;
+                    const trashed = { ...record, deletedAt, updatedAt: deletedAt };
+                    this.logChange(transaction, storeName, 'delete', record, trashed);
+                    days.push(...this.getSummaryDays(storeName, [record]));
+                    count++;
+                    return trashed;
+                }, () => {}, range);
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
         });
+        await this.refreshDailySummaries(days);
+        return { deletedAt, count };
     }
 
-    // ============= UTILITY OPERATIONS =============
+    /**
+     * Get the trashed records, newest deletion first
+     * @param {number} [childId] - Only this child's records
+     * @returns {Promise<Array>} - [{ storeName, record }]
+     */
+    async getTrash(childId) {
+        await this.ensureInit();
+
+        const items = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(CHILD_STORES, 'readonly');
+            const items = [];
+
+            CHILD_STORES.forEach(storeName => {
+                const request = transaction.objectStore(storeName).index('deletedAt').getAll();
+                request.onsuccess = () => {
+                    request.result
+                        .filter(record => childId === undefined || record.childId === childId)
+                        .forEach(record => items.push({ storeName, record }));
+                };
+            });
+
+            transaction.oncomplete = () => {
+                items.sort((a, b) => b.record.deletedAt - a.record.deletedAt);
+                resolve(items);
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+        return Promise.all(items.map(async ({ storeName, record }) => ({ storeName, record: await this.openRecord(record) })));
+    }
 
     /**
-     * Clear all data from the database
+     * Take records out of the trash
+     * @param {Array} items - [{ storeName, id }]
      * @returns {Promise<void>}
      */
-    async clearAllData() {
+    async restoreRecords(items) {
+        await this.ensureInit();
+        const days = [];
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([...CHILD_STORES, ...CHANGE_LOG_STORES], 'readwrite');
+            items.forEach(({ storeName, id }) => {
+                const store = transaction.objectStore(storeName);
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    if (!request.result) return;
+                    const { deletedAt, ...record } = request.result;
+                    const restored = { ...record, updatedAt: Date.now() };
+                    store.put(restored);
+                    this.logChange(transaction, storeName, 'restore', request.result, restored);
+                    days.push(...this.getSummaryDays(storeName, [restored]));
+                };
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        await this.refreshDailySummaries(days);
+    }
+
+    /**
+     * Permanently delete records
+     * @param {Array} items - [{ storeName, id }]
+     * @param {string} [action] - Audit action: 'purge', or 'archive' for live records moved to an archive file
+     * @returns {Promise<void>}
+     */
+    async purgeRecords(items, action = 'purge') {
+        await this.ensureInit();
+
+        const days = [];
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([...CHILD_STORES, ...CHANGE_LOG_STORES, STORES.ATTACHMENTS], 'readwrite');
+            items.forEach(({ storeName, id }) => {
+                const store = transaction.objectStore(storeName);
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    if (!request.result) return;
+                    store.delete(id);
+                    this.deleteAttachmentsIn(transaction, 'record', IDBKeyRange.only([storeName, id]));
+                    this.logChange(transaction, storeName, action, request.result, null);
+                    if (!request.result.deletedAt) days.push(...this.getSummaryDays(storeName, [request.result]));
+                };
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        await this.refreshDailySummaries(days);
+    }
+
+    /**
+     * Permanently delete every record trashed before a given time
+     * @param {number} before - Timestamp (ms)
+     * @returns {Promise<number>} - Number of purged records
+     */
+    async purgeTrash(before) {
+        await this.ensureInit();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([...CHILD_STORES, ...CHANGE_LOG_STORES, STORES.ATTACHMENTS], 'readwrite');
+            let purged = 0;
+
+            CHILD_STORES.forEach(storeName => {
+                const index = transaction.objectStore(storeName).index('deletedAt');
+                const cursorRequest = index.openCursor(IDBKeyRange.upperBound(before));
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (cursor) {
+                        this.logChange(transaction, storeName, 'purge', cursor.value, null);
+                        this.deleteAttachmentsIn(transaction, 'record', IDBKeyRange.only([storeName, cursor.value.id]));
+                        cursor.delete();
+                        purged++;
+                        cursor.continue();
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => resolve(purged);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // ============= AUDIT LOG =============
+
+    /**
+     * Set the caregiver name stored with every following change
+     * @param {string} name
+     */
+    setCaregiver(name) {
+        this.caregiver = name || '';
+    }
+
+    /**
+     * Append an audit entry inside an open transaction that includes the
+     * CHANGE_LOG_STORES, so the entry is committed (or rolled back) with the
+     * change, and queue the record for the next sync
+     * @param {IDBTransaction} transaction
+     * @param {string} storeName
+     * @param {string} action - 'create' | 'update' | 'delete' | 'restore' | 'purge'
+     * @param {Object|null} before - Record before the change
+     * @param {Object|null} after - Record after the change
+     * @param {Object} [options] - { caregiver, remote } remote changes come
+     *   from the sync engine and are not queued again
+     */
+    logChange(transaction, storeName, action, before, after, options = {}) {
+        const record = after || before;
+        transaction.objectStore(STORES.AUDIT).add({
+            storeName,
+            recordId: record.id,
+            childId: record.childId,
+            action,
+            before,
+            after,
+            caregiver: options.caregiver !== undefined ? options.caregiver : this.caregiver,
+            timestamp: Date.now()
+        });
+        if (!options.remote) this.queueChange(transaction, storeName, record.uid);
+    }
+
+    /**
+     * Get every change of a record, oldest first
+     * @param {string} storeName
+     * @param {number} recordId
+     * @returns {Promise<Array>}
+     */
+    async getRecordHistory(storeName, recordId) {
+        await this.ensureInit();
+
+        const entries = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.AUDIT], 'readonly');
+            const index = transaction.objectStore(STORES.AUDIT).index('record');
+            const request = index.getAll([storeName, recordId]);
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.timestamp - b.timestamp));
+            request.onerror = () => reject(request.error);
+        });
+        return Promise.all(entries.map(entry => this.openEntry(STORES.AUDIT, entry)));
+    }
+
+    /**
+     * Get the most recent changes, newest first
+     * @param {Object} options - { childId, limit }
+     * @returns {Promise<Array>}
+     */
+    async getActivity(options = {}) {
+        await this.ensureInit();
+        const limit = options.limit || 50;
+
+        const entries = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.AUDIT], 'readonly');
+            const index = transaction.objectStore(STORES.AUDIT).index('timestamp');
+            const cursorRequest = index.openCursor(null, 'prev');
+            const entries = [];
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || entries.length >= limit) {
+                    resolve(entries);
+                    return;
+                }
+                if (options.childId === undefined || cursor.value.childId === options.childId) {
+                    entries.push(cursor.value);
+                }
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+        return Promise.all(entries.map(entry => this.openEntry(STORES.AUDIT, entry)));
+    }
+
+    // ============= SYNC OPERATIONS =============
+    // The outbox holds one entry per changed record (by uid). The current state
+    // of the record is read when it is pushed, so a record that no longer
+    // exists is sent as deleted.
+
+    /**
+     * Start or stop queueing changes for the sync engine
+     * @param {boolean} enabled
+     */
+    setSyncEnabled(enabled) {
+        this.syncEnabled = enabled;
+    }
+
+    /**
+     * Queue a record for the next sync inside an open transaction that includes the outbox
+     * @param {IDBTransaction} transaction
+     * @param {string} storeName
+     * @param {string} uid
+     */
+    queueChange(transaction, storeName, uid) {
+        if (!this.syncEnabled || !uid) return;
+        transaction.objectStore(STORES.OUTBOX).put({ storeName, uid, queuedAt: Date.now(), caregiver: this.caregiver });
+        if (this.onChangeQueued) {
+            transaction.addEventListener('complete', () => this.onChangeQueued());
+        }
+    }
+
+    /**
+     * Queue every record, for the first sync of this device
+     * @returns {Promise<number>} - Number of queued records
+     */
+    async queueAllRecords() {
+        await this.ensureInit();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([...SYNCED_STORES, STORES.OUTBOX], 'readwrite');
+            const outbox = transaction.objectStore(STORES.OUTBOX);
+            const queuedAt = Date.now();
+            let queued = 0;
+
+            SYNCED_STORES.forEach(storeName => {
+                const request = transaction.objectStore(storeName).getAll();
+                request.onsuccess = () => {
+                    request.result.forEach(record => {
+                        outbox.put({ storeName, uid: record.uid, queuedAt, caregiver: this.caregiver });
+                        queued++;
+                    });
+                };
+            });
+
+            transaction.oncomplete = () => resolve(queued);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Convert a stored record into the format shared with other devices:
+     * without local ids and index fields, with the child referenced by uid
+     * @param {string} storeName
+     * @param {Object} record
+     * @param {Map} childUids - Local child id -> uid
+     * @returns {Object}
+     */
+    toSyncRecord(storeName, record, childUids) {
+        if (storeName === STORES.CHILDREN) {
+            const { id, ...child } = record;
+            return child;
+        }
+        const { id, childId, timestamp, date, yearMonth, ...rest } = record;
+        return { ...rest, childUid: childUids.get(childId) || null };
+    }
+
+    /**
+     * Convert a record received from another device back into a stored record
+     * @param {string} storeName
+     * @param {Object} record - As returned by toSyncRecord()
+     * @param {number} [childId] - Local id of the child with record.childUid
+     * @returns {Object}
+     */
+    fromSyncRecord(storeName, record, childId) {
+        const { childUid, ...rest } = record;
+        if (storeName === STORES.CHILDREN) return rest;
+        return { ...rest, childId, ...this.getIndexFields(storeName, rest.time) };
+    }
+
+    /**
+     * Current state of the queued records, profiles first
+     * @param {number} limit - Maximum number of changes
+     * @returns {Promise<Array>} - [{ storeName, uid, queuedAt, updatedAt, deleted, record, caregiver }]
+     */
+    async getPendingChanges(limit = 200) {
+        await this.ensureInit();
+        const childUids = new Map();
+
+        const changes = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([...SYNCED_STORES, STORES.OUTBOX], 'readonly');
+            const changes = [];
+
+            const childrenRequest = transaction.objectStore(STORES.CHILDREN).getAll();
+            childrenRequest.onsuccess = () => {
+                childrenRequest.result.forEach(child => childUids.set(child.id, child.uid));
+
+                const outboxRequest = transaction.objectStore(STORES.OUTBOX).getAll(null, limit);
+                outboxRequest.onsuccess = () => {
+                    outboxRequest.result.forEach(entry => {
+                        const request = transaction.objectStore(entry.storeName).index('uid').get(entry.uid);
+                        request.onsuccess = () => {
+                            const record = request.result;
+                            changes.push({
+                                storeName: entry.storeName,
+                                uid: entry.uid,
+                                queuedAt: entry.queuedAt,
+                                updatedAt: record ? record.updatedAt : entry.queuedAt,
+                                deleted: !record,
+                                record: record || null,
+                                caregiver: entry.caregiver
+                            });
+                        };
+                    });
+                };
+            };
+
+            transaction.oncomplete = () => {
+                changes.sort((a, b) => (b.storeName === STORES.CHILDREN) - (a.storeName === STORES.CHILDREN));
+                resolve(changes);
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        return Promise.all(changes.map(async change => ({
+            ...change,
+            record: change.record ? this.toSyncRecord(change.storeName, await this.openRecord(change.record), childUids) : null
+        })));
+    }
+
+    /**
+     * Remove pushed changes from the outbox, unless the record was changed again meanwhile
+     * @param {Array} changes - As returned by getPendingChanges()
+     * @returns {Promise<void>}
+     */
+    async clearPendingChanges(changes) {
+        await this.ensureInit();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.OUTBOX], 'readwrite');
+            const outbox = transaction.objectStore(STORES.OUTBOX);
+            changes.forEach(({ storeName, uid, queuedAt }) => {
+                const request = outbox.get([storeName, uid]);
+                request.onsuccess = () => {
+                    if (request.result && request.result.queuedAt === queuedAt) {
+                        outbox.delete([storeName, uid]);
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Apply changes made on other devices with last-writer-wins: a change
+     * replaces the local record only when its updatedAt is newer. When the
+     * local record has unsynced changes too, both versions are kept in the
+     * conflict log. Records that cannot be stored are logged there too, and
+     * the rest of the changes are applied.
+     * @param {Array} changes - [{ storeName, uid, updatedAt, deleted, record, caregiver }]
+     * @returns {Promise<Object>} - { applied, conflicts }
+     */
+    async applyRemoteChanges(changes) {
+        await this.ensureInit();
+        const sorted = [...changes].sort((a, b) => (b.storeName === STORES.CHILDREN) - (a.storeName === STORES.CHILDREN));
+
+        // Encrypt up front: a transaction does not stay open while WebCrypto works
+        const ordered = await Promise.all(sorted.map(async change => {
+            let storedRecord = null;
+            try {
+                storedRecord = change.deleted ? null : this.fromSyncRecord(change.storeName, change.record);
+            } catch (error) {
+                // A record this device cannot store, e.g. with an invalid time, must
+                // not hold back the batch: it would be pulled again on every sync
+                console.warn(`⚠️ Unreadable ${change.storeName} record ${change.uid} received:`, error);
+                return { ...change, unreadable: error.message, loggedRecord: await this.sealRecord(change.record) };
+            }
+            return {
+                ...change,
+                storedRecord: await this.sealRecord(storedRecord),
+                loggedRecord: await this.sealRecord(change.record)
+            };
+        }));
+
+        const days = [];
+        const result = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([...SYNCED_STORES, ...CHANGE_LOG_STORES, STORES.CONFLICTS], 'readwrite');
+            const result = { applied: 0, conflicts: 0 };
+
+            // One change at a time, so profiles exist before their records
+            const applyNext = (index) => {
+                if (index < ordered.length) {
+                    this.applyRemoteChange(transaction, ordered[index], result, days, () => applyNext(index + 1));
+                }
+            };
+            applyNext(0);
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+        await this.refreshDailySummaries(days);
+        return result;
+    }
+
+    /**
+     * Apply a single remote change, see applyRemoteChanges()
+     * @param {IDBTransaction} transaction
+     * @param {Object} change - With the storedRecord and loggedRecord to write,
+     *   or the unreadable error message when the record cannot be stored
+     * @param {Object} result - { applied, conflicts } counters
+     * @param {Array} days - Collects the summary days the change touched
+     * @param {Function} done
+     */
+    applyRemoteChange(transaction, change, result, days, done) {
+        const store = transaction.objectStore(change.storeName);
+        const outbox = transaction.objectStore(STORES.OUTBOX);
+        const localRequest = store.index('uid').get(change.uid);
+
+        // Logged as a conflict won by the local version
+        if (change.unreadable) {
+            localRequest.onsuccess = () => {
+                const local = localRequest.result;
+                transaction.objectStore(STORES.CONFLICTS).add({
+                    storeName: change.storeName,
+                    uid: change.uid,
+                    childId: local ? local.childId : undefined,
+                    winner: 'local',
+                    local: local || null,
+                    remote: change.loggedRecord,
+                    error: change.unreadable,
+                    caregiver: change.caregiver || '',
+                    timestamp: Date.now()
+                });
+                result.conflicts++;
+                done();
+            };
+            return;
+        }
+
+        const pendingRequest = outbox.get([change.storeName, change.uid]);
+        const remote = { caregiver: change.caregiver || '', remote: true };
+
+        // Requests complete in order, so the local record is known here
+        pendingRequest.onsuccess = () => {
+            const local = localRequest.result;
+            const pending = pendingRequest.result;
+            const localUpdatedAt = local ? local.updatedAt : (pending ? pending.queuedAt : 0);
+            const remoteWins = change.updatedAt > localUpdatedAt;
+
+            if (pending) {
+                transaction.objectStore(STORES.CONFLICTS).add({
+                    storeName: change.storeName,
+                    uid: change.uid,
+                    childId: local ? local.childId : undefined,
+                    winner: remoteWins ? 'remote' : 'local',
+                    local: local || null,
+                    remote: change.loggedRecord,
+                    caregiver: change.caregiver || '',
+                    timestamp: Date.now()
+                });
+                result.conflicts++;
+            }
+            if (!remoteWins) {
+                done();
+                return;
+            }
+            if (pending) outbox.delete([change.storeName, change.uid]);
+            result.applied++;
+
+            if (change.deleted) {
+                if (local) {
+                    store.delete(local.id);
+                    this.logChange(transaction, change.storeName, 'purge', local, null, remote);
+                    days.push(...this.getSummaryDays(change.storeName, [local]));
+                }
+                done();
+                return;
+            }
+
+            const write = (childId) => {
+                const record = { ...change.storedRecord };
+                if (change.storeName !== STORES.CHILDREN) record.childId = childId;
+                if (local) record.id = local.id;
+                const putRequest = store.put(record);
+                putRequest.onsuccess = () => {
+                    let action = 'update';
+                    if (!local) action = 'create';
+                    else if (record.deletedAt && !local.deletedAt) action = 'delete';
+                    else if (!record.deletedAt && local.deletedAt) action = 'restore';
+                    this.logChange(transaction, change.storeName, action, local || null, { ...record, id: putRequest.result }, remote);
+                    days.push(...this.getSummaryDays(change.storeName, [local, record]));
+                    done();
+                };
+            };
+
+            if (change.storeName === STORES.CHILDREN || !change.record.childUid) {
+                write(local ? local.childId : undefined);
+                return;
+            }
+            const childRequest = transaction.objectStore(STORES.CHILDREN).index('uid').get(change.record.childUid);
+            childRequest.onsuccess = () => write(childRequest.result ? childRequest.result.id : undefined);
+        };
+    }
+
+    /**
+     * Log changes of other devices that lost against newer local ones
+     * @param {Array} changes - [{ storeName, uid, record, caregiver }]
+     * @returns {Promise<void>}
+     */
+    async addConflicts(changes) {
+        if (changes.length === 0) return;
+        await this.ensureInit();
+        const remotes = await Promise.all(changes.map(change => this.sealRecord(change.record)));
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([...SYNCED_STORES, STORES.CONFLICTS], 'readwrite');
+            changes.forEach((change, i) => {
+                const request = transaction.objectStore(change.storeName).index('uid').get(change.uid);
+                request.onsuccess = () => {
+                    transaction.objectStore(STORES.CONFLICTS).add({
+                        storeName: change.storeName,
+                        uid: change.uid,
+                        childId: request.result ? request.result.childId : undefined,
+                        winner: 'local',
+                        local: request.result || null,
+                        remote: remotes[i],
+                        caregiver: change.caregiver || '',
+                        timestamp: Date.now()
+                    });
+                };
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get the conflict log, newest first
+     * @param {number} limit
+     * @returns {Promise<Array>}
+     */
+    async getConflicts(limit = 50) {
+        await this.ensureInit();
+
+        const conflicts = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.CONFLICTS], 'readonly');
+            const index = transaction.objectStore(STORES.CONFLICTS).index('timestamp');
+            const cursorRequest = index.openCursor(null, 'prev');
+            const conflicts = [];
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || conflicts.length >= limit) {
+                    resolve(conflicts);
+                    return;
+                }
+                conflicts.push(cursor.value);
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+        return Promise.all(conflicts.map(conflict => this.openEntry(STORES.CONFLICTS, conflict)));
+    }
+
+    /**
+     * Number of records in a store
+     * @param {string} storeName
+     * @returns {Promise<number>}
+     */
+    async countRecords(storeName) {
+        await this.ensureInit();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).count();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete every record of a store
+     * @param {string} storeName
+     * @returns {Promise<void>}
+     */
+    async clearStore(storeName) {
+        await this.ensureInit();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).clear();
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ============= ENCRYPTION =============
+    // Once the encryption manager sets a cipher (see encryption.js), records
+    // are encrypted right before they are written and decrypted right after
+    // they are read. Without one they pass through unchanged.
+
+    /**
+     * @param {RecordCipher|null} cipher
+     */
+    setCipher(cipher) {
+        this.cipher = cipher;
+    }
+
+    /**
+     * @param {Object|null} record
+     * @param {RecordCipher|null} [cipher]
+     * @returns {Promise<Object|null>}
+     */
+    async sealRecord(record, cipher = this.cipher) {
+        if (!cipher || !record) return record;
+        return cipher.seal(record);
+    }
+
+    /**
+     * @param {Object|null} record - Encrypted or not
+     * @param {RecordCipher|null} [cipher]
+     * @returns {Promise<Object|null>}
+     */
+    async openRecord(record, cipher = this.cipher) {
+        if (!record || !record.sealed) return record;
+        if (!cipher) {
+            throw new Error('The database is locked');
+        }
+        return cipher.open(record);
+    }
+
+    async openRecords(records) {
+        return Promise.all(records.map(record => this.openRecord(record)));
+    }
+
+    /**
+     * Encrypt an entry of one of the ENCRYPTED_STORES
+     * @param {string} storeName
+     * @param {Object} entry
+     * @param {RecordCipher|null} [cipher]
+     * @returns {Promise<Object>}
+     */
+    async sealEntry(storeName, entry, cipher = this.cipher) {
+        return this.mapEntryRecords(storeName, entry, record => this.sealRecord(record, cipher));
+    }
+
+    async openEntry(storeName, entry, cipher = this.cipher) {
+        return this.mapEntryRecords(storeName, entry, record => this.openRecord(record, cipher));
+    }
+
+    /**
+     * Transform the entry itself, or the fields holding records for log stores
+     */
+    async mapEntryRecords(storeName, entry, transform) {
+        const fields = ENCRYPTED_STORES[storeName];
+        if (!fields) return transform(entry);
+
+        const mapped = { ...entry };
+        for (const field of fields) {
+            mapped[field] = await transform(entry[field]);
+        }
+        return mapped;
+    }
+
+    /**
+     * Re-encrypt every record with another key, or decrypt them all when
+     * cipher is null. The records and the key configuration are written in
+     * one transaction, so the database never mixes two keys; it fails
+     * without changes if a record was written meanwhile.
+     * @param {RecordCipher|null} cipher
+     * @param {Object|null} config - Stored under ENCRYPTION_METADATA_KEY
+     * @returns {Promise<void>}
+     */
+    async reencryptAll(cipher, config) {
+        await this.ensureInit();
+        const storeNames = Object.keys(ENCRYPTED_STORES);
+
+        const current = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readonly');
+            const data = {};
+            storeNames.forEach(storeName => {
+                const request = transaction.objectStore(storeName).getAll();
+                request.onsuccess = () => { data[storeName] = request.result; };
+            });
+
+            transaction.oncomplete = () => resolve(data);
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        const rewritten = {};
+        for (const storeName of storeNames) {
+            rewritten[storeName] = await Promise.all(current[storeName].map(async entry =>
+                this.sealEntry(storeName, await this.openEntry(storeName, entry), cipher)
+            ));
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([...storeNames, STORES.METADATA], 'readwrite');
+            storeNames.forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                const request = store.getAll();
+                request.onsuccess = () => {
+                    const before = current[storeName];
+                    const changed = request.result.length !== before.length ||
+                        request.result.some((entry, i) => entry.updatedAt !== before[i].updatedAt);
+                    if (changed) {
+                        transaction.abort();
+                        return;
+                    }
+                    rewritten[storeName].forEach(entry => store.put(entry));
+                };
+            });
+
+            const metadata = transaction.objectStore(STORES.METADATA);
+            if (config) {
+                metadata.put({ key: ENCRYPTION_METADATA_KEY, value: config, updatedAt: Date.now() });
+            } else {
+                metadata.delete(ENCRYPTION_METADATA_KEY);
+            }
+
+            transaction.oncomplete = () => {
+                this.cipher = cipher;
+                resolve();
+            };
+            transaction.onabort = () => reject(transaction.error || new Error('Records changed while they were re-encrypted, nothing was modified'));
+        });
+    }
+
+    // ============= DAILY SUMMARY OPERATIONS =============
+    // One entry per child and day with the totals of its feedings, diapers,
+    // medicines and temperatures, so statistics never read every record.
+    // Every write to the SUMMARY_STORES refreshes the days it touched.
+
+    /**
+     * Days whose summary depends on the given records
+     * @param {string} storeName
+     * @param {Array} records - As stored; null entries are skipped
+     * @returns {Array} - [{ childId, date }]
+     */
+    getSummaryDays(storeName, records) {
+        if (!SUMMARY_STORES.includes(storeName)) return [];
+        return records
+            .filter(record => record && record.childId !== undefined && record.childId !== null)
+            .filter(record => !isNaN(new Date(record.timestamp).getTime()))
+            .map(record => ({ childId: record.childId, date: localDateKey(record.timestamp) }));
+    }
+
+    /**
+     * Recompute the summaries of some days from their records
+     * @param {Array} days - [{ childId, date }], duplicates allowed
+     * @returns {Promise<void>}
+     */
+    async refreshDailySummaries(days) {
+        const unique = new Map(days.map(day => [`${day.childId}/${day.date}`, day]));
+        if (unique.size === 0) return;
+        await this.ensureInit();
+
+        const summaries = [];
+        for (const { childId, date } of unique.values()) {
+            const [year, month, dayOfMonth] = date.split('-').map(Number);
+            const range = {
+                childId,
+                startDate: new Date(year, month - 1, dayOfMonth),
+                endDate: new Date(year, month - 1, dayOfMonth + 1).getTime() - 1
+            };
+            const recordsByStore = {};
+            for (const storeName of SUMMARY_STORES) {
+                recordsByStore[storeName] = await this.openRecords(await this.readByTime(storeName, range));
+            }
+            const [summary] = summarizeDays(childId, recordsByStore);
+            summaries.push({ key: [childId, date], record: summary ? await this.sealRecord({ ...summary, updatedAt: Date.now() }) : null });
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.DAILY_SUMMARIES], 'readwrite');
+            const store = transaction.objectStore(STORES.DAILY_SUMMARIES);
+            summaries.forEach(({ key, record }) => {
+                if (record) store.put(record);
+                else store.delete(key);
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Recompute every summary from scratch, e.g. for data written before
+     * summaries existed or after the device changed time zone
+     * @returns {Promise<number>} - Number of days summarized
+     */
+    async rebuildDailySummaries() {
+        await this.ensureInit();
+
+        const stored = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(SUMMARY_STORES, 'readonly');
+            const data = {};
+            SUMMARY_STORES.forEach(storeName => {
+                const request = transaction.objectStore(storeName).getAll();
+                request.onsuccess = () => { data[storeName] = request.result; };
+            });
+
+            transaction.oncomplete = () => resolve(data);
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        // { childId: { storeName: [records] } }
+        const byChild = new Map();
+        for (const storeName of SUMMARY_STORES) {
+            const records = stored[storeName].filter(record =>
+                !record.deletedAt && record.childId !== undefined && record.childId !== null);
+            for (const record of await this.openRecords(records)) {
+                if (!byChild.has(record.childId)) byChild.set(record.childId, {});
+                const recordsByStore = byChild.get(record.childId);
+                (recordsByStore[storeName] = recordsByStore[storeName] || []).push(record);
+            }
+        }
+
+        const now = Date.now();
+        const summaries = [];
+        for (const [childId, recordsByStore] of byChild) {
+            for (const summary of summarizeDays(childId, recordsByStore)) {
+                summaries.push(await this.sealRecord({ ...summary, updatedAt: now }));
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.DAILY_SUMMARIES, STORES.METADATA], 'readwrite');
+            const store = transaction.objectStore(STORES.DAILY_SUMMARIES);
+            store.clear();
+            summaries.forEach(summary => store.put(summary));
+            transaction.objectStore(STORES.METADATA).put({ key: DAILY_SUMMARIES_METADATA_KEY, value: now, updatedAt: now });
+
+            transaction.oncomplete = () => resolve(summaries.length);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Build the summaries once for a database that has none yet
+     * @returns {Promise<void>}
+     */
+    async ensureDailySummaries() {
+        if (!(await this.getMetadata(DAILY_SUMMARIES_METADATA_KEY))) {
+            await this.rebuildDailySummaries();
+        }
+    }
+
+    /**
+     * Get the summaries of a child, oldest day first
+     * @param {number} childId
+     * @param {Object} [options]
+     * @param {string|Date} [options.startDate] - Its day is included
+     * @param {string|Date} [options.endDate] - Its day is included
+     * @returns {Promise<Array>}
+     */
+    async getDailySummaries(childId, options = {}) {
+        await this.ensureInit();
+        const from = options.startDate ? localDateKey(options.startDate) : '';
+        const to = options.endDate ? localDateKey(options.endDate) : '\uffff';
+
+        const summaries = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.DAILY_SUMMARIES], 'readonly');
+            const request = transaction.objectStore(STORES.DAILY_SUMMARIES).getAll(IDBKeyRange.bound([childId, from], [childId, to]));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.openRecords(summaries);
+    }
+
+    /**
+     * Delete the summaries of a child
+     * @param {IDBTransaction} transaction - An open readwrite transaction that includes the store
+     * @param {number} childId
+     */
+    deleteDailySummaries(transaction, childId) {
+        transaction.objectStore(STORES.DAILY_SUMMARIES).delete(IDBKeyRange.bound([childId, ''], [childId, '\uffff']));
+    }
+
+    // ============= ATTACHMENT OPERATIONS =============
+    // Photos of records, downscaled before they get here (see attachments.js).
+    // They live apart from the records so lists load without them, are
+    // linked by storeName and recordId, and are not synced.
+
+    /**
+     * Store the photos of a record
+     * @param {Array} attachments - [{ storeName, recordId, childId, blob, thumbnail, type, width, height, name }]
+     * @returns {Promise<Array>} - IDs of the stored attachments
+     */
+    async addAttachments(attachments) {
+        await this.ensureInit();
+        const createdAt = Date.now();
+        const sealed = await Promise.all(attachments.map(attachment => this.sealRecord({ ...attachment, createdAt })));
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.ATTACHMENTS], 'readwrite');
+            const store = transaction.objectStore(STORES.ATTACHMENTS);
+            const ids = [];
+            sealed.forEach((attachment, i) => {
+                const request = store.add(attachment);
+                request.onsuccess = () => { ids[i] = request.result; };
+            });
+
+            transaction.oncomplete = () => resolve(ids);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Photos of some records of a store, oldest first
+     * @param {string} storeName
+     * @param {Array} recordIds
+     * @returns {Promise<Array>}
+     */
+    async getAttachments(storeName, recordIds) {
+        if (recordIds.length === 0) return [];
+        await this.ensureInit();
+
+        const attachments = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.ATTACHMENTS], 'readonly');
+            const index = transaction.objectStore(STORES.ATTACHMENTS).index('record');
+            const results = [];
+            recordIds.forEach(recordId => {
+                const request = index.getAll([storeName, recordId]);
+                request.onsuccess = () => results.push(...request.result);
+            });
+
+            transaction.oncomplete = () => resolve(results.sort((a, b) => a.id - b.id));
+            transaction.onerror = () => reject(transaction.error);
+        });
+        return this.openRecords(attachments);
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<Object|null>}
+     */
+    async getAttachment(id) {
+        await this.ensureInit();
+
+        const attachment = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.ATTACHMENTS], 'readonly');
+            const request = transaction.objectStore(STORES.ATTACHMENTS).get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+        return this.openRecord(attachment);
+    }
+
+    /**
+     * @param {Array} ids
+     * @returns {Promise<void>}
+     */
+    async deleteAttachments(ids) {
+        await this.ensureInit();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.ATTACHMENTS], 'readwrite');
+            const store = transaction.objectStore(STORES.ATTACHMENTS);
+            ids.forEach(id => store.delete(id));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete, inside a transaction, the attachments in a range of one of
+     * their indexes: 'record' for the photos of a record, 'childId' for a child
+     */
+    deleteAttachmentsIn(transaction, indexName, range) {
+        const index = transaction.objectStore(STORES.ATTACHMENTS).index(indexName);
+        const cursorRequest = index.openCursor(range);
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+    }
+
+    // ============= METADATA OPERATIONS =============
+
+    /**
+     * Set a metadata value
+     * @param {string} key
+     * @param {any} value
+     * @returns {Promise<void>}
+     */
+    async setMetadata(key, value) {
+        await this.ensureInit();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.METADATA], 'readwrite');
+            const store = transaction.objectStore(STORES.METADATA);
+            const request = store.put({ key, value, updatedAt: Date.now() });
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get a metadata value
+     * @param {string} key
+     * @returns {Promise<any>}
+     */
+    async getMetadata(key) {
+        await this.ensureInit();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.METADATA], 'readonly');
+            const store = transaction.objectStore(STORES.METADATA);
+            const request = store.get(key);
+
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ============= UTILITY OPERATIONS =============
+
+    /**
+     * Clear all data from the database
+     * @returns {Promise<void>}
+     */
+    async clearAllData() {
         await this.ensureInit();
 
         await Promise.all([
@@ -859,10 +2747,302 @@ class BabyFoodDB {
             this.clearMedicines(),
             this.clearTemperatures(),
             this.clearAppointments(),
-            this.clearJournalEntries()
+            this.clearJournalEntries(),
+            this.clearStore(STORES.DAILY_SUMMARIES),
+            this.clearStore(STORES.ATTACHMENTS)
         ]);
     }
 
+    /**
+     * Count the records of every store and estimate the space they take
+     * @returns {Promise<Object>} - { storeName: { count, bytes } }
+     */
+    async getStoreUsage() {
+        await this.ensureInit();
+
+        return new Promise((resolve, reject) => {
+            const storeNames = Object.values(STORES);
+            const transaction = this.db.transaction(storeNames, 'readonly');
+            const usage = {};
+
+            storeNames.forEach(storeName => {
+                usage[storeName] = { count: 0, bytes: 0 };
+                const cursorRequest = transaction.objectStore(storeName).openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (cursor) {
+                        usage[storeName].count++;
+                        usage[storeName].bytes += estimateSize(cursor.value);
+                        cursor.continue();
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => resolve(usage);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Records of every child store older than a time, trash excluded, with
+     * their photos and all the profiles, decrypted: the content of an archive file
+     * @param {number} before - Timestamp (ms), not included
+     * @returns {Promise<Object>} - { storeName: [records] }
+     */
+    async exportRecordsBefore(before) {
+        await this.ensureInit();
+
+        const range = IDBKeyRange.upperBound(before, true);
+        const data = { [STORES.CHILDREN]: await this.getChildren() };
+        data[STORES.ATTACHMENTS] = [];
+        for (const storeName of CHILD_STORES) {
+            data[storeName] = await this.query(storeName, { index: 'timestamp', range });
+            data[STORES.ATTACHMENTS].push(...await this.getAttachments(storeName, data[storeName].map(record => record.id)));
+        }
+        return data;
+    }
+
+    /**
+     * Read every record of every store in a single transaction
+     * @returns {Promise<Object>} - { storeName: [records] }
+     */
+    async exportAllStores() {
+        await this.ensureInit();
+        const storeNames = Object.values(STORES).filter(storeName => !DERIVED_STORES.includes(storeName));
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readonly');
+            const data = {};
+
+            storeNames.forEach(storeName => {
+                const request = transaction.objectStore(storeName).getAll();
+                request.onsuccess = () => { data[storeName] = request.result; };
+            });
+
+            transaction.oncomplete = () => resolve(data);
+            transaction.onerror = () => reject(transaction.error);
+        }).then(data => this.openDump(data));
+    }
+
+    /**
+     * Decrypt the encrypted stores of a dump and drop the device metadata,
+     * so backups can be restored with any passphrase and on any device
+     * @param {Object} data - { storeName: [records] }
+     * @returns {Promise<Object>}
+     */
+    async openDump(data) {
+        for (const storeName of Object.keys(ENCRYPTED_STORES).filter(storeName => data[storeName])) {
+            data[storeName] = await Promise.all(data[storeName].map(entry => this.openEntry(storeName, entry)));
+        }
+        data[STORES.METADATA] = data[STORES.METADATA].filter(entry => !DEVICE_METADATA_KEYS.includes(entry.key));
+        return data;
+    }
+
+    /**
+     * Write a full dump back in a single transaction, so a failure leaves
+     * the database untouched.
+     * 'replace' clears every store first; 'merge' keeps existing records and
+     * only adds the ones this device does not have yet (see mergeStores()).
+     * The daily summaries are rebuilt from the result.
+     * @param {Object} data - { storeName: [records] }
+     * @param {string} mode - 'replace' | 'merge'
+     * @returns {Promise<Object>} - Number of records written per store
+     */
+    async importAllStores(data, mode = 'replace') {
+        await this.ensureInit();
+        if (mode !== 'replace' && mode !== 'merge') {
+            throw new Error(`Unknown restore mode: ${mode}`);
+        }
+        const storeNames = Object.values(STORES).filter(storeName => !DERIVED_STORES.includes(storeName));
+
+        // Encrypt with the current key up front, and keep this device's metadata
+        const sealed = {};
+        for (const storeName of storeNames) {
+            const entries = (data[storeName] || []).filter(entry => !(storeName === STORES.METADATA && DEVICE_METADATA_KEYS.includes(entry.key)));
+            sealed[storeName] = ENCRYPTED_STORES[storeName] !== undefined
+                ? await Promise.all(entries.map(entry => this.sealEntry(storeName, entry)))
+                : entries;
+        }
+        const deviceMetadata = [];
+        for (const key of DEVICE_METADATA_KEYS) {
+            const value = await this.getMetadata(key);
+            if (value !== null) deviceMetadata.push({ key, value, updatedAt: Date.now() });
+        }
+
+        const counts = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            const counts = Object.fromEntries(storeNames.map(storeName => [storeName, 0]));
+            const fail = (error) => {
+                // An invalid record throws synchronously; roll back everything
+                transaction.abort();
+                reject(error);
+            };
+
+            transaction.oncomplete = () => resolve(counts);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Restore aborted'));
+
+            if (mode === 'merge') {
+                this.mergeStores(transaction, sealed, counts, fail);
+                return;
+            }
+            try {
+                storeNames.forEach(storeName => {
+                    const store = transaction.objectStore(storeName);
+                    store.clear();
+                    sealed[storeName].forEach(record => {
+                        // Backups made before sync existed have no uid
+                        store.put(SYNCED_STORES.includes(storeName) ? withSyncFields(record) : record);
+                        counts[storeName]++;
+                    });
+                    if (storeName === STORES.METADATA) {
+                        deviceMetadata.forEach(entry => store.put(entry));
+                    }
+                });
+            } catch (error) {
+                fail(error);
+            }
+        });
+        await this.rebuildDailySummaries();
+        return counts;
+    }
+
+    /**
+     * Add, inside the restore transaction, the records of a dump this device
+     * does not have yet. Records are matched by uid, since ids only mean
+     * something on the device that made the backup: the new ones get a
+     * fresh id, and their childId is mapped to the id their profile has
+     * here. Records of a profile missing from the dump are left without
+     * one, for adoptOrphanRecords(). Photos, audit entries and conflicts
+     * come along with the records added, pointed at their new ids; metadata
+     * and outbox entries are added when their key is not present.
+     * @param {IDBTransaction} transaction - Readwrite, over every store but the derived ones
+     * @param {Object} dump - { storeName: [records] }, sealed
+     * @param {Object} counts - { storeName: number }, incremented per record written
+     * @param {Function} fail - Called with the error when a record cannot be written
+     */
+    mergeStores(transaction, dump, counts, fail) {
+        const ids = {}; // { storeName: Map(id in the dump => id here) }
+        const addedIds = {}; // { storeName: Set(ids in the dump of the records added) }
+        const addedUids = {}; // { storeName: Set(uids of the records added) }
+
+        // Add entries without their id; done() runs once every one has its new id
+        const addEach = (storeName, entries, onAdded, done) => {
+            const store = transaction.objectStore(storeName);
+            let pending = entries.length;
+            if (pending === 0) {
+                done();
+                return;
+            }
+            try {
+                entries.forEach(entry => {
+                    const { id, ...data } = entry;
+                    const request = store.add(data);
+                    counts[storeName]++;
+                    request.onsuccess = () => {
+                        onAdded(entry, request.result);
+                        if (--pending === 0) done();
+                    };
+                });
+            } catch (error) {
+                fail(error);
+            }
+        };
+
+        const mapChild = (entry) => {
+            const { childId, ...rest } = entry;
+            const mapped = ids[STORES.CHILDREN].get(childId);
+            return mapped === undefined ? rest : { ...rest, childId: mapped };
+        };
+
+        const mergeRecords = (storeName, done) => {
+            ids[storeName] = new Map();
+            addedIds[storeName] = new Set();
+            addedUids[storeName] = new Set();
+            const existing = new Map(); // uid => id
+            const cursorRequest = transaction.objectStore(storeName).index('uid').openKeyCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    existing.set(cursor.key, cursor.primaryKey);
+                    cursor.continue();
+                    return;
+                }
+
+                const fresh = [];
+                dump[storeName].forEach(record => {
+                    if (record.uid && existing.has(record.uid)) {
+                        ids[storeName].set(record.id, existing.get(record.uid));
+                    } else {
+                        // Backups made before sync existed have no uid
+                        fresh.push(withSyncFields(storeName === STORES.CHILDREN ? record : mapChild(record)));
+                    }
+                });
+                addEach(storeName, fresh, (record, id) => {
+                    ids[storeName].set(record.id, id);
+                    addedIds[storeName].add(record.id);
+                    addedUids[storeName].add(record.uid);
+                }, done);
+            };
+        };
+
+        // Entries of a record added by the merge, moved to its new id
+        const followRecords = (storeName) => {
+            const entries = dump[storeName]
+                .filter(entry => addedIds[entry.storeName] && addedIds[entry.storeName].has(entry.recordId))
+                .map(entry => ({ ...mapChild(entry), recordId: ids[entry.storeName].get(entry.recordId) }));
+            addEach(storeName, entries, () => {}, () => {});
+        };
+
+        const addMissingKeys = (storeName) => {
+            const store = transaction.objectStore(storeName);
+            const keysRequest = store.getAllKeys();
+            keysRequest.onsuccess = () => {
+                const keys = new Set(keysRequest.result.map(key => JSON.stringify(key)));
+                try {
+                    dump[storeName].forEach(entry => {
+                        const key = Array.isArray(store.keyPath)
+                            ? store.keyPath.map(field => entry[field])
+                            : entry[store.keyPath];
+                        if (keys.has(JSON.stringify(key))) return;
+                        store.put(entry);
+                        counts[storeName]++;
+                    });
+                } catch (error) {
+                    fail(error);
+                }
+            };
+        };
+
+        // Profiles first, so the records can be given their childId
+        mergeRecords(STORES.CHILDREN, () => {
+            let pending = CHILD_STORES.length;
+            CHILD_STORES.forEach(storeName => mergeRecords(storeName, () => {
+                if (--pending > 0) return;
+                followRecords(STORES.ATTACHMENTS);
+                followRecords(STORES.AUDIT);
+                addEach(
+                    STORES.CONFLICTS,
+                    dump[STORES.CONFLICTS]
+                        .filter(entry => addedUids[entry.storeName] && addedUids[entry.storeName].has(entry.uid))
+                        .map(mapChild),
+                    () => {},
+                    () => {}
+                );
+                addMissingKeys(STORES.METADATA);
+                addMissingKeys(STORES.OUTBOX);
+            }));
+        });
+    }
+
+    /**
+     * Get the list of schema migrations applied to this database
+     * @returns {Promise<Array>}
+     */
+    async getSchemaHistory() {
+        return (await this.getMetadata('schemaHistory')) || [];
+    }
+
     /**
      * Close the database connection
      */
@@ -880,5 +3060,5 @@ const db = new BabyFoodDB();
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { db, BabyFoodDB, STORES };
+    module.exports = { db, BabyFoodDB, STORES, CHILD_STORES, ATTACHMENT_BLOB_FIELDS, SYNCED_STORES, FILTER_INDEXES, SUMMARY_STORES, ENCRYPTION_METADATA_KEY, createUid, estimateSize, localDateKey, summarizeDays };
 }
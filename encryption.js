@@ -0,0 +1,255 @@
+/**
+ * Encryption at rest
+ * Records are encrypted with AES-GCM under a key derived from a passphrase
+ * (PBKDF2-SHA256). The fields the indexes, the trash and the sync engine
+ * rely on stay readable; everything else of a record is kept in 'sealed'.
+ * The key only lives in memory: every start asks for the passphrase.
+ */
+
+const ENCRYPTION_ITERATIONS = 600000;
+const ENCRYPTION_CHECK = 'baby-food-track'; // Encrypted with the key to recognise the passphrase
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Record fields left in plaintext: keys, indexes, trash and sync bookkeeping.
+// storeName and recordId link a photo attachment to its record.
+const PLAINTEXT_FIELDS = ['id', 'childId', 'timestamp', 'date', 'yearMonth', 'deletedAt', 'uid', 'createdAt', 'updatedAt', 'storeName', 'recordId'];
+
+/**
+ * Thrown when a passphrase does not match the one the data was encrypted with
+ */
+class WrongPassphraseError extends Error {
+    constructor() {
+        super('Wrong passphrase');
+        this.name = 'WrongPassphraseError';
+    }
+}
+
+class RecordCipher {
+    /**
+     * @param {CryptoKey} key - AES-GCM key
+     */
+    constructor(key) {
+        this.key = key;
+    }
+
+    /**
+     * Derive the key for a passphrase
+     * @param {string} passphrase
+     * @param {Uint8Array} salt
+     * @param {number} iterations
+     * @returns {Promise<RecordCipher>}
+     */
+    static async fromPassphrase(passphrase, salt, iterations = ENCRYPTION_ITERATIONS) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        const key = await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+        return new RecordCipher(key);
+    }
+
+    /**
+     * @param {any} value - Anything JSON can represent
+     * @returns {Promise<Object>} - { iv, data }
+     */
+    async encrypt(value) {
+        return this.encryptBytes(new TextEncoder().encode(JSON.stringify(value)));
+    }
+
+    /**
+     * @param {BufferSource} bytes
+     * @returns {Promise<Object>} - { iv, data }
+     */
+    async encryptBytes(bytes) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.key, bytes);
+        return { iv, data };
+    }
+
+    /**
+     * @param {Object} encrypted - { iv, data } as returned by encryptBytes()
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async decryptBytes(encrypted) {
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv: encrypted.iv }, this.key, encrypted.data);
+    }
+
+    /**
+     * @param {Object} encrypted - { iv, data } as returned by encrypt()
+     * @returns {Promise<any>}
+     * @throws {Error} - When the data was encrypted with another key or altered
+     */
+    async decrypt(encrypted) {
+        const plaintext = await this.decryptBytes(encrypted);
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    /**
+     * Encrypt every field of a record but the PLAINTEXT_FIELDS. Blobs (photos)
+     * are encrypted as bytes on their own instead of going through JSON.
+     * @param {Object} record
+     * @returns {Promise<Object>} - { ...plaintext fields, sealed[, sealedBlobs] }
+     */
+    async seal(record) {
+        const plain = {};
+        const secret = {};
+        const blobs = {};
+        Object.entries(record).forEach(([field, value]) => {
+            if (PLAINTEXT_FIELDS.includes(field)) plain[field] = value;
+            else if (typeof Blob !== 'undefined' && value instanceof Blob) blobs[field] = value;
+            else secret[field] = value;
+        });
+
+        const sealed = { ...plain, sealed: await this.encrypt(secret) };
+        if (Object.keys(blobs).length > 0) {
+            sealed.sealedBlobs = {};
+            for (const [field, blob] of Object.entries(blobs)) {
+                sealed.sealedBlobs[field] = { type: blob.type, ...(await this.encryptBytes(await blob.arrayBuffer())) };
+            }
+        }
+        return sealed;
+    }
+
+    /**
+     * @param {Object} record - As returned by seal()
+     * @returns {Promise<Object>}
+     */
+    async open(record) {
+        const { sealed, sealedBlobs, ...plain } = record;
+        const opened = { ...plain, ...(await this.decrypt(sealed)) };
+        for (const [field, { type, ...encrypted }] of Object.entries(sealedBlobs || {})) {
+            opened[field] = new Blob([await this.decryptBytes(encrypted)], { type });
+        }
+        return opened;
+    }
+}
+
+class EncryptionManager {
+    constructor(database) {
+        this.db = database;
+        this.keyId = null; // Key the database was unlocked with
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - { keyId, salt, iterations, check, createdAt }
+     */
+    async getConfig() {
+        return this.db.getMetadata(ENCRYPTION_METADATA_KEY);
+    }
+
+    async isEnabled() {
+        return !!(await this.getConfig());
+    }
+
+    /**
+     * Derive the key of the current configuration and check the passphrase
+     * @param {string} passphrase
+     * @returns {Promise<RecordCipher>}
+     * @throws {WrongPassphraseError}
+     */
+    async deriveCurrentKey(passphrase) {
+        const config = await this.getConfig();
+        if (!config) {
+            throw new Error('Encryption is not enabled');
+        }
+        const cipher = await RecordCipher.fromPassphrase(passphrase || '', config.salt, config.iterations);
+        try {
+            if (await cipher.decrypt(config.check) === ENCRYPTION_CHECK) return cipher;
+        } catch (error) {
+            // AES-GCM refuses to decrypt with another key
+        }
+        throw new WrongPassphraseError();
+    }
+
+    /**
+     * Create a key with a fresh salt
+     * @param {string} passphrase
+     * @returns {Promise<Object>} - { cipher, config }
+     */
+    async createKey(passphrase) {
+        if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`The passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const cipher = await RecordCipher.fromPassphrase(passphrase, salt);
+        const config = {
+            keyId: createUid(),
+            salt,
+            iterations: ENCRYPTION_ITERATIONS,
+            check: await cipher.encrypt(ENCRYPTION_CHECK),
+            createdAt: Date.now()
+        };
+        return { cipher, config };
+    }
+
+    /**
+     * Let the database read and write encrypted records
+     * @param {string} passphrase
+     * @throws {WrongPassphraseError}
+     */
+    async unlock(passphrase) {
+        const cipher = await this.deriveCurrentKey(passphrase);
+        this.db.setCipher(cipher);
+        this.keyId = (await this.getConfig()).keyId;
+    }
+
+    /**
+     * Encrypt every record with a new passphrase
+     * @param {string} passphrase
+     */
+    async enable(passphrase) {
+        if (await this.isEnabled()) {
+            throw new Error('Encryption is already enabled');
+        }
+        const { cipher, config } = await this.createKey(passphrase);
+        await this.db.reencryptAll(cipher, config);
+        this.keyId = config.keyId;
+    }
+
+    /**
+     * Rotate the key: re-encrypt every record with a new salt, and with a
+     * new passphrase when one is given
+     * @param {string} currentPassphrase
+     * @param {string} [newPassphrase] - Defaults to the current one
+     * @throws {WrongPassphraseError}
+     */
+    async changePassphrase(currentPassphrase, newPassphrase = currentPassphrase) {
+        await this.deriveCurrentKey(currentPassphrase);
+        const { cipher, config } = await this.createKey(newPassphrase);
+        await this.db.reencryptAll(cipher, config);
+        this.keyId = config.keyId;
+    }
+
+    /**
+     * Decrypt every record and forget the key
+     * @param {string} currentPassphrase
+     * @throws {WrongPassphraseError}
+     */
+    async disable(currentPassphrase) {
+        await this.deriveCurrentKey(currentPassphrase);
+        await this.db.reencryptAll(null, null);
+        this.keyId = null;
+    }
+
+    /**
+     * Whether another tab enabled, disabled or rotated the key since this one unlocked
+     * @returns {Promise<boolean>}
+     */
+    async hasKeyChanged() {
+        const config = await this.getConfig();
+        return (config ? config.keyId : null) !== this.keyId;
+    }
+}
+
+// Create singleton instance
+const encryption = new EncryptionManager(db);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encryption, EncryptionManager, RecordCipher, WrongPassphraseError, MIN_PASSPHRASE_LENGTH };
+}
@@ -0,0 +1,180 @@
+/**
+ * FHIR Export
+ * Builds a FHIR R4 Bundle of a child's growth and vital signs for
+ * pediatric clinic portals: the Patient, weight, length and temperature
+ * Observations, the medicine doses given and the vaccines applied.
+ * Every resource refers to the Patient by its urn:uuid full URL.
+ */
+
+const FHIR_MIME_TYPE = 'application/fhir+json';
+
+const LOINC_SYSTEM = 'http://loinc.org';
+const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+
+// Observations per measured field: LOINC codes (the first one is the one of
+// the FHIR vital signs profile) and UCUM unit
+const FHIR_OBSERVATIONS = {
+    weight: {
+        coding: [{ code: '29463-7', display: 'Body weight' }],
+        text: 'Peso',
+        unit: 'kg'
+    },
+    height: {
+        coding: [{ code: '8302-2', display: 'Body height' }, { code: '8306-3', display: 'Body height --lying' }],
+        text: 'Longitud',
+        unit: 'cm'
+    },
+    temperature: {
+        coding: [{ code: '8310-5', display: 'Body temperature' }],
+        text: 'Temperatura',
+        unit: 'Cel',
+        unitDisplay: '°C'
+    }
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Whether a record's time can be written as a FHIR dateTime; the others
+ * are left out of the Bundle (the integrity check can repair them)
+ */
+function hasFhirTime(record) {
+    return !isNaN(new Date(record.time).getTime());
+}
+
+class FhirExporter {
+    /**
+     * @param {Object} child - Child profile: { uid, name, sex, birthDate }
+     * @param {Object} recordsByStore - { storeName: [records] } in the app format
+     * @returns {Object} - FHIR R4 Bundle of type 'collection', without the
+     *   records whose time cannot be read (see hasFhirTime())
+     */
+    createBundle(child, recordsByStore) {
+        const patient = this.createPatient(child);
+        const patientUrl = this.fullUrl(child);
+        const entries = [{ fullUrl: patientUrl, resource: patient }];
+        const add = (record, resource) => entries.push({ fullUrl: this.fullUrl(record), resource });
+        const records = storeName => (recordsByStore[storeName] || []).filter(hasFhirTime);
+
+        records(STORES.MEASUREMENTS).forEach(measurement => {
+            ['weight', 'height'].forEach(field => {
+                if (!measurement[field]) return;
+                // One record holds both values, so each Observation needs its own identity
+                add({}, this.createObservation(FHIR_OBSERVATIONS[field], measurement[field], measurement.time, patientUrl));
+            });
+        });
+        records(STORES.TEMPERATURES).forEach(temperature => {
+            add(temperature, this.createObservation(FHIR_OBSERVATIONS.temperature, temperature.value, temperature.time, patientUrl, temperature.notes));
+        });
+        // Only the doses given (see markMedicineTaken): schedules, running or
+        // stopped, and active occasional medicines were never administered themselves
+        records(STORES.MEDICINES)
+            .filter(medicine => !medicine.active && !(Number(medicine.interval) > 0))
+            .forEach(medicine => add(medicine, this.createMedicationAdministration(medicine, patientUrl)));
+        records(STORES.APPOINTMENTS)
+            .filter(appointment => appointment.type === 'vaccine' && appointment.completed)
+            .forEach(appointment => add(appointment, this.createImmunization(appointment, patientUrl)));
+
+        return {
+            resourceType: 'Bundle',
+            type: 'collection',
+            timestamp: new Date().toISOString(),
+            entry: entries
+        };
+    }
+
+    createPatient(child) {
+        const patient = {
+            resourceType: 'Patient',
+            name: [{ text: child.name }],
+            gender: child.sex === 'female' || child.sex === 'male' ? child.sex : 'unknown'
+        };
+        if (child.birthDate) patient.birthDate = child.birthDate;
+        return patient;
+    }
+
+    /**
+     * Vital signs Observation of a single value
+     */
+    createObservation(definition, value, time, patientUrl, note) {
+        const observation = {
+            resourceType: 'Observation',
+            status: 'final',
+            category: [{
+                coding: [{
+                    system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+                    code: 'vital-signs',
+                    display: 'Vital Signs'
+                }]
+            }],
+            code: {
+                coding: definition.coding.map(coding => ({ system: LOINC_SYSTEM, ...coding })),
+                text: definition.text
+            },
+            subject: { reference: patientUrl },
+            effectiveDateTime: new Date(time).toISOString(),
+            valueQuantity: {
+                value: Number(value),
+                unit: definition.unitDisplay || definition.unit,
+                system: UCUM_SYSTEM,
+                code: definition.unit
+            }
+        };
+        if (note) observation.note = [{ text: note }];
+        return observation;
+    }
+
+    createMedicationAdministration(medicine, patientUrl) {
+        const administration = {
+            resourceType: 'MedicationAdministration',
+            status: 'completed',
+            medicationCodeableConcept: { text: medicine.name },
+            subject: { reference: patientUrl },
+            effectiveDateTime: new Date(medicine.time).toISOString()
+        };
+        if (medicine.dose) administration.dosage = { text: medicine.dose };
+        if (medicine.notes) administration.note = [{ text: medicine.notes }];
+        return administration;
+    }
+
+    createImmunization(appointment, patientUrl) {
+        const immunization = {
+            resourceType: 'Immunization',
+            status: 'completed',
+            vaccineCode: { text: appointment.title },
+            patient: { reference: patientUrl },
+            occurrenceDateTime: new Date(appointment.time).toISOString(),
+            primarySource: true
+        };
+        if (appointment.location) immunization.location = { display: appointment.location };
+        if (appointment.notes) immunization.note = [{ text: appointment.notes }];
+        return immunization;
+    }
+
+    /**
+     * urn:uuid full URL of a resource, from the uid of its record when it is a UUID
+     */
+    fullUrl(record) {
+        const uid = record.uid && UUID_PATTERN.test(record.uid) ? record.uid : this.createUuid();
+        return `urn:uuid:${uid}`;
+    }
+
+    createUuid() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        // RFC 4122 version 4 from Math.random() where randomUUID() is missing
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.random() * 16 | 0;
+            return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+        });
+    }
+}
+
+// Create singleton instance
+const fhirExporter = new FhirExporter();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { fhirExporter, FhirExporter, FHIR_MIME_TYPE, FHIR_OBSERVATIONS, hasFhirTime };
+}
@@ -0,0 +1,340 @@
+/**
+ * iCalendar (.ics)
+ * Writes upcoming appointments and the dosing schedules of the active
+ * medicines as calendar events with reminders (RFC 5545), so they show up
+ * in the family's phone calendars, and reads the events of .ics files,
+ * such as a clinic's appointment invite, as appointments.
+ */
+
+const ICS_MIME_TYPE = 'text/calendar;charset=utf-8';
+const ICS_PRODUCT_ID = '-//Control de Alimentacion del Bebe//ES';
+
+// Reminders of an appointment, before its start
+const APPOINTMENT_ALARMS = ['-P1D', '-PT1H'];
+
+// Length given to appointment events, which have no end in the app
+const APPOINTMENT_DURATION = 'PT1H';
+
+// Days of doses a medicine schedule covers: calendars never learn that a
+// treatment was stopped, so the series ends and is exported again if needed
+const MEDICINE_SCHEDULE_DAYS = 7;
+
+// Marks the medicine events this app exports, which are not appointments
+const MEDICINE_EVENT_PROPERTY = 'X-BABY-TRACKER-MEDICINE';
+
+// Words of a summary or category that tell the appointment type, lower case
+const APPOINTMENT_TYPE_WORDS = {
+    vaccine: ['vacuna', 'vaccine', 'vaccination', 'immunization', 'inmunización', 'inmunizacion'],
+    study: ['estudio', 'análisis', 'analisis', 'laboratorio', 'lab', 'ecografía', 'ecografia', 'ultrasonido', 'ultrasound', 'radiografía', 'radiografia', 'x-ray'],
+    specialist: ['especialista', 'specialist', 'cardiólogo', 'cardiologo', 'dermatólogo', 'dermatologo', 'neurólogo', 'neurologo', 'oftalmólogo', 'oftalmologo', 'otorrino'],
+    doctor: ['pediatra', 'pediatrician', 'consulta', 'médico', 'medico', 'doctor', 'control', 'checkup', 'check-up', 'revisión', 'revision']
+};
+
+class ICalendar {
+    /**
+     * @param {Array} appointments - Appointments to export, app format
+     * @param {Array} medicines - Active medicines with an interval and a next dose
+     * @returns {string} - VCALENDAR text with CRLF line ends
+     */
+    export(appointments, medicines) {
+        const now = this.formatUtc(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${ICS_PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        appointments.forEach(appointment => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${appointment.uid || appointment.id}@baby-tracker`,
+                `DTSTAMP:${now}`,
+                `DTSTART:${this.formatUtc(new Date(appointment.time))}`,
+                `DURATION:${APPOINTMENT_DURATION}`,
+                `SUMMARY:${this.escapeText(appointment.title)}`,
+                `CATEGORIES:${this.escapeText(APPOINTMENT_TYPE_LABELS[appointment.type] || APPOINTMENT_TYPE_LABELS.other)}`
+            );
+            if (appointment.location) lines.push(`LOCATION:${this.escapeText(appointment.location)}`);
+            if (appointment.notes) lines.push(`DESCRIPTION:${this.escapeText(appointment.notes)}`);
+            APPOINTMENT_ALARMS.forEach(trigger => lines.push(...this.alarm(trigger, appointment.title)));
+            lines.push('END:VEVENT');
+        });
+
+        medicines.forEach(medicine => {
+            const start = new Date(medicine.nextDose);
+            const until = new Date(start.getTime() + MEDICINE_SCHEDULE_DAYS * 24 * 60 * 60 * 1000);
+            const summary = `💊 ${medicine.name}${medicine.dose ? ` - ${medicine.dose}` : ''}`;
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:medicine-${medicine.uid || medicine.id}@baby-tracker`,
+                `DTSTAMP:${now}`,
+                `DTSTART:${this.formatUtc(start)}`,
+                'DURATION:PT5M',
+                `RRULE:${this.frequency(medicine.interval)};UNTIL=${this.formatUtc(until)}`,
+                `SUMMARY:${this.escapeText(summary)}`,
+                `${MEDICINE_EVENT_PROPERTY}:TRUE`
+            );
+            if (medicine.notes) lines.push(`DESCRIPTION:${this.escapeText(medicine.notes)}`);
+            lines.push(...this.alarm('PT0M', summary), 'END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * RRULE frequency of a dosing interval: hours, or minutes when the
+     * interval is a fraction of an hour
+     * @param {number} interval - Hours
+     */
+    frequency(interval) {
+        const hours = Number(interval);
+        // INTERVAL must be at least 1
+        return Number.isInteger(hours) && hours >= 1
+            ? `FREQ=HOURLY;INTERVAL=${hours}`
+            : `FREQ=MINUTELY;INTERVAL=${Math.max(1, Math.round(hours * 60))}`;
+    }
+
+    alarm(trigger, description) {
+        return ['BEGIN:VALARM', 'ACTION:DISPLAY', `TRIGGER:${trigger}`, `DESCRIPTION:${this.escapeText(description)}`, 'END:VALARM'];
+    }
+
+    formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    escapeText(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+
+    unescapeText(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * Split a content line into lines of at most 75 octets, continued with a space
+     */
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        for (const char of line) {
+            const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+            if (encoder.encode(current + char).length > limit) {
+                parts.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Read the events of an .ics file as appointments. Events that cannot be
+     * read, or are not appointments, are reported with their line.
+     * @param {string} text
+     * @returns {Object} - { rows: [{ line, storeName, record }], errors: [{ line, message }] },
+     *   the same result as the CSV importers
+     * @throws {Error} - When the text is not an iCalendar file
+     */
+    import(text) {
+        const lines = this.unfoldLines(text);
+        if (!lines.some(({ content }) => content.toUpperCase() === 'BEGIN:VCALENDAR')) {
+            throw new Error('El archivo no es un calendario iCalendar');
+        }
+
+        const rows = [];
+        const errors = [];
+        this.readEvents(lines).forEach(({ line, properties }) => {
+            try {
+                const record = this.readAppointment(properties);
+                if (record) rows.push({ line, storeName: STORES.APPOINTMENTS, record });
+            } catch (error) {
+                errors.push({ line, message: error.message });
+            }
+        });
+        return { rows, errors };
+    }
+
+    /**
+     * @returns {Array} - [{ line, content }], continuation lines joined to the line they continue
+     */
+    unfoldLines(text) {
+        const lines = [];
+        text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((content, index) => {
+            if ((content.startsWith(' ') || content.startsWith('\t')) && lines.length > 0) {
+                lines[lines.length - 1].content += content.slice(1);
+            } else if (content !== '') {
+                lines.push({ line: index + 1, content });
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * Properties of each VEVENT, leaving out those of its alarms
+     * @returns {Array} - [{ line, properties: { NAME: { value, params } } }]
+     */
+    readEvents(lines) {
+        const events = [];
+        let event = null;
+        let depth = 0; // Components open inside the event
+
+        lines.forEach(({ line, content }) => {
+            const property = this.parseProperty(content);
+            if (!property) return;
+            const { name, value } = property;
+
+            if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+                event = { line, properties: {} };
+                depth = 0;
+            } else if (!event) {
+                return;
+            } else if (name === 'BEGIN') {
+                depth++;
+            } else if (name === 'END' && depth > 0) {
+                depth--;
+            } else if (name === 'END') {
+                events.push(event);
+                event = null;
+            } else if (depth === 0 && !event.properties[name]) {
+                event.properties[name] = property;
+            }
+        });
+        return events;
+    }
+
+    /**
+     * @param {string} content - NAME;PARAM=VALUE:value, where a parameter value in
+     *   double quotes may hold ';', ':' and ',' (RFC 5545 §3.1)
+     * @returns {Object|null} - { name, params, value }, the values of a
+     *   parameter joined by commas and without their quotes
+     */
+    parseProperty(content) {
+        const name = content.match(/^[A-Za-z0-9-]+/);
+        if (!name) return null;
+        const params = {};
+        let i = name[0].length;
+
+        while (content[i] === ';') {
+            const equals = content.indexOf('=', i);
+            const key = content.slice(i + 1, equals);
+            if (equals === -1 || !/^[A-Za-z0-9-]+$/.test(key)) return null;
+            const values = [];
+            i = equals;
+            do {
+                i++;
+                if (content[i] === '"') {
+                    const close = content.indexOf('"', i + 1);
+                    if (close === -1) return null;
+                    values.push(content.slice(i + 1, close));
+                    i = close + 1;
+                } else {
+                    const end = content.slice(i).search(/[;:,"]/);
+                    if (end === -1) return null;
+                    values.push(content.slice(i, i + end));
+                    i += end;
+                }
+            } while (content[i] === ',');
+            params[key.toUpperCase()] = values.join(',');
+        }
+
+        if (content[i] !== ':') return null;
+        return { name: name[0].toUpperCase(), params, value: content.slice(i + 1) };
+    }
+
+    /**
+     * @returns {Object|null} - Appointment without childId, or null for this app's medicine events
+     * @throws {Error} - When the event cannot be an appointment
+     */
+    readAppointment(properties) {
+        if (properties[MEDICINE_EVENT_PROPERTY]) return null;
+        if (properties.STATUS && properties.STATUS.value.toUpperCase() === 'CANCELLED') {
+            throw new Error('Evento cancelado');
+        }
+        if (!properties.DTSTART) throw new Error('Falta la fecha de inicio (DTSTART)');
+
+        const text = name => (properties[name] ? this.unescapeText(properties[name].value).trim() : '');
+        const title = text('SUMMARY') || 'Cita';
+        return {
+            time: this.parseDateTime(properties.DTSTART),
+            type: this.guessType(text('CATEGORIES'), title),
+            title,
+            location: text('LOCATION'),
+            notes: text('DESCRIPTION'),
+            completed: false
+        };
+    }
+
+    /**
+     * Type of an appointment from its category (as this app exports it) or from the words of its title
+     */
+    guessType(categories, title) {
+        const byLabel = Object.keys(APPOINTMENT_TYPE_LABELS)
+            .find(type => APPOINTMENT_TYPE_LABELS[type].toLowerCase() === categories.toLowerCase());
+        if (byLabel) return byLabel;
+
+        const words = `${categories} ${title}`.toLowerCase();
+        const type = Object.keys(APPOINTMENT_TYPE_WORDS)
+            .find(key => APPOINTMENT_TYPE_WORDS[key].some(word => words.includes(word)));
+        return type || 'other';
+    }
+
+    /**
+     * @param {Object} property - DTSTART as parsed: UTC (…Z), local to a TZID,
+     *   floating (device time) or a whole day (VALUE=DATE, device midnight)
+     * @returns {string} - ISO time
+     */
+    parseDateTime({ value, params }) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+        if (!match) throw new Error(`Fecha inválida: ${value}`);
+        const [, year, month, day, hours = '0', minutes = '0', seconds = '0', utc] = match;
+        const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+
+        if (utc) return new Date(Date.UTC(...parts)).toISOString();
+        if (params.TZID) {
+            try {
+                return this.zonedTimeToUtc(parts, params.TZID).toISOString();
+            } catch (error) {
+                // Time zones outside the IANA database, e.g. Windows names, are taken as device time
+            }
+        }
+        return new Date(...parts).toISOString();
+    }
+
+    /**
+     * @param {Array} parts - [year, monthIndex, day, hours, minutes, seconds] on the clock of the zone
+     * @param {string} timeZone - IANA name
+     * @returns {Date}
+     * @throws {RangeError} - When the time zone is unknown
+     */
+    zonedTimeToUtc(parts, timeZone) {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+        // Offset of the zone at a moment, in ms
+        const offsetAt = (time) => {
+            const values = Object.fromEntries(formatter.formatToParts(new Date(time)).map(part => [part.type, Number(part.value)]));
+            return Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second) - time;
+        };
+
+        const wallTime = Date.UTC(...parts);
+        const guess = wallTime - offsetAt(wallTime);
+        // A second pass settles times near a daylight saving change
+        return new Date(wallTime - offsetAt(guess));
+    }
+}
+
+// Create singleton instance
+const iCalendar = new ICalendar();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { iCalendar, ICalendar, ICS_MIME_TYPE };
+}
@@ -0,0 +1,168 @@
+/**
+ * Import Preview
+ * Checks the rows read from an import file before anything is saved: rows
+ * with values the app cannot use are left out, and rows matching a record
+ * the profile already has are marked, so importing the same file twice
+ * does not double the history. The chosen rows are then written in one go.
+ */
+
+// Two records of the same kind this close in time are taken for the same one;
+// spreadsheets often drop the seconds of a time
+const DUPLICATE_TOLERANCE = 60 * 1000; // ms
+
+// How the rows that match an existing record are imported
+const IMPORT_MODES = ['skip', 'overwrite', 'all'];
+
+class ImportPreview {
+    /**
+     * @param {Object} repository - Storage repository the rows are compared with and saved to
+     */
+    constructor(repository) {
+        this.repository = repository;
+    }
+
+    /**
+     * Validate the rows and look for the records they duplicate, in the
+     * profile or earlier in the same file
+     * @param {Array} rows - [{ line, storeName, record }], records ready to be added
+     * @param {Array} errors - [{ line, message }] of rows that could not be read
+     * @param {number} childId - Profile the rows are compared with
+     * @returns {Promise<Object>} - { rows, errors } with each row plus
+     *   issue ({ type: 'impossibleValue'|'missingValue', field? }) when it cannot
+     *   be imported, duplicateOf (the existing record) when it matches one, or
+     *   repeatOf (the line of the row) when it matches an earlier row
+     */
+    async build(rows, errors, childId) {
+        const storeNames = [...new Set(rows.map(row => row.storeName))];
+        const existing = {};
+        for (const storeName of storeNames) {
+            existing[storeName] = (await this.repository.getRecords(storeName, childId))
+                .map(record => this.entryOf(storeName, record))
+                .sort((a, b) => a.time - b.time);
+        }
+
+        return {
+            rows: rows.map(row => {
+                const issue = this.validate(row.storeName, row.record);
+                if (issue) return { ...row, issue };
+
+                const entries = existing[row.storeName];
+                const entry = this.entryOf(row.storeName, row.record, row.line);
+                const match = this.findDuplicate(entries, entry);
+                // A record matched by a row is matched by no other: later rows like it repeat that row
+                if (match) entries.splice(entries.indexOf(match), 1);
+                entries.splice(this.insertionIndex(entries, entry.time), 0, entry);
+
+                if (!match) return row;
+                return match.line === undefined ? { ...row, duplicateOf: match.record } : { ...row, repeatOf: match.line };
+            }),
+            errors
+        };
+    }
+
+    /**
+     * What a record is compared by: its time and the kind of record it is,
+     * the value of the store's filter field (feeding type, medicine name...)
+     * @param {number} [line] - Line of a row of the file
+     * @returns {Object} - { time, kind, record, line }
+     */
+    entryOf(storeName, record, line) {
+        const filterIndex = FILTER_INDEXES[storeName];
+        const kind = filterIndex && record[filterIndex.field] !== undefined && record[filterIndex.field] !== null
+            ? String(record[filterIndex.field]).trim().toLowerCase()
+            : null;
+        return { time: new Date(record.timestamp || record.time).getTime(), kind, record, line };
+    }
+
+    /**
+     * @returns {Object|null} - Why the record cannot be imported: { type, field? }
+     */
+    validate(storeName, record) {
+        const field = Object.keys(VALUE_LIMITS[storeName] || {}).find(name => {
+            const value = record[name];
+            if (value === null || value === undefined || value === '') return false;
+            const [min, max] = VALUE_LIMITS[storeName][name];
+            return !(Number(value) >= min && Number(value) <= max);
+        });
+        if (field) return { type: 'impossibleValue', field };
+
+        if (storeName === STORES.MEASUREMENTS && !record.weight && !record.height) {
+            return { type: 'missingValue' };
+        }
+        return null;
+    }
+
+    /**
+     * Closest entry of the same kind within DUPLICATE_TOLERANCE of another
+     * @param {Array} entries - As returned by entryOf(), sorted by time
+     * @param {Object} entry
+     * @returns {Object|null}
+     */
+    findDuplicate(entries, { time, kind }) {
+        const start = this.insertionIndex(entries, time);
+        let closest = null;
+        for (let i = start - 1; i >= 0 && time - entries[i].time <= DUPLICATE_TOLERANCE; i--) {
+            if (entries[i].kind === kind) {
+                closest = entries[i];
+                break;
+            }
+        }
+        for (let i = start; i < entries.length && entries[i].time - time <= DUPLICATE_TOLERANCE; i++) {
+            if (entries[i].kind === kind) {
+                if (!closest || entries[i].time - time < time - closest.time) closest = entries[i];
+                break;
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Index of the first entry not older than a time (binary search)
+     */
+    insertionIndex(entries, time) {
+        let low = 0;
+        let high = entries.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (entries[middle].time < time) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    /**
+     * Save the importable rows of a preview
+     * @param {Object} preview - As returned by build()
+     * @param {string} mode - One of IMPORT_MODES: 'skip' leaves out the duplicates,
+     *   'overwrite' replaces the records they match and 'all' adds them anyway.
+     *   Rows repeating an earlier row of the file are only added with 'all'.
+     * @returns {Promise<Object>} - { added, replaced, skipped }
+     */
+    async commit(preview, mode) {
+        if (!IMPORT_MODES.includes(mode)) {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+
+        const items = [];
+        let skipped = 0;
+        preview.rows.forEach(({ storeName, record, issue, duplicateOf, repeatOf }) => {
+            if (issue || (duplicateOf && mode === 'skip') || (repeatOf !== undefined && mode !== 'all')) {
+                skipped++;
+            } else if (duplicateOf && mode === 'overwrite') {
+                // Fields the file has no column for are kept
+                const kept = Object.fromEntries(Object.entries(duplicateOf).filter(([field]) => !COPY_FIELDS.includes(field)));
+                items.push({ storeName, id: duplicateOf.id, data: { ...kept, ...record } });
+            } else {
+                items.push({ storeName, data: record });
+            }
+        });
+
+        const { added, replaced } = await this.repository.importRecords(items);
+        return { added, replaced, skipped };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ImportPreview, DUPLICATE_TOLERANCE, IMPORT_MODES };
+}
@@ -0,0 +1,463 @@
+/**
+ * Importers
+ * Registry of the CSV layouts the app can read: its own export plus the
+ * exports of other baby trackers. Other layouts are described by column
+ * mappings (which column of the file fills which field of a record, and
+ * in which unit), the same ones the "map columns yourself" wizard builds.
+ *
+ * An importer is { id, label, detect(header), read(csvRows) }, where header
+ * holds the lower-case names of the first row and read() returns
+ * { rows: [{ line, storeName, record }], errors: [{ line, message }] }.
+ */
+
+// Units numeric fields are stored in, with the conversion from the units files may use
+const UNIT_CONVERSIONS = {
+    ml: { ml: value => value, oz: value => value * 29.5735 },
+    kg: { kg: value => value, g: value => value / 1000, lb: value => value * 0.45359237 },
+    cm: { cm: value => value, in: value => value * 2.54 },
+    c: { c: value => value, f: value => (value - 32) * 5 / 9 }
+};
+
+// How the units are shown in the column mapping wizard
+const UNIT_LABELS = { ml: 'ml', oz: 'oz', kg: 'kg', g: 'g', lb: 'lb', cm: 'cm', in: 'in', c: '°C', f: '°F' };
+
+// Other spellings of the units, lower case
+const UNIT_ALIASES = {
+    'fl oz': 'oz', 'fl. oz': 'oz', onzas: 'oz',
+    lbs: 'lb', libras: 'lb', gr: 'g',
+    inch: 'in', inches: 'in', pulgadas: 'in', '"': 'in',
+    '°c': 'c', 'ºc': 'c', celsius: 'c', '°f': 'f', 'ºf': 'f', fahrenheit: 'f'
+};
+
+// Minutes in each unit a duration may be written in, lower case; a number
+// without a unit is minutes
+const DURATION_UNITS = {
+    '': 1, m: 1, min: 1, mins: 1, minute: 1, minutes: 1, minuto: 1, minutos: 1,
+    h: 60, hr: 60, hrs: 60, hour: 60, hours: 60, hora: 60, horas: 60,
+    s: 1 / 60, sec: 1 / 60, secs: 1 / 60, seconds: 1 / 60, seg: 1 / 60, segundos: 1 / 60
+};
+
+// Fields a mapping can fill per record type. 'unit' is the stored unit of a
+// number, 'decimals' how it is rounded after a conversion, and 'guesses'
+// the header words the wizard preselects the field's column by.
+const MAPPING_FIELDS = {
+    [STORES.FEEDINGS]: [
+        { field: 'time', label: 'Fecha y hora', type: 'time', required: true, guesses: ['fecha', 'date', 'time', 'start', 'inicio'] },
+        { field: 'type', label: 'Tipo de toma (biberón o pecho)', type: 'feedingType', guesses: ['tipo', 'type'] },
+        { field: 'amount', label: 'Cantidad', type: 'number', unit: 'ml', decimals: 0, guesses: ['cantidad', 'amount', 'ml', 'oz'] },
+        { field: 'duration', label: 'Duración (min)', type: 'duration', guesses: ['duración', 'duracion', 'duration', 'min'] }
+    ],
+    [STORES.DIAPERS]: [
+        { field: 'time', label: 'Fecha y hora', type: 'time', required: true, guesses: ['fecha', 'date', 'time'] },
+        { field: 'hasPee', label: 'Pipí (sí/no)', type: 'bool', guesses: ['pipí', 'pipi', 'pee', 'wet', 'orina'] },
+        { field: 'hasPoop', label: 'Popó (sí/no)', type: 'bool', guesses: ['popó', 'popo', 'poop', 'dirty', 'heces'] },
+        { field: 'notes', label: 'Notas', type: 'text', guesses: ['notas', 'notes', 'note'] }
+    ],
+    [STORES.MEASUREMENTS]: [
+        { field: 'time', label: 'Fecha y hora', type: 'time', required: true, guesses: ['fecha', 'date', 'time'] },
+        { field: 'weight', label: 'Peso', type: 'number', unit: 'kg', decimals: 3, guesses: ['peso', 'weight'] },
+        { field: 'height', label: 'Altura', type: 'number', unit: 'cm', decimals: 1, guesses: ['altura', 'talla', 'height', 'length', 'longitud'] }
+    ],
+    [STORES.MEDICINES]: [
+        { field: 'time', label: 'Fecha y hora', type: 'time', required: true, guesses: ['fecha', 'date', 'time'] },
+        { field: 'name', label: 'Medicamento', type: 'text', required: true, guesses: ['medicamento', 'medicina', 'medicine', 'medication', 'nombre', 'name'] },
+        { field: 'dose', label: 'Dosis', type: 'text', guesses: ['dosis', 'dose', 'amount'] },
+        { field: 'notes', label: 'Notas', type: 'text', guesses: ['notas', 'notes', 'note'] }
+    ],
+    [STORES.TEMPERATURES]: [
+        { field: 'time', label: 'Fecha y hora', type: 'time', required: true, guesses: ['fecha', 'date', 'time'] },
+        { field: 'value', label: 'Temperatura', type: 'number', unit: 'c', decimals: 1, required: true, guesses: ['temperatura', 'temperature', 'temp', 'valor', 'value'] },
+        { field: 'notes', label: 'Notas', type: 'text', guesses: ['notas', 'notes', 'note'] }
+    ]
+};
+
+// Words other apps use for each kind of feeding, lower case
+const FEEDING_TYPE_WORDS = {
+    bottle: ['bottle', 'formula', 'biberón', 'biberon', 'fórmula'],
+    breast: ['breast', 'nursing', 'breastfeeding', 'pecho', 'lactancia']
+};
+
+/**
+ * Reads CSV files through column mappings. A mapping is:
+ * {
+ *   storeName,
+ *   fields: { field: { column, unit?, unitColumn?, map?, optional? } },
+ *   values?: { field: value },          // Fixed values of every record
+ *   when?: { column, values: [...] },   // Only the rows with one of these values
+ *   dateOrder?: 'dmy' | 'mdy',          // Of numeric dates like 03/04/2024
+ *   decimalMark?: '.' | ','             // Of numbers like 1,200.5 (default '.')
+ * }
+ * where 'column' is a header name, or several whose values are added up
+ * (numbers) or joined with a space (date and time in separate columns),
+ * 'unit' the unit of the column, 'unitColumn' a column naming it per row,
+ * and 'map' turns lower-case values of the file into values of the field.
+ * A mapping applies to a file that has all its non-optional columns.
+ */
+class MappingImporter {
+    /**
+     * @param {Object} options - { id, label, mappings }
+     */
+    constructor({ id, label, mappings }) {
+        this.id = id;
+        this.label = label;
+        this.mappings = mappings;
+    }
+
+    detect(header) {
+        return this.applicableMappings(header).length > 0;
+    }
+
+    /**
+     * @param {Array} header - Lower-case column names
+     * @returns {Array} - The mappings whose columns the file has
+     */
+    applicableMappings(header) {
+        return this.mappings.filter(mapping => {
+            const columns = Object.values(mapping.fields)
+                .filter(spec => !spec.optional)
+                .flatMap(spec => [].concat(spec.column));
+            if (mapping.when) columns.push(mapping.when.column);
+            return columns.every(column => header.includes(normalizeHeader(column)));
+        });
+    }
+
+    /**
+     * @param {Array} csvRows - As returned by parseCSV(), the first one being the header
+     * @returns {Object} - { rows, errors }, see the top of this file
+     */
+    read(csvRows) {
+        const [headerRow, ...dataRows] = csvRows;
+        const header = headerRow ? headerRow.fields.map(normalizeHeader) : [];
+        const mappings = this.applicableMappings(header);
+        const rows = [];
+        const errors = [];
+
+        dataRows.forEach(({ line, fields }) => {
+            const value = column => (fields[header.indexOf(normalizeHeader(column))] || '').trim();
+            const mapping = mappings.find(candidate => !candidate.when ||
+                candidate.when.values.includes(value(candidate.when.column).toLowerCase()));
+            if (!mapping) {
+                const kind = mappings.length > 0 && mappings[0].when ? value(mappings[0].when.column) : '';
+                errors.push({ line, message: `Tipo de registro que la app no guarda: ${kind}` });
+                return;
+            }
+
+            try {
+                rows.push({ line, storeName: mapping.storeName, record: this.readRecord(mapping, value) });
+            } catch (error) {
+                errors.push({ line, message: error.message });
+            }
+        });
+        return { rows, errors };
+    }
+
+    /**
+     * @param {Object} mapping
+     * @param {Function} value - Trimmed value of a column of the row by name
+     * @returns {Object}
+     * @throws {Error} - When a required field is empty or a value cannot be read
+     */
+    readRecord(mapping, value) {
+        const record = { ...(CSV_SECTIONS[mapping.storeName].defaults || {}), ...(mapping.values || {}) };
+
+        MAPPING_FIELDS[mapping.storeName].forEach(definition => {
+            const spec = mapping.fields[definition.field];
+            if (!spec) return;
+            const raws = [].concat(spec.column).map(value).filter(raw => raw !== '');
+            if (raws.length === 0) return;
+
+            const mapped = spec.map ? spec.map[raws.join(' ').toLowerCase()] : undefined;
+            if (mapped !== undefined) {
+                record[definition.field] = mapped;
+            } else if (definition.type === 'number' || definition.type === 'duration') {
+                const numbers = raws.map(raw => this.parseNumber(definition, spec, raw, value, mapping.decimalMark));
+                const total = numbers.reduce((sum, number) => sum + number, 0);
+                const decimals = definition.decimals === undefined ? 0 : definition.decimals;
+                record[definition.field] = Math.round(total * 10 ** decimals) / 10 ** decimals;
+            } else {
+                record[definition.field] = this.parseValue(definition, raws.join(' '), mapping.dateOrder);
+            }
+        });
+
+        // Without a type column, a feeding with an amount was a bottle
+        if (mapping.storeName === STORES.FEEDINGS && !record.type) {
+            record.type = record.amount ? 'bottle' : 'breast';
+        }
+
+        const missing = MAPPING_FIELDS[mapping.storeName]
+            .find(definition => definition.required && (record[definition.field] === undefined || record[definition.field] === ''));
+        if (missing) throw new Error(`Falta ${missing.label}`);
+        return record;
+    }
+
+    parseNumber(definition, spec, raw, value, decimalMark) {
+        if (definition.type === 'duration') return parseDuration(raw);
+
+        // The unit may follow the number, as in "4 oz"
+        const [numberText] = raw.match(/^[\d\s.,-]*/);
+        const suffix = raw.slice(numberText.length).trim();
+        const number = parseDecimal(numberText.trim(), decimalMark);
+        if (number === null) throw new Error(`Número inválido en ${definition.label}: ${raw}`);
+        const unitText = (spec.unitColumn && value(spec.unitColumn)) || suffix || spec.unit || definition.unit;
+        const unit = UNIT_ALIASES[unitText.toLowerCase()] || unitText.toLowerCase();
+        const convert = UNIT_CONVERSIONS[definition.unit][unit];
+        if (!convert) throw new Error(`Unidad desconocida en ${definition.label}: ${unitText}`);
+        return convert(number);
+    }
+
+    parseValue(definition, raw, dateOrder) {
+        switch (definition.type) {
+            case 'time':
+                return parseDateTime(raw, dateOrder);
+            case 'bool':
+                return recordCsv.parseValue({ name: definition.label, type: 'bool' }, raw);
+            case 'feedingType': {
+                const word = raw.toLowerCase();
+                const type = Object.keys(FEEDING_TYPE_WORDS).find(key => FEEDING_TYPE_WORDS[key].some(w => word.includes(w)));
+                if (!type) throw new Error(`Tipo de toma desconocido: ${raw}`);
+                return type;
+            }
+            default:
+                return raw;
+        }
+    }
+}
+
+function normalizeHeader(name) {
+    return name.replace(CSV_BOM, '').trim().toLowerCase();
+}
+
+/**
+ * Read a date and time the way other apps write them: ISO, or numeric
+ * dates such as 03/04/2024 9:05 PM in the given day/month order
+ * @param {string} raw
+ * @param {string} [dateOrder] - 'dmy' or 'mdy' (default)
+ * @returns {string} - ISO time
+ */
+function parseDateTime(raw, dateOrder = 'mdy') {
+    const match = raw.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:[ ,T]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?)?$/i);
+    let date;
+    if (match) {
+        const [, first, second, year, hours = '0', minutes = '0', seconds = '0', meridiem] = match;
+        const [day, month] = dateOrder === 'dmy' ? [first, second] : [second, first];
+        let hour = Number(hours) % (meridiem ? 12 : 24);
+        if (meridiem && meridiem.toLowerCase() === 'p') hour += 12;
+        date = new Date(Number(year.length === 2 ? `20${year}` : year), Number(month) - 1, Number(day), hour, Number(minutes), Number(seconds));
+    } else {
+        date = new Date(raw);
+    }
+    if (isNaN(date.getTime())) throw new Error(`Fecha inválida: ${raw}`);
+    return date.toISOString();
+}
+
+/**
+ * Read a number written with thousands separators: with a decimal point,
+ * commas or spaces group the thousands (1,200.5); with a decimal comma,
+ * dots or spaces do (1.200,5). Separators that do not group digits by
+ * three, as in 1,5 with a decimal point, make the number unreadable
+ * rather than a thousand times bigger or smaller.
+ * @param {string} raw - The number, without its unit
+ * @param {string} [decimalMark] - '.' (default) or ','
+ * @returns {number|null} - null when the number cannot be read
+ */
+function parseDecimal(raw, decimalMark = '.') {
+    const [group, decimal] = decimalMark === ',' ? ['.', ','] : [',', '.'];
+    const escape = mark => (mark === '.' ? '\\.' : mark);
+    const match = raw.replace(/\s/g, ' ').match(new RegExp(`^(-?)(\\d{1,3}(?:[${escape(group)} ]\\d{3})+|\\d+)(?:${escape(decimal)}(\\d+))?$`));
+    if (!match) return null;
+    const [, sign, whole, fraction = '0'] = match;
+    return Number(`${sign}${whole.replace(/\D/g, '')}.${fraction}`);
+}
+
+/**
+ * @param {string} raw - Minutes, h:mm[:ss], or amounts with units as in "1h 30m"
+ * @returns {number} - Minutes
+ */
+function parseDuration(raw) {
+    const text = raw.trim().toLowerCase().replace(/,/g, '.');
+    let minutes;
+    if (text.includes(':')) {
+        const parts = text.split(':');
+        minutes = parts.length > 3 || parts.some(part => !/^\d+$/.test(part.trim()))
+            ? NaN
+            : parts[0] * 60 + Number(parts[1]) + (parts[2] || 0) / 60;
+    } else {
+        const amounts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]*)\.?\s*/g)];
+        const read = amounts.map(([match]) => match).join('');
+        minutes = amounts.length === 0 || read !== text || amounts.some(([, , unit]) => !(unit in DURATION_UNITS))
+            ? NaN
+            : amounts.reduce((sum, [, number, unit]) => sum + Number(number) * DURATION_UNITS[unit], 0);
+    }
+    if (!isFinite(minutes)) throw new Error(`Duración inválida: ${raw}`);
+    return minutes;
+}
+
+class ImporterRegistry {
+    constructor() {
+        this.importers = [];
+    }
+
+    /**
+     * Add an importer; the ones registered first are tried first
+     * @param {Object} importer - { id, label, detect(header), read(csvRows) }
+     */
+    register(importer) {
+        if (this.importers.some(existing => existing.id === importer.id)) {
+            throw new Error(`Importer already registered: ${importer.id}`);
+        }
+        this.importers.push(importer);
+    }
+
+    get(id) {
+        return this.importers.find(importer => importer.id === id) || null;
+    }
+
+    list() {
+        return [...this.importers];
+    }
+
+    /**
+     * @param {Array} csvRows - As returned by parseCSV()
+     * @returns {Object|null} - The first importer that recognizes the file's header
+     */
+    detect(csvRows) {
+        if (csvRows.length === 0) return null;
+        const header = csvRows[0].fields.map(normalizeHeader);
+        return this.importers.find(importer => importer.detect(header)) || null;
+    }
+}
+
+// Values other trackers write for a diaper, lower case
+const DIAPER_STATUS = {
+    hasPee: { wet: true, pee: true, mixed: true, both: true, dirty: false, poo: false, poop: false, dry: false },
+    hasPoop: { dirty: true, poo: true, poop: true, mixed: true, both: true, wet: false, pee: false, dry: false }
+};
+
+const importers = new ImporterRegistry();
+
+importers.register({
+    id: 'app',
+    label: 'Exportación de esta app',
+    detect: header => header[0] === CSV_TYPE_COLUMN.toLowerCase() && header[1] === 'fecha',
+    read: csvRows => recordCsv.importRows(csvRows)
+});
+
+// One row per event of any kind, told apart by a Type column:
+// Type, Start, Duration, Amount, Unit, Detail, Notes
+importers.register(new MappingImporter({
+    id: 'event-log',
+    label: 'Registro de eventos (Type, Start, Duration, Amount, Unit, Detail, Notes)',
+    mappings: [
+        {
+            storeName: STORES.FEEDINGS,
+            when: { column: 'Type', values: ['bottle', 'formula'] },
+            values: { type: 'bottle' },
+            fields: { time: { column: 'Start' }, amount: { column: 'Amount', unitColumn: 'Unit', unit: 'ml' } }
+        },
+        {
+            storeName: STORES.FEEDINGS,
+            when: { column: 'Type', values: ['breast', 'nursing', 'breastfeeding'] },
+            values: { type: 'breast' },
+            fields: { time: { column: 'Start' }, duration: { column: 'Duration' } }
+        },
+        {
+            storeName: STORES.DIAPERS,
+            when: { column: 'Type', values: ['diaper', 'nappy'] },
+            fields: {
+                time: { column: 'Start' },
+                hasPee: { column: 'Detail', map: DIAPER_STATUS.hasPee },
+                hasPoop: { column: 'Detail', map: DIAPER_STATUS.hasPoop },
+                notes: { column: 'Notes', optional: true }
+            }
+        },
+        {
+            storeName: STORES.MEASUREMENTS,
+            when: { column: 'Type', values: ['weight'] },
+            fields: { time: { column: 'Start' }, weight: { column: 'Amount', unitColumn: 'Unit', unit: 'kg' } }
+        },
+        {
+            storeName: STORES.MEASUREMENTS,
+            when: { column: 'Type', values: ['height', 'length'] },
+            fields: { time: { column: 'Start' }, height: { column: 'Amount', unitColumn: 'Unit', unit: 'cm' } }
+        },
+        {
+            storeName: STORES.TEMPERATURES,
+            when: { column: 'Type', values: ['temperature', 'temp'] },
+            fields: {
+                time: { column: 'Start' },
+                value: { column: 'Amount', unitColumn: 'Unit', unit: 'c' },
+                notes: { column: 'Notes', optional: true }
+            }
+        },
+        {
+            storeName: STORES.MEDICINES,
+            when: { column: 'Type', values: ['medication', 'medicine'] },
+            fields: {
+                time: { column: 'Start' },
+                name: { column: 'Detail' },
+                dose: { column: ['Amount', 'Unit'], optional: true },
+                notes: { column: 'Notes', optional: true }
+            }
+        }
+    ]
+}));
+
+// One file per kind of record, each with Baby and Time columns, e.g.
+// Formula: Baby, Time, Amount, Amount Unit, Note. The columns of the file
+// pick the mapping, medicines first as they have an Amount too; the Baby
+// column is not read, the rows go to the profile being imported into.
+importers.register(new MappingImporter({
+    id: 'per-type-files',
+    label: 'Un archivo por tipo (Baby, Time, ...)',
+    mappings: [
+        {
+            storeName: STORES.MEDICINES,
+            fields: {
+                time: { column: 'Time' },
+                name: { column: 'Medicine' },
+                dose: { column: ['Amount', 'Amount Unit'], optional: true },
+                notes: { column: 'Note', optional: true }
+            }
+        },
+        {
+            storeName: STORES.FEEDINGS,
+            values: { type: 'bottle' },
+            fields: { time: { column: 'Time' }, amount: { column: 'Amount', unitColumn: 'Amount Unit', unit: 'ml' } }
+        },
+        {
+            storeName: STORES.FEEDINGS,
+            values: { type: 'breast' },
+            fields: { time: { column: 'Time' }, duration: { column: ['Left Duration (min)', 'Right Duration (min)'] } }
+        },
+        {
+            storeName: STORES.DIAPERS,
+            fields: {
+                time: { column: 'Time' },
+                hasPee: { column: 'Status', map: DIAPER_STATUS.hasPee },
+                hasPoop: { column: 'Status', map: DIAPER_STATUS.hasPoop },
+                notes: { column: 'Note', optional: true }
+            }
+        },
+        {
+            storeName: STORES.MEASUREMENTS,
+            fields: {
+                time: { column: 'Time' },
+                weight: { column: 'Weight', unitColumn: 'Weight Unit', unit: 'kg' },
+                height: { column: 'Height', unitColumn: 'Height Unit', unit: 'cm' }
+            }
+        },
+        {
+            storeName: STORES.TEMPERATURES,
+            fields: {
+                time: { column: 'Time' },
+                value: { column: 'Temperature', unitColumn: 'Temperature Unit', unit: 'c' },
+                notes: { column: 'Note', optional: true }
+            }
+        }
+    ]
+}));
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { importers, ImporterRegistry, MappingImporter, MAPPING_FIELDS, UNIT_CONVERSIONS, UNIT_LABELS, parseDateTime, parseDecimal, parseDuration };
+}
@@ -0,0 +1,152 @@
+/**
+ * Data Integrity Checker
+ * Scans every record store for data the app cannot show or count correctly
+ * (unreadable times, stale index fields, impossible values, inconsistent
+ * medicine schedules, exact duplicates) and repairs it through the
+ * repository, so every fix is audited, synced and can be undone from the trash.
+ */
+
+// Plausible range of the numeric fields per store; values outside are typos or bad imports
+const VALUE_LIMITS = {
+    [STORES.FEEDINGS]: { amount: [0, 500], duration: [0, 180] }, // ml, min
+    [STORES.MEASUREMENTS]: { weight: [0.3, 40], height: [20, 150] }, // kg, cm
+    [STORES.TEMPERATURES]: { value: [34, 43] } // °C
+};
+
+// Fields that differ between two copies of the same record
+const COPY_FIELDS = ['id', 'uid', 'createdAt', 'updatedAt', 'timestamp', 'date', 'yearMonth'];
+
+class IntegrityChecker {
+    /**
+     * @param {Object} repository - Storage repository to scan and repair
+     */
+    constructor(repository) {
+        this.repository = repository;
+    }
+
+    /**
+     * Scan every record store
+     * @returns {Promise<Object>} - { scanned, issues: [{ type, storeName, record, field?, fix }] }
+     *   where type is 'invalidTime', 'indexFields', 'impossibleValue', 'medicineState'
+     *   or 'duplicate', and fix is { trash: true } or { updates }
+     */
+    async check() {
+        const issues = [];
+        let scanned = 0;
+
+        for (const storeName of CHILD_STORES) {
+            const records = await this.repository.scanRecords(storeName);
+            scanned += records.length;
+            records.forEach(record => issues.push(...this.checkRecord(storeName, record)));
+            issues.push(...this.findDuplicates(storeName, records));
+        }
+        return { scanned, issues };
+    }
+
+    /**
+     * @returns {Array} - Issues of a single record
+     */
+    checkRecord(storeName, record) {
+        const time = record.time || record.timestamp;
+        if (!this.isValidTime(time)) {
+            const recovered = [record.timestamp, record.createdAt].find(value => this.isValidTime(value));
+            return [{
+                type: 'invalidTime',
+                storeName,
+                record,
+                fix: recovered !== undefined ? { updates: { time: new Date(recovered).toISOString() } } : { trash: true }
+            }];
+        }
+
+        const issues = [];
+        // Only IndexedDB keeps the date fields its indexes are built on
+        if (this.repository.type === 'indexeddb') {
+            const expected = this.repository.db.getIndexFields(storeName, time);
+            if (Object.entries(expected).some(([field, value]) => record[field] !== value)) {
+                issues.push({ type: 'indexFields', storeName, record, fix: { updates: { time: new Date(time).toISOString() } } });
+            }
+        }
+
+        Object.entries(VALUE_LIMITS[storeName] || {}).forEach(([field, [min, max]]) => {
+            const value = record[field];
+            if (value === null || value === undefined || value === '') return;
+            if (!(Number(value) >= min && Number(value) <= max)) {
+                issues.push({ type: 'impossibleValue', storeName, record, field, fix: { trash: true } });
+            }
+        });
+
+        if (storeName === STORES.MEDICINES) {
+            const interval = record.interval === null || record.interval === undefined || record.interval === '' ? NaN : Number(record.interval);
+            if (record.active && interval > 0 && !this.isValidTime(record.nextDose)) {
+                const nextDose = new Date(new Date(time).getTime() + interval * 60 * 60 * 1000).toISOString();
+                issues.push({ type: 'medicineState', storeName, record, fix: { updates: { nextDose } } });
+            } else if (record.active && !(interval >= 0) && !this.isValidTime(record.nextDose)) {
+                // Neither a schedule nor an occasional medicine (interval 0): no dose can be due
+                issues.push({ type: 'medicineState', storeName, record, fix: { updates: { active: false, nextDose: null } } });
+            } else if (!record.active && record.nextDose) {
+                issues.push({ type: 'medicineState', storeName, record, fix: { updates: { nextDose: null } } });
+            }
+        }
+        return issues;
+    }
+
+    isValidTime(value) {
+        return value !== null && value !== undefined && value !== '' && !isNaN(new Date(value).getTime());
+    }
+
+    /**
+     * Records equal to an older one in everything but their identity and
+     * derived fields; the first stored copy is kept
+     */
+    findDuplicates(storeName, records) {
+        const seen = new Set();
+        return [...records]
+            .sort((a, b) => a.id - b.id)
+            .filter(record => {
+                const key = this.contentKey(record);
+                if (seen.has(key)) return true;
+                seen.add(key);
+                return false;
+            })
+            .map(record => ({ type: 'duplicate', storeName, record, fix: { trash: true } }));
+    }
+
+    contentKey(record) {
+        const content = Object.keys(record)
+            .filter(field => !COPY_FIELDS.includes(field))
+            .sort()
+            .map(field => [field, record[field]]);
+        return JSON.stringify(content);
+    }
+
+    /**
+     * Apply the fixes of some issues. A record that is moved to the trash
+     * gets no other fix; the updates of its other issues are merged.
+     * @param {Array} issues - As returned by check()
+     * @returns {Promise<number>} - Number of records changed
+     */
+    async fix(issues) {
+        const byRecord = new Map();
+        issues.forEach(({ storeName, record, fix }) => {
+            const key = `${storeName}/${record.id}`;
+            const planned = byRecord.get(key) || { storeName, id: record.id, trash: false, updates: {} };
+            planned.trash = planned.trash || !!fix.trash;
+            Object.assign(planned.updates, fix.updates);
+            byRecord.set(key, planned);
+        });
+
+        for (const { storeName, id, trash, updates } of byRecord.values()) {
+            if (trash) {
+                await this.repository.trashRecord(storeName, id);
+            } else {
+                await this.repository.updateRecord(storeName, id, updates);
+            }
+        }
+        return byRecord.size;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IntegrityChecker, VALUE_LIMITS };
+}
@@ -0,0 +1,115 @@
+/**
+ * PIN Lock
+ * A lightweight lock screen to keep little hands away from the records.
+ * Only a salted PBKDF2 hash of the PIN is kept, in the settings. The data
+ * itself is not encrypted by it (see encryption.js for that).
+ */
+
+const PIN_LOCK_SETTING = 'pinLock';
+const PIN_PATTERN = /^\d{4,8}$/;
+const PIN_ITERATIONS = 100000;
+const MAX_PIN_ATTEMPTS = 5; // Wrong PINs in a row before a pause
+const PIN_RETRY_DELAY = 30 * 1000;
+
+class PinLock {
+    /**
+     * @param {Object} repository - Storage repository the hash is kept in
+     */
+    constructor(repository) {
+        this.repository = repository;
+        this.failedAttempts = 0;
+        this.retryAt = 0;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - { salt, hash, iterations } as hex strings
+     */
+    async getConfig() {
+        return this.repository.getSetting(PIN_LOCK_SETTING);
+    }
+
+    async isEnabled() {
+        return !!(await this.getConfig());
+    }
+
+    isValidPin(pin) {
+        return PIN_PATTERN.test(pin || '');
+    }
+
+    /**
+     * @param {string} pin
+     * @param {string} salt - Hex
+     * @param {number} iterations
+     * @returns {Promise<string>} - Hex
+     */
+    async hash(pin, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: this.fromHex(salt), iterations, hash: 'SHA-256' },
+            material,
+            256
+        );
+        return this.toHex(new Uint8Array(bits));
+    }
+
+    toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    fromHex(hex) {
+        return new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+    }
+
+    /**
+     * Milliseconds left before another PIN can be tried
+     */
+    getRetryDelay() {
+        return Math.max(0, this.retryAt - Date.now());
+    }
+
+    /**
+     * @param {string} pin
+     * @returns {Promise<boolean>} - Also false while waiting after too many wrong PINs
+     */
+    async verify(pin) {
+        if (this.getRetryDelay() > 0) return false;
+        const config = await this.getConfig();
+        if (!config) return true;
+
+        const matches = await this.hash(pin || '', config.salt, config.iterations) === config.hash;
+        if (matches) {
+            this.failedAttempts = 0;
+        } else if (++this.failedAttempts >= MAX_PIN_ATTEMPTS) {
+            this.failedAttempts = 0;
+            this.retryAt = Date.now() + PIN_RETRY_DELAY;
+        }
+        return matches;
+    }
+
+    /**
+     * Set a new PIN, replacing the current one
+     * @param {string} pin - 4 to 8 digits
+     */
+    async setPin(pin) {
+        if (!this.isValidPin(pin)) {
+            throw new Error('The PIN needs 4 to 8 digits');
+        }
+        const salt = this.toHex(crypto.getRandomValues(new Uint8Array(16)));
+        await this.repository.setSetting(PIN_LOCK_SETTING, {
+            salt,
+            hash: await this.hash(pin, salt, PIN_ITERATIONS),
+            iterations: PIN_ITERATIONS
+        });
+    }
+
+    async removePin() {
+        await this.repository.setSetting(PIN_LOCK_SETTING, null);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PinLock, PIN_LOCK_SETTING, PIN_PATTERN };
+}
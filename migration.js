@@ -3,13 +3,52 @@
  * Migrates data from localStorage to IndexedDB on first load
  */
 
+// localStorage keys holding record lists, with the db method that stores them
+const MIGRATION_RECORD_TYPES = [
+    { key: 'feedings', add: 'addFeeding', transform: 'transformFeeding' },
+    { key: 'diapers', add: 'addDiaper', transform: 'transformDiaper' },
+    { key: 'measurements', add: 'addMeasurement', transform: 'transformRecord' },
+    { key: 'medicines', add: 'addMedicine', transform: 'transformRecord' },
+    { key: 'temperatures', add: 'addTemperature', transform: 'transformRecord' },
+    { key: 'appointments', add: 'addAppointment', transform: 'transformRecord' },
+    { key: 'journalEntries', add: 'addJournalEntry', transform: 'transformRecord' }
+];
+
+// localStorage setting keys and how to parse their stored string
+const MIGRATION_SETTINGS = {
+    timezone: value => value,
+    darkMode: value => JSON.parse(value),
+    defaultInterval: value => parseFloat(value),
+    dailyMilkTarget: value => parseInt(value),
+    notificationsEnabled: value => JSON.parse(value),
+    nextFeedingTime: value => value,
+    trashRetentionDays: value => parseInt(value),
+    caregiverName: value => value,
+    birthDate: value => value // Only used before child profiles existed
+};
+
+// Child profile keys
+const MIGRATION_PROFILE_KEYS = ['children', 'activeChildId'];
+
 class StorageMigration {
     constructor(database) {
         this.db = database;
-        this.migrationKey = 'migrated_to_indexeddb_v1';
+        // v1 only moved feedings and diapers; v2 carries over everything else
+        this.migrationKey = 'migrated_to_indexeddb_v2';
         this.backupKey = 'localStorage_backup';
     }
 
+    /**
+     * Every localStorage key owned by the app
+     */
+    getAllKeys() {
+        return [
+            ...MIGRATION_RECORD_TYPES.map(t => t.key),
+            ...MIGRATION_PROFILE_KEYS,
+            ...Object.keys(MIGRATION_SETTINGS)
+        ];
+    }
+
     /**
      * Check if migration has already been completed
      */
@@ -17,28 +56,37 @@ class StorageMigration {
         return localStorage.getItem(this.migrationKey) === 'true';
     }
 
+    /**
+     * Number of records stored under each localStorage key
+     */
+    getLocalStorageCounts() {
+        const counts = {};
+        [...MIGRATION_RECORD_TYPES.map(t => t.key), 'children'].forEach(key => {
+            try {
+                const records = JSON.parse(localStorage.getItem(key) || '[]');
+                counts[key] = Array.isArray(records) ? records.length : 0;
+            } catch (e) {
+                counts[key] = 0;
+            }
+        });
+        return counts;
+    }
+
     /**
      * Check if localStorage has data to migrate
      */
     hasLocalStorageData() {
-        const feedings = localStorage.getItem('feedings');
-        const diapers = localStorage.getItem('diapers');
-        return (feedings && feedings !== '[]') || (diapers && diapers !== '[]');
+        return Object.values(this.getLocalStorageCounts()).some(count => count > 0);
     }
 
     /**
      * Create a backup of localStorage data
      */
     createBackup() {
-        const backup = {
-            timestamp: new Date().toISOString(),
-            feedings: localStorage.getItem('feedings'),
-            diapers: localStorage.getItem('diapers'),
-            timezone: localStorage.getItem('timezone'),
-            darkMode: localStorage.getItem('darkMode'),
-            defaultInterval: localStorage.getItem('defaultInterval'),
-            nextFeedingTime: localStorage.getItem('nextFeedingTime')
-        };
+        const backup = { timestamp: new Date().toISOString() };
+        this.getAllKeys().forEach(key => {
+            backup[key] = localStorage.getItem(key);
+        });
         
         localStorage.setItem(this.backupKey, JSON.stringify(backup));
         console.log('✅ Backup created:', new Date(backup.timestamp).toLocaleString());
@@ -57,12 +105,9 @@ class StorageMigration {
         const backup = JSON.parse(backupStr);
         
         // Restore to localStorage
-        if (backup.feedings) localStorage.setItem('feedings', backup.feedings);
-        if (backup.diapers) localStorage.setItem('diapers', backup.diapers);
-        if (backup.timezone) localStorage.setItem('timezone', backup.timezone);
-        if (backup.darkMode) localStorage.setItem('darkMode', backup.darkMode);
-        if (backup.defaultInterval) localStorage.setItem('defaultInterval', backup.defaultInterval);
-        if (backup.nextFeedingTime) localStorage.setItem('nextFeedingTime', backup.nextFeedingTime);
+        this.getAllKeys().forEach(key => {
+            if (backup[key]) localStorage.setItem(key, backup[key]);
+        });
         
         // Clear migration flag
         localStorage.removeItem(this.migrationKey);
@@ -80,7 +125,9 @@ class StorageMigration {
             amount: oldFeeding.amount,
             duration: oldFeeding.duration,
             nextFeedingInterval: oldFeeding.nextFeedingInterval || 3.5,
-            timezone: oldFeeding.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone
+            timezone: oldFeeding.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            childId: oldFeeding.childId,
+            deletedAt: oldFeeding.deletedAt
         };
     }
 
@@ -94,10 +141,120 @@ class StorageMigration {
             hasPoop: oldDiaper.hasPoop,
             level: oldDiaper.level,
             notes: oldDiaper.notes || '',
-            timezone: oldDiaper.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone
+            timezone: oldDiaper.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            childId: oldDiaper.childId,
+            deletedAt: oldDiaper.deletedAt
         };
     }
 
+    /**
+     * Transform any other localStorage record to IndexedDB format,
+     * keeping its fields but letting IndexedDB assign the id
+     */
+    transformRecord(oldRecord) {
+        const { id, timestamp, ...fields } = oldRecord;
+        return {
+            ...fields,
+            time: timestamp || oldRecord.time, // IndexedDB expects 'time' field
+            timezone: oldRecord.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone
+        };
+    }
+
+    /**
+     * Read a JSON value from localStorage, recording parse failures
+     */
+    readJSON(key, results) {
+        const value = localStorage.getItem(key);
+        if (!value) return null;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            console.error(`Failed to parse ${key}:`, error);
+            results.errors.push({ type: `parse_${key}`, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Empty per-type result counters
+     */
+    createResults(status) {
+        const results = { status, children: 0, settings: 0, errors: [] };
+        MIGRATION_RECORD_TYPES.forEach(t => { results[t.key] = 0; });
+        return results;
+    }
+
+    /**
+     * Move child profiles into IndexedDB
+     * @returns {Object} - Map of localStorage child id to IndexedDB child id
+     */
+    async migrateChildren(results) {
+        const childIdMap = {};
+        const children = this.readJSON('children', results) || [];
+
+        for (const oldChild of children) {
+            try {
+                const { id, ...child } = oldChild;
+                childIdMap[id] = await this.db.addChild(child);
+                results.children++;
+            } catch (error) {
+                console.error('Failed to migrate child:', oldChild, error);
+                results.errors.push({ type: 'children', data: oldChild, error: error.message });
+            }
+        }
+
+        const activeChildId = this.readJSON('activeChildId', results);
+        if (childIdMap[activeChildId] && await this.db.getMetadata('activeChildId') === null) {
+            await this.db.setMetadata('activeChildId', childIdMap[activeChildId]);
+        }
+
+        return childIdMap;
+    }
+
+    /**
+     * Move the records of one localStorage key into its store.
+     * Records without a profile belong to the first profile, as in localStorage mode.
+     */
+    async migrateRecords(recordType, childIdMap, results) {
+        const records = this.readJSON(recordType.key, results);
+        if (!Array.isArray(records) || records.length === 0) return;
+
+        console.log(`📦 Migrating ${records.length} ${recordType.key} records...`);
+        const defaultChildId = Object.values(childIdMap)[0];
+
+        for (const oldRecord of records) {
+            try {
+                const record = this[recordType.transform](oldRecord);
+                record.childId = childIdMap[oldRecord.childId] || defaultChildId;
+                await this.db[recordType.add](record);
+                results[recordType.key]++;
+            } catch (error) {
+                console.error(`Failed to migrate ${recordType.key} record:`, oldRecord, error);
+                results.errors.push({ type: recordType.key, data: oldRecord, error: error.message });
+            }
+        }
+        console.log(`✅ Migrated ${results[recordType.key]} ${recordType.key}`);
+    }
+
+    /**
+     * Copy settings into metadata, without overwriting values
+     * that already exist in IndexedDB
+     */
+    async migrateSettings(results) {
+        for (const [key, parse] of Object.entries(MIGRATION_SETTINGS)) {
+            const value = localStorage.getItem(key);
+            if (value === null) continue;
+            try {
+                if (await this.db.getMetadata(key) !== null) continue;
+                await this.db.setMetadata(key, parse(value));
+                results.settings++;
+            } catch (error) {
+                console.error(`Failed to migrate setting ${key}:`, error);
+                results.errors.push({ type: `setting_${key}`, error: error.message });
+            }
+        }
+    }
+
     /**
      * Perform the migration from localStorage to IndexedDB
      */
@@ -107,99 +264,46 @@ class StorageMigration {
         // Check if already migrated
         if (this.hasMigrated()) {
             console.log('✅ Already migrated, skipping...');
-            return { status: 'already_migrated', feedings: 0, diapers: 0 };
+            return this.createResults('already_migrated');
         }
 
         // Check if there's data to migrate
         if (!this.hasLocalStorageData()) {
             console.log('ℹ️ No localStorage data found, marking as migrated');
             localStorage.setItem(this.migrationKey, 'true');
-            return { status: 'no_data', feedings: 0, diapers: 0 };
+            return this.createResults('no_data');
         }
 
         // Create backup before migration
         this.createBackup();
 
-        const results = {
-            status: 'success',
-            feedings: 0,
-            diapers: 0,
-            errors: []
-        };
+        const results = this.createResults('success');
 
         try {
             // Initialize database
             await this.db.init();
 
-            // Migrate feedings
-            const feedingsStr = localStorage.getItem('feedings');
-            if (feedingsStr && feedingsStr !== '[]') {
-                try {
-                    const feedings = JSON.parse(feedingsStr);
-                    console.log(`📦 Migrating ${feedings.length} feeding records...`);
-                    
-                    for (const oldFeeding of feedings) {
-                        try {
-                            const newFeeding = this.transformFeeding(oldFeeding);
-                            await this.db.addFeeding(newFeeding);
-                            results.feedings++;
-                        } catch (error) {
-                            console.error('Failed to migrate feeding:', oldFeeding, error);
-                            results.errors.push({ type: 'feeding', data: oldFeeding, error: error.message });
-                        }
-                    }
-                    console.log(`✅ Migrated ${results.feedings} feedings`);
-                } catch (error) {
-                    console.error('Failed to parse feedings:', error);
-                    results.errors.push({ type: 'parse_feedings', error: error.message });
-                }
-            }
+            // Profiles first, so records can point at their new ids
+            const childIdMap = await this.migrateChildren(results);
 
-            // Migrate diapers
-            const diapersStr = localStorage.getItem('diapers');
-            if (diapersStr && diapersStr !== '[]') {
-                try {
-                    const diapers = JSON.parse(diapersStr);
-                    console.log(`📦 Migrating ${diapers.length} diaper records...`);
-                    
-                    for (const oldDiaper of diapers) {
-                        try {
-                            const newDiaper = this.transformDiaper(oldDiaper);
-                            await this.db.addDiaper(newDiaper);
-                            results.diapers++;
-                        } catch (error) {
-                            console.error('Failed to migrate diaper:', oldDiaper, error);
-                            results.errors.push({ type: 'diaper', data: oldDiaper, error: error.message });
-                        }
-                    }
-                    console.log(`✅ Migrated ${results.diapers} diapers`);
-                } catch (error) {
-                    console.error('Failed to parse diapers:', error);
-                    results.errors.push({ type: 'parse_diapers', error: error.message });
-                }
+            for (const recordType of MIGRATION_RECORD_TYPES) {
+                await this.migrateRecords(recordType, childIdMap, results);
             }
 
             // Migrate settings to IndexedDB metadata
-            const timezone = localStorage.getItem('timezone');
-            const darkMode = localStorage.getItem('darkMode');
-            const defaultInterval = localStorage.getItem('defaultInterval');
-            const nextFeedingTime = localStorage.getItem('nextFeedingTime');
-
-            if (timezone) await this.db.setMetadata('timezone', timezone);
-            if (darkMode) await this.db.setMetadata('darkMode', JSON.parse(darkMode));
-            if (defaultInterval) await this.db.setMetadata('defaultInterval', parseFloat(defaultInterval));
-            if (nextFeedingTime) await this.db.setMetadata('nextFeedingTime', nextFeedingTime);
+            await this.migrateSettings(results);
 
             // Mark as migrated
             localStorage.setItem(this.migrationKey, 'true');
 
             // Clear old data (keep backup for safety)
-            // We'll clear the main keys but keep the backup
-            localStorage.removeItem('feedings');
-            localStorage.removeItem('diapers');
+            // We'll clear the record and profile keys but keep the backup
+            [...MIGRATION_RECORD_TYPES.map(t => t.key), ...MIGRATION_PROFILE_KEYS].forEach(key => {
+                localStorage.removeItem(key);
+            });
 
             console.log('✅ Migration completed successfully!');
-            console.log(`   Feedings: ${results.feedings}, Diapers: ${results.diapers}`);
+            console.log('   ' + MIGRATION_RECORD_TYPES.map(t => `${t.key}: ${results[t.key]}`).join(', '));
             
             if (results.errors.length > 0) {
                 console.warn(`⚠️ Migration completed with ${results.errors.length} errors:`, results.errors);
@@ -233,6 +337,17 @@ class StorageMigration {
             migrated: this.hasMigrated(),
             hasBackup: localStorage.getItem(this.backupKey) !== null,
             hasLocalStorageData: this.hasLocalStorageData(),
+            localStorageCounts: this.getLocalStorageCounts(),
+            backupKeys: (() => {
+                const backupStr = localStorage.getItem(this.backupKey);
+                if (!backupStr) return [];
+                try {
+                    const backup = JSON.parse(backupStr);
+                    return this.getAllKeys().filter(key => backup[key] !== null && backup[key] !== undefined);
+                } catch (e) {
+                    return [];
+                }
+            })(),
             backupDate: (() => {
                 const backupStr = localStorage.getItem(this.backupKey);
                 if (backupStr) {
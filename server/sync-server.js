@@ -0,0 +1,225 @@
+/**
+ * Reference sync server for Baby Food Track
+ * Dependency-free, run it with: node server/sync-server.js
+ *
+ * Environment:
+ *   PORT       - Port to listen on (default 8787)
+ *   SYNC_TOKEN - Shared secret, expected as "Authorization: Bearer <token>" (optional)
+ *   SYNC_DATA  - JSON file the documents are kept in (default ./sync-data.json)
+ *
+ * Protocol, a single endpoint: POST /sync
+ *   Request:  { deviceId, since, changes: [{ storeName, uid, updatedAt, deleted, record, caregiver }] }
+ *   Response: { cursor, changes, rejected, overwritten, more }
+ *     changes     - documents written by other devices after the 'since' cursor
+ *     rejected    - current documents for pushed changes that were older than
+ *                   them (last writer wins on updatedAt)
+ *     overwritten - documents of other devices the device had not pulled yet
+ *                   and that its newer changes replaced
+ *     more        - true when there are more changes after 'cursor'
+ */
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const PAGE_SIZE = 500;
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+class SyncStore {
+    /**
+     * @param {string|null} file - Where documents are persisted, null keeps them in memory
+     */
+    constructor(file = null) {
+        this.file = file;
+        this.seq = 0;
+        this.documents = new Map(); // "storeName/uid" -> document
+
+        if (file && fs.existsSync(file)) {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            this.seq = data.seq;
+            data.documents.forEach(doc => this.documents.set(this.key(doc), doc));
+        }
+    }
+
+    key(doc) {
+        return `${doc.storeName}/${doc.uid}`;
+    }
+
+    /**
+     * Check the shape of a pushed change
+     * @throws {Error}
+     */
+    validate(change) {
+        if (!change || typeof change.storeName !== 'string' || typeof change.uid !== 'string') {
+            throw new Error('Change needs a storeName and a uid');
+        }
+        if (typeof change.updatedAt !== 'number') {
+            throw new Error(`Change ${this.key(change)} has no updatedAt`);
+        }
+        if (!change.deleted && (!change.record || typeof change.record !== 'object')) {
+            throw new Error(`Change ${this.key(change)} has no record`);
+        }
+    }
+
+    /**
+     * Store the changes that are at least as new as the current documents
+     * @param {string} deviceId
+     * @param {Array} changes
+     * @param {number} since - Cursor of the last pull of the device
+     * @returns {Object} - { rejected, overwritten } documents
+     */
+    apply(deviceId, changes, since) {
+        changes.forEach(change => this.validate(change));
+
+        const rejected = [];
+        const overwritten = [];
+        changes.forEach(change => {
+            const current = this.documents.get(this.key(change));
+            if (current && current.updatedAt > change.updatedAt) {
+                rejected.push(this.toChange(current));
+                return;
+            }
+            // A concurrent edit from another device loses against this newer one
+            if (current && current.deviceId !== deviceId && current.seq > since) {
+                overwritten.push(this.toChange(current));
+            }
+            this.documents.set(this.key(change), {
+                storeName: change.storeName,
+                uid: change.uid,
+                updatedAt: change.updatedAt,
+                deleted: !!change.deleted,
+                record: change.deleted ? null : change.record,
+                caregiver: change.caregiver || '',
+                deviceId,
+                seq: ++this.seq
+            });
+        });
+        return { rejected, overwritten };
+    }
+
+    /**
+     * Documents written after a cursor, without the ones of the asking device
+     * @param {number} since
+     * @param {string} deviceId
+     * @returns {Object} - { cursor, changes, more }
+     */
+    changesSince(since, deviceId) {
+        const newer = [...this.documents.values()]
+            .filter(doc => doc.seq > since)
+            .sort((a, b) => a.seq - b.seq);
+        const page = newer.slice(0, PAGE_SIZE);
+
+        return {
+            cursor: page.length > 0 ? page[page.length - 1].seq : since,
+            changes: page.filter(doc => doc.deviceId !== deviceId).map(doc => this.toChange(doc)),
+            more: newer.length > PAGE_SIZE
+        };
+    }
+
+    toChange(doc) {
+        const { deviceId, seq, ...change } = doc;
+        return change;
+    }
+
+    save() {
+        if (!this.file) return;
+        const temp = `${this.file}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify({ seq: this.seq, documents: [...this.documents.values()] }));
+        fs.renameSync(temp, this.file);
+    }
+
+    /**
+     * Handle a POST /sync body
+     * @param {Object} body - { deviceId, since, changes }
+     * @returns {Object} - { cursor, changes, rejected, overwritten, more }
+     */
+    sync(body) {
+        if (!body || typeof body.deviceId !== 'string') {
+            throw new Error('Request needs a deviceId');
+        }
+        const since = Number(body.since) || 0;
+        const changes = Array.isArray(body.changes) ? body.changes : [];
+        const { rejected, overwritten } = this.apply(body.deviceId, changes, since);
+        if (changes.length > 0) this.save();
+
+        return { ...this.changesSince(since, body.deviceId), rejected, overwritten };
+    }
+}
+
+/**
+ * Compare the Authorization header with the shared token in constant time
+ */
+function isAuthorized(request, token) {
+    if (!token) return true;
+    const expected = Buffer.from(`Bearer ${token}`);
+    const actual = Buffer.from(request.headers.authorization || '');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * @param {SyncStore} store
+ * @param {string} [token]
+ * @returns {http.Server}
+ */
+function createServer(store, token) {
+    return http.createServer((request, response) => {
+        if (request.method === 'OPTIONS') {
+            send(response, 204);
+            return;
+        }
+        if (request.url !== '/sync' || request.method !== 'POST') {
+            send(response, 404, { error: 'Not found' });
+            return;
+        }
+        if (!isAuthorized(request, token)) {
+            send(response, 401, { error: 'Unauthorized' });
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                send(response, 413, { error: 'Request too large' });
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (error) {
+                send(response, 400, { error: 'Body is not valid JSON' });
+                return;
+            }
+            try {
+                send(response, 200, store.sync(body));
+            } catch (error) {
+                send(response, 400, { error: error.message });
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8787;
+    const store = new SyncStore(process.env.SYNC_DATA || 'sync-data.json');
+    createServer(store, process.env.SYNC_TOKEN).listen(port, () => {
+        console.log(`Sync server listening on http://localhost:${port}/sync`);
+    });
+}
+
+module.exports = { SyncStore, createServer };
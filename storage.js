@@ -0,0 +1,818 @@
+/**
+ * Storage Repositories
+ * One interface over IndexedDB, localStorage and memory, so the app
+ * never has to know which backend holds its data.
+ *
+ * Every repository returns records in the app format: the record as
+ * stored plus an ISO 'timestamp' equal to its 'time', newest first.
+ *
+ * Repositories announce the stores they change on 'changes', so other
+ * tabs of the app showing the same data can reload them.
+ */
+
+// Per-type getters of the IndexedDB wrapper
+const IDB_RECORD_GETTERS = {
+    [STORES.FEEDINGS]: 'getFeedings',
+    [STORES.DIAPERS]: 'getDiapers',
+    [STORES.MEASUREMENTS]: 'getMeasurements',
+    [STORES.MEDICINES]: 'getMedicines',
+    [STORES.TEMPERATURES]: 'getTemperatures',
+    [STORES.APPOINTMENTS]: 'getAppointments',
+    [STORES.JOURNAL]: 'getJournalEntries'
+};
+
+// localStorage keys that differ from their store name
+const LOCAL_STORAGE_KEYS = {
+    [STORES.JOURNAL]: 'journalEntries'
+};
+
+// Audit entries kept by the key-value repositories, the oldest are dropped first
+const LOCAL_AUDIT_LIMIT = 500;
+
+// BroadcastChannel the open tabs announce their changes on
+const CHANGE_CHANNEL_NAME = 'baby-tracker-changes';
+
+/**
+ * Convert a stored record into the app format
+ */
+function toAppRecord(record) {
+    const time = record.time || record.timestamp;
+    return { ...record, time, timestamp: time };
+}
+
+/**
+ * Apply the paging options of getRecords() to app records sorted newest first
+ */
+function pageRecords(records, { before, limit, startDate, endDate } = {}) {
+    const time = record => new Date(record.timestamp).getTime();
+    const start = startDate ? new Date(startDate).getTime() : -Infinity;
+    const end = endDate ? new Date(endDate).getTime() : Infinity;
+
+    const matching = records.filter(record => {
+        const t = time(record);
+        if (t < start || t > end) return false;
+        return !before || t < time(before) || (t === time(before) && record.id < before.id);
+    });
+    return limit ? matching.slice(0, limit) : matching;
+}
+
+/**
+ * Tells the other tabs which stores changed. Changes made in the same task
+ * go out as one message: { stores: [storeName, ...] }, where settings
+ * count as the metadata store.
+ */
+class ChangeChannel {
+    /**
+     * @param {string|null} name - Channel name, null to stay silent
+     */
+    constructor(name = CHANGE_CHANNEL_NAME) {
+        this.channel = name && typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(name) : null;
+        this.pending = new Set();
+        this.onChange = null; // Called with the store names another tab changed
+
+        if (this.channel) {
+            this.channel.onmessage = (event) => {
+                if (this.onChange) this.onChange(event.data.stores);
+            };
+        }
+    }
+
+    /**
+     * Announce changed stores to the other tabs
+     * @param {...string} storeNames
+     */
+    notify(...storeNames) {
+        if (!this.channel) return;
+        if (this.pending.size === 0) {
+            setTimeout(() => this.flush(), 0);
+        }
+        storeNames.forEach(storeName => this.pending.add(storeName));
+    }
+
+    flush() {
+        this.channel.postMessage({ stores: [...this.pending] });
+        this.pending.clear();
+    }
+}
+
+class IndexedDBRepository {
+    constructor(database) {
+        this.db = database;
+        this.type = 'indexeddb';
+        this.features = { backup: true, sync: true, encryption: true, attachments: true };
+        this.changes = new ChangeChannel();
+    }
+
+    /**
+     * Open the database, unlock it when it is encrypted and move any
+     * localStorage data into it
+     * @param {Function} [requestPassphrase] - (error) => Promise<string>, called
+     *   again with the WrongPassphraseError until the passphrase is right
+     * @returns {Promise<Object>} - The migration result
+     */
+    async init(requestPassphrase = null) {
+        await this.db.ensureInit();
+        if (await encryption.isEnabled()) {
+            await this.unlock(requestPassphrase);
+        }
+        const result = await migration.migrate();
+        await this.db.ensureDailySummaries();
+        return result;
+    }
+
+    async unlock(requestPassphrase) {
+        if (!requestPassphrase) {
+            throw new Error('The database is encrypted and there is no way to ask for the passphrase');
+        }
+        let lastError = null;
+        for (;;) {
+            try {
+                await encryption.unlock(await requestPassphrase(lastError));
+                return;
+            } catch (error) {
+                if (!(error instanceof WrongPassphraseError)) throw error;
+                lastError = error;
+            }
+        }
+    }
+
+    setCaregiver(name) {
+        this.db.setCaregiver(name);
+    }
+
+    // ============= CHILD PROFILES =============
+
+    async getChildren() {
+        return this.db.getChildren();
+    }
+
+    async addChild(child) {
+        const id = await this.db.addChild(child);
+        this.changes.notify(STORES.CHILDREN);
+        return id;
+    }
+
+    async updateChild(id, updates) {
+        await this.db.updateChild(id, updates);
+        this.changes.notify(STORES.CHILDREN);
+    }
+
+    async deleteChild(id) {
+        await this.db.deleteChild(id);
+        this.changes.notify(STORES.CHILDREN, ...CHILD_STORES);
+    }
+
+    async adoptOrphanRecords(childId) {
+        return this.db.adoptOrphanRecords(childId);
+    }
+
+    // ============= RECORDS =============
+
+    /**
+     * @param {string} storeName
+     * @param {number} childId
+     * @param {Object} [options] - { before, limit, startDate, endDate }, where
+     *   'before' is the last record of the previous page, and the store's
+     *   filter field of FILTER_INDEXES, e.g. { name: 'Paracetamol' }
+     * @returns {Promise<Array>}
+     */
+    async getRecords(storeName, childId, options = {}) {
+        const { before, ...query } = options;
+        if (before) {
+            query.before = { timestamp: new Date(before.timestamp).getTime(), id: before.id };
+        }
+        const records = await this.db[IDB_RECORD_GETTERS[storeName]]({ ...query, childId });
+        return records.map(toAppRecord);
+    }
+
+    /**
+     * Every record of a store as stored, of any child and with any time,
+     * trash excluded: for checks that look at what the lists cannot show
+     * @param {string} storeName
+     * @returns {Promise<Array>}
+     */
+    async scanRecords(storeName) {
+        return this.db.query(storeName);
+    }
+
+    /**
+     * @returns {Promise<Object>} - The stored record in the app format
+     */
+    async addRecord(storeName, data) {
+        const id = await this.db.addRecord(storeName, data);
+        this.changes.notify(storeName);
+        return toAppRecord({ ...data, id });
+    }
+
+    async updateRecord(storeName, id, updates) {
+        await this.db.updateRecord(storeName, id, updates);
+        this.changes.notify(storeName);
+    }
+
+    /**
+     * @param {Array} items - [{ storeName, data, id? }], an id overwrites that record
+     * @returns {Promise<Object>} - { added, replaced }
+     */
+    async importRecords(items) {
+        const result = await this.db.importRecords(items);
+        this.changes.notify(...items.map(item => item.storeName));
+        return result;
+    }
+
+    // ============= ATTACHMENTS =============
+    // Photos need Blobs, which only IndexedDB keeps (see features.attachments)
+
+    /**
+     * @param {string} storeName
+     * @param {number} recordId
+     * @param {number} childId
+     * @param {Array} photos - [{ blob, thumbnail, type, width, height, name }]
+     * @returns {Promise<Array>} - IDs of the stored attachments
+     */
+    async addAttachments(storeName, recordId, childId, photos) {
+        if (photos.length === 0) return [];
+        const ids = await this.db.addAttachments(photos.map(photo => ({ ...photo, storeName, recordId, childId })));
+        this.changes.notify(STORES.ATTACHMENTS);
+        return ids;
+    }
+
+    /**
+     * @param {string} storeName
+     * @param {Array} recordIds
+     * @returns {Promise<Array>} - Attachments of those records, oldest first
+     */
+    async getAttachments(storeName, recordIds) {
+        return this.db.getAttachments(storeName, recordIds);
+    }
+
+    async getAttachment(id) {
+        return this.db.getAttachment(id);
+    }
+
+    async deleteAttachments(ids) {
+        if (ids.length === 0) return;
+        await this.db.deleteAttachments(ids);
+        this.changes.notify(STORES.ATTACHMENTS);
+    }
+
+    // ============= DAILY SUMMARIES =============
+
+    /**
+     * @param {number} childId
+     * @param {Object} [options] - { startDate, endDate }, whole days included
+     * @returns {Promise<Array>} - See summarizeDays(), oldest day first
+     */
+    async getDailySummaries(childId, options = {}) {
+        return this.db.getDailySummaries(childId, options);
+    }
+
+    /**
+     * @returns {Promise<number>} - Number of days summarized
+     */
+    async rebuildDailySummaries() {
+        const days = await this.db.rebuildDailySummaries();
+        this.changes.notify(STORES.DAILY_SUMMARIES);
+        return days;
+    }
+
+    // ============= TRASH =============
+
+    async trashRecord(storeName, id) {
+        await this.db.trashRecord(storeName, id);
+        this.changes.notify(storeName);
+    }
+
+    async trashChildData(childId) {
+        const deletedAt = await this.db.trashChildData(childId);
+        this.changes.notify(...CHILD_STORES);
+        return deletedAt;
+    }
+
+    /**
+     * @param {number} childId
+     * @param {Array} storeNames
+     * @param {Object} [options] - { startDate, endDate }, both included
+     * @returns {Promise<Object>} - { storeName: count }
+     */
+    async countRecordsInRange(childId, storeNames, options = {}) {
+        return this.db.countRecordsInRange(childId, storeNames, options);
+    }
+
+    /**
+     * @returns {Promise<Object>} - { deletedAt, count }
+     */
+    async trashRecordsInRange(childId, storeNames, options = {}) {
+        const result = await this.db.trashRecordsInRange(childId, storeNames, options);
+        this.changes.notify(...storeNames);
+        return result;
+    }
+
+    async getTrash(childId) {
+        return this.db.getTrash(childId);
+    }
+
+    async restoreRecords(items) {
+        await this.db.restoreRecords(items);
+        this.changes.notify(...items.map(item => item.storeName));
+    }
+
+    async purgeRecords(items) {
+        return this.db.purgeRecords(items);
+    }
+
+    async purgeTrash(before) {
+        return this.db.purgeTrash(before);
+    }
+
+    // ============= AUDIT LOG =============
+
+    async getRecordHistory(storeName, recordId) {
+        return this.db.getRecordHistory(storeName, recordId);
+    }
+
+    async getActivity(options) {
+        return this.db.getActivity(options);
+    }
+
+    // ============= SETTINGS =============
+
+    async getSetting(key) {
+        return this.db.getMetadata(key);
+    }
+
+    async setSetting(key, value) {
+        await this.db.setMetadata(key, value);
+        this.changes.notify(STORES.METADATA);
+    }
+
+    // ============= BACKUP =============
+
+    async exportAllStores() {
+        return this.db.exportAllStores();
+    }
+
+    async importAllStores(data, mode) {
+        const result = await this.db.importAllStores(data, mode);
+        this.changes.notify(STORES.CHILDREN, ...CHILD_STORES, STORES.METADATA);
+        return result;
+    }
+
+    // ============= STORAGE USAGE AND ARCHIVE =============
+
+    /**
+     * @returns {Promise<Object>} - { storeName: { count, bytes } }
+     */
+    async getStorageUsage() {
+        return this.db.getStoreUsage();
+    }
+
+    /**
+     * @param {number} before - Timestamp (ms)
+     * @returns {Promise<Object>} - { storeName: [records] } as stored
+     */
+    async exportRecordsBefore(before) {
+        return this.db.exportRecordsBefore(before);
+    }
+
+    /**
+     * Remove records that were saved to an archive file
+     * @param {Array} items - [{ storeName, id }]
+     */
+    async archiveRecords(items) {
+        await this.db.purgeRecords(items, 'archive');
+        this.changes.notify(...new Set(items.map(item => item.storeName)));
+    }
+
+    // ============= ENCRYPTION =============
+    // Other tabs learn about a new key through the metadata change
+
+    async isEncrypted() {
+        return encryption.isEnabled();
+    }
+
+    async enableEncryption(passphrase) {
+        await encryption.enable(passphrase);
+        this.changes.notify(STORES.METADATA);
+    }
+
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        await encryption.changePassphrase(currentPassphrase, newPassphrase);
+        this.changes.notify(STORES.METADATA);
+    }
+
+    async disableEncryption(currentPassphrase) {
+        await encryption.disable(currentPassphrase);
+        this.changes.notify(STORES.METADATA);
+    }
+
+    async hasKeyChanged() {
+        return encryption.hasKeyChanged();
+    }
+}
+
+/**
+ * Keeps every store as a JSON array under its own key of a Storage object,
+ * trashed records included (marked with deletedAt). Records saved before
+ * profiles existed belong to the first profile.
+ */
+class LocalStorageRepository {
+    /**
+     * @param {Storage} storage
+     * @param {string|null} channelName - Where changes are announced, null for none
+     */
+    constructor(storage = localStorage, channelName = CHANGE_CHANNEL_NAME) {
+        this.storage = storage;
+        this.type = 'localstorage';
+        this.features = { backup: false, sync: false, encryption: false, attachments: false };
+        this.changes = new ChangeChannel(channelName);
+        this.caregiver = '';
+        this.lastId = 0;
+    }
+
+    async init() {
+        return null;
+    }
+
+    setCaregiver(name) {
+        this.caregiver = name || '';
+    }
+
+    /**
+     * Unique ID based on the current time
+     */
+    nextId() {
+        this.lastId = Math.max(Date.now(), this.lastId + 1);
+        return this.lastId;
+    }
+
+    read(key) {
+        const data = this.storage.getItem(key);
+        return data ? JSON.parse(data) : [];
+    }
+
+    write(key, value) {
+        this.storage.setItem(key, JSON.stringify(value));
+    }
+
+    readStore(storeName) {
+        const records = this.read(LOCAL_STORAGE_KEYS[storeName] || storeName);
+        const children = this.read(STORES.CHILDREN);
+        if (children.length === 0) return records;
+
+        const defaultChildId = children[0].id;
+        return records.map(r => (r.childId === undefined || r.childId === null) ? { ...r, childId: defaultChildId } : r);
+    }
+
+    writeStore(storeName, records) {
+        this.write(LOCAL_STORAGE_KEYS[storeName] || storeName, records);
+    }
+
+    /**
+     * Rewrite every record of a store; return null from the callback to drop it
+     */
+    updateStore(storeName, update) {
+        this.writeStore(storeName, this.readStore(storeName).map(update).filter(r => r !== null));
+    }
+
+    // ============= CHILD PROFILES =============
+
+    async getChildren() {
+        return this.read(STORES.CHILDREN);
+    }
+
+    async addChild(child) {
+        const id = this.nextId();
+        this.write(STORES.CHILDREN, [...this.read(STORES.CHILDREN), { id, ...child, createdAt: Date.now() }]);
+        this.changes.notify(STORES.CHILDREN);
+        return id;
+    }
+
+    async updateChild(id, updates) {
+        this.write(STORES.CHILDREN, this.read(STORES.CHILDREN).map(c => c.id === id ? { ...c, ...updates } : c));
+        this.changes.notify(STORES.CHILDREN);
+    }
+
+    async deleteChild(id) {
+        CHILD_STORES.forEach(storeName => {
+            this.updateStore(storeName, r => r.childId === id ? null : r);
+        });
+        this.write(STORES.CHILDREN, this.read(STORES.CHILDREN).filter(c => c.id !== id));
+        this.changes.notify(STORES.CHILDREN, ...CHILD_STORES);
+    }
+
+    async adoptOrphanRecords(childId) {
+        CHILD_STORES.forEach(storeName => {
+            const records = this.read(LOCAL_STORAGE_KEYS[storeName] || storeName);
+            if (!records.some(r => r.childId === undefined || r.childId === null)) return;
+            this.writeStore(storeName, records.map(r => (r.childId === undefined || r.childId === null) ? { ...r, childId } : r));
+        });
+    }
+
+    // ============= RECORDS =============
+
+    async getRecords(storeName, childId, options = {}) {
+        const filterIndex = FILTER_INDEXES[storeName];
+        const value = filterIndex ? options[filterIndex.field] : undefined;
+        const records = this.readStore(storeName)
+            .filter(r => r.childId === childId && !r.deletedAt)
+            .filter(r => value === undefined || r[filterIndex.field] === value)
+            .map(toAppRecord)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp) || b.id - a.id);
+        return pageRecords(records, options);
+    }
+
+    async scanRecords(storeName) {
+        return this.readStore(storeName).filter(r => !r.deletedAt);
+    }
+
+    async addRecord(storeName, data) {
+        const record = toAppRecord({ ...data, id: this.nextId(), createdAt: Date.now() });
+        this.writeStore(storeName, [...this.readStore(storeName), record]);
+        this.logChange(storeName, 'create', null, record);
+        return record;
+    }
+
+    async updateRecord(storeName, id, updates, action = 'update') {
+        const records = this.readStore(storeName);
+        const index = records.findIndex(r => r.id === id);
+        if (index === -1) {
+            throw new Error(`Record with id ${id} not found in ${storeName}`);
+        }
+
+        const before = records[index];
+        const changes = updates.time ? { ...updates, timestamp: updates.time } : updates;
+        records[index] = { ...before, ...changes, updatedAt: Date.now() };
+        this.writeStore(storeName, records);
+        this.logChange(storeName, action, before, records[index]);
+    }
+
+    async importRecords(items) {
+        let added = 0;
+        let replaced = 0;
+        [...new Set(items.map(item => item.storeName))].forEach(storeName => {
+            const records = this.readStore(storeName);
+            items.filter(item => item.storeName === storeName).forEach(({ data, id }) => {
+                const index = id === undefined ? -1 : records.findIndex(r => r.id === id && !r.deletedAt);
+                if (index === -1) {
+                    const record = toAppRecord({ ...data, id: this.nextId(), createdAt: Date.now() });
+                    records.push(record);
+                    this.logChange(storeName, 'create', null, record);
+                    added++;
+                    return;
+                }
+                const before = records[index];
+                records[index] = toAppRecord({ ...data, id, createdAt: before.createdAt, updatedAt: Date.now() });
+                this.logChange(storeName, 'update', before, records[index]);
+                replaced++;
+            });
+            this.writeStore(storeName, records);
+        });
+        return { added, replaced };
+    }
+
+    // ============= DAILY SUMMARIES =============
+    // Computed on every call, there are no indexes to keep up to date here
+
+    async getDailySummaries(childId, options = {}) {
+        const from = options.startDate ? localDateKey(options.startDate) : '';
+        const to = options.endDate ? localDateKey(options.endDate) : '\uffff';
+        const recordsByStore = {};
+        for (const storeName of SUMMARY_STORES) {
+            recordsByStore[storeName] = await this.getRecords(storeName, childId);
+        }
+        return summarizeDays(childId, recordsByStore)
+            .filter(summary => summary.date >= from && summary.date <= to)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    async rebuildDailySummaries() {
+        return 0;
+    }
+
+    // ============= TRASH =============
+
+    async trashRecord(storeName, id) {
+        return this.updateRecord(storeName, id, { deletedAt: Date.now() }, 'delete');
+    }
+
+    async trashChildData(childId) {
+        const deletedAt = Date.now();
+        CHILD_STORES.forEach(storeName => {
+            this.updateStore(storeName, record => {
+                if (record.childId !== childId || record.deletedAt) return record;
+                const trashed = { ...record, deletedAt };
+                this.logChange(storeName, 'delete', record, trashed);
+                return trashed;
+            });
+        });
+        return deletedAt;
+    }
+
+    /**
+     * Live records of a child in a store between two times, both included
+     */
+    readRange(storeName, childId, { startDate, endDate } = {}) {
+        const start = startDate ? new Date(startDate).getTime() : -Infinity;
+        const end = endDate ? new Date(endDate).getTime() : Infinity;
+        return this.readStore(storeName).filter(r => {
+            const time = new Date(r.timestamp).getTime();
+            return r.childId === childId && !r.deletedAt && time >= start && time <= end;
+        });
+    }
+
+    async countRecordsInRange(childId, storeNames, options = {}) {
+        const counts = {};
+        storeNames.forEach(storeName => {
+            counts[storeName] = this.readRange(storeName, childId, options).length;
+        });
+        return counts;
+    }
+
+    async trashRecordsInRange(childId, storeNames, options = {}) {
+        const deletedAt = Date.now();
+        let count = 0;
+        storeNames.forEach(storeName => {
+            const ids = new Set(this.readRange(storeName, childId, options).map(r => r.id));
+            this.updateStore(storeName, record => {
+                if (!ids.has(record.id)) return record;
+                const trashed = { ...record, deletedAt };
+                this.logChange(storeName, 'delete', record, trashed);
+                count++;
+                return trashed;
+            });
+        });
+        return { deletedAt, count };
+    }
+
+    async getTrash(childId) {
+        const items = [];
+        CHILD_STORES.forEach(storeName => {
+            this.readStore(storeName)
+                .filter(r => r.deletedAt && (childId === undefined || r.childId === childId))
+                .forEach(record => items.push({ storeName, record }));
+        });
+        return items.sort((a, b) => b.record.deletedAt - a.record.deletedAt);
+    }
+
+    async restoreRecords(items) {
+        items.forEach(({ storeName, id }) => {
+            this.updateStore(storeName, r => {
+                if (r.id !== id) return r;
+                const { deletedAt, ...record } = r;
+                const restored = { ...record, updatedAt: Date.now() };
+                this.logChange(storeName, 'restore', r, restored);
+                return restored;
+            });
+        });
+    }
+
+    async purgeRecords(items) {
+        items.forEach(({ storeName, id }) => {
+            this.updateStore(storeName, r => {
+                if (r.id !== id) return r;
+                this.logChange(storeName, 'purge', r, null);
+                return null;
+            });
+        });
+    }
+
+    async purgeTrash(before) {
+        let purged = 0;
+        CHILD_STORES.forEach(storeName => {
+            this.updateStore(storeName, r => {
+                if (!r.deletedAt || r.deletedAt > before) return r;
+                this.logChange(storeName, 'purge', r, null);
+                purged++;
+                return null;
+            });
+        });
+        return purged;
+    }
+
+    // ============= AUDIT LOG =============
+
+    logChange(storeName, action, before, after) {
+        const record = after || before;
+        const entries = this.read(STORES.AUDIT);
+        entries.push({
+            id: this.nextId(),
+            storeName,
+            recordId: record.id,
+            childId: record.childId,
+            action,
+            before,
+            after,
+            caregiver: this.caregiver,
+            timestamp: Date.now()
+        });
+        this.write(STORES.AUDIT, entries.slice(-LOCAL_AUDIT_LIMIT));
+        this.changes.notify(storeName);
+    }
+
+    async getRecordHistory(storeName, recordId) {
+        return this.read(STORES.AUDIT)
+            .filter(e => e.storeName === storeName && e.recordId === recordId)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    async getActivity(options = {}) {
+        return this.read(STORES.AUDIT)
+            .filter(e => options.childId === undefined || e.childId === options.childId)
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, options.limit || 50);
+    }
+
+    // ============= STORAGE USAGE =============
+
+    async getStorageUsage() {
+        const usage = {};
+        [STORES.CHILDREN, ...CHILD_STORES, STORES.AUDIT].forEach(storeName => {
+            const key = LOCAL_STORAGE_KEYS[storeName] || storeName;
+            const data = this.storage.getItem(key);
+            usage[storeName] = {
+                count: this.read(key).length,
+                bytes: data === null ? 0 : (key.length + data.length) * 2
+            };
+        });
+        return usage;
+    }
+
+    // ============= SETTINGS =============
+    // Stored under their own key with the encoding the localStorage migration
+    // reads: plain text for the string settings, JSON for everything else
+
+    async getSetting(key) {
+        const value = this.storage.getItem(key);
+        if (value === null) return null;
+        const parse = MIGRATION_SETTINGS[key] || JSON.parse;
+        return parse(value);
+    }
+
+    async setSetting(key, value) {
+        if (value === null || value === undefined) {
+            this.storage.removeItem(key);
+        } else if (typeof value === 'string' && MIGRATION_SETTINGS[key]) {
+            this.storage.setItem(key, value);
+        } else {
+            this.storage.setItem(key, JSON.stringify(value));
+        }
+        this.changes.notify(STORES.METADATA);
+    }
+}
+
+/**
+ * Minimal Storage implementation backed by a Map
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * Keeps everything in memory and loses it on reload, for automated tests
+ */
+class MemoryRepository extends LocalStorageRepository {
+    constructor() {
+        super(new MemoryStorage(), null);
+        this.type = 'memory';
+    }
+}
+
+/**
+ * Open the IndexedDB repository, falling back to localStorage
+ * @param {Function} [requestPassphrase] - Asks for the passphrase of an encrypted database
+ * @returns {Promise<Object>} - { repository, migrationResult }
+ */
+async function openRepository(requestPassphrase = null) {
+    try {
+        await db.init();
+    } catch (error) {
+        console.warn('⚠️ IndexedDB not available, falling back to localStorage:', error);
+        const fallback = new LocalStorageRepository();
+        return { repository: fallback, migrationResult: await fallback.init() };
+    }
+
+    // Never fall back once IndexedDB works: its data would be hidden
+    const repository = new IndexedDBRepository(db);
+    const migrationResult = await repository.init(requestPassphrase);
+    console.log('✅ Using IndexedDB storage');
+    return { repository, migrationResult };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChangeChannel, IndexedDBRepository, LocalStorageRepository, MemoryRepository, MemoryStorage, openRepository };
+}
@@ -0,0 +1,224 @@
+/**
+ * Sync Engine
+ * Shares records between devices through a self-hosted sync server
+ * (see server/sync-server.js for the protocol). Local changes wait in the
+ * outbox until the server has accepted them, so nothing is lost offline.
+ */
+
+const SYNC_BATCH_SIZE = 200;
+const SYNC_INTERVAL = 60 * 1000; // Periodic sync while enabled
+const SYNC_DEBOUNCE = 5 * 1000; // Wait for more changes before pushing
+const SYNC_MAX_RETRY_DELAY = 15 * 60 * 1000;
+
+class SyncEngine {
+    constructor(database) {
+        this.db = database;
+        this.url = null;
+        this.token = null;
+        this.deviceId = null;
+        this.lastSyncAt = null;
+        this.lastError = null;
+        this.running = null; // Promise of the sync in progress
+        this.timer = null;
+        this.intervalTimer = null;
+        this.retryDelay = SYNC_INTERVAL;
+        this.onRemoteChanges = null; // Called after changes from other devices were applied
+    }
+
+    /**
+     * Load the sync settings and start syncing if a server is configured
+     */
+    async init() {
+        this.url = await this.db.getMetadata('syncUrl');
+        this.token = await this.db.getMetadata('syncToken');
+        this.lastSyncAt = await this.db.getMetadata('syncLastAt');
+        this.deviceId = await this.db.getMetadata('syncDeviceId');
+        if (!this.deviceId) {
+            this.deviceId = createUid();
+            await this.db.setMetadata('syncDeviceId', this.deviceId);
+        }
+
+        this.db.onChangeQueued = () => this.scheduleSync(SYNC_DEBOUNCE);
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.scheduleSync(0));
+        }
+        this.start();
+    }
+
+    isEnabled() {
+        return !!this.url;
+    }
+
+    start() {
+        this.db.setSyncEnabled(this.isEnabled());
+        clearInterval(this.intervalTimer);
+        clearTimeout(this.timer);
+        if (!this.isEnabled()) return;
+
+        this.intervalTimer = setInterval(() => this.scheduleSync(0), SYNC_INTERVAL);
+        this.scheduleSync(0);
+    }
+
+    /**
+     * Set the sync server, or stop syncing when url is empty.
+     * A new server starts from scratch: every local record is queued.
+     * @param {string} url
+     * @param {string} token - Shared secret of the server, optional
+     */
+    async configure(url, token) {
+        const newUrl = url ? url.trim().replace(/\/+$/, '') : null;
+        if (newUrl && !/^https?:\/\//.test(newUrl)) {
+            throw new Error(`Invalid sync server URL: ${newUrl}`);
+        }
+
+        const changed = newUrl !== this.url;
+        this.url = newUrl;
+        this.token = token || null;
+        await this.db.setMetadata('syncUrl', this.url);
+        await this.db.setMetadata('syncToken', this.token);
+
+        if (changed) {
+            await this.db.setMetadata('syncCursor', 0);
+            await this.db.clearStore(STORES.OUTBOX);
+            if (this.url) {
+                this.db.setSyncEnabled(true);
+                await this.db.queueAllRecords();
+            }
+        }
+        this.start();
+    }
+
+    /**
+     * Run a sync soon, replacing any sync already scheduled
+     * @param {number} delay - ms
+     */
+    scheduleSync(delay) {
+        if (!this.isEnabled()) return;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.sync().catch(() => {});
+        }, delay);
+    }
+
+    /**
+     * Push the outbox and pull the changes of other devices.
+     * Concurrent calls share the sync in progress.
+     * @returns {Promise<Object|null>} - { pushed, pulled, conflicts }, null when offline or disabled
+     */
+    async sync() {
+        if (!this.isEnabled()) return null;
+        if (!this.running) {
+            this.running = this.runSync().finally(() => { this.running = null; });
+        }
+        return this.running;
+    }
+
+    async runSync() {
+        // Changes stay in the outbox until the 'online' event triggers a new sync
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            this.lastError = 'Sin conexión';
+            return null;
+        }
+
+        const result = { pushed: 0, pulled: 0, conflicts: 0 };
+        try {
+            let cursor = (await this.db.getMetadata('syncCursor')) || 0;
+            let more = true;
+
+            while (more) {
+                const changes = await this.db.getPendingChanges(SYNC_BATCH_SIZE);
+                const response = await this.request({
+                    deviceId: this.deviceId,
+                    since: cursor,
+                    changes: changes.map(({ queuedAt, ...change }) => change)
+                });
+
+                // Rejected changes lost against a newer server version, which is applied below
+                const rejected = new Set(response.rejected.map(doc => `${doc.storeName}/${doc.uid}`));
+                const accepted = changes.filter(change => !rejected.has(`${change.storeName}/${change.uid}`));
+                await this.db.clearPendingChanges(accepted);
+
+                const applied = await this.db.applyRemoteChanges([...response.rejected, ...response.changes]);
+                await this.db.addConflicts(response.overwritten);
+                cursor = response.cursor;
+                await this.db.setMetadata('syncCursor', cursor);
+
+                result.pushed += accepted.length;
+                result.pulled += applied.applied;
+                result.conflicts += applied.conflicts + response.overwritten.length;
+                more = response.more || changes.length === SYNC_BATCH_SIZE;
+            }
+
+            this.lastSyncAt = Date.now();
+            this.lastError = null;
+            this.retryDelay = SYNC_INTERVAL;
+            await this.db.setMetadata('syncLastAt', this.lastSyncAt);
+        } catch (error) {
+            console.warn('⚠️ Sync failed, retrying later:', error);
+            this.lastError = error.message;
+            this.scheduleSync(this.retryDelay);
+            this.retryDelay = Math.min(this.retryDelay * 2, SYNC_MAX_RETRY_DELAY);
+            throw error;
+        }
+
+        if (result.pulled > 0 && this.onRemoteChanges) {
+            await this.onRemoteChanges(result);
+        }
+        return result;
+    }
+
+    /**
+     * POST a sync request to the server
+     * @param {Object} body - { deviceId, since, changes }
+     * @returns {Promise<Object>} - { cursor, changes, rejected, overwritten, more }
+     */
+    async request(body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+        const response = await fetch(`${this.url}/sync`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`Sync server responded with ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Concurrent edits resolved by last-writer-wins, newest first
+     * @returns {Promise<Array>}
+     */
+    async getConflicts() {
+        return this.db.getConflicts();
+    }
+
+    async clearConflicts() {
+        return this.db.clearStore(STORES.CONFLICTS);
+    }
+
+    /**
+     * @returns {Promise<Object>} - { enabled, url, token, lastSyncAt, lastError, pending, conflicts }
+     */
+    async getStatus() {
+        return {
+            enabled: this.isEnabled(),
+            url: this.url,
+            token: this.token,
+            lastSyncAt: this.lastSyncAt,
+            lastError: this.lastError,
+            pending: this.isEnabled() ? await this.db.countRecords(STORES.OUTBOX) : 0,
+            conflicts: await this.db.countRecords(STORES.CONFLICTS)
+        };
+    }
+}
+
+// Create singleton instance
+const syncEngine = new SyncEngine(db);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { syncEngine, SyncEngine };
+}
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+const { db, STORES } = loadScripts(['db.js'], ['db', 'STORES']);
+
+const DEVICE_METADATA = {
+    syncDeviceId: 'device-a',
+    syncCursor: 42,
+    syncUrl: 'https://sync.example.com',
+    syncToken: 'token-a',
+    pinLock: { hash: 'a' }
+};
+
+test('backups leave out the device metadata, and restores keep this device\'s', async () => {
+    for (const [key, value] of Object.entries(DEVICE_METADATA)) await db.setMetadata(key, value);
+    await db.setMetadata('timezone', 'Europe/Madrid');
+
+    const dump = await db.exportAllStores();
+    const keys = dump[STORES.METADATA].map(entry => entry.key);
+    Object.keys(DEVICE_METADATA).forEach(key => assert.ok(!keys.includes(key), key));
+    assert.ok(keys.includes('timezone'));
+
+    // A backup of another device, made before device metadata was left out
+    dump[STORES.METADATA].push(
+        { key: 'syncDeviceId', value: 'device-b', updatedAt: 1 },
+        { key: 'syncCursor', value: 7, updatedAt: 1 },
+        { key: 'pinLock', value: { hash: 'b' }, updatedAt: 1 }
+    );
+    await db.setMetadata('timezone', 'America/Mexico_City');
+
+    for (const mode of ['replace', 'merge']) {
+        await db.importAllStores(structuredClone(dump), mode);
+        for (const [key, value] of Object.entries(DEVICE_METADATA)) {
+            assert.deepEqual(await db.getMetadata(key), value, `${mode}: ${key}`);
+        }
+    }
+    assert.equal(await db.getMetadata('timezone'), 'Europe/Madrid');
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+const { recordCsv, STORES } = loadScripts(['db.js', 'csv.js'], ['recordCsv', 'STORES']);
+
+test('journal tags with commas survive an export and import', () => {
+    const entry = { time: '2026-01-01T08:00:00.000Z', category: 'milestone', title: 'Primer paso', description: '', tags: ['casa, salón', 'a\\b', 'hito'] };
+    const { rows, errors } = recordCsv.import(recordCsv.export({ [STORES.JOURNAL]: [entry] }));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(rows[0].record.tags, entry.tags);
+});
+
+test('tags of older exports are split on every comma', () => {
+    const text = 'TIPO,FECHA,CATEGORIA,TITULO,ETIQUETAS\nDIARIO,2026-01-01T08:00:00.000Z,Hito,Paso,"hito, casa"\n';
+    assert.deepEqual(recordCsv.import(text).rows[0].record.tags, ['hito', 'casa']);
+});
+
+test('rows that cannot be read are reported in Spanish with their line', () => {
+    const text = 'TIPO,FECHA,TEMPERATURA_C\nTEMPERATURA,mal,37\nTEMPERATURA,2026-01-01T08:00:00.000Z,\nFOO,x\n';
+    assert.deepEqual(recordCsv.import(text).errors, [
+        { line: 2, message: 'Fecha inválida en FECHA: mal' },
+        { line: 3, message: 'Falta TEMPERATURA_C' },
+        { line: 4, message: 'Tipo de registro desconocido: FOO' }
+    ]);
+});
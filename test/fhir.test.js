@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+const { fhirExporter, STORES } = loadScripts(['db.js', 'fhir.js'], ['fhirExporter', 'STORES']);
+
+test('only the doses given are exported as medication administrations', () => {
+    const child = { uid: '3f1c2a44-5b6d-4e7f-8a9b-0c1d2e3f4a5b', name: 'Leo' };
+    const medicine = (name, fields) => ({ name, time: '2026-01-01T08:00:00.000Z', dose: '5 ml', ...fields });
+    const bundle = fhirExporter.createBundle(child, {
+        [STORES.MEDICINES]: [
+            medicine('Running schedule', { interval: 8, active: true, nextDose: '2026-01-01T16:00:00.000Z' }),
+            medicine('Stopped schedule', { interval: 8, active: false, nextDose: null }),
+            medicine('Occasional', { interval: 0, active: true, nextDose: null }),
+            medicine('Dose', { interval: 0, active: false, nextDose: null })
+        ]
+    });
+
+    const administrations = bundle.entry
+        .map(entry => entry.resource)
+        .filter(resource => resource.resourceType === 'MedicationAdministration');
+    assert.deepEqual(administrations.map(resource => resource.medicationCodeableConcept.text), ['Dose']);
+});
+
+test('records whose time cannot be read are left out', () => {
+    const child = { uid: '3f1c2a44-5b6d-4e7f-8a9b-0c1d2e3f4a5b', name: 'Leo' };
+    const bundle = fhirExporter.createBundle(child, {
+        [STORES.TEMPERATURES]: [
+            { time: 'not a date', value: 38.5 },
+            { time: '2026-01-01T08:00:00.000Z', value: 37.9 }
+        ]
+    });
+
+    const values = bundle.entry
+        .map(entry => entry.resource)
+        .filter(resource => resource.resourceType === 'Observation')
+        .map(resource => resource.valueQuantity.value);
+    assert.deepEqual(values, [37.9]);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+const { db, PLAINTEXT_FIELDS } = loadScripts(['db.js', 'encryption.js'], ['db', 'PLAINTEXT_FIELDS']);
+
+// Keeps the same fields readable as the real cipher, without the WebCrypto work
+const testCipher = {
+    async seal(record) {
+        const plain = {};
+        const secret = {};
+        Object.entries(record).forEach(([field, value]) => {
+            (PLAINTEXT_FIELDS.includes(field) ? plain : secret)[field] = value;
+        });
+        return { ...plain, sealed: JSON.stringify(secret) };
+    },
+    async open({ sealed, ...plain }) {
+        return { ...plain, ...JSON.parse(sealed) };
+    }
+};
+
+test('filtered pages are full and continue after the last record shown', async (t) => {
+    t.after(() => db.close());
+    const childId = await db.addChild({ name: 'Leo' });
+    // Newest first: bottle 06:00, breast 05:00, breast 04:00, bottle 03:00, breast 02:00, bottle 01:00
+    for (const [hour, type] of [[1, 'bottle'], [2, 'breast'], [3, 'bottle'], [4, 'breast'], [5, 'breast'], [6, 'bottle']]) {
+        await db.addFeeding({ childId, time: `2026-01-01T0${hour}:00:00.000Z`, type });
+    }
+    const hours = feedings => feedings.map(feeding => new Date(feeding.time).getUTCHours());
+
+    for (const cipher of [null, testCipher]) {
+        await t.test(cipher ? 'encrypted' : 'not encrypted', async () => {
+            db.setCipher(cipher);
+            const firstPage = await db.getFeedings({ childId, type: 'bottle', limit: 2 });
+            assert.deepEqual(hours(firstPage), [6, 3]);
+            const before = { timestamp: firstPage[1].timestamp, id: firstPage[1].id };
+            assert.deepEqual(hours(await db.getFeedings({ childId, type: 'bottle', limit: 2, before })), [1]);
+            assert.deepEqual(hours(await db.getFeedings({ childId, type: 'breast', startDate: '2026-01-01T03:00:00.000Z' })), [5, 4]);
+        });
+    }
+});
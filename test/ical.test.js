@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+const { iCalendar } = loadScripts(['db.js', 'csv.js', 'ical.js'], ['iCalendar']);
+
+test('dosing schedules repeat by the hour, or by the minute (at least one) for fractions of an hour', () => {
+    const medicine = (id, interval) => ({ id, name: 'Paracetamol', dose: '5 ml', interval, nextDose: '2026-01-01T08:00:00.000Z' });
+    const rules = iCalendar.export([], [medicine(1, 8), medicine(2, 1.5), medicine(3, 0.005)])
+        .split('\r\n')
+        .filter(line => line.startsWith('RRULE:'));
+
+    assert.match(rules[0], /^RRULE:FREQ=HOURLY;INTERVAL=8;UNTIL=/);
+    assert.match(rules[1], /^RRULE:FREQ=MINUTELY;INTERVAL=90;UNTIL=/);
+    assert.match(rules[2], /^RRULE:FREQ=MINUTELY;INTERVAL=1;UNTIL=/);
+});
+
+test('quoted parameter values may hold semicolons, colons and commas', () => {
+    assert.deepEqual(iCalendar.parseProperty('DTSTART;TZID="America/Mexico_City; CDMX: test";VALUE=DATE-TIME:20260101T080000'), {
+        name: 'DTSTART',
+        params: { TZID: 'America/Mexico_City; CDMX: test', VALUE: 'DATE-TIME' },
+        value: '20260101T080000'
+    });
+    assert.deepEqual(iCalendar.parseProperty('ATTENDEE;MEMBER="mailto:a@example.com","mailto:b@example.com":mailto:c@example.com').params,
+        { MEMBER: 'mailto:a@example.com,mailto:b@example.com' });
+    assert.equal(iCalendar.parseProperty('SUMMARY;LANGUAGE="es:unclosed:Cita'), null);
+});
+
+test('an event whose time zone is quoted keeps its time', () => {
+    const { rows, errors } = iCalendar.import([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'DTSTART;TZID="America/Mexico_City":20260301T093000',
+        'SUMMARY:Vacuna: hexavalente',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n'));
+
+    assert.deepEqual(errors, []);
+    assert.equal(rows[0].record.time, '2026-03-01T15:30:00.000Z');
+    assert.equal(rows[0].record.title, 'Vacuna: hexavalente');
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+const { MemoryRepository, ImportPreview, STORES } = loadScripts(
+    ['db.js', 'migration.js', 'storage.js', 'integrity.js', 'importer.js'],
+    ['MemoryRepository', 'ImportPreview', 'STORES']
+);
+
+async function createPreview() {
+    const repository = new MemoryRepository();
+    const childId = await repository.addChild({ name: 'Leo' });
+    return { repository, preview: new ImportPreview(repository), childId };
+}
+
+const feeding = (line, time, type, amount) => ({ line, storeName: STORES.FEEDINGS, record: { time, type, amount } });
+
+test('a row matches a record of the same type close in time', async () => {
+    const { repository, preview, childId } = await createPreview();
+    await repository.addRecord(STORES.FEEDINGS, { childId, time: '2026-01-01T08:00:30.000Z', type: 'bottle', amount: 90 });
+
+    const { rows } = await preview.build([
+        feeding(2, '2026-01-01T08:00:00.000Z', 'bottle', 100),
+        feeding(3, '2026-01-01T08:00:00.000Z', 'breast', 10)
+    ], [], childId);
+
+    assert.equal(rows[0].duplicateOf.amount, 90);
+    assert.equal(rows[1].duplicateOf, undefined);
+    assert.equal(rows[1].repeatOf, undefined);
+});
+
+test('rows repeating an earlier row of the file are marked', async () => {
+    const { preview, childId } = await createPreview();
+
+    const { rows } = await preview.build([
+        feeding(2, '2026-01-01T08:00:00.000Z', 'bottle', 90),
+        feeding(3, '2026-01-01T08:00:00.000Z', 'bottle', 90),
+        feeding(4, '2026-01-01T09:00:00.000Z', 'bottle', 90)
+    ], [], childId);
+
+    assert.deepEqual(rows.map(row => row.repeatOf), [undefined, 2, undefined]);
+});
+
+test('overwriting replaces a record once, even when several rows match it', async () => {
+    const { repository, preview, childId } = await createPreview();
+    await repository.addRecord(STORES.FEEDINGS, { childId, time: '2026-01-01T08:00:00.000Z', type: 'bottle', amount: 90 });
+
+    const built = await preview.build([
+        feeding(2, '2026-01-01T08:00:00.000Z', 'bottle', 100),
+        feeding(3, '2026-01-01T08:00:20.000Z', 'bottle', 110)
+    ].map(row => ({ ...row, record: { ...row.record, childId } })), [], childId);
+
+    assert.ok(built.rows[0].duplicateOf);
+    assert.equal(built.rows[1].repeatOf, 2);
+
+    const result = await preview.commit(built, 'overwrite');
+    assert.deepEqual(result, { added: 0, replaced: 1, skipped: 1 });
+    const feedings = await repository.getRecords(STORES.FEEDINGS, childId);
+    assert.deepEqual(feedings.map(record => record.amount), [100]);
+});
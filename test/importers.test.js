@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+const { parseDecimal, parseDuration, importers, STORES } = loadScripts(
+    ['db.js', 'csv.js', 'importers.js'],
+    ['parseDecimal', 'parseDuration', 'importers', 'STORES']
+);
+
+test('durations are read in minutes, with or without units', () => {
+    assert.equal(parseDuration('90'), 90);
+    assert.equal(parseDuration('12 min'), 12);
+    assert.equal(parseDuration('1:30'), 90);
+    assert.equal(parseDuration('1:30:30'), 90.5);
+    assert.equal(parseDuration('1h 30m'), 90);
+    assert.equal(parseDuration('1h'), 60);
+    assert.equal(parseDuration('1h30'), 90);
+    assert.equal(parseDuration('1,5 horas'), 90);
+    assert.equal(parseDuration('2 hrs 5 mins'), 125);
+});
+
+test('durations that cannot be read are rejected', () => {
+    ['abc', '1 day', '1:xx', '-5', '1h 30m extra'].forEach(raw => {
+        assert.throws(() => parseDuration(raw), /Duración inválida/, raw);
+    });
+});
+
+test('numbers are read with the thousands separators of their decimal mark', () => {
+    assert.equal(parseDecimal('1,200'), 1200);
+    assert.equal(parseDecimal('1,200.5'), 1200.5);
+    assert.equal(parseDecimal('3.125'), 3.125);
+    assert.equal(parseDecimal('1.200', ','), 1200);
+    assert.equal(parseDecimal('1.200,5', ','), 1200.5);
+    assert.equal(parseDecimal('3,125', ','), 3.125);
+    assert.equal(parseDecimal('1 200,5', ','), 1200.5);
+    assert.equal(parseDecimal('-0.5'), -0.5);
+});
+
+test('numbers whose separators do not fit the decimal mark are rejected', () => {
+    ['1,5', '12,00', '1.2.3', '', '1,200,5'].forEach(raw => assert.equal(parseDecimal(raw), null, raw));
+    assert.equal(parseDecimal('1.200.5', ','), null);
+});
+
+test('amounts with thousands separators are not scaled', () => {
+    const csv = csvRows => importers.get('event-log').read(csvRows);
+    const { rows, errors } = csv([
+        { line: 1, fields: ['Type', 'Start', 'Duration', 'Amount', 'Unit', 'Detail', 'Notes'] },
+        { line: 2, fields: ['Bottle', '2026-01-01T08:00:00Z', '', '1,200 ml', '', '', ''] },
+        { line: 3, fields: ['Weight', '2026-01-01T08:00:00Z', '', '3.125', 'kg', '', ''] },
+        { line: 4, fields: ['Bottle', '2026-01-01T09:00:00Z', '', '1,5', 'oz', '', ''] }
+    ]);
+
+    assert.equal(rows.find(row => row.storeName === STORES.FEEDINGS).record.amount, 1200);
+    assert.equal(rows.find(row => row.storeName === STORES.MEASUREMENTS).record.weight, 3.125);
+    assert.deepEqual(errors, [{ line: 4, message: 'Número inválido en Cantidad: 1,5' }]);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+const { MemoryRepository, IntegrityChecker, STORES } = loadScripts(
+    ['db.js', 'migration.js', 'storage.js', 'integrity.js'],
+    ['MemoryRepository', 'IntegrityChecker', 'STORES']
+);
+
+test('active medicines with no dose due are deactivated, occasional ones are kept', async () => {
+    const repository = new MemoryRepository();
+    const childId = await repository.addChild({ name: 'Leo' });
+    const medicine = { childId, time: '2026-01-01T08:00:00.000Z', name: 'Paracetamol', dose: '2 ml', active: true, nextDose: null };
+    const occasional = await repository.addRecord(STORES.MEDICINES, { ...medicine, interval: 0 });
+    const withoutInterval = await repository.addRecord(STORES.MEDICINES, { ...medicine });
+    const scheduled = await repository.addRecord(STORES.MEDICINES, { ...medicine, interval: 8, time: '2026-01-02T08:00:00.000Z' });
+
+    const checker = new IntegrityChecker(repository);
+    const { issues } = await checker.check();
+    const medicineIssues = issues.filter(issue => issue.type === 'medicineState');
+    assert.deepEqual(medicineIssues.map(issue => issue.record.id).sort(), [withoutInterval.id, scheduled.id].sort());
+
+    await checker.fix(medicineIssues);
+    const medicines = await repository.getRecords(STORES.MEDICINES, childId);
+    const byId = id => medicines.find(record => record.id === id);
+    assert.equal(byId(occasional.id).active, true);
+    assert.equal(byId(withoutInterval.id).active, false);
+    assert.equal(byId(scheduled.id).nextDose, '2026-01-02T16:00:00.000Z');
+});
@@ -0,0 +1,29 @@
+/**
+ * Test loader
+ * The app is made of classic scripts that share their top-level
+ * declarations, so tests run them in this realm in the order index.html
+ * loads them, with fake-indexeddb in place of the browser's IndexedDB.
+ */
+
+require('fake-indexeddb/auto');
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run app scripts and return some of their declarations
+ * @param {Array} files - Script names, in load order
+ * @param {Array} names - Declarations to return
+ * @returns {Object} - { name: value }
+ */
+function loadScripts(files, names) {
+    files.forEach(file => {
+        vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+    });
+    return vm.runInThisContext(`({ ${names.join(', ')} })`);
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+const { MemoryRepository, STORES } = loadScripts(
+    ['db.js', 'migration.js', 'storage.js'],
+    ['MemoryRepository', 'STORES']
+);
+
+async function createRepository() {
+    const repository = new MemoryRepository();
+    const childId = await repository.addChild({ name: 'Leo' });
+    return { repository, childId };
+}
+
+test('records are listed newest first, in app format', async () => {
+    const { repository, childId } = await createRepository();
+    await repository.addRecord(STORES.FEEDINGS, { childId, time: '2026-01-01T08:00:00.000Z', type: 'bottle', amount: 90 });
+    await repository.addRecord(STORES.FEEDINGS, { childId, time: '2026-01-01T11:00:00.000Z', type: 'breast', duration: 10 });
+
+    const feedings = await repository.getRecords(STORES.FEEDINGS, childId);
+    assert.deepEqual(feedings.map(feeding => feeding.time), ['2026-01-01T11:00:00.000Z', '2026-01-01T08:00:00.000Z']);
+    feedings.forEach(feeding => assert.equal(feeding.timestamp, feeding.time));
+});
+
+test('records of other profiles are left out', async () => {
+    const { repository, childId } = await createRepository();
+    const otherId = await repository.addChild({ name: 'Ana' });
+    await repository.addRecord(STORES.DIAPERS, { childId, time: '2026-01-01T08:00:00.000Z', hasPee: true });
+    await repository.addRecord(STORES.DIAPERS, { childId: otherId, time: '2026-01-01T09:00:00.000Z', hasPoop: true });
+
+    const diapers = await repository.getRecords(STORES.DIAPERS, childId);
+    assert.equal(diapers.length, 1);
+    assert.equal(diapers[0].hasPee, true);
+});
+
+test('pages by limit and by the last record shown, filtered by the store field', async () => {
+    const { repository, childId } = await createRepository();
+    for (let hour = 1; hour <= 5; hour++) {
+        const type = hour % 2 ? 'bottle' : 'breast';
+        await repository.addRecord(STORES.FEEDINGS, { childId, time: `2026-01-01T0${hour}:00:00.000Z`, type });
+    }
+
+    const firstPage = await repository.getRecords(STORES.FEEDINGS, childId, { type: 'bottle', limit: 2 });
+    assert.deepEqual(firstPage.map(feeding => feeding.time), ['2026-01-01T05:00:00.000Z', '2026-01-01T03:00:00.000Z']);
+    const nextPage = await repository.getRecords(STORES.FEEDINGS, childId, { type: 'bottle', limit: 2, before: firstPage[1] });
+    assert.deepEqual(nextPage.map(feeding => feeding.time), ['2026-01-01T01:00:00.000Z']);
+});
+
+test('updates are logged in the record history', async () => {
+    const { repository, childId } = await createRepository();
+    repository.setCaregiver('Mamá');
+    const record = await repository.addRecord(STORES.TEMPERATURES, { childId, time: '2026-01-01T08:00:00.000Z', value: 37.5 });
+    await repository.updateRecord(STORES.TEMPERATURES, record.id, { value: 38.2 });
+
+    const history = await repository.getRecordHistory(STORES.TEMPERATURES, record.id);
+    assert.deepEqual(history.map(entry => entry.action), ['create', 'update']);
+    assert.equal(history[1].before.value, 37.5);
+    assert.equal(history[1].after.value, 38.2);
+    assert.equal(history[1].caregiver, 'Mamá');
+});
+
+test('trashed records can be restored or purged', async () => {
+    const { repository, childId } = await createRepository();
+    const kept = await repository.addRecord(STORES.JOURNAL, { childId, time: '2026-01-01T08:00:00.000Z', title: 'A' });
+    const purged = await repository.addRecord(STORES.JOURNAL, { childId, time: '2026-01-02T08:00:00.000Z', title: 'B' });
+    await repository.trashRecord(STORES.JOURNAL, kept.id);
+    await repository.trashRecord(STORES.JOURNAL, purged.id);
+
+    assert.equal((await repository.getRecords(STORES.JOURNAL, childId)).length, 0);
+    assert.equal((await repository.getTrash(childId)).length, 2);
+
+    await repository.restoreRecords([{ storeName: STORES.JOURNAL, id: kept.id }]);
+    await repository.purgeRecords([{ storeName: STORES.JOURNAL, id: purged.id }]);
+    assert.deepEqual((await repository.getRecords(STORES.JOURNAL, childId)).map(entry => entry.title), ['A']);
+    assert.equal((await repository.getTrash(childId)).length, 0);
+});
+
+test('imports add new records and replace matched ones, keeping their id', async () => {
+    const { repository, childId } = await createRepository();
+    const existing = await repository.addRecord(STORES.MEASUREMENTS, { childId, time: '2026-01-01T08:00:00.000Z', weight: 4.1 });
+
+    const result = await repository.importRecords([
+        { storeName: STORES.MEASUREMENTS, id: existing.id, data: { childId, time: '2026-01-01T08:00:00.000Z', weight: 4.2 } },
+        { storeName: STORES.MEASUREMENTS, data: { childId, time: '2026-02-01T08:00:00.000Z', weight: 5 } }
+    ]);
+    assert.deepEqual(result, { added: 1, replaced: 1 });
+
+    const measurements = await repository.getRecords(STORES.MEASUREMENTS, childId);
+    assert.deepEqual(measurements.map(measurement => measurement.weight), [5, 4.2]);
+    assert.equal(measurements[1].id, existing.id);
+});
+
+test('daily summaries add up the records of each day', async () => {
+    const { repository, childId } = await createRepository();
+    await repository.addRecord(STORES.FEEDINGS, { childId, time: '2026-01-01T12:00:00.000Z', type: 'bottle', amount: 90 });
+    await repository.addRecord(STORES.FEEDINGS, { childId, time: '2026-01-01T15:00:00.000Z', type: 'bottle', amount: 60 });
+    await repository.addRecord(STORES.TEMPERATURES, { childId, time: '2026-01-01T13:00:00.000Z', value: 38.5 });
+
+    const [summary] = await repository.getDailySummaries(childId);
+    assert.equal(summary.bottleFeedings, 2);
+    assert.equal(summary.bottleMl, 150);
+    assert.equal(summary.fevers, 1);
+});
+
+test('settings keep their type', async () => {
+    const { repository } = await createRepository();
+    await repository.setSetting('darkMode', true);
+    await repository.setSetting('timezone', 'Europe/Madrid');
+
+    assert.equal(await repository.getSetting('darkMode'), true);
+    assert.equal(await repository.getSetting('timezone'), 'Europe/Madrid');
+    await repository.setSetting('timezone', null);
+    assert.equal(await repository.getSetting('timezone'), null);
+});
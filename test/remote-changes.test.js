@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+const { db, STORES } = loadScripts(['db.js'], ['db', 'STORES']);
+
+test('a record with an invalid time does not hold back the other remote changes', async (t) => {
+    t.after(() => db.close());
+    const childId = await db.addChild({ name: 'Leo' });
+    const [child] = await db.getChildren();
+    const change = (uid, time) => ({
+        storeName: STORES.FEEDINGS,
+        uid,
+        updatedAt: Date.now(),
+        deleted: false,
+        record: { uid, time, type: 'bottle', amount: 90, childUid: child.uid, updatedAt: Date.now() },
+        caregiver: 'Papá'
+    });
+
+    const result = await db.applyRemoteChanges([
+        change('bad', 'not a time'),
+        change('good', '2026-01-01T08:00:00.000Z')
+    ]);
+    assert.deepEqual(result, { applied: 1, conflicts: 1 });
+
+    const feedings = await db.getFeedings({ childId });
+    assert.deepEqual(feedings.map(feeding => feeding.uid), ['good']);
+    const [conflict] = await db.getConflicts();
+    assert.equal(conflict.uid, 'bad');
+    assert.equal(conflict.winner, 'local');
+    assert.ok(conflict.error);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+const { db, DB_NAME, DB_VERSION, STORES, CHILD_STORES, SYNCED_STORES, SCHEMA_MIGRATIONS } = loadScripts(
+    ['db.js'],
+    ['db', 'DB_NAME', 'DB_VERSION', 'STORES', 'CHILD_STORES', 'SYNCED_STORES', 'SCHEMA_MIGRATIONS']
+);
+
+// Version 3 database: a single baby, before profiles, trash and sync
+const SCHEMA_FIXTURE_V3 = {
+    version: 3,
+    stores: {
+        feedings: {
+            keyPath: 'id',
+            autoIncrement: true,
+            indexes: ['timestamp', 'type', 'date', 'yearMonth'],
+            records: [
+                { id: 1, time: '2024-05-01T08:00:00.000Z', type: 'bottle', amount: 90, timestamp: 1714550400000, date: '2024-05-01', yearMonth: '2024-05' },
+                { id: 2, time: '2024-05-01T11:30:00.000Z', type: 'breast', duration: 15, timestamp: 1714563000000, date: '2024-05-01', yearMonth: '2024-05' }
+            ]
+        },
+        diapers: {
+            keyPath: 'id',
+            autoIncrement: true,
+            indexes: ['timestamp', 'date', 'yearMonth', 'hasPee', 'hasPoop'],
+            records: [
+                { id: 1, time: '2024-05-01T09:00:00.000Z', hasPee: true, hasPoop: false, level: 2, notes: '', timestamp: 1714554000000, date: '2024-05-01', yearMonth: '2024-05' }
+            ]
+        },
+        measurements: { keyPath: 'id', autoIncrement: true, indexes: ['timestamp', 'date'], records: [] },
+        medicines: { keyPath: 'id', autoIncrement: true, indexes: ['timestamp', 'date', 'name', 'active'], records: [] },
+        temperatures: { keyPath: 'id', autoIncrement: true, indexes: ['timestamp', 'date'], records: [] },
+        appointments: { keyPath: 'id', autoIncrement: true, indexes: ['timestamp', 'date', 'type'], records: [] },
+        journal: { keyPath: 'id', autoIncrement: true, indexes: ['timestamp', 'date', 'category'], records: [] },
+        metadata: {
+            keyPath: 'key',
+            records: [{ key: 'birthDate', value: '2024-04-20', updatedAt: 1714550400000 }]
+        }
+    }
+};
+
+/**
+ * Create the database exactly as an old version of the app stored it
+ */
+function seedDatabase(fixture) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, fixture.version);
+        request.onupgradeneeded = () => {
+            Object.entries(fixture.stores).forEach(([storeName, definition]) => {
+                const store = request.result.createObjectStore(storeName, {
+                    keyPath: definition.keyPath,
+                    autoIncrement: !!definition.autoIncrement
+                });
+                (definition.indexes || []).forEach(index => store.createIndex(index, index, { unique: false }));
+                (definition.records || []).forEach(record => store.add(record));
+            });
+        };
+        request.onsuccess = () => {
+            request.result.close();
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Index names and records of every store
+ * @returns {Promise<Object>} - { storeName: { indexes, records } }
+ */
+function snapshotDatabase(database) {
+    const storeNames = Array.from(database.objectStoreNames);
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, 'readonly');
+        const snapshot = {};
+        storeNames.forEach(storeName => {
+            const store = transaction.objectStore(storeName);
+            const request = store.getAll();
+            request.onsuccess = () => {
+                snapshot[storeName] = { indexes: Array.from(store.indexNames), records: request.result };
+            };
+        });
+        transaction.oncomplete = () => resolve(snapshot);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+test('upgrading a version 3 database keeps its records and applies every migration', async (t) => {
+    await seedDatabase(SCHEMA_FIXTURE_V3);
+    const database = await db.init();
+    t.after(() => db.close());
+
+    assert.equal(database.version, DB_VERSION);
+    const stores = await snapshotDatabase(database);
+
+    await t.test('every store exists', () => {
+        Object.values(STORES).forEach(storeName => assert.ok(stores[storeName], `Missing store ${storeName}`));
+    });
+
+    await t.test('no record is lost', () => {
+        Object.entries(SCHEMA_FIXTURE_V3.stores).forEach(([storeName, definition]) => {
+            assert.ok(stores[storeName].records.length >= definition.records.length, `${storeName} lost records`);
+        });
+    });
+
+    await t.test('old records belong to a default profile with the stored birth date', () => {
+        assert.equal(stores[STORES.CHILDREN].records.length, 1);
+        const child = stores[STORES.CHILDREN].records[0];
+        assert.equal(child.birthDate, '2024-04-20');
+        CHILD_STORES.forEach(storeName => {
+            assert.ok(stores[storeName].indexes.includes('childId'), `Missing childId index on ${storeName}`);
+            stores[storeName].records.forEach(record => assert.equal(record.childId, child.id));
+        });
+    });
+
+    await t.test('records and profiles have the sync fields', () => {
+        SYNCED_STORES.forEach(storeName => {
+            assert.ok(stores[storeName].indexes.includes('uid'), `Missing uid index on ${storeName}`);
+            stores[storeName].records.forEach(record => {
+                assert.ok(record.uid, `Record without uid in ${storeName}`);
+                assert.ok(record.updatedAt, `Record without updatedAt in ${storeName}`);
+            });
+        });
+    });
+
+    await t.test('the schema history lists the migrations applied', async () => {
+        const history = await db.getSchemaHistory();
+        SCHEMA_MIGRATIONS
+            .filter(migration => migration.version > SCHEMA_FIXTURE_V3.version)
+            .forEach(migration => {
+                assert.ok(history.some(entry => entry.version === migration.version), `Migration v${migration.version} missing from history`);
+            });
+    });
+});